@@ -0,0 +1,47 @@
+// config/apiKeys.js - Personal API keys (services/apiKeyService.js, authenticateApiKeyOrToken in middleware/auth.js)
+// A key is sent as `Authorization: Bearer msgly_sk_...` or `X-API-Key: msgly_sk_...`. Only its SHA-256 hash is stored.
+// Each key carries scopes - a route that accepts API keys names the scope it needs - and a per-minute rate limit.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const API_KEY_PREFIX = 'msgly_sk_';
+
+const API_KEY_SCOPES = {
+    'messages:generate': 'Generate messages, sequences and reply responses',
+    'emails:find': 'Find and verify email addresses',
+    'history:read': 'Read generated messages and email finder history'
+};
+
+const getApiKeySettings = () => ({
+    maxKeysPerUser: toInt(process.env.API_KEY_MAX_PER_USER, 10),
+    defaultRateLimitPerMinute: toInt(process.env.API_KEY_DEFAULT_RATE_LIMIT, 60),
+    maxRateLimitPerMinute: toInt(process.env.API_KEY_MAX_RATE_LIMIT, 600),
+    maxExpiryDays: 365,
+    // Daily usage rows are deleted after this many days
+    usageRetentionDays: toInt(process.env.API_KEY_USAGE_RETENTION_DAYS, 90)
+});
+
+// Validate the requested scopes - returns { scopes } or { error }
+const resolveApiKeyScopes = (requested) => {
+    if (!Array.isArray(requested) || requested.length === 0) {
+        return { error: `scopes is required. Use one or more of: ${Object.keys(API_KEY_SCOPES).join(', ')}` };
+    }
+
+    const scopes = [...new Set(requested.map(scope => String(scope).trim()))];
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknown.length > 0) {
+        return { error: `Unknown scope: ${unknown.join(', ')}. Use one or more of: ${Object.keys(API_KEY_SCOPES).join(', ')}` };
+    }
+
+    return { scopes };
+};
+
+module.exports = {
+    API_KEY_PREFIX,
+    API_KEY_SCOPES,
+    getApiKeySettings,
+    resolveApiKeyScopes
+};
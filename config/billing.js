@@ -33,7 +33,73 @@ const CHARGEBEE_PLAN_MAPPING = {
         planCode: 'platinum-payasyougo',
         payasyougoCredits: 250,
         billingModel: 'one_time'
+    },
+    // 👥 TEAM: Seat-based plan of an organization (config/organizations.js) - the subscription quantity is the
+    // number of seats, the shared pool gets creditsPerSeat per seat each cycle
+    'Team-Monthly-USD': {
+        planCode: 'team-monthly',
+        billingModel: 'monthly',
+        seatBased: true,
+        creditsPerSeat: 100,
+        minSeats: 2,
+        maxSeats: 250
     }
 };
 
-module.exports = { CHARGEBEE_PLAN_MAPPING };
+// ⏳ CREDIT POLICIES: what happens to unused credits, per plan_code
+// renewableRolloverCap: unused renewable credits carried into the next billing cycle (0 = the allowance is simply reset)
+// payasyougoExpiryDays: how long a pay-as-you-go pack bought on this plan stays valid (null = never expires)
+// Pay-as-you-go credits are spent soonest-expiring pack first; packs without an expiry go last.
+const CREDIT_POLICIES = {
+    'free': { renewableRolloverCap: 0 },
+    'silver-monthly': { renewableRolloverCap: 15 },
+    'gold-monthly': { renewableRolloverCap: 50 },
+    'platinum-monthly': { renewableRolloverCap: 125 },
+    'silver-payasyougo': { payasyougoExpiryDays: 365 },
+    'gold-payasyougo': { payasyougoExpiryDays: 365 },
+    'platinum-payasyougo': { payasyougoExpiryDays: 365 },
+    'team-monthly': { renewableRolloverCap: 0 } // 👥 the shared team pool is reset each cycle
+};
+
+const DEFAULT_CREDIT_POLICY = {
+    renewableRolloverCap: 0,
+    payasyougoExpiryDays: null
+};
+
+const getCreditPolicy = (planCode) => ({
+    ...DEFAULT_CREDIT_POLICY,
+    ...(CREDIT_POLICIES[planCode] || {})
+});
+
+/**
+ * Renewable balance after a billing cycle reset under the plan's rollover cap
+ * @param {number} allowance - the plan's renewable credits per cycle
+ * @param {number|string} currentRenewable - renewable credits left at the end of the cycle
+ * @returns {object} - { renewableCredits, carriedOver, expired }
+ */
+const calculateRenewal = (planCode, allowance, currentRenewable) => {
+    const { renewableRolloverCap } = getCreditPolicy(planCode);
+    const leftover = Math.max(0, parseFloat(currentRenewable) || 0);
+    const carriedOver = Math.min(leftover, renewableRolloverCap);
+
+    return {
+        renewableCredits: (Number(allowance) || 0) + carriedOver,
+        carriedOver,
+        expired: parseFloat((leftover - carriedOver).toFixed(2))
+    };
+};
+
+// Expiry of a pay-as-you-go pack bought on this plan (null = never)
+const getPackExpiry = (planCode, purchasedAt = new Date()) => {
+    const { payasyougoExpiryDays } = getCreditPolicy(planCode);
+    if (!payasyougoExpiryDays) return null;
+    return new Date(purchasedAt.getTime() + payasyougoExpiryDays * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+    CHARGEBEE_PLAN_MAPPING,
+    CREDIT_POLICIES,
+    getCreditPolicy,
+    calculateRenewal,
+    getPackExpiry
+};
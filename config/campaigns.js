@@ -0,0 +1,62 @@
+// config/campaigns.js - Bulk campaigns (CSV of LinkedIn URLs -> messages for every target)
+// Campaign message types reuse the unified endpoint keys. Only types that need nothing per target are offered -
+// intro requests, post comments and event follow-ups need a per-target choice and stay one-by-one.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Key -> gptService prompt type, message_logs.message_type and result CSV column
+const CAMPAIGN_MESSAGE_TYPES = {
+    'linkedin-message': { messageType: 'inbox_message', logType: 'message', label: 'LinkedIn message', column: 'linkedin_message' },
+    'connection-request': { messageType: 'connection_request', logType: 'connection_request', label: 'Connection request', column: 'connection_request' },
+    'cold-email': { messageType: 'cold_email', logType: 'cold_email', label: 'Cold email', column: 'cold_email' },
+    'inmail': { messageType: 'inmail', logType: 'inmail', label: 'InMail', column: 'inmail' }
+};
+
+// Header names recognised as the URL column (lower-case, spaces/underscores/dashes removed)
+const URL_COLUMN_NAMES = ['linkedinurl', 'linkedin', 'linkedinprofile', 'linkedinprofileurl', 'profileurl', 'url', 'profile'];
+
+// Credit units per target: one per message type, plus one when the profile has to be scraped (= brightdata_analysis)
+const ANALYSIS_CREDIT_UNITS = 1;
+
+const getCampaignLimits = () => ({
+    maxTargets: toInt(process.env.CAMPAIGN_MAX_TARGETS, 500),
+    maxFileBytes: toInt(process.env.CAMPAIGN_MAX_FILE_BYTES, 2 * 1024 * 1024),
+    // Targets processed at the same time (each one is a BrightData scrape and/or LLM calls)
+    concurrency: toInt(process.env.CAMPAIGN_CONCURRENCY, 2)
+});
+
+// Validate the requested message types - returns { messageTypes } or { error }
+const resolveCampaignMessageTypes = (requested) => {
+    let types = requested;
+    if (typeof types === 'string') {
+        // Multipart forms send "linkedin-message,cold-email" or a JSON array
+        try {
+            types = types.trim().startsWith('[') ? JSON.parse(types) : types.split(',');
+        } catch (error) {
+            return { error: 'messageTypes must be a list of message types' };
+        }
+    }
+
+    if (!Array.isArray(types) || types.length === 0) {
+        return { error: `messageTypes is required. Use one or more of: ${Object.keys(CAMPAIGN_MESSAGE_TYPES).join(', ')}` };
+    }
+
+    const messageTypes = [...new Set(types.map(type => String(type).trim()).filter(Boolean))];
+    const unsupported = messageTypes.filter(type => !CAMPAIGN_MESSAGE_TYPES[type]);
+    if (unsupported.length > 0) {
+        return { error: `Unsupported campaign message type: ${unsupported.join(', ')}. Use one of: ${Object.keys(CAMPAIGN_MESSAGE_TYPES).join(', ')}` };
+    }
+
+    return { messageTypes };
+};
+
+module.exports = {
+    CAMPAIGN_MESSAGE_TYPES,
+    URL_COLUMN_NAMES,
+    ANALYSIS_CREDIT_UNITS,
+    getCampaignLimits,
+    resolveCampaignMessageTypes
+};
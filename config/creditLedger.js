@@ -0,0 +1,91 @@
+// config/creditLedger.js - Double-entry credit ledger (utils/creditLedger.js, services/creditLedgerService.js)
+// Every change of users.renewable_credits / payasyougo_credits (and of a team pool, organizations.credits) is posted
+// as a ledger transaction whose entries sum to zero: the user's account moves one way, a system account the other.
+// A user balance is the sum of its entries.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// The user's balances - ledger account -> users column it mirrors
+const USER_ACCOUNTS = {
+    'user:renewable': 'renewable_credits',
+    'user:payasyougo': 'payasyougo_credits'
+};
+
+// 👥 An organization's shared pool - ledger account -> organizations column it mirrors. Pool transactions carry
+// the organization_id; their user_id is the member who spent (or the owner for grants).
+const TEAM_ACCOUNTS = {
+    'team:pool': 'credits'
+};
+
+// Balances replaced (not adjusted) by resetsRenewable transactions
+const RENEWABLE_ACCOUNTS = ['user:renewable', 'team:pool'];
+
+// Where credits come from and go to
+const SYSTEM_ACCOUNTS = [
+    'system:opening_balance', // balance the user had when the ledger started (or at sign-up)
+    'system:plan_allowance',  // renewable credits granted by the plan
+    'system:purchases',       // pay-as-you-go purchases
+    'system:usage',           // credits spent on operations
+    'system:expired',         // renewable credits past the rollover cap at a reset, expired pay-as-you-go packs
+    'system:adjustments'      // manual changes and reconciliation repairs
+];
+
+const LEDGER_ACCOUNTS = [...Object.keys(USER_ACCOUNTS), ...Object.keys(TEAM_ACCOUNTS), ...SYSTEM_ACCOUNTS];
+
+// Transaction types and the system account they post against.
+// resetsRenewable: the renewable balance (RENEWABLE_ACCOUNTS) is replaced, not adjusted - posted as expiry of the old balance (minus
+// what rolls over) + a new grant
+// packsHandled: the caller updates credit_packs itself (otherwise pay-as-you-go changes add / consume packs)
+const LEDGER_TRANSACTION_TYPES = {
+    opening_balance: { counterAccount: 'system:opening_balance' },
+    plan_grant: { counterAccount: 'system:plan_allowance', resetsRenewable: true },
+    renewal: { counterAccount: 'system:plan_allowance', resetsRenewable: true },
+    downgrade: { counterAccount: 'system:plan_allowance', resetsRenewable: true },
+    purchase: { counterAccount: 'system:purchases' },
+    usage: { counterAccount: 'system:usage' },
+    refund: { counterAccount: 'system:usage' }, // 💸 approved refund request - gives back what usage took
+    adjustment: { counterAccount: 'system:adjustments' },
+    reconciliation: { counterAccount: 'system:adjustments' },
+    expiry: { counterAccount: 'system:expired', packsHandled: true }
+};
+
+// Which side wins when an admin repairs drift
+const REPAIR_SOURCES = {
+    ledger: 'Set the users columns to the ledger balances',
+    users: 'Post an adjustment so the ledger matches the users columns'
+};
+
+const RECONCILIATION_STATUSES = ['running', 'completed', 'failed'];
+
+const getLedgerSettings = () => ({
+    // Users with drift stored on a reconciliation run (the count is always complete)
+    maxReportedDrifts: toInt(process.env.CREDIT_RECONCILIATION_MAX_REPORTED, 500),
+    runRetentionDays: toInt(process.env.CREDIT_RECONCILIATION_RETENTION_DAYS, 90)
+});
+
+/**
+ * Validate a repair source - returns { source } or { error }
+ */
+const resolveRepairSource = (value) => {
+    const source = value === undefined || value === null || value === '' ? 'ledger' : value;
+    if (!REPAIR_SOURCES[source]) {
+        return { error: `Unknown source: ${value}. Use one of: ${Object.keys(REPAIR_SOURCES).join(', ')}` };
+    }
+    return { source };
+};
+
+module.exports = {
+    USER_ACCOUNTS,
+    TEAM_ACCOUNTS,
+    RENEWABLE_ACCOUNTS,
+    SYSTEM_ACCOUNTS,
+    LEDGER_ACCOUNTS,
+    LEDGER_TRANSACTION_TYPES,
+    REPAIR_SOURCES,
+    RECONCILIATION_STATUSES,
+    getLedgerSettings,
+    resolveRepairSource
+};
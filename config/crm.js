@@ -0,0 +1,147 @@
+// config/crm.js - CRM export of the Messages tracker (services/crmService.js)
+// A connection pushes the user's targets as contacts (HubSpot contacts / Salesforce leads) and their messages as
+// activities (HubSpot notes / Salesforce tasks). The crm_sync job (config/jobs.js) does the pushing; every run is
+// recorded in crm_sync_log. Base URLs can be overridden (HUBSPOT_API_BASE_URL, SALESFORCE_API_BASE_URL) to point
+// a staging or test setup at a mock server - npm test runs the export against test/helpers/crmMockServer.js.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const CRM_PROVIDERS = {
+    hubspot: {
+        label: 'HubSpot',
+        defaultBaseUrl: 'https://api.hubapi.com',
+        baseUrlEnv: 'HUBSPOT_API_BASE_URL',
+        requiresInstanceUrl: false
+    },
+    salesforce: {
+        label: 'Salesforce',
+        // Every org has its own instance URL (https://<domain>.my.salesforce.com)
+        defaultBaseUrl: null,
+        baseUrlEnv: 'SALESFORCE_API_BASE_URL',
+        requiresInstanceUrl: true
+    }
+};
+
+// Contact fields Msgly can export - the field mapping says which CRM property each one is written to
+const CONTACT_FIELDS = {
+    firstName: 'First name of the target',
+    lastName: 'Last name of the target',
+    fullName: 'Full name of the target',
+    title: 'Headline / current job title',
+    company: 'Current company',
+    linkedinUrl: 'LinkedIn profile URL',
+    email: 'Email found by the email finder (only verified emails are exported)'
+};
+
+// null = not exported
+const DEFAULT_FIELD_MAPPINGS = {
+    hubspot: {
+        firstName: 'firstname',
+        lastName: 'lastname',
+        fullName: null,
+        title: 'jobtitle',
+        company: 'company',
+        linkedinUrl: 'website',
+        email: 'email'
+    },
+    salesforce: {
+        firstName: 'FirstName',
+        lastName: 'LastName',
+        fullName: null,
+        title: 'Title',
+        company: 'Company',
+        linkedinUrl: 'Website',
+        email: 'Email'
+    }
+};
+
+// Activities written per message: the generated message, and the sent / replied updates from the tracker
+const ACTIVITY_TYPES = ['generated', 'sent', 'replied'];
+
+const SYNC_STATUSES = ['running', 'completed', 'partial', 'failed'];
+
+// HubSpot property names and Salesforce API names (custom fields end in __c)
+const PROPERTY_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,99}$/;
+
+const getCrmSettings = () => ({
+    timeoutMs: toInt(process.env.CRM_TIMEOUT_MS, 15000),
+    // Messages pushed per sync run - the rest go with the next run
+    maxMessagesPerSync: toInt(process.env.CRM_MAX_MESSAGES_PER_SYNC, 500),
+    salesforceApiVersion: process.env.SALESFORCE_API_VERSION || 'v59.0',
+    // Errors stored per sync log row (the counts cover all of them)
+    maxLoggedErrors: 20,
+    syncLogRetentionDays: toInt(process.env.CRM_SYNC_LOG_RETENTION_DAYS, 90)
+});
+
+// Base URL of the provider API - the env override wins, then the connection's instance URL
+const getProviderBaseUrl = (provider, instanceUrl = null) => {
+    const config = CRM_PROVIDERS[provider];
+    if (!config) return null;
+    return (process.env[config.baseUrlEnv] || instanceUrl || config.defaultBaseUrl || '').replace(/\/+$/, '') || null;
+};
+
+// Validate the requested provider - returns { provider } or { error }
+const resolveCrmProvider = (requested) => {
+    const provider = typeof requested === 'string' ? requested.trim().toLowerCase() : '';
+    if (!CRM_PROVIDERS[provider]) {
+        return { error: `Unknown CRM provider: ${requested}. Use one of: ${Object.keys(CRM_PROVIDERS).join(', ')}` };
+    }
+    return { provider };
+};
+
+/**
+ * Validate a field mapping and merge it over the provider defaults - returns { fieldMapping } or { error }
+ * @param {string} provider - key of CRM_PROVIDERS
+ * @param {object} requested - { contactField: 'CrmProperty' | null } - only the fields to change
+ * @param {object} current - mapping to start from (default: the provider defaults)
+ */
+const resolveFieldMapping = (provider, requested, current = DEFAULT_FIELD_MAPPINGS[provider]) => {
+    if (requested === undefined || requested === null) {
+        return { fieldMapping: { ...current } };
+    }
+    if (typeof requested !== 'object' || Array.isArray(requested)) {
+        return { error: 'fieldMapping must be an object of contact field -> CRM property name' };
+    }
+
+    const unknown = Object.keys(requested).filter(field => !CONTACT_FIELDS[field]);
+    if (unknown.length > 0) {
+        return { error: `Unknown contact field: ${unknown.join(', ')}. Use one or more of: ${Object.keys(CONTACT_FIELDS).join(', ')}` };
+    }
+
+    const fieldMapping = { ...current };
+    for (const [field, property] of Object.entries(requested)) {
+        if (property === null || property === '') {
+            fieldMapping[field] = null;
+            continue;
+        }
+        if (typeof property !== 'string' || !PROPERTY_NAME_PATTERN.test(property.trim())) {
+            return { error: `fieldMapping.${field} must be a CRM property name (letters, digits and underscores) or null` };
+        }
+        fieldMapping[field] = property.trim();
+    }
+
+    const properties = Object.values(fieldMapping).filter(Boolean);
+    if (properties.length === 0) {
+        return { error: 'fieldMapping must export at least one field' };
+    }
+    if (new Set(properties).size !== properties.length) {
+        return { error: 'fieldMapping must not write two fields to the same CRM property' };
+    }
+
+    return { fieldMapping };
+};
+
+module.exports = {
+    CRM_PROVIDERS,
+    CONTACT_FIELDS,
+    DEFAULT_FIELD_MAPPINGS,
+    ACTIVITY_TYPES,
+    SYNC_STATUSES,
+    getCrmSettings,
+    getProviderBaseUrl,
+    resolveCrmProvider,
+    resolveFieldMapping
+};
@@ -0,0 +1,86 @@
+// config/jobs.js - Background job types and queue settings (services/jobQueue.js)
+// visibilityTimeoutSec: how long a claimed job stays invisible to other workers. A running job's lock is
+// renewed by heartbeats, so the timeout only expires when the worker process died - the job is then retried.
+// Retries wait backoffBaseSec * 2^(attempt - 1), capped at maxBackoffSec.
+// 🔑 apiKeyScope: API keys with this scope can poll jobs of the type (GET /jobs) - other types need a login.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const JOB_TYPES = {
+    // Extension target profile: Gemini analysis of the captured HTML
+    target_profile_analysis: {
+        label: 'Target profile analysis',
+        maxAttempts: 3,
+        visibilityTimeoutSec: 5 * 60,
+        backoffBaseSec: 10
+    },
+    // Web generator: BrightData scrape (polls up to 5 minutes)
+    brightdata_profile_analysis: {
+        label: 'LinkedIn profile analysis',
+        maxAttempts: 3,
+        visibilityTimeoutSec: 10 * 60,
+        backoffBaseSec: 30
+    },
+    // Snov.io email search + verification wait
+    email_finder: {
+        label: 'Email finder',
+        maxAttempts: 3,
+        visibilityTimeoutSec: 3 * 60,
+        backoffBaseSec: 20,
+        apiKeyScope: 'emails:find'
+    },
+    // 📦 One bulk campaign - runs for as long as its targets take, kept alive by heartbeats
+    campaign_run: {
+        label: 'Bulk campaign',
+        maxAttempts: 5,
+        visibilityTimeoutSec: 2 * 60,
+        backoffBaseSec: 30
+    },
+    // 🔔 One outbound webhook request - retried at 30s, 1m, 2m, 4m, 8m
+    webhook_delivery: {
+        label: 'Webhook delivery',
+        maxAttempts: 6,
+        visibilityTimeoutSec: 60,
+        backoffBaseSec: 30
+    },
+    // 🔗 One CRM export run - already pushed records are skipped, so a retry picks up where it stopped
+    crm_sync: {
+        label: 'CRM sync',
+        maxAttempts: 4,
+        visibilityTimeoutSec: 2 * 60,
+        backoffBaseSec: 60
+    },
+    // 📒 Credit ledger reconciliation - compares every user's balance columns with the ledger (queued hourly)
+    credit_reconciliation: {
+        label: 'Credit reconciliation',
+        maxAttempts: 3,
+        visibilityTimeoutSec: 5 * 60,
+        backoffBaseSec: 60
+    }
+};
+
+const getJobQueueSettings = () => ({
+    // JOB_WORKERS_ENABLED=false runs an API-only process (another process works the queue)
+    enabled: process.env.JOB_WORKERS_ENABLED !== 'false',
+    concurrency: toInt(process.env.JOB_WORKER_CONCURRENCY, 3),
+    pollIntervalMs: toInt(process.env.JOB_POLL_INTERVAL_MS, 2000),
+    maxBackoffSec: toInt(process.env.JOB_MAX_BACKOFF_SEC, 15 * 60),
+    // Finished jobs are deleted after this many days
+    retentionDays: toInt(process.env.JOB_RETENTION_DAYS, 7)
+});
+
+const getJobTypeConfig = (jobType) => JOB_TYPES[jobType] || null;
+
+module.exports = {
+    JOB_STATUSES,
+    ACTIVE_JOB_STATUSES,
+    JOB_TYPES,
+    getJobQueueSettings,
+    getJobTypeConfig
+};
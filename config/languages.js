@@ -0,0 +1,155 @@
+// config/languages.js - Output languages for message generation
+// A generation runs in an explicit language code or 'auto' (detected from the target's about text, then location).
+// lengthFactor scales the per-type character limits (config/messageRules.js): German / French / Spanish /
+// Portuguese need roughly 15-25% more characters than English to say the same thing.
+
+const DEFAULT_LANGUAGE = 'en';
+const AUTO_LANGUAGE = 'auto';
+
+const SUPPORTED_LANGUAGES = {
+    en: {
+        name: 'English',
+        nativeName: 'English',
+        greetings: ['Hi'],
+        lengthFactor: 1
+    },
+    de: {
+        name: 'German',
+        nativeName: 'Deutsch',
+        greetings: ['Hallo', 'Hi', 'Guten Tag'],
+        lengthFactor: 1.25,
+        // Informal "du" is unusual in cold B2B outreach in DACH
+        note: 'Use the polite "Sie" form unless the CONTEXT says otherwise.'
+    },
+    fr: {
+        name: 'French',
+        nativeName: 'Français',
+        greetings: ['Bonjour', 'Hello', 'Salut'],
+        lengthFactor: 1.2,
+        note: 'Use "vous", not "tu".'
+    },
+    es: {
+        name: 'Spanish',
+        nativeName: 'Español',
+        greetings: ['Hola'],
+        lengthFactor: 1.2,
+        note: 'Use neutral Latin American Spanish unless the target is clearly based in Spain.'
+    },
+    pt: {
+        name: 'Portuguese',
+        nativeName: 'Português',
+        greetings: ['Olá', 'Oi'],
+        lengthFactor: 1.2,
+        note: 'Use Brazilian Portuguese unless the target is clearly based in Portugal.'
+    }
+};
+
+// Location keywords (country / major cities, lower-case) -> language
+const LOCATION_LANGUAGES = {
+    de: ['germany', 'deutschland', 'austria', 'österreich', 'berlin', 'münchen', 'munich', 'hamburg', 'frankfurt',
+        'köln', 'cologne', 'stuttgart', 'düsseldorf', 'wien', 'vienna', 'graz', 'zürich', 'zurich', 'basel', 'bern'],
+    fr: ['france', 'paris', 'lyon', 'marseille', 'toulouse', 'lille', 'bordeaux', 'nantes', 'genève', 'geneva',
+        'lausanne', 'québec', 'quebec', 'montréal', 'montreal'],
+    es: ['spain', 'españa', 'madrid', 'barcelona', 'valencia', 'sevilla', 'mexico', 'méxico', 'ciudad de méxico',
+        'guadalajara', 'monterrey', 'argentina', 'buenos aires', 'colombia', 'bogotá', 'bogota', 'medellín',
+        'chile', 'santiago', 'peru', 'perú', 'lima', 'uruguay', 'montevideo', 'ecuador', 'quito', 'costa rica'],
+    pt: ['brazil', 'brasil', 'são paulo', 'sao paulo', 'rio de janeiro', 'belo horizonte', 'curitiba',
+        'porto alegre', 'portugal', 'lisboa', 'lisbon', 'porto']
+};
+
+// ISO country codes (e.g. BrightData country_code) -> language
+const COUNTRY_LANGUAGES = {
+    DE: 'de', AT: 'de', CH: 'de', LI: 'de',
+    FR: 'fr', BE: 'fr', LU: 'fr', MC: 'fr',
+    ES: 'es', MX: 'es', AR: 'es', CO: 'es', CL: 'es', PE: 'es', UY: 'es', EC: 'es', CR: 'es', VE: 'es',
+    BO: 'es', PY: 'es', GT: 'es', DO: 'es', PA: 'es',
+    BR: 'pt', PT: 'pt'
+};
+
+// Frequent short words used to guess the language of free text (about sections)
+const STOPWORDS = {
+    en: ['the', 'and', 'with', 'for', 'our', 'your', 'are', 'that', 'this', 'from', 'have', 'we'],
+    de: ['und', 'der', 'die', 'das', 'ich', 'mit', 'für', 'wir', 'ist', 'nicht', 'auf', 'bei', 'zu', 'sie'],
+    fr: ['et', 'le', 'la', 'les', 'des', 'je', 'avec', 'pour', 'nous', 'est', 'dans', 'une', 'sur', 'du'],
+    es: ['y', 'el', 'los', 'las', 'con', 'para', 'una', 'por', 'del', 'somos', 'en', 'es', 'mi', 'su'],
+    pt: ['e', 'os', 'as', 'com', 'para', 'uma', 'não', 'em', 'do', 'da', 'dos', 'meu', 'na', 'no']
+};
+
+const MIN_TEXT_SIGNAL = 5;
+
+const isSupportedLanguage = (code) => Boolean(SUPPORTED_LANGUAGES[code]);
+
+// Guess the language of free text - null when the text is too short or ambiguous
+const detectTextLanguage = (text) => {
+    const words = (text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+    if (words.length < 15) return null;
+
+    const scores = Object.entries(STOPWORDS).map(([code, stopwords]) => ({
+        code,
+        hits: words.filter(word => stopwords.includes(word)).length
+    })).sort((a, b) => b.hits - a.hits);
+
+    // Needs a clear winner - Spanish and Portuguese share many short words
+    if (scores[0].hits < MIN_TEXT_SIGNAL || scores[0].hits < scores[1].hits * 1.5) return null;
+    return scores[0].code;
+};
+
+const detectLocationLanguage = (location, countryCode) => {
+    if (countryCode && COUNTRY_LANGUAGES[countryCode.toUpperCase()]) {
+        return COUNTRY_LANGUAGES[countryCode.toUpperCase()];
+    }
+
+    const normalized = (location || '').toLowerCase();
+    if (!normalized) return null;
+
+    for (const [code, keywords] of Object.entries(LOCATION_LANGUAGES)) {
+        if (keywords.some(keyword => new RegExp(`(^|[^\\p{L}])${keyword}([^\\p{L}]|$)`, 'u').test(normalized))) {
+            return code;
+        }
+    }
+    return null;
+};
+
+/**
+ * Resolve the language for one generation
+ * @param {string} requested - language code, 'auto' or empty (= auto)
+ * @param {object} signals - { about, location, countryCode } from the target profile
+ * @returns {object} - { code, source: 'explicit' | 'about' | 'location' | 'default' } or { error }
+ */
+const resolveLanguage = (requested, signals = {}) => {
+    const value = (requested || AUTO_LANGUAGE).toString().trim().toLowerCase();
+
+    if (value !== AUTO_LANGUAGE) {
+        if (!isSupportedLanguage(value)) {
+            return { error: `Unsupported language: ${requested}. Use 'auto' or one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}` };
+        }
+        return { code: value, source: 'explicit' };
+    }
+
+    // People in DACH / LATAM often keep an English LinkedIn - the about text wins over location
+    const aboutLanguage = detectTextLanguage(signals.about);
+    if (aboutLanguage) return { code: aboutLanguage, source: 'about' };
+
+    const locationLanguage = detectLocationLanguage(signals.location, signals.countryCode);
+    if (locationLanguage) return { code: locationLanguage, source: 'location' };
+
+    return { code: DEFAULT_LANGUAGE, source: 'default' };
+};
+
+// Request-level check of a `language` option - null when it is empty, 'auto' or supported
+const getLanguageOptionError = (requested) => {
+    if (requested === undefined || requested === null || requested === '') return null;
+    if (typeof requested !== 'string') return 'language must be a string';
+    return resolveLanguage(requested).error || null;
+};
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    AUTO_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    isSupportedLanguage,
+    detectTextLanguage,
+    detectLocationLanguage,
+    resolveLanguage,
+    getLanguageOptionError
+};
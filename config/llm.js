@@ -0,0 +1,111 @@
+// config/llm.js - LLM Provider Configuration
+// Central definition of every LLM provider the app can talk to and the fallback chains that order them.
+// Values are resolved from the environment at call time (dotenv may load after this module is required).
+//
+// Chains are comma-separated lists of "provider" or "provider:model" entries, e.g.
+//   LLM_MESSAGE_CHAIN=openai:gpt-5.1,anthropic,gemini
+//   LLM_WEB_MESSAGE_CHAIN=local:llama3.1,openai:gpt-5
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Provider definitions - "type" selects the wire protocol used in services/llmService.js
+const getProviderConfigs = () => ({
+    openai: {
+        type: 'openai',
+        label: 'OpenAI',
+        baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        requiresApiKey: true,
+        defaultModel: process.env.OPENAI_MODEL || 'gpt-5.1',
+        timeoutMs: toInt(process.env.LLM_OPENAI_TIMEOUT_MS, 120000),
+        retries: toInt(process.env.LLM_OPENAI_RETRIES, 0)
+    },
+    gemini: {
+        type: 'gemini',
+        label: 'Google Gemini',
+        baseURL: process.env.GOOGLE_AI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+        apiKey: process.env.GOOGLE_AI_API_KEY,
+        requiresApiKey: true,
+        defaultModel: process.env.GOOGLE_AI_MODEL || 'gemini-2.5-pro',
+        timeoutMs: toInt(process.env.LLM_GEMINI_TIMEOUT_MS, 120000),
+        retries: toInt(process.env.LLM_GEMINI_RETRIES, 0)
+    },
+    anthropic: {
+        type: 'anthropic',
+        label: 'Anthropic-compatible',
+        baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        requiresApiKey: true,
+        defaultModel: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+        apiVersion: process.env.ANTHROPIC_API_VERSION || '2023-06-01',
+        timeoutMs: toInt(process.env.LLM_ANTHROPIC_TIMEOUT_MS, 120000),
+        retries: toInt(process.env.LLM_ANTHROPIC_RETRIES, 0)
+    },
+    // Local OpenAI-compatible server (llama.cpp server, Ollama, vLLM...) - API key optional
+    local: {
+        type: 'openai',
+        label: 'Local OpenAI-compatible',
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LOCAL_LLM_API_KEY || null,
+        requiresApiKey: false,
+        enabled: !!process.env.LOCAL_LLM_BASE_URL,
+        defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        timeoutMs: toInt(process.env.LLM_LOCAL_TIMEOUT_MS, 180000),
+        retries: toInt(process.env.LLM_LOCAL_RETRIES, 0)
+    }
+});
+
+// Default chains per use case (used when the matching env variable is not set) - OpenAI first with the model each
+// generator used before the provider layer (gptService gpt-5.1, webMessageGPTService gpt-5) unless OPENAI_MODEL is set
+const getDefaultChains = () => ({
+    LLM_MESSAGE_CHAIN: `openai:${process.env.OPENAI_MODEL || 'gpt-5.1'},gemini`,
+    LLM_WEB_MESSAGE_CHAIN: `openai:${process.env.OPENAI_MODEL || 'gpt-5'},gemini`
+});
+
+// Parse "openai:gpt-5,gemini" into [{ provider: 'openai', model: 'gpt-5' }, { provider: 'gemini', model: null }]
+const parseChain = (chainString) => {
+    if (!chainString || typeof chainString !== 'string') {
+        return [];
+    }
+
+    return chainString
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separatorIndex = entry.indexOf(':');
+            if (separatorIndex === -1) {
+                return { provider: entry.toLowerCase(), model: null };
+            }
+            return {
+                provider: entry.substring(0, separatorIndex).trim().toLowerCase(),
+                model: entry.substring(separatorIndex + 1).trim() || null
+            };
+        });
+};
+
+// Resolve a named chain: env override first, then LLM_FALLBACK_CHAIN, then the built-in default
+const getFallbackChain = (chainName = 'LLM_MESSAGE_CHAIN') => {
+    const configured = parseChain(process.env[chainName]);
+    if (configured.length > 0) {
+        return configured;
+    }
+
+    const globalChain = parseChain(process.env.LLM_FALLBACK_CHAIN);
+    if (globalChain.length > 0) {
+        return globalChain;
+    }
+
+    const defaultChains = getDefaultChains();
+    return parseChain(defaultChains[chainName] || defaultChains.LLM_MESSAGE_CHAIN);
+};
+
+module.exports = {
+    getProviderConfigs,
+    getFallbackChain,
+    parseChain,
+    getDefaultChains
+};
@@ -0,0 +1,97 @@
+// config/messageExport.js - Message history export (GET /messages/export, services/messageExportService.js)
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Values of message_logs.sent_status / reply_status (NULL counts as pending)
+const STATUS_FILTERS = ['yes', 'no', 'pending'];
+
+const getExportSettings = () => ({
+    // Newest messages win when a filter matches more than this
+    maxRows: toInt(process.env.MESSAGE_EXPORT_MAX_ROWS, 50000)
+});
+
+// "2025-01-31" as an upper bound means the whole day
+const parseBound = (value, name, endOfDay) => {
+    if (value === undefined || value === null || value === '') return { date: null };
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return { error: `${name} must be a date (YYYY-MM-DD) or an ISO date-time` };
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return { date };
+};
+
+/**
+ * Validate history filters - returns { filters } or { error } (also used by the team Messages view)
+ * @param {object} query - { from, to, messageType, sentStatus, replyStatus, context }
+ *   messageType: one type or a comma-separated list
+ */
+const resolveMessageFilters = (query = {}) => {
+    const from = parseBound(query.from, 'from', false);
+    const to = parseBound(query.to, 'to', true);
+    if (from.error || to.error) {
+        return { error: from.error || to.error };
+    }
+    if (from.date && to.date && from.date >= to.date) {
+        return { error: 'from must be before to' };
+    }
+
+    for (const name of ['sentStatus', 'replyStatus']) {
+        if (query[name] && !STATUS_FILTERS.includes(query[name])) {
+            return { error: `Unknown ${name}: ${query[name]}. Use one of: ${STATUS_FILTERS.join(', ')}` };
+        }
+    }
+
+    const messageTypes = query.messageType
+        ? [...new Set(String(query.messageType).split(',').map(type => type.trim()).filter(Boolean))]
+        : null;
+    const context = typeof query.context === 'string' && query.context.trim() ? query.context.trim() : null;
+
+    return {
+        filters: {
+            from: from.date,
+            to: to.date,
+            messageTypes: messageTypes && messageTypes.length > 0 ? messageTypes : null,
+            sentStatus: query.sentStatus || null,
+            replyStatus: query.replyStatus || null,
+            context
+        }
+    };
+};
+
+/**
+ * Validate the export query - returns { format, filters } or { error }
+ * @param {object} query - { format, ...resolveMessageFilters query }
+ */
+const resolveExportRequest = (query = {}) => {
+    const format = (query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        return { error: `Unknown format: ${query.format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
+
+    const { filters, error } = resolveMessageFilters(query);
+    if (error) {
+        return { error };
+    }
+    return { format, filters };
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    STATUS_FILTERS,
+    getExportSettings,
+    resolveMessageFilters,
+    resolveExportRequest
+};
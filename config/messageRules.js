@@ -0,0 +1,113 @@
+// config/messageRules.js - Deterministic output rules per message type
+// Mirrors the hard limits stated in the prompts (prompts/*.js) so services/messageValidator.js can check
+// every generated message. Lengths follow the prompts: cold email and InMail count subject + body without the
+// labels, intro requests are checked per part and combined. Limits are for English and scaled per language
+// (config/languages.js lengthFactor), never above platformMaxLength.
+
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./languages');
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const MESSAGE_RULES = {
+    inbox_message: {
+        maxLength: 270,
+        greeting: true,
+        signOff: true,
+        singleLine: true
+    },
+    connection_request: {
+        maxLength: 150,
+        // LinkedIn's own cap on connection notes (free accounts)
+        platformMaxLength: 200,
+        greeting: true,
+        signOff: true,
+        singleLine: true
+    },
+    reply_response: {
+        maxLength: 400,
+        greeting: true,
+        signOff: true,
+        singleLine: true
+    },
+    cold_email: {
+        format: 'subject_body',
+        maxLength: 550,
+        greeting: true,
+        signOff: true,
+        singleLine: true
+    },
+    intro_request: {
+        format: 'intro_parts',
+        maxLength: 370,
+        parts: {
+            partA: { maxLength: 150 },
+            partB: { maxLength: 220 }
+        },
+        greeting: true,
+        signOff: true,
+        singleLine: true
+    },
+    inmail: {
+        format: 'subject_body',
+        maxLength: 1000,
+        // LinkedIn's InMail caps (subject / body)
+        subjectMaxLength: 200,
+        platformMaxLength: 1900,
+        greeting: true,
+        signOff: true,
+        singleLine: true
+    },
+    post_comment: {
+        maxLength: 300,
+        // Public comments open with the point itself - no "Hi [FIRSTNAME]," and no name at the end
+        greeting: false,
+        signOff: false,
+        singleLine: true
+    },
+    event_followup: {
+        maxLength: 400,
+        greeting: true,
+        signOff: true,
+        singleLine: true
+    }
+};
+
+// Rules fixed in code without another model call; everything else triggers a regeneration
+const REPAIRABLE_RULES = ['no_emojis', 'no_hashtags', 'single_line', 'no_placeholders', 'no_wrapping_quotes'];
+
+const scaleLength = (length, factor, platformMaxLength) => {
+    const scaled = Math.round(length * factor / 10) * 10;
+    return platformMaxLength ? Math.min(scaled, platformMaxLength) : scaled;
+};
+
+// Types without their own rules (e.g. follow-ups) use the inbox message rules
+const getMessageRules = (messageType, language = DEFAULT_LANGUAGE) => {
+    const rules = MESSAGE_RULES[messageType] || MESSAGE_RULES.inbox_message;
+    const factor = SUPPORTED_LANGUAGES[language]?.lengthFactor || 1;
+    if (factor === 1) return rules;
+
+    const scaled = {
+        ...rules,
+        maxLength: scaleLength(rules.maxLength, factor, rules.platformMaxLength)
+    };
+    if (rules.parts) {
+        scaled.parts = {};
+        for (const [key, part] of Object.entries(rules.parts)) {
+            scaled.parts[key] = { ...part, maxLength: scaleLength(part.maxLength, factor) };
+        }
+    }
+    return scaled;
+};
+
+// Regenerations allowed after a rule violation that could not be repaired (0 disables retries)
+const getValidationRetries = () => toInt(process.env.MESSAGE_VALIDATION_RETRIES, 1);
+
+module.exports = {
+    MESSAGE_RULES,
+    REPAIRABLE_RULES,
+    getMessageRules,
+    getValidationRetries
+};
@@ -0,0 +1,87 @@
+// config/organizations.js - Team workspaces (services/organizationService.js, routes/organizationRoutes.js)
+// An organization has one owner, admins and members. While its seat-based subscription (config/billing.js,
+// seatBased plans) is active, every member's credit holds draw from the organization's shared pool instead of
+// their own balance, up to the member's monthly cap. A user belongs to at most one organization.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const ORGANIZATION_ROLES = {
+    owner: 'Billing and roles, plus everything an admin can do',
+    admin: 'Invite and remove members, set spending caps, see the team\'s messages',
+    member: 'Spend from the team pool and use shared contexts'
+};
+
+// Roles that can be given by invite or role change - there is exactly one owner, the one who created the team
+const ASSIGNABLE_ROLES = ['admin', 'member'];
+
+const ORGANIZATION_STATUSES = ['inactive', 'active', 'cancelled'];
+
+// Who may do what
+const ORGANIZATION_PERMISSIONS = {
+    manage_organization: ['owner'],
+    manage_admins: ['owner'],
+    manage_members: ['owner', 'admin'],
+    view_team_messages: ['owner', 'admin'],
+    manage_shared_contexts: ['owner', 'admin']
+};
+
+const getOrganizationSettings = () => ({
+    inviteExpiryDays: toInt(process.env.ORGANIZATION_INVITE_EXPIRY_DAYS, 14),
+    maxNameLength: 100,
+    // GET /organization/messages page size
+    defaultMessagesLimit: 50,
+    maxMessagesLimit: toInt(process.env.ORGANIZATION_MESSAGES_MAX_LIMIT, 200)
+});
+
+const hasOrganizationPermission = (role, permission) => (ORGANIZATION_PERMISSIONS[permission] || []).includes(role);
+
+/**
+ * Validate an organization name - returns { name } or { error }
+ */
+const resolveOrganizationName = (value) => {
+    const { maxNameLength } = getOrganizationSettings();
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name || name.length > maxNameLength) {
+        return { error: `name is required (at most ${maxNameLength} characters)` };
+    }
+    return { name };
+};
+
+/**
+ * Validate an assignable role - returns { role } or { error }
+ */
+const resolveOrganizationRole = (value, fallback = 'member') => {
+    const role = value === undefined || value === null || value === '' ? fallback : value;
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+        return { error: `Unknown role: ${value}. Use one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+    }
+    return { role };
+};
+
+/**
+ * Validate a member's monthly spending cap - returns { cap } (null = no cap) or { error }
+ */
+const resolveMemberCap = (value) => {
+    if (value === null) return { cap: null };
+
+    const cap = Number(value);
+    if (!Number.isFinite(cap) || cap < 0 || cap > 1000000) {
+        return { error: 'monthlyCreditCap must be a number between 0 and 1000000, or null for no cap' };
+    }
+    return { cap: parseFloat(cap.toFixed(2)) };
+};
+
+module.exports = {
+    ORGANIZATION_ROLES,
+    ASSIGNABLE_ROLES,
+    ORGANIZATION_STATUSES,
+    ORGANIZATION_PERMISSIONS,
+    getOrganizationSettings,
+    hasOrganizationPermission,
+    resolveOrganizationName,
+    resolveOrganizationRole,
+    resolveMemberCap
+};
@@ -0,0 +1,112 @@
+// config/refunds.js - Refund requests for charged operations (services/refundService.js)
+// A user flags a generated message or an email finder search they were charged for; an admin approves or rejects
+// it from the admin dashboard. Approval credits the charge back through credits.js refundCredits (to the team pool
+// that paid it, otherwise pay-as-you-go credits that never expire, posted to the ledger as a refund) and is recorded
+// in admin_audit_log.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// What can be flagged - sourceType -> the table its id points into
+const REFUND_SOURCES = {
+    message: { table: 'message_logs', label: 'Generated message' },
+    email_search: { table: 'email_finder_searches', label: 'Email finder search' }
+};
+
+// Reasons a user can give, per source type
+const REFUND_REASONS = {
+    message: {
+        unusable_message: 'The message can\'t be used (off-topic, wrong language, broken)',
+        wrong_target: 'The message was written about the wrong person or company',
+        generation_error: 'The generation failed but credits were charged',
+        other: 'Something else (explain in the note)'
+    },
+    email_search: {
+        email_not_found: 'No email was found but credits were charged',
+        wrong_email: 'The email found belongs to someone else or bounces',
+        other: 'Something else (explain in the note)'
+    }
+};
+
+const REFUND_STATUSES = ['pending', 'approved', 'rejected'];
+
+const getRefundSettings = () => ({
+    // How old a charge may be when it is flagged
+    requestWindowDays: toInt(process.env.REFUND_REQUEST_WINDOW_DAYS, 30),
+    maxNoteLength: 1000,
+    // GET /api/admin/refund-requests page size
+    defaultListLimit: 50,
+    maxListLimit: 200
+});
+
+const resolveNote = (value, field) => {
+    const { maxNoteLength } = getRefundSettings();
+    if (value === undefined || value === null) return { note: null };
+    if (typeof value !== 'string' || value.length > maxNoteLength) {
+        return { error: `${field} must be a string of at most ${maxNoteLength} characters` };
+    }
+    return { note: value.trim() || null };
+};
+
+/**
+ * Validate a new refund request - returns { request: { sourceType, sourceId, reason, note } } or { error }
+ */
+const resolveRefundRequest = (body) => {
+    const { sourceType, sourceId, reason } = body;
+
+    if (!REFUND_SOURCES[sourceType]) {
+        return { error: `Unknown sourceType: ${sourceType}. Use one of: ${Object.keys(REFUND_SOURCES).join(', ')}` };
+    }
+
+    const id = Number(sourceId);
+    if (!Number.isInteger(id) || id <= 0) {
+        return { error: 'sourceId must be the id of the message or email search' };
+    }
+
+    const reasons = REFUND_REASONS[sourceType];
+    if (!reasons[reason]) {
+        return { error: `Unknown reason: ${reason}. Use one of: ${Object.keys(reasons).join(', ')}` };
+    }
+
+    const noteResult = resolveNote(body.note, 'note');
+    if (noteResult.error) return { error: noteResult.error };
+    if (reason === 'other' && !noteResult.note) {
+        return { error: 'note is required when the reason is other' };
+    }
+
+    return { request: { sourceType, sourceId: id, reason, note: noteResult.note } };
+};
+
+/**
+ * Validate an admin decision - returns { decision: { amount, note } } or { error }
+ * @param {number} maxAmount - what the user was charged (approve only; amount defaults to it)
+ */
+const resolveRefundDecision = (body, maxAmount = null) => {
+    const noteResult = resolveNote(body.note, 'note');
+    if (noteResult.error) return { error: noteResult.error };
+
+    if (maxAmount === null) {
+        return { decision: { amount: null, note: noteResult.note } };
+    }
+
+    if (body.amount === undefined || body.amount === null) {
+        return { decision: { amount: maxAmount, note: noteResult.note } };
+    }
+
+    const amount = Number(body.amount);
+    if (typeof body.amount === 'boolean' || !Number.isFinite(amount) || amount <= 0 || amount > maxAmount) {
+        return { error: `amount must be more than 0 and at most the ${maxAmount} credits charged` };
+    }
+    return { decision: { amount: parseFloat(amount.toFixed(2)), note: noteResult.note } };
+};
+
+module.exports = {
+    REFUND_SOURCES,
+    REFUND_REASONS,
+    REFUND_STATUSES,
+    getRefundSettings,
+    resolveRefundRequest,
+    resolveRefundDecision
+};
@@ -0,0 +1,110 @@
+// config/sequences.js - Multi-touch outreach sequences (cadence templates)
+// A sequence is an ordered list of steps, each generated with awareness of the steps before it.
+// dayOffset is counted from the sequence start date (day 0 = first touch).
+
+// Step types: gptService prompt type, message_logs.message_type and extra prompt guidance for the step
+const SEQUENCE_STEP_TYPES = {
+    connection_request: {
+        messageType: 'connection_request',
+        logType: 'connection_request',
+        label: 'Connection request',
+        guidance: 'This is the first touch - a short LinkedIn connection request.'
+    },
+    follow_up: {
+        messageType: 'inbox_message',
+        logType: 'follow_up',
+        label: 'LinkedIn follow-up',
+        guidance: 'They accepted the connection request. Follow up in their LinkedIn inbox without re-introducing yourself from scratch, and move the conversation one step forward.'
+    },
+    inbox_message: {
+        messageType: 'inbox_message',
+        logType: 'message',
+        label: 'LinkedIn message',
+        guidance: 'This is a LinkedIn inbox message.'
+    },
+    cold_email: {
+        messageType: 'cold_email',
+        logType: 'cold_email',
+        label: 'Cold email',
+        guidance: 'This email reaches their work inbox after the LinkedIn touches. You may briefly mention having reached out on LinkedIn, but the email must stand on its own.'
+    }
+};
+
+// Built-in cadences
+const CADENCE_TEMPLATES = {
+    standard: {
+        name: 'Connect, follow up, email',
+        steps: [
+            { type: 'connection_request', dayOffset: 0 },
+            { type: 'follow_up', dayOffset: 3 },
+            { type: 'cold_email', dayOffset: 10 }
+        ]
+    },
+    linkedin_only: {
+        name: 'LinkedIn only',
+        steps: [
+            { type: 'connection_request', dayOffset: 0 },
+            { type: 'follow_up', dayOffset: 3 },
+            { type: 'follow_up', dayOffset: 8 }
+        ]
+    },
+    email_first: {
+        name: 'Email first, then LinkedIn',
+        steps: [
+            { type: 'cold_email', dayOffset: 0 },
+            { type: 'connection_request', dayOffset: 2 },
+            { type: 'follow_up', dayOffset: 6 }
+        ]
+    }
+};
+
+const DEFAULT_CADENCE = 'standard';
+const MAX_SEQUENCE_STEPS = 5;
+const MAX_SEQUENCE_DAYS = 90;
+
+// Resolve a cadence name or a custom steps array into validated steps
+// Returns { steps, name } or { error }
+const resolveCadence = (cadence = DEFAULT_CADENCE) => {
+    if (typeof cadence === 'string') {
+        const template = CADENCE_TEMPLATES[cadence];
+        if (!template) {
+            return { error: `Unknown cadence template: ${cadence}. Available: ${Object.keys(CADENCE_TEMPLATES).join(', ')}` };
+        }
+        return { name: cadence, steps: template.steps };
+    }
+
+    if (!Array.isArray(cadence) || cadence.length === 0) {
+        return { error: 'cadence must be a template name or a non-empty array of steps' };
+    }
+
+    if (cadence.length > MAX_SEQUENCE_STEPS) {
+        return { error: `A sequence can have at most ${MAX_SEQUENCE_STEPS} steps` };
+    }
+
+    let previousDay = -1;
+    for (const step of cadence) {
+        if (!step || !SEQUENCE_STEP_TYPES[step.type]) {
+            return { error: `Invalid step type. Use one of: ${Object.keys(SEQUENCE_STEP_TYPES).join(', ')}` };
+        }
+        if (!Number.isInteger(step.dayOffset) || step.dayOffset < 0 || step.dayOffset > MAX_SEQUENCE_DAYS) {
+            return { error: `dayOffset must be a whole number between 0 and ${MAX_SEQUENCE_DAYS}` };
+        }
+        if (step.dayOffset < previousDay) {
+            return { error: 'Steps must be ordered by dayOffset' };
+        }
+        previousDay = step.dayOffset;
+    }
+
+    return {
+        name: 'custom',
+        steps: cadence.map(step => ({ type: step.type, dayOffset: step.dayOffset }))
+    };
+};
+
+module.exports = {
+    SEQUENCE_STEP_TYPES,
+    CADENCE_TEMPLATES,
+    DEFAULT_CADENCE,
+    MAX_SEQUENCE_STEPS,
+    resolveCadence
+};
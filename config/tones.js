@@ -0,0 +1,86 @@
+// config/tones.js - Tone presets for message generation
+// The built-in prompts fix the tone as "friendly, approachable, natural (not salesy)" - that is the 'friendly'
+// preset and adds nothing to the prompt. Other presets append a TONE section (prompts/toneInstruction.js).
+// A user's default preset and writing sample live on user_profiles (tone_preset, writing_sample);
+// a request can pick another preset with `tone`.
+
+const DEFAULT_TONE = 'friendly';
+
+const TONE_PRESETS = {
+    friendly: {
+        label: 'Friendly',
+        description: 'Warm, approachable and natural - never salesy (default)'
+    },
+    formal: {
+        label: 'Formal',
+        description: 'Polished and respectful business language',
+        instruction: 'Write in a formal, polished business register: complete sentences, no slang or contractions, courteous but not stiff.'
+    },
+    direct: {
+        label: 'Direct',
+        description: 'Gets to the point in the first sentence',
+        instruction: 'Be direct: state why you are reaching out in the first sentence after the greeting, cut pleasantries and filler, and make the call-to-action a single clear ask.'
+    },
+    playful: {
+        label: 'Playful',
+        description: 'Light, witty and conversational',
+        instruction: 'Be light and playful: conversational phrasing and a touch of wit are welcome, but stay professional - no emojis, no jokes about the target.'
+    },
+    executive_brief: {
+        label: 'Executive brief',
+        description: 'Short, outcome-focused, written for senior leaders',
+        instruction: 'Write for a busy executive: as short as the message allows, lead with the outcome or business value, one idea only, no small talk.'
+    }
+};
+
+// Longer samples add prompt tokens without improving the style match
+const MAX_WRITING_SAMPLE_LENGTH = 2000;
+const MIN_WRITING_SAMPLE_LENGTH = 50;
+
+const isSupportedTone = (tone) => Boolean(TONE_PRESETS[tone]);
+
+// Request-level check of a `tone` option - null when it is empty or a known preset
+const getToneOptionError = (tone) => {
+    if (tone === undefined || tone === null || tone === '') return null;
+    if (!isSupportedTone(tone)) {
+        return `Unsupported tone: ${tone}. Use one of: ${Object.keys(TONE_PRESETS).join(', ')}`;
+    }
+    return null;
+};
+
+// Check a writing sample before it is saved - null when valid (empty clears the sample)
+const getWritingSampleError = (sample) => {
+    if (sample === undefined || sample === null || sample === '') return null;
+    if (typeof sample !== 'string') return 'writingSample must be a string';
+    const length = sample.trim().length;
+    if (length < MIN_WRITING_SAMPLE_LENGTH) {
+        return `writingSample must be at least ${MIN_WRITING_SAMPLE_LENGTH} characters`;
+    }
+    if (length > MAX_WRITING_SAMPLE_LENGTH) {
+        return `writingSample must be at most ${MAX_WRITING_SAMPLE_LENGTH} characters`;
+    }
+    return null;
+};
+
+/**
+ * Resolve the tone for one generation
+ * @param {string} requested - preset key from the request (wins over the saved preset)
+ * @param {string} savedTone - user_profiles.tone_preset
+ * @returns {object} - { key, source: 'request' | 'profile' | 'default' }
+ */
+const resolveTone = (requested, savedTone) => {
+    if (isSupportedTone(requested)) return { key: requested, source: 'request' };
+    if (isSupportedTone(savedTone)) return { key: savedTone, source: 'profile' };
+    return { key: DEFAULT_TONE, source: 'default' };
+};
+
+module.exports = {
+    DEFAULT_TONE,
+    TONE_PRESETS,
+    MAX_WRITING_SAMPLE_LENGTH,
+    MIN_WRITING_SAMPLE_LENGTH,
+    isSupportedTone,
+    getToneOptionError,
+    getWritingSampleError,
+    resolveTone
+};
@@ -0,0 +1,91 @@
+// config/usageBudgets.js - Per-user spending limits and low-balance alerts (services/usageBudgetService.js)
+// A daily / monthly limit caps the credits a user's holds may take in the calendar day / month (held + completed,
+// team pool holds included); credits.js createHold refuses holds past it with spending_limit_reached.
+// Alerts go to the in-app notification feed (services/notificationService.js) and, when the user turns it on, by email.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Limit period -> date_trunc unit its spend is counted from
+const BUDGET_PERIODS = {
+    daily: 'day',
+    monthly: 'month'
+};
+
+const NOTIFICATION_TYPES = {
+    low_balance: 'Your credit balance dropped below your low-balance threshold',
+    budget_warning: 'You have used most of your daily or monthly spending limit',
+    budget_reached: 'An operation was blocked by your daily or monthly spending limit',
+    // 💸 Decisions on the user's refund requests (services/refundService.js) - feed only, no email
+    refund_approved: 'A refund request was approved and the credits were given back',
+    refund_rejected: 'A refund request was rejected'
+};
+
+const MAX_CREDIT_AMOUNT = 1000000;
+
+const getUsageBudgetSettings = () => ({
+    // budget_warning fires when a hold takes the period's spend to this share of the limit
+    warningPercent: toInt(process.env.USAGE_BUDGET_WARNING_PERCENT, 80),
+    // GET /user/notifications page size
+    defaultNotificationsLimit: 20,
+    maxNotificationsLimit: toInt(process.env.NOTIFICATIONS_MAX_LIMIT, 100),
+    notificationRetentionDays: toInt(process.env.NOTIFICATION_RETENTION_DAYS, 90)
+});
+
+// Budget of a user who never saved one - no limits and no alerts until the user opts in
+const getDefaultBudget = () => ({
+    dailyLimit: null,
+    monthlyLimit: null,
+    lowBalanceThreshold: null,
+    emailAlerts: false
+});
+
+const resolveCreditAmount = (field, value) => {
+    if (value === null) return { value: null };
+
+    const amount = Number(value);
+    if (typeof value === 'boolean' || value === '' || !Number.isFinite(amount) || amount < 0 || amount > MAX_CREDIT_AMOUNT) {
+        return { error: `${field} must be a number between 0 and ${MAX_CREDIT_AMOUNT}, or null to turn it off` };
+    }
+    return { value: parseFloat(amount.toFixed(2)) };
+};
+
+/**
+ * Validate a budget update on top of the current budget - returns { budget } or { error }
+ * @param {object} body - { dailyLimit?, monthlyLimit?, lowBalanceThreshold?, emailAlerts? } (omitted fields are kept)
+ * @param {object} current - the budget being changed (getDefaultBudget shape)
+ */
+const resolveUsageBudget = (body, current) => {
+    const budget = { ...current };
+
+    for (const field of ['dailyLimit', 'monthlyLimit', 'lowBalanceThreshold']) {
+        if (body[field] === undefined) continue;
+        const result = resolveCreditAmount(field, body[field]);
+        if (result.error) return { error: result.error };
+        budget[field] = result.value;
+    }
+
+    if (body.emailAlerts !== undefined) {
+        if (typeof body.emailAlerts !== 'boolean') {
+            return { error: 'emailAlerts must be true or false' };
+        }
+        budget.emailAlerts = body.emailAlerts;
+    }
+
+    if (budget.dailyLimit !== null && budget.monthlyLimit !== null && budget.dailyLimit > budget.monthlyLimit) {
+        return { error: 'dailyLimit cannot be higher than monthlyLimit' };
+    }
+
+    return { budget };
+};
+
+module.exports = {
+    BUDGET_PERIODS,
+    NOTIFICATION_TYPES,
+    MAX_CREDIT_AMOUNT,
+    getUsageBudgetSettings,
+    getDefaultBudget,
+    resolveUsageBudget
+};
@@ -0,0 +1,58 @@
+// config/webhooks.js - Outbound webhooks (services/webhookService.js)
+// Every event is POSTed as JSON { id, type, createdAt, data } to the user's endpoints that subscribed to it.
+// Requests are signed: X-Msgly-Signature = "sha256=" + HMAC-SHA256(secret, `${X-Msgly-Timestamp}.${rawBody}`).
+// Failed deliveries are retried by the webhook_delivery job (config/jobs.js) and recorded in webhook_deliveries.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const WEBHOOK_EVENTS = {
+    'message.generated': 'A message was generated and saved to your history',
+    'email.found': 'The email finder found an email address',
+    'email.verified': 'An email address was verified',
+    'profile.analyzed': 'A target LinkedIn profile was analyzed',
+    'credits.low': 'Your credit balance dropped below the low credits threshold'
+};
+
+// Sent by POST /user/webhooks/:id/test - not subscribable
+const TEST_EVENT = 'webhook.test';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const getWebhookSettings = () => ({
+    maxWebhooksPerUser: toInt(process.env.WEBHOOK_MAX_PER_USER, 5),
+    timeoutMs: toInt(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+    // credits.low fires when a deduction takes the balance from >= threshold to below it
+    lowCreditsThreshold: toInt(process.env.WEBHOOK_LOW_CREDITS_THRESHOLD, 10),
+    // Bodies of 2xx responses are stored truncated for the delivery log (failed responses keep only the status)
+    maxResponseBodyChars: 1000,
+    deliveryRetentionDays: toInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 30)
+});
+
+// Validate the requested events - returns { events } or { error }
+const resolveWebhookEvents = (requested) => {
+    if (requested === undefined || requested === null) {
+        return { events: Object.keys(WEBHOOK_EVENTS) };
+    }
+    if (!Array.isArray(requested) || requested.length === 0) {
+        return { error: `events must be a non-empty list. Use one or more of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}` };
+    }
+
+    const events = [...new Set(requested.map(event => String(event).trim()))];
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) {
+        return { error: `Unknown webhook event: ${unknown.join(', ')}. Use one or more of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}` };
+    }
+
+    return { events };
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    DELIVERY_STATUSES,
+    getWebhookSettings,
+    resolveWebhookEvents
+};
@@ -1,6 +1,8 @@
 // controllers/billingController.js - Chargebee Webhook Handlers
 // Exact copies from server.js with same imports and logic
 // 🔄 LINKEDIN URL DECOUPLING: Updated webhook handlers to use completeRegistrationAfterPayment
+// 📒 CREDIT LEDGER: Plan grants, renewals and PAYG purchases are posted to the credit ledger with the balance change
+// 👥 TEAMS: Seat-based plans fill the organization's shared pool instead of the buyer's own balance
 
 // Import dependencies used by webhook handlers
 const {
@@ -19,7 +21,12 @@ const {
 
 // ✅ ADMIN NOTIFICATIONS: Import both email functions
 const { sendWelcomeEmail, sendAdminNotification } = require('../mailer/mailer');
-const { CHARGEBEE_PLAN_MAPPING } = require('../config/billing');
+const { CHARGEBEE_PLAN_MAPPING, calculateRenewal } = require('../config/billing');
+const { withBalanceChange } = require('../utils/creditLedger');
+const organizationService = require('../services/organizationService');
+
+// Chargebee timestamps are in seconds
+const toBillingDate = (timestamp) => (timestamp ? new Date(timestamp * 1000) : null);
 
 // CONTEXT ADDON FIX: Add Context addon to plan mapping
 const EXTENDED_PLAN_MAPPING = {
@@ -102,34 +109,55 @@ async function handleSubscriptionCreated(subscription, customer) {
             } catch (contextError) {
                 console.error('[WEBHOOK] Context addon processing failed:', contextError);
             }
+        } else if (planMapping.seatBased) {
+            // 👥 TEAMS: Team plan - the buyer's organization gets seats x creditsPerSeat pool credits
+            const organization = await organizationService.activateSubscription(user, planMapping, {
+                id: subscription.id,
+                seats: planItem.quantity || 1,
+                nextBillingDate: toBillingDate(subscription.next_billing_at)
+            });
+            
+            if (organization) {
+                console.log(`[WEBHOOK] Team plan active for organization ${organization.id} (owner ${user.id})`);
+            }
         } else {
             // Regular plan subscription
             let planCode = planMapping.planCode;
             let renewableCredits = planMapping.renewableCredits || 0;
             let payasyougoCredits = planMapping.payasyougoCredits || 0;
             
-            // Update user subscription
-            await pool.query(`
-                UPDATE users 
-                SET 
-                    plan_code = $1,
-                    renewable_credits = $2,
-                    payasyougo_credits = COALESCE(payasyougo_credits, 0) + $3,
-                    subscription_starts_at = $4,
-                    next_billing_date = $5,
-                    chargebee_subscription_id = $6,
-                    subscription_status = 'active',
-                    updated_at = NOW()
-                WHERE id = $7
-            `, [
-                planCode,
-                renewableCredits,
-                payasyougoCredits,
-                new Date(subscription.started_at * 1000),
-                subscription.next_billing_at ? new Date(subscription.next_billing_at * 1000) : null,
-                subscription.id,
-                user.id
-            ]);
+            // Update user subscription (📒 + plan grant on the credit ledger)
+            await withBalanceChange(pool, user.id, {
+                type: 'plan_grant',
+                reference: subscription.id,
+                description: `Subscribed to ${planCode}`,
+                metadata: { planCode, renewableCredits, payasyougoCredits },
+                pack: { planCode }
+            }, async (client) => {
+                const result = await client.query(`
+                    UPDATE users 
+                    SET 
+                        plan_code = $1,
+                        renewable_credits = $2,
+                        payasyougo_credits = COALESCE(payasyougo_credits, 0) + $3,
+                        subscription_starts_at = $4,
+                        next_billing_date = $5,
+                        chargebee_subscription_id = $6,
+                        subscription_status = 'active',
+                        updated_at = NOW()
+                    WHERE id = $7
+                    RETURNING renewable_credits, payasyougo_credits
+                `, [
+                    planCode,
+                    renewableCredits,
+                    payasyougoCredits,
+                    new Date(subscription.started_at * 1000),
+                    subscription.next_billing_at ? new Date(subscription.next_billing_at * 1000) : null,
+                    subscription.id,
+                    user.id
+                ]);
+                return result.rows[0];
+            });
             
             console.log(`[WEBHOOK] User ${user.id} upgraded to ${planCode}`);
 
@@ -205,6 +233,12 @@ async function handleSubscriptionActivated(subscription, customer) {
     try {
         console.log('[WEBHOOK] Processing subscription_activated');
         
+        // 👥 TEAMS: Team plans are activated on subscription_created - don't overwrite the owner's own subscription
+        if (await organizationService.getBySubscriptionId(subscription.id)) {
+            console.log(`[WEBHOOK] Team plan subscription ${subscription.id} already active`);
+            return;
+        }
+        
         // Find user by Chargebee subscription ID or email
         let user = await pool.query(`
             SELECT * FROM users 
@@ -252,6 +286,13 @@ async function handleSubscriptionCancellationScheduled(subscription, customer) {
     try {
         console.log('[WEBHOOK] Processing subscription_cancellation_scheduled');
         
+        // 👥 TEAMS: A team plan stays active until it is cancelled - members keep using the pool until then
+        const organization = await organizationService.getBySubscriptionId(subscription.id);
+        if (organization) {
+            console.log(`[WEBHOOK] Team plan cancellation scheduled for organization ${organization.id}, effective: ${toBillingDate(subscription.current_term_end)}`);
+            return;
+        }
+        
         // Find user by email
         const user = await getUserByEmail(customer.email);
         if (!user) {
@@ -285,6 +326,13 @@ async function handleSubscriptionCancelled(subscription, customer) {
     try {
         console.log('[WEBHOOK] Processing subscription_cancelled');
         
+        // 👥 TEAMS: Cancelling a team plan ends the pool - the owner's own plan is untouched
+        const organization = await organizationService.getBySubscriptionId(subscription.id);
+        if (organization) {
+            await organizationService.cancelSubscription(organization);
+            return;
+        }
+        
         // Find user by email
         const user = await getUserByEmail(customer.email);
         if (!user) {
@@ -306,6 +354,34 @@ async function handleSubscriptionCancelled(subscription, customer) {
     }
 }
 
+// 👥 TEAMS: subscription_changed - seats added or removed on a team plan
+async function handleSubscriptionChanged(subscription, customer) {
+    try {
+        console.log('[WEBHOOK] Processing subscription_changed');
+        
+        const organization = await organizationService.getBySubscriptionId(subscription.id);
+        if (!organization) {
+            console.log('[WEBHOOK] Not a team plan, nothing to update:', subscription.id);
+            return;
+        }
+        
+        const planItem = subscription.subscription_items?.find(item => item.item_type === 'plan');
+        const planMapping = EXTENDED_PLAN_MAPPING[planItem?.item_price_id];
+        if (!planMapping || !planMapping.seatBased) {
+            console.error('[WEBHOOK] Unknown team plan for subscription change:', subscription.id);
+            return;
+        }
+        
+        const seats = planItem.quantity || 1;
+        if (seats !== organization.seats) {
+            await organizationService.updateSeats(organization, planMapping, seats);
+        }
+        
+    } catch (error) {
+        console.error('[WEBHOOK] Error handling subscription_changed:', error);
+    }
+}
+
 // 🔧 PAYG CRITICAL FIX + CONTEXT ADDON FIX: Enhanced invoice_generated handler 
 async function handleInvoiceGenerated(invoice, subscription) {
     try {
@@ -323,6 +399,24 @@ async function handleInvoiceGenerated(invoice, subscription) {
         // Handle BOTH cases - subscription renewals AND one-time purchases
         if (subscription) {
             // CASE 1: Subscription renewal (Monthly plans)
+            // 👥 TEAMS: Team plan renewals reset the organization's pool
+            const organization = await organizationService.getBySubscriptionId(subscription.id);
+            if (organization) {
+                const planItem = subscription.subscription_items?.find(item => item.item_type === 'plan');
+                const planMapping = EXTENDED_PLAN_MAPPING[planItem?.item_price_id];
+                if (!planMapping || !planMapping.seatBased) {
+                    console.error('[WEBHOOK] Unknown team plan for subscription invoice:', subscription.id);
+                    return;
+                }
+                
+                await organizationService.renewPool(organization, planMapping, {
+                    seats: planItem.quantity || organization.seats,
+                    nextBillingDate: toBillingDate(subscription.next_billing_at),
+                    invoiceId: invoice.id
+                });
+                return;
+            }
+            
             const user = await pool.query(`
                 SELECT * FROM users 
                 WHERE chargebee_subscription_id = $1
@@ -349,19 +443,34 @@ async function handleInvoiceGenerated(invoice, subscription) {
                         // Context addons don't need renewal processing - slots are persistent
                         console.log(`[WEBHOOK] Context addon renewal processed (no action needed)`);
                     } else if (planMapping.billingModel === 'monthly') {
-                        // Reset renewable credits for monthly subscription
-                        await pool.query(`
-                            UPDATE users 
-                            SET 
-                                renewable_credits = $1,
-                                next_billing_date = $2,
-                                updated_at = NOW()
-                            WHERE id = $3
-                        `, [
-                            planMapping.renewableCredits,
-                            subscription.next_billing_at ? new Date(subscription.next_billing_at * 1000) : null,
-                            userData.id
-                        ]);
+                        // Reset renewable credits for monthly subscription (📒 + renewal on the credit ledger)
+                        // ⏳ Unused renewable credits roll over up to the plan's cap (config/billing.js)
+                        const posting = {
+                            type: 'renewal',
+                            reference: invoice.id,
+                            description: `Renewal of ${planId}`,
+                            metadata: { planId, renewableCredits: planMapping.renewableCredits }
+                        };
+                        await withBalanceChange(pool, userData.id, posting, async (client, before) => {
+                            const renewal = calculateRenewal(planMapping.planCode, planMapping.renewableCredits, before.renewable_credits);
+                            posting.carriedOver = renewal.carriedOver;
+                            posting.metadata = { ...posting.metadata, carriedOver: renewal.carriedOver, expired: renewal.expired };
+
+                            const result = await client.query(`
+                                UPDATE users 
+                                SET 
+                                    renewable_credits = $1,
+                                    next_billing_date = $2,
+                                    updated_at = NOW()
+                                WHERE id = $3
+                                RETURNING renewable_credits, payasyougo_credits
+                            `, [
+                                renewal.renewableCredits,
+                                subscription.next_billing_at ? new Date(subscription.next_billing_at * 1000) : null,
+                                userData.id
+                            ]);
+                            return result.rows[0];
+                        });
                         
                         console.log(`[WEBHOOK] Renewable credits reset for user ${userData.id}`);
                     }
@@ -493,23 +602,32 @@ async function handleInvoiceGenerated(invoice, subscription) {
                     // Regular PAYG purchase
                     console.log(`[WEBHOOK] Adding ${planMapping.payasyougoCredits} PAYG credits to user ${user.id}`);
                     
-                    // ✅ PAYG FIX: Add credits only, never change plan_code
-                    const updateResult = await pool.query(`
-                        UPDATE users 
-                        SET 
-                            payasyougo_credits = COALESCE(payasyougo_credits, 0) + $1,
-                            chargebee_customer_id = $2,
-                            updated_at = NOW()
-                        WHERE id = $3
-                        RETURNING payasyougo_credits, renewable_credits
-                    `, [
-                        planMapping.payasyougoCredits,
-                        invoice.customer_id,
-                        user.id
-                    ]);
+                    // ✅ PAYG FIX: Add credits only, never change plan_code (📒 + purchase on the credit ledger)
+                    const updateResult = await withBalanceChange(pool, user.id, {
+                        type: 'purchase',
+                        reference: invoice.id,
+                        description: `Purchased ${planMapping.payasyougoCredits} pay-as-you-go credits`,
+                        metadata: { planId, payasyougoCredits: planMapping.payasyougoCredits },
+                        pack: { planCode: planMapping.planCode }
+                    }, async (client) => {
+                        const result = await client.query(`
+                            UPDATE users 
+                            SET 
+                                payasyougo_credits = COALESCE(payasyougo_credits, 0) + $1,
+                                chargebee_customer_id = $2,
+                                updated_at = NOW()
+                            WHERE id = $3
+                            RETURNING payasyougo_credits, renewable_credits
+                        `, [
+                            planMapping.payasyougoCredits,
+                            invoice.customer_id,
+                            user.id
+                        ]);
+                        return result.rows[0];
+                    });
                     
-                    if (updateResult.rows.length > 0) {
-                        const updatedCredits = updateResult.rows[0];
+                    if (updateResult) {
+                        const updatedCredits = updateResult.after;
                         console.log(`[WEBHOOK] PAYG credits added for user ${user.id}`);
                         console.log(`[WEBHOOK] New PAYG credits: ${updatedCredits.payasyougo_credits}`);
                         console.log(`[WEBHOOK] Renewable credits: ${updatedCredits.renewable_credits}`);
@@ -649,17 +767,27 @@ async function handlePaymentSucceeded(payment, invoice) {
                             } else if (planMapping.billingModel === 'one_time') {
                                 console.log('[WEBHOOK] Recovery: Adding PAYG credits via payment_succeeded');
                                 
-                                // ✅ PAYG FIX: Add credits only, never change plan_code (recovery)
-                                await pool.query(`
-                                    UPDATE users 
-                                    SET 
-                                        payasyougo_credits = COALESCE(payasyougo_credits, 0) + $1,
-                                        updated_at = NOW()
-                                    WHERE id = $2
-                                `, [
-                                    planMapping.payasyougoCredits,
-                                    userData.id
-                                ]);
+                                // ✅ PAYG FIX: Add credits only, never change plan_code (recovery, 📒 + purchase on the credit ledger)
+                                await withBalanceChange(pool, userData.id, {
+                                    type: 'purchase',
+                                    reference: invoice.id,
+                                    description: `Purchased ${planMapping.payasyougoCredits} pay-as-you-go credits (payment recovery)`,
+                                    metadata: { planId: planLineItem.entity_id, payasyougoCredits: planMapping.payasyougoCredits, recovery: true },
+                                    pack: { planCode: planMapping.planCode }
+                                }, async (client) => {
+                                    const result = await client.query(`
+                                        UPDATE users 
+                                        SET 
+                                            payasyougo_credits = COALESCE(payasyougo_credits, 0) + $1,
+                                            updated_at = NOW()
+                                        WHERE id = $2
+                                        RETURNING payasyougo_credits, renewable_credits
+                                    `, [
+                                        planMapping.payasyougoCredits,
+                                        userData.id
+                                    ]);
+                                    return result.rows[0];
+                                });
                                 
                                 console.log('[WEBHOOK] Recovery successful: PAYG credits added');
                             }
@@ -689,6 +817,7 @@ module.exports = {
     handleSubscriptionActivated,
     handleSubscriptionCancellationScheduled,
     handleSubscriptionCancelled,
+    handleSubscriptionChanged,
     handleInvoiceGenerated,
     handlePaymentSucceeded
 };
@@ -0,0 +1,291 @@
+// controllers/campaignController.js
+// 📦 Bulk campaigns - upload a CSV of LinkedIn URLs plus a saved context, generate the chosen message types
+// for every target in the background (services/campaignService.js) and download the results as CSV.
+// One credit hold covers the whole campaign (campaign_generation x estimated units) and is settled for the
+// messages actually generated and the profiles actually scraped.
+
+const { pool } = require('../utils/database');
+const { createCreditHold, releaseCreditHold, isCreditRefusal } = require('../credits');
+const campaignService = require('../services/campaignService');
+const { parseCsv } = require('../utils/csv');
+const { getCampaignLimits, resolveCampaignMessageTypes } = require('../config/campaigns');
+const { getLanguageOptionError } = require('../config/languages');
+const { getToneOptionError } = require('../config/tones');
+
+const MAX_CAMPAIGN_NAME_LENGTH = 100;
+
+const parseCampaignId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// POST /campaigns - multipart (file + fields) or JSON with the CSV text in `csv`
+async function handleCreateCampaign(req, res) {
+    const userId = req.user.id;
+    let holdId = null;
+
+    try {
+        console.log('[CAMPAIGN] === CREATE CAMPAIGN ===');
+        console.log(`[USER] User ID: ${userId}`);
+
+        const { name, contextId, outreachContext, language, tone } = req.body;
+        const limits = getCampaignLimits();
+
+        const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+        const sourceFilename = req.file ? req.file.originalname : (req.body.filename || null);
+        if (!csvText || typeof csvText !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'A CSV file of LinkedIn profile URLs is required'
+            });
+        }
+        if (Buffer.byteLength(csvText, 'utf8') > limits.maxFileBytes) {
+            return res.status(400).json({
+                success: false,
+                error: `CSV file too large. Maximum size is ${Math.round(limits.maxFileBytes / 1024)}KB.`
+            });
+        }
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Campaign name is required'
+            });
+        }
+        if (name.trim().length > MAX_CAMPAIGN_NAME_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Campaign name must be at most ${MAX_CAMPAIGN_NAME_LENGTH} characters`
+            });
+        }
+
+        const { messageTypes, error: messageTypesError } = resolveCampaignMessageTypes(req.body.messageTypes);
+        if (messageTypesError) {
+            return res.status(400).json({
+                success: false,
+                error: messageTypesError
+            });
+        }
+
+        const optionError = getLanguageOptionError(language) || getToneOptionError(tone);
+        if (optionError) {
+            return res.status(400).json({
+                success: false,
+                error: optionError
+            });
+        }
+
+        // Saved context (contextId) or free text (outreachContext) - the text is copied so later edits don't change the campaign
+        let contextText = null;
+        let savedContextId = null;
+        if (contextId) {
+            const contextResult = await pool.query(
+                'SELECT id, context_text FROM saved_contexts WHERE id = $1 AND user_id = $2',
+                [parseInt(contextId, 10) || 0, userId]
+            );
+            if (contextResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Saved context not found'
+                });
+            }
+            savedContextId = contextResult.rows[0].id;
+            contextText = contextResult.rows[0].context_text;
+        } else if (outreachContext && typeof outreachContext === 'string' && outreachContext.trim()) {
+            contextText = outreachContext.trim();
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'A saved context (contextId) or outreach context is required'
+            });
+        }
+
+        const extracted = campaignService.extractTargets(parseCsv(csvText));
+        if (extracted.error) {
+            return res.status(400).json({
+                success: false,
+                error: extracted.error
+            });
+        }
+        if (extracted.targets.length > limits.maxTargets) {
+            return res.status(400).json({
+                success: false,
+                error: `Too many profiles: ${extracted.targets.length}. A campaign can have at most ${limits.maxTargets}.`
+            });
+        }
+
+        const estimate = await campaignService.estimateCreditUnits(userId, extracted.targets, messageTypes);
+        console.log(`[CAMPAIGN] ${extracted.targets.length} targets, ${estimate.scrapeCount} to scrape, ${estimate.units} credit units`);
+
+        const holdResult = await createCreditHold(userId, 'campaign_generation', {
+            campaignName: name.trim(),
+            targets: extracted.targets.length,
+            messageTypes: messageTypes,
+            quantity: estimate.units,
+            timestamp: new Date().toISOString()
+        });
+
+        if (!holdResult.success) {
+            if (isCreditRefusal(holdResult.error)) {
+                return res.status(402).json({
+                    success: false,
+                    error: holdResult.error,
+                    userMessage: holdResult.userMessage,
+                    currentCredits: holdResult.currentCredits,
+                    requiredCredits: holdResult.requiredCredits
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create credit hold',
+                details: holdResult.error
+            });
+        }
+
+        holdId = holdResult.holdId;
+        console.log(`[SUCCESS] Credit hold created: ${holdId} for ${holdResult.amountHeld} credits`);
+
+        const campaign = await campaignService.createCampaign(userId, {
+            name: name.trim(),
+            contextId: savedContextId,
+            contextText,
+            messageTypes,
+            language,
+            tone,
+            sourceFilename,
+            targets: extracted.targets,
+            holdId,
+            creditsHeld: holdResult.amountHeld
+        });
+        holdId = null; // Settled by the campaign_run job from here on
+
+        res.status(202).json({
+            success: true,
+            message: 'Campaign created - messages are being generated in the background',
+            data: {
+                campaign: campaignService.formatCampaign(campaign),
+                invalidRows: extracted.invalidRows,
+                duplicateCount: extracted.duplicateCount,
+                estimate: estimate
+            }
+        });
+
+    } catch (error) {
+        console.error('[ERROR] Create campaign error:', error);
+
+        if (holdId) {
+            await releaseCreditHold(userId, holdId, 'processing_error');
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create campaign',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// GET /campaigns
+async function handleListCampaigns(req, res) {
+    try {
+        const campaigns = await campaignService.listCampaigns(req.user.id);
+        res.json({
+            success: true,
+            data: { campaigns }
+        });
+    } catch (error) {
+        console.error('[ERROR] List campaigns error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load campaigns',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// GET /campaigns/:id - campaign with per-target status
+async function handleGetCampaign(req, res) {
+    try {
+        const campaignId = parseCampaignId(req.params.id);
+        const campaign = campaignId ? await campaignService.getCampaign(req.user.id, campaignId) : null;
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { campaign }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get campaign error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load campaign',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// GET /campaigns/:id/results.csv
+async function handleDownloadCampaignResults(req, res) {
+    try {
+        const campaignId = parseCampaignId(req.params.id);
+        const results = campaignId ? await campaignService.buildResultsCsv(req.user.id, campaignId) : null;
+        if (!results) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${results.filename}"`);
+        // BOM so Excel opens the file as UTF-8
+        res.send('\uFEFF' + results.csv);
+    } catch (error) {
+        console.error('[ERROR] Campaign results error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build campaign results',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// POST /campaigns/:id/cancel
+async function handleCancelCampaign(req, res) {
+    try {
+        const campaignId = parseCampaignId(req.params.id);
+        const cancelled = campaignId ? await campaignService.cancelCampaign(req.user.id, campaignId) : false;
+        if (!cancelled) {
+            return res.status(404).json({
+                success: false,
+                error: 'No queued or running campaign found with this ID'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Campaign cancelled - targets already in progress will finish, the rest are skipped'
+        });
+    } catch (error) {
+        console.error('[ERROR] Cancel campaign error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel campaign',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+module.exports = {
+    handleCreateCampaign,
+    handleListCampaigns,
+    handleGetCampaign,
+    handleDownloadCampaignResults,
+    handleCancelCampaign
+};
@@ -59,7 +59,7 @@ async function handleFileUpload(req, res) {
         if (!holdResult.success) {
             return res.status(402).json({
                 success: false,
-                error: holdResult.error === 'insufficient_credits' ? 'Insufficient credits for file analysis' : 'Failed to create credit hold',
+                error: holdResult.error === 'insufficient_credits' ? 'Insufficient credits for file analysis' : (holdResult.userMessage || 'Failed to create credit hold'),
                 userMessage: holdResult.userMessage,
                 currentCredits: holdResult.currentCredits,
                 requiredCredits: holdResult.requiredCredits
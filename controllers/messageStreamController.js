@@ -0,0 +1,555 @@
+// controllers/messageStreamController.js
+// Streaming (Server-Sent Events) variants of the message generation handlers
+// Same pipeline as controllers/messagesController.js, but text is pushed to the client while the model writes it.
+// Credit hold is completed only after the stream finishes cleanly - released on failure or client disconnect.
+//
+// Event protocol (POST + fetch reader, one JSON payload per event):
+//   start   { types, holdId }                      - hold created, generation starting
+//   token   { type, delta }                        - next chunk of text for a message type
+//   message { type, message, messageLogId, ... }   - one message type finished and logged
+//   done    { success, data, credits }             - all types finished, credits deducted
+//   error   { error, details, type? }              - generation failed, hold released
+
+const {
+    createCreditHold,
+    releaseCreditHold,
+    completeOperation,
+    isCreditRefusal
+} = require('../credits');
+const gptService = require('../services/gptService');
+const messageGenerationService = require('../services/messageGenerationService');
+const { getLanguageOptionError } = require('../config/languages');
+const { getToneOptionError } = require('../config/tones');
+
+// Per-type settings: gptService prompt type, credits operation and message_logs.message_type
+const STREAM_TYPES = {
+    'linkedin-message': {
+        messageType: 'inbox_message',
+        operationType: 'message_generation',
+        logType: 'message',
+        label: 'LinkedIn message'
+    },
+    'connection-request': {
+        messageType: 'connection_request',
+        operationType: 'connection_generation',
+        logType: 'connection_request',
+        label: 'Connection request'
+    },
+    'intro-request': {
+        messageType: 'intro_request',
+        operationType: 'intro_generation',
+        logType: 'intro_request',
+        label: 'Intro request'
+    },
+    'cold-email': {
+        messageType: 'cold_email',
+        operationType: 'cold_email_generation',
+        logType: 'cold_email',
+        label: 'Cold email'
+    }
+};
+
+// Types available through /generate-unified/stream (matches /generate-unified)
+const UNIFIED_STREAM_TYPES = ['linkedin-message', 'connection-request', 'intro-request', 'cold-email'];
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Switch the response into SSE mode. stream.closed flips (and stream.signal aborts) when the client disconnects.
+function openEventStream(res) {
+    const abortController = new AbortController();
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx / Railway)
+    });
+    res.flushHeaders();
+
+    const stream = {
+        closed: false,
+        signal: abortController.signal,
+        send(event, data) {
+            if (this.closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            if (this.closed) return;
+            this.closed = true;
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+
+    // Comment lines keep idle proxies from cutting the connection during slow provider starts
+    const heartbeat = setInterval(() => {
+        if (!stream.closed) res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!stream.closed) {
+            stream.closed = true;
+            console.log('[STREAM] Client disconnected before stream finished');
+            abortController.abort();
+        }
+    });
+
+    return stream;
+}
+
+// Create the credit hold, answering with the same JSON errors as the non-streaming handlers on failure.
+// Returns the hold ({ holdId, amountHeld }) or null once the error was sent
+async function createStreamHold(res, userId, operationType, operationData) {
+    const holdResult = await createCreditHold(userId, operationType, {
+        ...operationData,
+        streaming: true,
+        timestamp: new Date().toISOString()
+    });
+
+    if (holdResult.success) {
+        console.log(`[SUCCESS] Credit hold created: ${holdResult.holdId} for ${holdResult.amountHeld} credits`);
+        return holdResult;
+    }
+
+    if (isCreditRefusal(holdResult.error)) {
+        res.status(402).json({
+            success: false,
+            error: holdResult.error,
+            userMessage: holdResult.userMessage,
+            currentCredits: holdResult.currentCredits,
+            requiredCredits: holdResult.requiredCredits
+        });
+    } else {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create credit hold',
+            details: holdResult.error
+        });
+    }
+    return null;
+}
+
+// Generate one message type, streaming its tokens. Returns the logged message or { success: false, ... }
+async function streamMessageType(stream, typeKey, { userId, profiles, outreachContext, mutualConnectionName, language, tone }) {
+    const config = STREAM_TYPES[typeKey];
+    const { userProfile, targetProfile } = profiles;
+    const options = {
+        language,
+        tone,
+        signal: stream.signal,
+        onToken: (delta) => stream.send('token', { type: typeKey, delta })
+    };
+
+    console.log(`[STREAM] Generating ${config.label}...`);
+    const gptStartTime = Date.now();
+
+    const gptResult = config.messageType === 'intro_request'
+        ? await gptService.generateIntroRequest(userProfile, targetProfile, outreachContext, mutualConnectionName, options)
+        : await gptService.generateLinkedInMessage(userProfile, targetProfile, outreachContext, config.messageType, options);
+
+    const gptLatency = Date.now() - gptStartTime;
+
+    if (!gptResult.success) {
+        return gptResult;
+    }
+
+    // Disconnect can land between the last token and here - nothing gets logged or charged
+    if (stream.closed) {
+        return { success: false, aborted: true, error: 'Client disconnected' };
+    }
+
+    const isIntro = config.messageType === 'intro_request';
+    const generatedMessage = isIntro
+        ? `Part A: ${gptResult.partA}\nPart B: ${gptResult.partB}`
+        : gptResult.message;
+    const dataJson = isIntro
+        ? { partA: gptResult.partA, partB: gptResult.partB, mutualConnectionName, rawResponse: gptResult.rawResponse }
+        : gptResult.rawResponse;
+
+    const messageLogId = await messageGenerationService.logGeneratedMessage({
+        userId,
+        targetProfileUrl: profiles.cleanTargetUrl,
+        message: generatedMessage,
+        context: outreachContext,
+        messageType: config.logType,
+        gptResult,
+        dataJson
+    });
+    console.log(`[SUCCESS] ${config.label} streamed and logged with ID:`, messageLogId);
+
+    const messageData = {
+        type: typeKey,
+        message: generatedMessage,
+        messageLogId: messageLogId,
+        tokenUsage: gptResult.tokenUsage,
+        language: gptResult.metadata.language,
+        tone: gptResult.metadata.tone,
+        processingTime: gptLatency
+    };
+    if (isIntro) {
+        messageData.partA = gptResult.partA;
+        messageData.partB = gptResult.partB;
+        messageData.forwardableBlurb = gptResult.partB;
+        messageData.mutualConnectionName = mutualConnectionName;
+    }
+
+    return { success: true, data: messageData };
+}
+
+// Shared flow for the four single-type streaming endpoints
+async function handleStream(req, res, typeKey) {
+    const config = STREAM_TYPES[typeKey];
+    const userId = req.user.id;
+    let holdId = null;
+    let stream = null;
+
+    try {
+        console.log(`[STREAM] === ${config.label.toUpperCase()} STREAM ===`);
+        console.log(`[USER] User ID: ${userId}`);
+
+        const { targetProfileUrl, outreachContext, mutualConnectionName, language, tone } = req.body;
+
+        if (!targetProfileUrl || !outreachContext) {
+            return res.status(400).json({
+                success: false,
+                error: 'Target profile URL and outreach context are required'
+            });
+        }
+
+        if (config.messageType === 'intro_request' && !mutualConnectionName) {
+            return res.status(400).json({
+                success: false,
+                error: 'Target profile URL, outreach context, and mutual connection name are required'
+            });
+        }
+
+        const languageError = getLanguageOptionError(language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        const toneError = getToneOptionError(tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
+        const hold = await createStreamHold(res, userId, config.operationType, {
+            targetProfileUrl,
+            outreachContext,
+            mutualConnectionName
+        });
+        if (!hold) return;
+        holdId = hold.holdId;
+
+        const profiles = await messageGenerationService.loadGenerationProfiles(userId, targetProfileUrl);
+        if (profiles.error) {
+            await releaseCreditHold(userId, holdId, profiles.reason);
+            return res.status(400).json({ success: false, error: profiles.error });
+        }
+
+        stream = openEventStream(res);
+        stream.send('start', { types: [typeKey], holdId });
+
+        const result = await streamMessageType(stream, typeKey, {
+            userId,
+            profiles,
+            outreachContext,
+            mutualConnectionName,
+            language,
+            tone
+        });
+
+        if (!result.success) {
+            await releaseCreditHold(userId, holdId, result.aborted ? 'client_disconnected' : 'gpt_generation_failed');
+            stream.send('error', {
+                type: typeKey,
+                error: `${config.label} generation failed`,
+                details: result.userMessage || 'AI service temporarily unavailable'
+            });
+            return stream.end();
+        }
+
+        const completionResult = await completeOperation(userId, holdId, {
+            messageGenerated: true,
+            streamed: true,
+            messageLength: result.data.message.length,
+            targetUrl: targetProfileUrl,
+            messageLogId: result.data.messageLogId,
+            tokenUsage: result.data.tokenUsage
+        });
+
+        if (!completionResult.success) {
+            console.error('[ERROR] Failed to complete operation:', completionResult.error);
+            stream.send('error', { error: 'Failed to process credits after successful generation' });
+            return stream.end();
+        }
+
+        console.log(`[MONEY] Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
+
+        stream.send('message', result.data);
+        stream.send('done', {
+            success: true,
+            data: result.data,
+            credits: {
+                deducted: completionResult.creditsDeducted,
+                newBalance: completionResult.newBalance,
+                renewableCredits: completionResult.renewableCredits,
+                payasyougoCredits: completionResult.payasyougoCredits,
+                transactionId: completionResult.transactionId,
+                tokensUsed: result.data.tokenUsage?.total_tokens || 0
+            }
+        });
+        stream.end();
+
+    } catch (error) {
+        console.error(`[ERROR] ${config.label} stream error:`, error);
+
+        if (holdId) {
+            await releaseCreditHold(userId, holdId, 'processing_error');
+        }
+
+        if (!stream) {
+            return res.status(500).json({
+                success: false,
+                error: `${config.label} generation failed`,
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+
+        stream.send('error', {
+            error: `${config.label} generation failed`,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+        stream.end();
+    }
+}
+
+async function handleGenerateMessageStream(req, res) {
+    return handleStream(req, res, 'linkedin-message');
+}
+
+async function handleGenerateConnectionStream(req, res) {
+    return handleStream(req, res, 'connection-request');
+}
+
+async function handleGenerateIntroStream(req, res) {
+    return handleStream(req, res, 'intro-request');
+}
+
+async function handleGenerateColdEmailStream(req, res) {
+    return handleStream(req, res, 'cold-email');
+}
+
+// Settle a unified hold for the types that were generated (their messages are logged and delivered) -
+// the share of the failed types is released; nothing generated releases the whole hold
+async function settleUnifiedHold(userId, hold, messageTypes, generatedMessages, releaseReason, operationResult = {}) {
+    if (generatedMessages.length === 0) {
+        await releaseCreditHold(userId, hold.holdId, releaseReason);
+        return null;
+    }
+
+    return completeOperation(userId, hold.holdId, {
+        messageTypes,
+        streamed: true,
+        generatedCount: generatedMessages.length,
+        failedTypes: messageTypes.filter(type => !generatedMessages.some(message => message.type === type)),
+        settleAmount: hold.amountHeld * (generatedMessages.length / messageTypes.length),
+        totalTokensUsed: generatedMessages.reduce((sum, message) => sum + message.tokensUsed, 0),
+        messageLogIds: generatedMessages.map(message => message.messageLogId).filter(Boolean),
+        ...operationResult
+    });
+}
+
+// Streaming /generate-unified: types are generated one after another under a single unified_generation hold
+// of one unit per type, settled for the types that were generated (as /generate-unified does)
+async function handleGenerateUnifiedStream(req, res) {
+    const userId = req.user.id;
+    let hold = null;
+    let stream = null;
+    const generatedMessages = [];
+
+    try {
+        console.log('[STREAM] === UNIFIED GENERATION STREAM ===');
+        console.log(`[USER] User ID: ${userId}`);
+
+        const { targetProfileUrl, outreachContext, messageTypes, language, tone, mutualConnectionName } = req.body;
+
+        if (!targetProfileUrl || !outreachContext || !messageTypes || !Array.isArray(messageTypes)) {
+            return res.status(400).json({
+                success: false,
+                error: 'targetProfileUrl, outreachContext, and messageTypes array are required'
+            });
+        }
+
+        if (messageTypes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one message type must be selected'
+            });
+        }
+
+        // A duplicate would be generated and charged twice (as /generate-unified refuses it)
+        if (new Set(messageTypes).size !== messageTypes.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Each message type can only be requested once'
+            });
+        }
+
+        const unsupported = messageTypes.filter(type => !UNIFIED_STREAM_TYPES.includes(type));
+        if (unsupported.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported message type: ${unsupported.join(', ')}`
+            });
+        }
+
+        if (messageTypes.includes('intro-request') && !mutualConnectionName) {
+            return res.status(400).json({
+                success: false,
+                error: 'mutualConnectionName is required for intro-request'
+            });
+        }
+
+        const languageError = getLanguageOptionError(language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        const toneError = getToneOptionError(tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
+        hold = await createStreamHold(res, userId, 'unified_generation', {
+            targetProfileUrl,
+            messageTypes,
+            totalCost: messageTypes.length * 1.0,
+            quantity: messageTypes.length
+        });
+        if (!hold) return;
+
+        const profiles = await messageGenerationService.loadGenerationProfiles(userId, targetProfileUrl);
+        if (profiles.error) {
+            await releaseCreditHold(userId, hold.holdId, profiles.reason);
+            hold = null;
+            return res.status(400).json({ success: false, error: profiles.error });
+        }
+
+        stream = openEventStream(res);
+        stream.send('start', { types: messageTypes, holdId: hold.holdId });
+
+        for (const typeKey of messageTypes) {
+            const result = await streamMessageType(stream, typeKey, { userId, profiles, outreachContext, mutualConnectionName, language, tone });
+
+            if (!result.success) {
+                // The types streamed before this one were logged and delivered - charge for those
+                const settleResult = await settleUnifiedHold(userId, hold, messageTypes, generatedMessages,
+                    result.aborted ? 'client_disconnected' : 'generation_error', { targetProfileUrl });
+                hold = null;
+                if (settleResult && !settleResult.success) {
+                    console.error('[ERROR] Failed to settle partial unified stream operation:', settleResult.error);
+                }
+                stream.send('error', {
+                    type: typeKey,
+                    error: `Failed to generate ${typeKey}`,
+                    details: result.userMessage || 'AI service temporarily unavailable',
+                    generatedCount: generatedMessages.length,
+                    credits: settleResult && settleResult.success ? {
+                        deducted: settleResult.creditsDeducted,
+                        newBalance: settleResult.newBalance
+                    } : undefined
+                });
+                return stream.end();
+            }
+
+            const tokensUsed = result.data.tokenUsage?.total_tokens || 0;
+            generatedMessages.push({
+                type: typeKey,
+                message: result.data.message,
+                messageLogId: result.data.messageLogId,
+                language: result.data.language,
+                tone: result.data.tone,
+                ...(result.data.partA !== undefined ? {
+                    partA: result.data.partA,
+                    partB: result.data.partB,
+                    forwardableBlurb: result.data.forwardableBlurb,
+                    mutualConnectionName
+                } : {}),
+                tokensUsed
+            });
+            stream.send('message', result.data);
+        }
+
+        const completionResult = await settleUnifiedHold(userId, hold, messageTypes, generatedMessages, 'generation_error', {
+            targetProfileUrl
+        });
+        hold = null;
+
+        if (!completionResult.success) {
+            console.error('[ERROR] Failed to complete unified stream operation:', completionResult.error);
+            stream.send('error', { error: 'Failed to process credits after successful generation' });
+            return stream.end();
+        }
+
+        console.log(`[MONEY] Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
+
+        stream.send('done', {
+            success: true,
+            data: generatedMessages,
+            credits: {
+                deducted: completionResult.creditsDeducted,
+                newBalance: completionResult.newBalance,
+                renewableCredits: completionResult.renewableCredits,
+                payasyougoCredits: completionResult.payasyougoCredits,
+                transactionId: completionResult.transactionId
+            }
+        });
+        stream.end();
+
+    } catch (error) {
+        console.error('[ERROR] Unified stream error:', error);
+
+        if (hold) {
+            await settleUnifiedHold(userId, hold, req.body.messageTypes, generatedMessages, 'generation_error', {
+                targetProfileUrl: req.body.targetProfileUrl
+            });
+        }
+
+        if (!stream) {
+            return res.status(500).json({
+                success: false,
+                error: 'Unified generation failed',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+
+        stream.send('error', {
+            error: 'Message generation failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+        stream.end();
+    }
+}
+
+module.exports = {
+    handleGenerateMessageStream,
+    handleGenerateConnectionStream,
+    handleGenerateIntroStream,
+    handleGenerateColdEmailStream,
+    handleGenerateUnifiedStream
+};
@@ -0,0 +1,324 @@
+// controllers/messageTypesController.js
+// ✉️ InMail, post comment and event follow-up generation. The three types share one flow
+// (validate -> hold -> load profiles -> generate -> log -> settle); TYPE_CONFIGS holds what differs per type.
+// skipCredits works like in messagesController: the unified endpoint holds and settles credits itself.
+
+const {
+    createCreditHold,
+    releaseCreditHold,
+    completeOperation,
+    isCreditRefusal
+} = require('../credits');
+const gptService = require('../services/gptService');
+const messageGenerationService = require('../services/messageGenerationService');
+const { getLanguageOptionError } = require('../config/languages');
+const { getToneOptionError } = require('../config/tones');
+
+const MAX_EVENT_NAME_LENGTH = 200;
+const MAX_EVENT_DATE_LENGTH = 50;
+const MAX_EVENT_NOTES_LENGTH = 2000;
+
+// Optional free-text field - null when valid
+function getTextFieldError(value, field, maxLength) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') return `${field} must be a string`;
+    if (value.trim().length > maxLength) return `${field} must be at most ${maxLength} characters`;
+    return null;
+}
+
+/*
+ * Per-type settings:
+ *   readInput(body)                  -> { input } or { error } - request checks, before credits are held
+ *   resolveInput(input, profiles)    -> { input } or { error } - checks that need the target profile
+ *   generate(profiles, context, input, options) -> gptService result
+ *   dataJson(input, gptResult)       -> message_logs.data_json (optional, default rawResponse)
+ *   responseData(input, gptResult)   -> extra response fields (optional)
+ */
+const TYPE_CONFIGS = {
+    inmail: {
+        messageType: 'inmail',
+        operationType: 'inmail_generation',
+        logTag: '[INMAIL]',
+        label: 'InMail',
+        readInput: () => ({ input: {} }),
+        resolveInput: (input) => ({ input }),
+        generate: (profiles, context, input, options) =>
+            gptService.generateInMail(profiles.userProfile, profiles.targetProfile, context, options),
+        responseData: (input, gptResult) => ({
+            subject: gptResult.subject,
+            body: gptResult.body
+        })
+    },
+
+    postComment: {
+        messageType: 'post_comment',
+        operationType: 'post_comment_generation',
+        logTag: '[POST_COMMENT]',
+        label: 'Post comment',
+        // postIndex picks an entry of the target's activity (GET /target-posts) - default: most recent post
+        readInput: (body) => {
+            if (body.postIndex === undefined || body.postIndex === null || body.postIndex === '') {
+                return { input: { postIndex: null } };
+            }
+            const postIndex = Number(body.postIndex);
+            if (!Number.isInteger(postIndex) || postIndex < 0) {
+                return { error: 'postIndex must be a non-negative whole number' };
+            }
+            return { input: { postIndex } };
+        },
+        resolveInput: (input, profiles) => {
+            const posts = gptService.getTargetPosts(profiles.targetProfile);
+            if (posts.length === 0) {
+                return { error: 'No posts found on the target profile. Re-analyze the profile or pick another message type.', reason: 'no_target_posts' };
+            }
+            const post = input.postIndex === null ? posts[0] : posts.find(candidate => candidate.index === input.postIndex);
+            if (!post) {
+                return { error: `Post ${input.postIndex} not found on the target profile`, reason: 'post_not_found' };
+            }
+            return { input: { ...input, post } };
+        },
+        generate: (profiles, context, input, options) =>
+            gptService.generatePostComment(profiles.userProfile, profiles.targetProfile, context, input.post, options),
+        dataJson: (input, gptResult) => ({ post: input.post, rawResponse: gptResult.rawResponse }),
+        responseData: (input) => ({ post: input.post })
+    },
+
+    eventFollowUp: {
+        messageType: 'event_followup',
+        operationType: 'event_followup_generation',
+        logTag: '[EVENT_FOLLOWUP]',
+        label: 'Event follow-up',
+        readInput: (body) => {
+            const { eventName, eventDate, eventNotes } = body;
+            if (!eventName || typeof eventName !== 'string' || !eventName.trim()) {
+                return { error: 'eventName is required' };
+            }
+            const fieldError = getTextFieldError(eventName, 'eventName', MAX_EVENT_NAME_LENGTH) ||
+                getTextFieldError(eventDate, 'eventDate', MAX_EVENT_DATE_LENGTH) ||
+                getTextFieldError(eventNotes, 'eventNotes', MAX_EVENT_NOTES_LENGTH);
+            if (fieldError) {
+                return { error: fieldError };
+            }
+            return {
+                input: {
+                    event: {
+                        name: eventName.trim(),
+                        date: eventDate ? eventDate.trim() : null,
+                        notes: eventNotes ? eventNotes.trim() : null
+                    }
+                }
+            };
+        },
+        resolveInput: (input) => ({ input }),
+        generate: (profiles, context, input, options) =>
+            gptService.generateEventFollowUp(profiles.userProfile, profiles.targetProfile, context, input.event, options),
+        dataJson: (input, gptResult) => ({ event: input.event, rawResponse: gptResult.rawResponse }),
+        responseData: (input) => ({ event: input.event })
+    }
+};
+
+async function handleTypedGeneration(req, res, config, skipCredits) {
+    const userId = req.user.id;
+    let holdId = null;
+
+    try {
+        const { targetProfileUrl, outreachContext } = req.body;
+
+        console.log(`${config.logTag} === ${config.label.toUpperCase()} GENERATION ===`);
+        console.log(`[USER] User ID: ${userId}`);
+        console.log('[UNIFIED] Skip credits:', skipCredits);
+
+        if (!targetProfileUrl || !outreachContext) {
+            return res.status(400).json({
+                success: false,
+                error: 'Target profile URL and outreach context are required'
+            });
+        }
+
+        // 🌍 LANGUAGE: 'auto' (default) or a supported code - checked before any credits are held
+        const languageError = getLanguageOptionError(req.body.language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        // 🎭 TONE: optional preset - falls back to the user's saved tone
+        const toneError = getToneOptionError(req.body.tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
+        const requestInput = config.readInput(req.body);
+        if (requestInput.error) {
+            return res.status(400).json({
+                success: false,
+                error: requestInput.error
+            });
+        }
+
+        let holdResult = null;
+        if (!skipCredits) {
+            holdResult = await createCreditHold(userId, config.operationType, {
+                targetProfileUrl: targetProfileUrl,
+                outreachContext: outreachContext,
+                timestamp: new Date().toISOString()
+            });
+
+            if (!holdResult.success) {
+                if (isCreditRefusal(holdResult.error)) {
+                    return res.status(402).json({
+                        success: false,
+                        error: holdResult.error,
+                        userMessage: holdResult.userMessage,
+                        currentCredits: holdResult.currentCredits,
+                        requiredCredits: holdResult.requiredCredits
+                    });
+                }
+
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to create credit hold',
+                    details: holdResult.error
+                });
+            }
+
+            holdId = holdResult.holdId;
+            console.log(`[SUCCESS] Credit hold created: ${holdId} for ${holdResult.amountHeld} credits`);
+        }
+
+        const profiles = await messageGenerationService.loadGenerationProfiles(userId, targetProfileUrl);
+        const resolved = profiles.error ? profiles : config.resolveInput(requestInput.input, profiles);
+        if (resolved.error) {
+            if (holdId) {
+                await releaseCreditHold(userId, holdId, resolved.reason || 'invalid_input');
+            }
+            return res.status(400).json({
+                success: false,
+                error: resolved.error
+            });
+        }
+        const input = resolved.input;
+
+        const gptStartTime = Date.now();
+        const gptResult = await config.generate(profiles, outreachContext, input, {
+            language: req.body.language,
+            tone: req.body.tone
+        });
+        const gptLatency = Date.now() - gptStartTime;
+
+        if (!gptResult.success) {
+            console.error(`[ERROR] ${config.label} generation failed:`, gptResult.error);
+            if (holdId) {
+                await releaseCreditHold(userId, holdId, 'gpt_generation_failed');
+            }
+            return res.status(500).json({
+                success: false,
+                error: `${config.label} generation failed`,
+                details: gptResult.userMessage || 'AI service temporarily unavailable'
+            });
+        }
+
+        const messageLogId = await messageGenerationService.logGeneratedMessage({
+            userId,
+            targetProfileUrl: profiles.cleanTargetUrl,
+            message: gptResult.message,
+            context: outreachContext,
+            messageType: config.messageType,
+            gptResult,
+            dataJson: config.dataJson ? config.dataJson(input, gptResult) : undefined
+        });
+        console.log(`[SUCCESS] ${config.label} logged with ID:`, messageLogId);
+
+        let completionResult = null;
+        if (!skipCredits) {
+            completionResult = await completeOperation(userId, holdId, {
+                messageGenerated: true,
+                messageType: config.messageType,
+                messageLength: gptResult.message.length,
+                targetUrl: targetProfileUrl,
+                messageLogId: messageLogId,
+                tokenUsage: gptResult.tokenUsage
+            });
+
+            if (!completionResult.success) {
+                console.error('[ERROR] Failed to complete operation:', completionResult.error);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to process credits after successful generation'
+                });
+            }
+
+            console.log(`[MONEY] Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
+        } else {
+            console.log('[UNIFIED] Skipping credit completion - managed by unified endpoint');
+        }
+
+        const tokensUsed = gptResult.tokenUsage?.total_tokens || 0;
+        res.json({
+            success: true,
+            message: `${config.label} generated successfully`,
+            data: {
+                message: gptResult.message,
+                messageType: config.messageType,
+                ...(config.responseData ? config.responseData(input, gptResult) : {}),
+                outreachContext: outreachContext,
+                targetProfileUrl: targetProfileUrl,
+                messageLogId: messageLogId,
+                tokenUsage: gptResult.tokenUsage,
+                language: gptResult.metadata.language,
+                tone: gptResult.metadata.tone,
+                processingTime: gptLatency
+            },
+            // Unified calls only need the token count
+            credits: completionResult ? {
+                deducted: completionResult.creditsDeducted,
+                newBalance: completionResult.newBalance,
+                renewableCredits: completionResult.renewableCredits,
+                payasyougoCredits: completionResult.payasyougoCredits,
+                transactionId: completionResult.transactionId,
+                tokensUsed: tokensUsed
+            } : {
+                tokensUsed: tokensUsed
+            }
+        });
+
+    } catch (error) {
+        console.error(`[ERROR] ${config.label} generation error:`, error);
+
+        if (holdId) {
+            await releaseCreditHold(userId, holdId, 'processing_error');
+        }
+
+        res.status(500).json({
+            success: false,
+            error: `${config.label} generation failed`,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// POST /generate-inmail
+async function handleGenerateInMail(req, res, skipCredits = false) {
+    return handleTypedGeneration(req, res, TYPE_CONFIGS.inmail, skipCredits);
+}
+
+// POST /generate-post-comment - body.postIndex (optional) from GET /target-posts
+async function handleGeneratePostComment(req, res, skipCredits = false) {
+    return handleTypedGeneration(req, res, TYPE_CONFIGS.postComment, skipCredits);
+}
+
+// POST /generate-event-followup - body.eventName (required), eventDate, eventNotes
+async function handleGenerateEventFollowUp(req, res, skipCredits = false) {
+    return handleTypedGeneration(req, res, TYPE_CONFIGS.eventFollowUp, skipCredits);
+}
+
+module.exports = {
+    handleGenerateInMail,
+    handleGeneratePostComment,
+    handleGenerateEventFollowUp
+};
@@ -1,19 +1,256 @@
 // controllers/messagesController.js
 // Messages Controller - GPT-5 powered message generation handlers
 // UNIFIED FIX: Added skipCredits parameter to prevent double charging when called from unified endpoint
+// 🔀 VARIANTS: Opt-in `variants: N` on message / connection / cold email returns N drafts under one generation group
 
+const crypto = require('crypto');
 const { pool } = require('../utils/database');
 const { cleanLinkedInUrl } = require('../utils/helpers');
 const {
     createCreditHold,
     releaseCreditHold,
-    completeOperation
+    completeOperation,
+    isCreditRefusal
 } = require('../credits');
 const gptService = require('../services/gptService');
+const { getLanguageOptionError } = require('../config/languages');
+const { getToneOptionError } = require('../config/tones');
+const messageGenerationService = require('../services/messageGenerationService');
+const webhookService = require('../services/webhookService');
+
+// 🔀 VARIANTS: per-endpoint settings for multi-draft generation
+const VARIANT_TYPES = {
+    message: { messageType: 'inbox_message', operationType: 'message_generation', logType: 'message', label: 'LinkedIn message' },
+    connection: { messageType: 'connection_request', operationType: 'connection_generation', logType: 'connection_request', label: 'Connection request' },
+    coldEmail: { messageType: 'cold_email', operationType: 'cold_email_generation', logType: 'cold_email', label: 'Cold email' }
+};
+
+// 🔔 message.generated webhook for a message_logs row written by the handlers below
+function emitMessageGenerated(userId, messageLogId, messageType, targetProfileUrl, message, gptResult) {
+    webhookService.emit(userId, 'message.generated', {
+        source: 'extension',
+        messageId: messageLogId,
+        messageType: messageType,
+        targetProfileUrl: targetProfileUrl,
+        message: message,
+        language: gptResult.metadata.language,
+        tone: gptResult.metadata.tone
+    });
+}
+
+// True when the request opted into multiple drafts (variants: 1 keeps the classic single-message flow)
+function wantsVariants(req, skipCredits) {
+    return !skipCredits && req.body.variants !== undefined && req.body.variants !== null && Number(req.body.variants) !== 1;
+}
+
+// 🔀 NEW: Generate N drafts in one request - one credit hold for all drafts, charged only for the drafts delivered
+async function handleVariantGeneration(req, res, config) {
+    const userId = req.user.id;
+    let holdId = null;
+
+    try {
+        const { targetProfileUrl, outreachContext } = req.body;
+        const variantCount = Number(req.body.variants);
+
+        console.log(`[VARIANTS] === ${config.label.toUpperCase()} - ${req.body.variants} VARIANTS ===`);
+        console.log(`[USER] User ID: ${userId}`);
+
+        if (!targetProfileUrl || !outreachContext) {
+            return res.status(400).json({
+                success: false,
+                error: 'Target profile URL and outreach context are required'
+            });
+        }
+
+        // 🌍 LANGUAGE: 'auto' (default) or a supported code - checked before any credits are held
+        const languageError = getLanguageOptionError(req.body.language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        // 🎭 TONE: optional preset - falls back to the user's saved tone
+        const toneError = getToneOptionError(req.body.tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
+        if (!Number.isInteger(variantCount) || variantCount < 2 || variantCount > gptService.MAX_VARIANTS) {
+            return res.status(400).json({
+                success: false,
+                error: `variants must be a whole number between 1 and ${gptService.MAX_VARIANTS}`
+            });
+        }
+
+        const holdResult = await createCreditHold(userId, config.operationType, {
+            targetProfileUrl: targetProfileUrl,
+            outreachContext: outreachContext,
+            quantity: variantCount,
+            timestamp: new Date().toISOString()
+        });
+
+        if (!holdResult.success) {
+            if (isCreditRefusal(holdResult.error)) {
+                return res.status(402).json({
+                    success: false,
+                    error: holdResult.error,
+                    userMessage: holdResult.userMessage,
+                    currentCredits: holdResult.currentCredits,
+                    requiredCredits: holdResult.requiredCredits
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create credit hold',
+                details: holdResult.error
+            });
+        }
+
+        holdId = holdResult.holdId;
+        console.log(`[SUCCESS] Credit hold created: ${holdId} for ${holdResult.amountHeld} credits (${variantCount} variants)`);
+
+        const profiles = await messageGenerationService.loadGenerationProfiles(userId, targetProfileUrl);
+        if (profiles.error) {
+            await releaseCreditHold(userId, holdId, profiles.reason);
+            return res.status(400).json({
+                success: false,
+                error: profiles.error
+            });
+        }
+
+        const gptStartTime = Date.now();
+        const results = await gptService.generateVariants(
+            profiles.userProfile,
+            profiles.targetProfile,
+            outreachContext,
+            config.messageType,
+            variantCount,
+            { language: req.body.language, tone: req.body.tone }
+        );
+        const gptLatency = Date.now() - gptStartTime;
+
+        const successful = results.filter(result => result.success);
+        if (successful.length === 0) {
+            console.error('[ERROR] All variants failed:', results.map(result => result.error));
+            await releaseCreditHold(userId, holdId, 'gpt_generation_failed');
+            return res.status(500).json({
+                success: false,
+                error: 'Message generation failed',
+                details: results[0]?.userMessage || 'AI service temporarily unavailable'
+            });
+        }
+
+        // Store every draft under one generation group
+        const generationGroupId = `gen_${crypto.randomUUID()}`;
+        const variants = [];
+        const tokenUsage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+
+        for (const result of successful) {
+            const messageLogId = await messageGenerationService.logGeneratedMessage({
+                userId,
+                targetProfileUrl: profiles.cleanTargetUrl,
+                message: result.message,
+                context: outreachContext,
+                messageType: config.logType,
+                gptResult: result,
+                extraColumns: {
+                    generation_group_id: generationGroupId,
+                    variant_index: result.variantIndex,
+                    variant_angle: result.variantAngle
+                }
+            });
+
+            tokenUsage.input_tokens += result.tokenUsage.input_tokens || 0;
+            tokenUsage.output_tokens += result.tokenUsage.output_tokens || 0;
+            tokenUsage.total_tokens += result.tokenUsage.total_tokens || 0;
+
+            variants.push({
+                messageLogId: messageLogId,
+                variantIndex: result.variantIndex,
+                angle: result.variantAngle,
+                message: result.message,
+                tokenUsage: result.tokenUsage
+            });
+        }
+
+        console.log(`[SUCCESS] ${variants.length}/${variantCount} variants logged in group ${generationGroupId}`);
+
+        // Charge only for delivered drafts
+        const completionResult = await completeOperation(userId, holdId, {
+            messageGenerated: true,
+            generationGroupId: generationGroupId,
+            variantsRequested: variantCount,
+            variantsGenerated: variants.length,
+            settleAmount: holdResult.amountHeld * (variants.length / variantCount),
+            targetUrl: targetProfileUrl,
+            tokenUsage: tokenUsage
+        });
+
+        if (!completionResult.success) {
+            console.error('[ERROR] Failed to complete operation:', completionResult.error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to process credits after successful generation'
+            });
+        }
+
+        console.log(`[MONEY] Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
+
+        res.json({
+            success: true,
+            message: `${variants.length} ${config.label} variants generated successfully`,
+            data: {
+                message: variants[0].message, // First draft keeps single-message clients working
+                generationGroupId: generationGroupId,
+                variants: variants,
+                variantsRequested: variantCount,
+                failedVariants: variantCount - variants.length,
+                outreachContext: outreachContext,
+                targetProfileUrl: targetProfileUrl,
+                tokenUsage: tokenUsage,
+                language: successful[0].metadata.language,
+                tone: successful[0].metadata.tone,
+                processingTime: gptLatency
+            },
+            credits: {
+                deducted: completionResult.creditsDeducted,
+                newBalance: completionResult.newBalance,
+                renewableCredits: completionResult.renewableCredits,
+                payasyougoCredits: completionResult.payasyougoCredits,
+                transactionId: completionResult.transactionId,
+                tokensUsed: tokenUsage.total_tokens
+            }
+        });
+
+    } catch (error) {
+        console.error('[ERROR] Variant generation error:', error);
+
+        if (holdId) {
+            await releaseCreditHold(userId, holdId, 'processing_error');
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Message generation failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
 
 // FIXED: Enhanced Message Generation with GPT-5 and comprehensive logging + VARCHAR(50) fix + UNIFIED SUPPORT
 async function handleGenerateMessage(req, res, skipCredits = false) {
     let holdId = null;
+
+    // 🔀 VARIANTS: Multi-draft requests take their own path
+    if (wantsVariants(req, skipCredits)) {
+        return handleVariantGeneration(req, res, VARIANT_TYPES.message);
+    }
     
     try {
         console.log('[MESSAGE] === GPT-5 MESSAGE GENERATION WITH DUAL CREDITS ===');
@@ -33,6 +270,24 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
             });
         }
 
+        // 🌍 LANGUAGE: 'auto' (default) or a supported code - checked before any credits are held
+        const languageError = getLanguageOptionError(req.body.language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        // 🎭 TONE: optional preset - falls back to the user's saved tone
+        const toneError = getToneOptionError(req.body.tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
         console.log('[CHECK] targetProfileUrl:', targetProfileUrl.substring(0, 50) + '...');
         console.log('[CHECK] outreachContext length:', outreachContext.length);
 
@@ -47,10 +302,10 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
             });
 
             if (!holdResult.success) {
-                if (holdResult.error === 'insufficient_credits') {
+                if (isCreditRefusal(holdResult.error)) {
                     return res.status(402).json({
                         success: false,
-                        error: 'insufficient_credits',
+                        error: holdResult.error,
                         userMessage: holdResult.userMessage,
                         currentCredits: holdResult.currentCredits,
                         requiredCredits: holdResult.requiredCredits
@@ -83,7 +338,9 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
                 experience,
                 education,
                 skills,
-                about
+                about,
+                tone_preset,
+                writing_sample
             FROM user_profiles
             WHERE user_id = $1
         `, [userId]);
@@ -161,7 +418,8 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
             userProfile,
             targetProfile,
             outreachContext,
-            'inbox_message'
+            'inbox_message',
+            { language: req.body.language, tone: req.body.tone }
         );
 
         const gptEndTime = Date.now();
@@ -228,8 +486,13 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
                 total_tokens,
                 latency_ms,
                 data_json,
+                prompt_template_id,
+                prompt_experiment_id,
+                prompt_experiment_arm,
+                language,
+                tone,
                 created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW())
             RETURNING id
         `, [
             userId,
@@ -245,11 +508,17 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
             gptResult.tokenUsage.output_tokens,
             gptResult.tokenUsage.total_tokens,
             gptResult.metadata.latency_ms,
-            JSON.stringify(gptResult.rawResponse)
+            JSON.stringify(gptResult.rawResponse),
+            gptResult.metadata.prompt_template_id,
+            gptResult.metadata.prompt_experiment_id,
+            gptResult.metadata.prompt_experiment_arm,
+            gptResult.metadata.language,
+            gptResult.metadata.tone
         ]);
 
         const messageLogId = messageLogResult.rows[0].id;
         console.log('[SUCCESS] Message log inserted with ID:', messageLogId);
+        emitMessageGenerated(userId, messageLogId, 'message', cleanTargetUrl, generatedMessage, gptResult);
 
         // UNIFIED FIX: Only complete operation if not called from unified endpoint
         let completionResult = null;
@@ -287,6 +556,8 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
                 targetProfileUrl: targetProfileUrl,
                 messageLogId: messageLogId,
                 tokenUsage: gptResult.tokenUsage,
+                language: gptResult.metadata.language,
+                tone: gptResult.metadata.tone,
                 processingTime: gptLatency
             }
         };
@@ -328,6 +599,11 @@ async function handleGenerateMessage(req, res, skipCredits = false) {
 // COMPLETED: Connection Request Generation with dual credit system + VARCHAR(50) fix + UNIFIED SUPPORT
 async function handleGenerateConnection(req, res, skipCredits = false) {
     let holdId = null;
+
+    // 🔀 VARIANTS: Multi-draft requests take their own path
+    if (wantsVariants(req, skipCredits)) {
+        return handleVariantGeneration(req, res, VARIANT_TYPES.connection);
+    }
     
     try {
         console.log('[CONNECT] === CONNECTION GENERATION WITH DUAL CREDITS ===');
@@ -344,6 +620,24 @@ async function handleGenerateConnection(req, res, skipCredits = false) {
             });
         }
 
+        // 🌍 LANGUAGE: 'auto' (default) or a supported code - checked before any credits are held
+        const languageError = getLanguageOptionError(req.body.language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        // 🎭 TONE: optional preset - falls back to the user's saved tone
+        const toneError = getToneOptionError(req.body.tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
         console.log('[CHECK] targetProfileUrl:', targetProfileUrl.substring(0, 50) + '...');
         console.log('[CHECK] outreachContext length:', outreachContext.length);
 
@@ -358,10 +652,10 @@ async function handleGenerateConnection(req, res, skipCredits = false) {
             });
 
             if (!holdResult.success) {
-                if (holdResult.error === 'insufficient_credits') {
+                if (isCreditRefusal(holdResult.error)) {
                     return res.status(402).json({
                         success: false,
-                        error: 'insufficient_credits',
+                        error: holdResult.error,
                         userMessage: holdResult.userMessage,
                         currentCredits: holdResult.currentCredits,
                         requiredCredits: holdResult.requiredCredits
@@ -394,7 +688,9 @@ async function handleGenerateConnection(req, res, skipCredits = false) {
                 experience,
                 education,
                 skills,
-                about
+                about,
+                tone_preset,
+                writing_sample
             FROM user_profiles
             WHERE user_id = $1
         `, [userId]);
@@ -446,7 +742,8 @@ async function handleGenerateConnection(req, res, skipCredits = false) {
         const gptResult = await gptService.generateLinkedInConnection(
             userProfile,
             targetProfile,
-            outreachContext
+            outreachContext,
+            { language: req.body.language, tone: req.body.tone }
         );
 
         const gptEndTime = Date.now();
@@ -497,8 +794,13 @@ async function handleGenerateConnection(req, res, skipCredits = false) {
                 total_tokens,
                 latency_ms,
                 data_json,
+                prompt_template_id,
+                prompt_experiment_id,
+                prompt_experiment_arm,
+                language,
+                tone,
                 created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW())
             RETURNING id
         `, [
             userId,
@@ -515,11 +817,17 @@ async function handleGenerateConnection(req, res, skipCredits = false) {
             gptResult.tokenUsage.output_tokens,
             gptResult.tokenUsage.total_tokens,
             gptResult.metadata.latency_ms,
-            JSON.stringify(gptResult.rawResponse)
+            JSON.stringify(gptResult.rawResponse),
+            gptResult.metadata.prompt_template_id,
+            gptResult.metadata.prompt_experiment_id,
+            gptResult.metadata.prompt_experiment_arm,
+            gptResult.metadata.language,
+            gptResult.metadata.tone
         ]);
 
         const messageLogId = messageLogResult.rows[0].id;
         console.log('[SUCCESS] Connection log inserted with ID:', messageLogId);
+        emitMessageGenerated(userId, messageLogId, 'connection_request', cleanTargetUrl, generatedConnection, gptResult);
 
         // UNIFIED FIX: Only complete operation if not called from unified endpoint
         let completionResult = null;
@@ -557,6 +865,8 @@ async function handleGenerateConnection(req, res, skipCredits = false) {
                 targetProfileUrl: targetProfileUrl,
                 messageLogId: messageLogId,
                 tokenUsage: gptResult.tokenUsage,
+                language: gptResult.metadata.language,
+                tone: gptResult.metadata.tone,
                 processingTime: gptLatency
             }
         };
@@ -614,6 +924,24 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
             });
         }
 
+        // 🌍 LANGUAGE: 'auto' (default) or a supported code - checked before any credits are held
+        const languageError = getLanguageOptionError(req.body.language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        // 🎭 TONE: optional preset - falls back to the user's saved tone
+        const toneError = getToneOptionError(req.body.tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
         console.log('[CHECK] targetProfileUrl:', targetProfileUrl.substring(0, 50) + '...');
         console.log('[CHECK] outreachContext length:', outreachContext.length);
         console.log('[CHECK] mutualConnectionName:', mutualConnectionName);
@@ -630,10 +958,10 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
             });
 
             if (!holdResult.success) {
-                if (holdResult.error === 'insufficient_credits') {
+                if (isCreditRefusal(holdResult.error)) {
                     return res.status(402).json({
                         success: false,
-                        error: 'insufficient_credits',
+                        error: holdResult.error,
                         userMessage: holdResult.userMessage,
                         currentCredits: holdResult.currentCredits,
                         requiredCredits: holdResult.requiredCredits
@@ -666,7 +994,9 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
                 experience,
                 education,
                 skills,
-                about
+                about,
+                tone_preset,
+                writing_sample
             FROM user_profiles
             WHERE user_id = $1
         `, [userId]);
@@ -719,7 +1049,8 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
             userProfile,
             targetProfile,
             outreachContext,
-            mutualConnectionName
+            mutualConnectionName,
+            { language: req.body.language, tone: req.body.tone }
         );
 
         const gptEndTime = Date.now();
@@ -775,8 +1106,13 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
                 total_tokens,
                 latency_ms,
                 data_json,
+                prompt_template_id,
+                prompt_experiment_id,
+                prompt_experiment_arm,
+                language,
+                tone,
                 created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW())
             RETURNING id
         `, [
             userId,
@@ -793,11 +1129,17 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
             gptResult.tokenUsage.output_tokens,
             gptResult.tokenUsage.total_tokens,
             gptResult.metadata.latency_ms,
-            JSON.stringify({ partA, partB, mutualConnectionName, rawResponse: gptResult.rawResponse })
+            JSON.stringify({ partA, partB, mutualConnectionName, validation: gptResult.validation, rawResponse: gptResult.rawResponse }),
+            gptResult.metadata.prompt_template_id,
+            gptResult.metadata.prompt_experiment_id,
+            gptResult.metadata.prompt_experiment_arm,
+            gptResult.metadata.language,
+            gptResult.metadata.tone
         ]);
 
         const messageLogId = messageLogResult.rows[0].id;
         console.log('[SUCCESS] Intro log inserted with ID:', messageLogId);
+        emitMessageGenerated(userId, messageLogId, 'intro_request', cleanTargetUrl, combinedMessage, gptResult);
 
         // UNIFIED FIX: Only complete operation if not called from unified endpoint
         let completionResult = null;
@@ -834,11 +1176,14 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
                 partA: partA,
                 partB: partB,
                 combinedMessage: combinedMessage, // Keep original field for backwards compatibility
+                forwardableBlurb: partB, // 🤝 Part B is written to be forwarded to the target as-is
                 outreachContext: outreachContext,
                 targetProfileUrl: targetProfileUrl,
                 mutualConnectionName: mutualConnectionName,
                 messageLogId: messageLogId,
                 tokenUsage: gptResult.tokenUsage,
+                language: gptResult.metadata.language,
+                tone: gptResult.metadata.tone,
                 processingTime: gptLatency
             }
         };
@@ -880,6 +1225,11 @@ async function handleGenerateIntro(req, res, skipCredits = false) {
 // NEW: Cold Email Generation with dual credit system + VARCHAR(50) fix + UNIFIED SUPPORT
 async function handleGenerateColdEmail(req, res, skipCredits = false) {
     let holdId = null;
+
+    // 🔀 VARIANTS: Multi-draft requests take their own path
+    if (wantsVariants(req, skipCredits)) {
+        return handleVariantGeneration(req, res, VARIANT_TYPES.coldEmail);
+    }
     
     try {
         console.log('[COLD_EMAIL] === COLD EMAIL GENERATION WITH DUAL CREDITS ===');
@@ -896,6 +1246,24 @@ async function handleGenerateColdEmail(req, res, skipCredits = false) {
             });
         }
 
+        // 🌍 LANGUAGE: 'auto' (default) or a supported code - checked before any credits are held
+        const languageError = getLanguageOptionError(req.body.language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        // 🎭 TONE: optional preset - falls back to the user's saved tone
+        const toneError = getToneOptionError(req.body.tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
+            });
+        }
+
         console.log('[CHECK] targetProfileUrl:', targetProfileUrl.substring(0, 50) + '...');
         console.log('[CHECK] outreachContext length:', outreachContext.length);
 
@@ -910,10 +1278,10 @@ async function handleGenerateColdEmail(req, res, skipCredits = false) {
             });
 
             if (!holdResult.success) {
-                if (holdResult.error === 'insufficient_credits') {
+                if (isCreditRefusal(holdResult.error)) {
                     return res.status(402).json({
                         success: false,
-                        error: 'insufficient_credits',
+                        error: holdResult.error,
                         userMessage: holdResult.userMessage,
                         currentCredits: holdResult.currentCredits,
                         requiredCredits: holdResult.requiredCredits
@@ -946,7 +1314,9 @@ async function handleGenerateColdEmail(req, res, skipCredits = false) {
                 experience,
                 education,
                 skills,
-                about
+                about,
+                tone_preset,
+                writing_sample
             FROM user_profiles
             WHERE user_id = $1
         `, [userId]);
@@ -998,7 +1368,8 @@ async function handleGenerateColdEmail(req, res, skipCredits = false) {
         const gptResult = await gptService.generateColdEmail(
             userProfile,
             targetProfile,
-            outreachContext
+            outreachContext,
+            { language: req.body.language, tone: req.body.tone }
         );
 
         const gptEndTime = Date.now();
@@ -1049,8 +1420,13 @@ async function handleGenerateColdEmail(req, res, skipCredits = false) {
                 total_tokens,
                 latency_ms,
                 data_json,
+                prompt_template_id,
+                prompt_experiment_id,
+                prompt_experiment_arm,
+                language,
+                tone,
                 created_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW())
             RETURNING id
         `, [
             userId,
@@ -1067,11 +1443,17 @@ async function handleGenerateColdEmail(req, res, skipCredits = false) {
             gptResult.tokenUsage.output_tokens,
             gptResult.tokenUsage.total_tokens,
             gptResult.metadata.latency_ms,
-            JSON.stringify(gptResult.rawResponse)
+            JSON.stringify(gptResult.rawResponse),
+            gptResult.metadata.prompt_template_id,
+            gptResult.metadata.prompt_experiment_id,
+            gptResult.metadata.prompt_experiment_arm,
+            gptResult.metadata.language,
+            gptResult.metadata.tone
         ]);
 
         const messageLogId = messageLogResult.rows[0].id;
         console.log('[SUCCESS] Cold email log inserted with ID:', messageLogId);
+        emitMessageGenerated(userId, messageLogId, 'cold_email', cleanTargetUrl, generatedColdEmail, gptResult);
 
         // UNIFIED FIX: Only complete operation if not called from unified endpoint
         let completionResult = null;
@@ -1109,6 +1491,8 @@ async function handleGenerateColdEmail(req, res, skipCredits = false) {
                 targetProfileUrl: targetProfileUrl,
                 messageLogId: messageLogId,
                 tokenUsage: gptResult.tokenUsage,
+                language: gptResult.metadata.language,
+                tone: gptResult.metadata.tone,
                 processingTime: gptLatency
             }
         };
@@ -0,0 +1,259 @@
+// controllers/replyController.js
+// Reply-aware follow-up - the user pastes the target's reply to a logged message and gets a response
+// that answers it (objections, questions, meeting times, polite close) using the stored target profile
+// and the original outreach context. Charged as a normal message_generation through credits.js.
+
+const { pool } = require('../utils/database');
+const {
+    createCreditHold,
+    releaseCreditHold,
+    completeOperation,
+    isCreditRefusal
+} = require('../credits');
+const gptService = require('../services/gptService');
+const messageGenerationService = require('../services/messageGenerationService');
+const { getLanguageOptionError } = require('../config/languages');
+
+const MAX_REPLY_LENGTH = 4000;
+
+// Human-readable channel of the original message (helps the model match the medium)
+function describeChannel(messageType) {
+    switch (messageType) {
+        case 'connection_request':
+            return 'LinkedIn connection request';
+        case 'cold_email':
+            return 'cold email';
+        case 'reply_response':
+            return 'LinkedIn reply';
+        case 'inmail':
+            return 'LinkedIn InMail';
+        case 'post_comment':
+            return 'comment on their LinkedIn post';
+        case 'event_followup':
+            return 'LinkedIn follow-up after we met';
+        default:
+            return 'LinkedIn message';
+    }
+}
+
+// POST /messages/:id/reply-response
+async function handleGenerateReplyResponse(req, res) {
+    const userId = req.user.id;
+    let holdId = null;
+
+    try {
+        const messageId = parseInt(req.params.id);
+        const { replyText, goal = 'auto', availability, language } = req.body;
+
+        console.log('[REPLY] === REPLY RESPONSE GENERATION ===');
+        console.log(`[USER] User ID: ${userId}, message: ${messageId}, goal: ${goal}`);
+
+        if (!messageId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid message ID'
+            });
+        }
+
+        if (!replyText || typeof replyText !== 'string' || !replyText.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'replyText is required'
+            });
+        }
+
+        if (replyText.length > MAX_REPLY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `replyText must be at most ${MAX_REPLY_LENGTH} characters`
+            });
+        }
+
+        if (!gptService.REPLY_GOALS[goal]) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid goal. Use one of: ${Object.keys(gptService.REPLY_GOALS).join(', ')}`
+            });
+        }
+
+        // 'auto' (default) answers in the language of the reply
+        const languageError = getLanguageOptionError(language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        // The message the target replied to (must belong to the user)
+        const originalResult = await pool.query(`
+            SELECT
+                id,
+                target_profile_url,
+                generated_message,
+                edited_message,
+                context_text,
+                message_type
+            FROM message_logs
+            WHERE id = $1 AND user_id = $2
+        `, [messageId, userId]);
+
+        if (originalResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found'
+            });
+        }
+
+        const original = originalResult.rows[0];
+
+        const holdResult = await createCreditHold(userId, 'message_generation', {
+            targetProfileUrl: original.target_profile_url,
+            parentMessageId: messageId,
+            replyResponse: true,
+            timestamp: new Date().toISOString()
+        });
+
+        if (!holdResult.success) {
+            if (isCreditRefusal(holdResult.error)) {
+                return res.status(402).json({
+                    success: false,
+                    error: holdResult.error,
+                    userMessage: holdResult.userMessage,
+                    currentCredits: holdResult.currentCredits,
+                    requiredCredits: holdResult.requiredCredits
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create credit hold',
+                details: holdResult.error
+            });
+        }
+
+        holdId = holdResult.holdId;
+        console.log(`[SUCCESS] Credit hold created: ${holdId} for ${holdResult.amountHeld} credits`);
+
+        const profiles = await messageGenerationService.loadGenerationProfiles(userId, original.target_profile_url);
+        if (profiles.error) {
+            await releaseCreditHold(userId, holdId, profiles.reason);
+            return res.status(400).json({
+                success: false,
+                error: profiles.error
+            });
+        }
+
+        // The user's edited text is what the target actually received
+        const originalMessage = original.edited_message || original.generated_message;
+
+        const gptStartTime = Date.now();
+        const gptResult = await gptService.generateReplyResponse(
+            profiles.userProfile,
+            profiles.targetProfile,
+            original.context_text || '',
+            {
+                originalMessage,
+                originalChannel: describeChannel(original.message_type),
+                replyText: replyText.trim(),
+                goal,
+                availability
+            },
+            { language }
+        );
+        const gptLatency = Date.now() - gptStartTime;
+
+        if (!gptResult.success) {
+            console.error('[ERROR] Reply response generation failed:', gptResult.error);
+            await releaseCreditHold(userId, holdId, 'gpt_generation_failed');
+            return res.status(500).json({
+                success: false,
+                error: 'Reply response generation failed',
+                details: gptResult.userMessage || 'AI service temporarily unavailable'
+            });
+        }
+
+        const messageLogId = await messageGenerationService.logGeneratedMessage({
+            userId,
+            targetProfileUrl: profiles.cleanTargetUrl,
+            message: gptResult.message,
+            context: original.context_text,
+            messageType: 'reply_response',
+            gptResult,
+            dataJson: { goal, availability: availability || null, rawResponse: gptResult.rawResponse },
+            extraColumns: {
+                parent_message_id: messageId,
+                reply_text: replyText.trim()
+            }
+        });
+
+        // The original message evidently got a reply - record it if the user hasn't yet
+        await pool.query(`
+            UPDATE message_logs
+            SET
+                reply_status = 'yes',
+                reply_date = COALESCE(reply_date, NOW())
+            WHERE id = $1 AND user_id = $2 AND COALESCE(reply_status, 'pending') <> 'yes'
+        `, [messageId, userId]);
+
+        console.log('[SUCCESS] Reply response logged with ID:', messageLogId);
+
+        const completionResult = await completeOperation(userId, holdId, {
+            messageGenerated: true,
+            replyResponse: true,
+            parentMessageId: messageId,
+            messageLogId: messageLogId,
+            messageLength: gptResult.message.length,
+            tokenUsage: gptResult.tokenUsage
+        });
+
+        if (!completionResult.success) {
+            console.error('[ERROR] Failed to complete operation:', completionResult.error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to process credits after successful generation'
+            });
+        }
+
+        console.log(`[MONEY] Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
+
+        res.json({
+            success: true,
+            message: 'Reply response generated successfully',
+            data: {
+                message: gptResult.message,
+                messageLogId: messageLogId,
+                parentMessageId: messageId,
+                goal: goal,
+                language: gptResult.metadata.language,
+                tokenUsage: gptResult.tokenUsage,
+                processingTime: gptLatency
+            },
+            credits: {
+                deducted: completionResult.creditsDeducted,
+                newBalance: completionResult.newBalance,
+                renewableCredits: completionResult.renewableCredits,
+                payasyougoCredits: completionResult.payasyougoCredits,
+                transactionId: completionResult.transactionId,
+                tokensUsed: gptResult.tokenUsage?.total_tokens || 0
+            }
+        });
+
+    } catch (error) {
+        console.error('[ERROR] Reply response error:', error);
+
+        if (holdId) {
+            await releaseCreditHold(userId, holdId, 'processing_error');
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Reply response generation failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+module.exports = {
+    handleGenerateReplyResponse
+};
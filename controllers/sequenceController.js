@@ -0,0 +1,294 @@
+// controllers/sequenceController.js
+// Multi-touch sequence generation - e.g. connection request (day 0), follow-up (day 3), cold email (day 10)
+// Every step is generated with the earlier steps in its prompt and stored in message_logs under one sequence_id.
+// One credit hold covers all steps (sequence_generation x steps) and is charged only when every step succeeds.
+
+const crypto = require('crypto');
+const { pool } = require('../utils/database');
+const {
+    createCreditHold,
+    releaseCreditHold,
+    completeOperation,
+    isCreditRefusal
+} = require('../credits');
+const gptService = require('../services/gptService');
+const messageGenerationService = require('../services/messageGenerationService');
+const { SEQUENCE_STEP_TYPES, DEFAULT_CADENCE, resolveCadence } = require('../config/sequences');
+const { getLanguageOptionError } = require('../config/languages');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// POST /generate-sequence
+async function handleGenerateSequence(req, res) {
+    const userId = req.user.id;
+    let holdId = null;
+
+    try {
+        console.log('[SEQUENCE] === SEQUENCE GENERATION ===');
+        console.log(`[USER] User ID: ${userId}`);
+
+        const { targetProfileUrl, outreachContext, cadence = DEFAULT_CADENCE, startDate, language } = req.body;
+
+        if (!targetProfileUrl || !outreachContext) {
+            return res.status(400).json({
+                success: false,
+                error: 'Target profile URL and outreach context are required'
+            });
+        }
+
+        // One language for the whole sequence ('auto' detects from the target profile)
+        const languageError = getLanguageOptionError(language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+
+        const resolved = resolveCadence(cadence);
+        if (resolved.error) {
+            return res.status(400).json({
+                success: false,
+                error: resolved.error
+            });
+        }
+
+        const sequenceStart = startDate ? new Date(startDate) : new Date();
+        if (isNaN(sequenceStart.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'startDate must be a valid date'
+            });
+        }
+
+        const steps = resolved.steps.map(step => ({
+            ...step,
+            ...SEQUENCE_STEP_TYPES[step.type],
+            scheduledFor: new Date(sequenceStart.getTime() + step.dayOffset * DAY_MS)
+        }));
+
+        console.log(`[SEQUENCE] Cadence: ${resolved.name} (${steps.map(step => `d${step.dayOffset}:${step.type}`).join(' -> ')})`);
+
+        const holdResult = await createCreditHold(userId, 'sequence_generation', {
+            targetProfileUrl: targetProfileUrl,
+            outreachContext: outreachContext,
+            cadence: resolved.name,
+            quantity: steps.length,
+            timestamp: new Date().toISOString()
+        });
+
+        if (!holdResult.success) {
+            if (isCreditRefusal(holdResult.error)) {
+                return res.status(402).json({
+                    success: false,
+                    error: holdResult.error,
+                    userMessage: holdResult.userMessage,
+                    currentCredits: holdResult.currentCredits,
+                    requiredCredits: holdResult.requiredCredits
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create credit hold',
+                details: holdResult.error
+            });
+        }
+
+        holdId = holdResult.holdId;
+        console.log(`[SUCCESS] Credit hold created: ${holdId} for ${holdResult.amountHeld} credits (${steps.length} steps)`);
+
+        const profiles = await messageGenerationService.loadGenerationProfiles(userId, targetProfileUrl);
+        if (profiles.error) {
+            await releaseCreditHold(userId, holdId, profiles.reason);
+            return res.status(400).json({
+                success: false,
+                error: profiles.error
+            });
+        }
+
+        const gptStartTime = Date.now();
+        const sequenceResult = await gptService.generateSequence(
+            profiles.userProfile,
+            profiles.targetProfile,
+            outreachContext,
+            steps,
+            { language }
+        );
+        const gptLatency = Date.now() - gptStartTime;
+
+        if (!sequenceResult.success) {
+            await releaseCreditHold(userId, holdId, 'gpt_generation_failed');
+            return res.status(500).json({
+                success: false,
+                error: `Sequence generation failed at step ${sequenceResult.failedStep}`,
+                details: sequenceResult.userMessage || 'AI service temporarily unavailable'
+            });
+        }
+
+        // Store all steps as one linked sequence
+        const sequenceId = `seq_${crypto.randomUUID()}`;
+        const schedule = [];
+        const tokenUsage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+
+        for (let index = 0; index < steps.length; index++) {
+            const step = steps[index];
+            const result = sequenceResult.steps[index];
+
+            const messageLogId = await messageGenerationService.logGeneratedMessage({
+                userId,
+                targetProfileUrl: profiles.cleanTargetUrl,
+                message: result.message,
+                context: outreachContext,
+                messageType: step.logType,
+                gptResult: result,
+                extraColumns: {
+                    sequence_id: sequenceId,
+                    sequence_name: resolved.name,
+                    sequence_step: index + 1,
+                    sequence_day_offset: step.dayOffset,
+                    scheduled_for: step.scheduledFor
+                }
+            });
+
+            tokenUsage.input_tokens += result.tokenUsage.input_tokens || 0;
+            tokenUsage.output_tokens += result.tokenUsage.output_tokens || 0;
+            tokenUsage.total_tokens += result.tokenUsage.total_tokens || 0;
+
+            schedule.push({
+                step: index + 1,
+                type: step.type,
+                label: step.label,
+                dayOffset: step.dayOffset,
+                scheduledFor: step.scheduledFor.toISOString(),
+                messageLogId: messageLogId,
+                message: result.message
+            });
+        }
+
+        console.log(`[SUCCESS] Sequence ${sequenceId} stored with ${schedule.length} steps`);
+
+        const completionResult = await completeOperation(userId, holdId, {
+            messageGenerated: true,
+            sequenceId: sequenceId,
+            cadence: resolved.name,
+            stepsGenerated: schedule.length,
+            targetUrl: targetProfileUrl,
+            tokenUsage: tokenUsage
+        });
+
+        if (!completionResult.success) {
+            console.error('[ERROR] Failed to complete operation:', completionResult.error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to process credits after successful generation'
+            });
+        }
+
+        console.log(`[MONEY] Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
+
+        res.json({
+            success: true,
+            message: `${schedule.length}-step sequence generated successfully`,
+            data: {
+                sequenceId: sequenceId,
+                cadence: resolved.name,
+                startDate: sequenceStart.toISOString(),
+                steps: schedule,
+                targetProfileUrl: targetProfileUrl,
+                outreachContext: outreachContext,
+                language: sequenceResult.steps[0].metadata.language,
+                tokenUsage: tokenUsage,
+                processingTime: gptLatency
+            },
+            credits: {
+                deducted: completionResult.creditsDeducted,
+                newBalance: completionResult.newBalance,
+                renewableCredits: completionResult.renewableCredits,
+                payasyougoCredits: completionResult.payasyougoCredits,
+                transactionId: completionResult.transactionId,
+                tokensUsed: tokenUsage.total_tokens
+            }
+        });
+
+    } catch (error) {
+        console.error('[ERROR] Sequence generation error:', error);
+
+        if (holdId) {
+            await releaseCreditHold(userId, holdId, 'processing_error');
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Sequence generation failed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// GET /messages/sequences/:sequenceId - Schedule with per-step status
+async function handleGetSequence(req, res) {
+    try {
+        const result = await pool.query(`
+            SELECT
+                id,
+                sequence_name,
+                sequence_step,
+                sequence_day_offset,
+                scheduled_for,
+                message_type,
+                generated_message,
+                edited_message,
+                COALESCE(sent_status, 'pending') as sent_status,
+                COALESCE(reply_status, 'pending') as reply_status,
+                sent_date,
+                reply_date,
+                target_profile_url,
+                created_at
+            FROM message_logs
+            WHERE sequence_id = $1 AND user_id = $2
+            ORDER BY sequence_step ASC
+        `, [req.params.sequenceId, req.user.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sequence not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                sequenceId: req.params.sequenceId,
+                cadence: result.rows[0].sequence_name,
+                targetProfileUrl: result.rows[0].target_profile_url,
+                steps: result.rows.map(row => ({
+                    step: row.sequence_step,
+                    messageLogId: row.id,
+                    messageType: row.message_type,
+                    dayOffset: row.sequence_day_offset,
+                    scheduledFor: row.scheduled_for,
+                    message: row.edited_message || row.generated_message,
+                    sent: row.sent_status,
+                    gotReply: row.reply_status,
+                    sentDate: row.sent_date,
+                    replyDate: row.reply_date,
+                    createdAt: row.created_at
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('[ERROR] Get sequence error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load sequence'
+        });
+    }
+}
+
+module.exports = {
+    handleGenerateSequence,
+    handleGetSequence
+};
@@ -8,8 +8,29 @@
 // CRITICAL FIX: Added missing 'unified_generation' operation type
 // STAGE 3 ADD: Added email_verification operation type for email finder feature
 // 🆕 BRIGHTDATA ADD: Added brightdata_analysis and web_message_generation operation types
+// FIXED: Added missing intro_generation operation type (hold amount was NaN)
+// 🆕 QUANTITY HOLDS: operationData.quantity holds N x the operation cost (variants, batches);
+//    completeOperation accepts operationResult.settleAmount to deduct only part of a hold
+// 🔗 SEQUENCES: Added sequence_generation operation type (charged per step)
+// ✉️ NEW MESSAGE TYPES: Added inmail_generation, post_comment_generation and event_followup_generation
+// 📦 BULK CAMPAIGNS: Added campaign_generation (one hold per campaign) - campaign holds expire after 2 days, not 1 hour
+// 🔔 WEBHOOKS: completeOperation emits credits.low when a deduction takes the balance below the threshold
+// 📒 CREDIT LEDGER: deductions, purchases and renewals post a balanced transaction to the credit ledger in the same DB transaction
+// ⏳ CREDIT POLICIES: resetRenewableCredits carries unused credits over up to the plan's rollover cap (config/billing.js);
+//    pay-as-you-go deductions come out of the soonest-expiring pack first (utils/creditPacks.js)
+// 👥 TEAMS: members of an organization with an active team plan hold and spend from its shared pool,
+//    within their monthly cap (services/organizationService.js)
+// 🚦 USAGE BUDGETS: createHold refuses holds past the user's daily / monthly spending limit; limit warnings and
+//    low balance alerts go to the notification feed + email (services/usageBudgetService.js)
+// 💸 REFUNDS: refundCredits gives back credits of an approved refund request as never-expiring pay-as-you-go credits
 
 const { pool } = require('./utils/database');
+const webhookService = require('./services/webhookService');
+const usageBudgetService = require('./services/usageBudgetService');
+const organizationService = require('./services/organizationService');
+const { lockBalances, lockPool, recordBalanceChange, recordPoolChange } = require('./utils/creditLedger');
+const { getActivePacks } = require('./utils/creditPacks');
+const { calculateRenewal, getCreditPolicy } = require('./config/billing');
 
 class CreditManager {
     constructor() {
@@ -19,6 +40,12 @@ class CreditManager {
             'message_generation': 1.0,
             'connection_generation': 1.0,
             'cold_email_generation': 1.0, // ADDED: Cold email generation support
+            'intro_generation': 1.0,      // FIXED: Intro request generation (was missing - hold amount was NaN)
+            'inmail_generation': 1.0,     // ✉️ LinkedIn InMail
+            'post_comment_generation': 1.0, // ✉️ Comment on a target's post
+            'event_followup_generation': 1.0, // ✉️ Follow-up after a meeting or event
+            'sequence_generation': 1.0,   // 🔗 Per sequence step (held with quantity = number of steps)
+            'campaign_generation': 1.0,   // 📦 Per campaign unit - one per message, one per scraped profile
             'unified_generation': 1.0,    // CRITICAL FIX: Added missing unified_generation
             'email_verification': 2.0,    // STAGE 3 ADD: Email verification operation (2 credits per successful verification)
             'brightdata_analysis': 1.0,   // 🆕 BrightData LinkedIn profile analysis
@@ -27,8 +54,14 @@ class CreditManager {
     }
 
     // ✅ ENHANCED: Check if user has sufficient credits (dual system) - FIXED
-    async checkCredits(userId, operationType) {
+    async checkCredits(userId, operationType, quantity = 1) {
         try {
+            // 👥 Team members spend from the organization's pool instead of their own balance
+            const teamPool = await organizationService.getActivePool(userId);
+            if (teamPool) {
+                return this.checkPoolCredits(userId, teamPool, operationType, quantity);
+            }
+
             const result = await pool.query(`
                 SELECT 
                     COALESCE(renewable_credits, 0)::DECIMAL(10,2) as renewable_credits, 
@@ -44,7 +77,7 @@ class CreditManager {
 
             const { renewable_credits, payasyougo_credits, total_credits } = result.rows[0];
             const currentCredits = parseFloat(total_credits) || 0;
-            const requiredCredits = this.OPERATION_COSTS[operationType] || 0;
+            const requiredCredits = parseFloat(((this.OPERATION_COSTS[operationType] || 0) * quantity).toFixed(2));
 
             console.log(`💳 Credit check for user ${userId}:`);
             console.log(`   - Renewable: ${renewable_credits || 0}`);
@@ -72,10 +105,70 @@ class CreditManager {
         }
     }
 
+    // 👥 NEW: Check a team member's hold against the shared pool and their monthly cap
+    checkPoolCredits(userId, teamPool, operationType, quantity = 1) {
+        const requiredCredits = parseFloat(((this.OPERATION_COSTS[operationType] || 0) * quantity).toFixed(2));
+        const capRemaining = teamPool.monthlyCreditCap === null
+            ? null
+            : Math.max(0, parseFloat((teamPool.monthlyCreditCap - teamPool.spentThisMonth).toFixed(2)));
+        const withinCap = capRemaining === null || capRemaining >= requiredCredits;
+
+        console.log(`💳 Team pool check for user ${userId} (organization ${teamPool.organizationId}):`);
+        console.log(`   - Pool: ${teamPool.credits}`);
+        console.log(`   - Monthly cap left: ${capRemaining === null ? 'no cap' : capRemaining}`);
+        console.log(`   - Required: ${requiredCredits}`);
+
+        return {
+            success: true,
+            hasCredits: teamPool.credits >= requiredCredits && withinCap,
+            withinCap,
+            currentCredits: teamPool.credits,
+            renewableCredits: teamPool.credits,
+            payasyougoCredits: 0,
+            requiredCredits: requiredCredits,
+            remaining: teamPool.credits - requiredCredits,
+            organizationId: teamPool.organizationId,
+            monthlyCreditCap: teamPool.monthlyCreditCap,
+            spentThisMonth: teamPool.spentThisMonth
+        };
+    }
+
+    // Why a hold can't be created - null when the credit check allows it
+    getHoldRefusal(creditCheck) {
+        // 👥 The member's monthly cap is used up even though the pool may not be
+        if (creditCheck.withinCap === false) {
+            return {
+                success: false,
+                error: 'team_spending_cap_reached',
+                userMessage: `Monthly team spending cap reached. Cap: ${creditCheck.monthlyCreditCap}, Spent this month: ${creditCheck.spentThisMonth}, Required: ${creditCheck.requiredCredits}`,
+                currentCredits: creditCheck.currentCredits,
+                requiredCredits: creditCheck.requiredCredits,
+                monthlyCreditCap: creditCheck.monthlyCreditCap,
+                spentThisMonth: creditCheck.spentThisMonth
+            };
+        }
+
+        if (!creditCheck.hasCredits) {
+            return {
+                success: false,
+                error: 'insufficient_credits',
+                userMessage: `Insufficient credits. Required: ${creditCheck.requiredCredits}, Available: ${creditCheck.currentCredits}`,
+                currentCredits: creditCheck.currentCredits,
+                renewableCredits: creditCheck.renewableCredits,
+                payasyougoCredits: creditCheck.payasyougoCredits,
+                requiredCredits: creditCheck.requiredCredits
+            };
+        }
+
+        return null;
+    }
+
     // ✅ ENHANCED: Create credit hold before operation (dual system aware)
     async createHold(userId, operationType, operationData = {}) {
         try {
-            const creditCheck = await this.checkCredits(userId, operationType);
+            // 🆕 QUANTITY HOLDS: Hold N units of the operation in one transaction
+            const quantity = Math.max(1, parseInt(operationData.quantity, 10) || 1);
+            let creditCheck = await this.checkCredits(userId, operationType, quantity);
             
             if (!creditCheck.success) {
                 return {
@@ -84,44 +177,90 @@ class CreditManager {
                 };
             }
 
-            if (!creditCheck.hasCredits) {
-                return {
-                    success: false,
-                    error: 'insufficient_credits',
-                    userMessage: `Insufficient credits. Required: ${creditCheck.requiredCredits}, Available: ${creditCheck.currentCredits}`,
-                    currentCredits: creditCheck.currentCredits,
-                    renewableCredits: creditCheck.renewableCredits,
-                    payasyougoCredits: creditCheck.payasyougoCredits,
-                    requiredCredits: creditCheck.requiredCredits
-                };
-            }
+            const refusal = this.getHoldRefusal(creditCheck);
+            if (refusal) return refusal;
 
-            const holdId = this.generateHoldId();
-            const requiredCredits = this.OPERATION_COSTS[operationType];
+            const client = await pool.connect();
+            let holdId;
+            let requiredCredits;
+            let budgetCheck;
+            try {
+                await client.query('BEGIN');
 
-            // ✅ Create hold record in credits_transactions with dual credit info
-            await pool.query(`
-                INSERT INTO credits_transactions (
-                    user_id, operation_type, amount, status, 
-                    hold_id, operation_data, created_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
-            `, [
-                userId,
-                operationType,
-                -requiredCredits,
-                'held',
-                holdId,
-                JSON.stringify({
-                    ...operationData,
-                    creditBreakdown: {
-                        renewable: creditCheck.renewableCredits,
-                        payasyougo: creditCheck.payasyougoCredits,
-                        total: creditCheck.currentCredits
+                // 🚦 Lock the user's row so concurrent holds take turns: each budget check sees the holds committed
+                // before it, and the hold is inserted before the next check runs
+                await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+                // 👥 Team pool: check again under the organization's row lock - the pool minus its open holds and the
+                // member's cap - so concurrent holds of its members can't all pass the check above
+                if (creditCheck.organizationId) {
+                    const lockedPool = await organizationService.lockActivePool(client, creditCheck.organizationId, userId);
+                    if (!lockedPool) throw new Error('Team membership changed while creating the hold');
+
+                    creditCheck = this.checkPoolCredits(userId, lockedPool, operationType, quantity);
+                    const lockedRefusal = this.getHoldRefusal(creditCheck);
+                    if (lockedRefusal) {
+                        await client.query('ROLLBACK');
+                        return lockedRefusal;
                     }
-                })
-            ]);
+                }
+
+                holdId = this.generateHoldId();
+                requiredCredits = creditCheck.requiredCredits;
+
+                // 🚦 The user's own daily / monthly spending limits
+                budgetCheck = await usageBudgetService.checkHold(userId, requiredCredits, client);
+                if (budgetCheck.exceeded) {
+                    await client.query('ROLLBACK');
+                    const { period, limit, spent } = budgetCheck.exceeded;
+                    usageBudgetService.notifyLimitReached(userId, budgetCheck, requiredCredits);
+                    return {
+                        success: false,
+                        error: 'spending_limit_reached',
+                        userMessage: `${period === 'daily' ? 'Daily' : 'Monthly'} spending limit reached. Limit: ${limit}, Spent: ${spent}, Required: ${requiredCredits}`,
+                        currentCredits: creditCheck.currentCredits,
+                        requiredCredits: requiredCredits,
+                        period: period,
+                        limit: limit,
+                        spent: spent
+                    };
+                }
+
+                // ✅ Create hold record in credits_transactions with dual credit info (👥 organization_id = held on the team pool)
+                await client.query(`
+                    INSERT INTO credits_transactions (
+                        user_id, operation_type, amount, status, 
+                        hold_id, operation_data, organization_id, created_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+                `, [
+                    userId,
+                    operationType,
+                    -requiredCredits,
+                    'held',
+                    holdId,
+                    JSON.stringify({
+                        ...operationData,
+                        creditBreakdown: {
+                            renewable: creditCheck.renewableCredits,
+                            payasyougo: creditCheck.payasyougoCredits,
+                            total: creditCheck.currentCredits
+                        }
+                    }),
+                    creditCheck.organizationId || null
+                ]);
+
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
 
             console.log(`✅ Credit hold created: ${holdId} for ${requiredCredits} credits`);
+
+            // 🚦 Warn when this hold took the spend close to a limit
+            usageBudgetService.notifyIfNearLimit(userId, budgetCheck, requiredCredits);
             console.log(`   - User has ${creditCheck.currentCredits} total credits`);
             console.log(`   - Renewable: ${creditCheck.renewableCredits}, Pay-as-you-go: ${creditCheck.payasyougoCredits}`);
 
@@ -132,7 +271,8 @@ class CreditManager {
                 currentCredits: creditCheck.currentCredits,
                 renewableCredits: creditCheck.renewableCredits,
                 payasyougoCredits: creditCheck.payasyougoCredits,
-                remainingAfterHold: creditCheck.remaining
+                remainingAfterHold: creditCheck.remaining,
+                organizationId: creditCheck.organizationId || null
             };
 
         } catch (error) {
@@ -165,7 +305,20 @@ class CreditManager {
                 }
 
                 const hold = holdResult.rows[0];
-                const creditAmount = Math.abs(hold.amount);
+                const heldAmount = Math.abs(hold.amount);
+
+                // 🆕 PARTIAL SETTLEMENT: Deduct only what was actually delivered (never more than held)
+                const settleAmount = parseFloat(operationResult.settleAmount);
+                const creditAmount = Number.isFinite(settleAmount) && settleAmount >= 0
+                    ? Math.min(heldAmount, parseFloat(settleAmount.toFixed(2)))
+                    : heldAmount;
+
+                // 👥 Holds on a team pool are settled against the pool
+                if (hold.organization_id) {
+                    const settled = await this.settlePoolHold(client, userId, hold, creditAmount, operationResult);
+                    await client.query('COMMIT');
+                    return settled;
+                }
 
                 // ✅ FIXED: Get current credit breakdown with row lock to prevent race conditions
                 const beforeResult = await client.query(`
@@ -242,11 +395,20 @@ class CreditManager {
 
                 console.log(`💰 After deduction - Renewable: ${afterCredits.renewable_credits}, Pay-as-you-go: ${afterCredits.payasyougo_credits}, Total: ${newBalance}`);
 
+                // 📒 Post the deduction to the credit ledger (reference = hold id)
+                await recordBalanceChange(client, userId, beforeCredits, afterCredits, {
+                    type: 'usage',
+                    reference: holdId,
+                    description: `Spent on ${hold.operation_type}`,
+                    metadata: { operationType: hold.operation_type, amountHeld: heldAmount, amountSettled: creditAmount }
+                });
+
                 // Update hold to completed transaction
                 await client.query(`
                     UPDATE credits_transactions 
                     SET 
                         status = 'completed',
+                        amount = $4,
                         completed_at = NOW(),
                         operation_result = $1,
                         processing_time_ms = $2
@@ -254,6 +416,7 @@ class CreditManager {
                 `, [
                     JSON.stringify({
                         ...operationResult,
+                        amountHeld: heldAmount,
                         creditBreakdownBefore: {
                             renewable: beforeCredits.renewable_credits,
                             payasyougo: beforeCredits.payasyougo_credits
@@ -265,13 +428,20 @@ class CreditManager {
                         }
                     }),
                     operationResult.processingTimeMs || null,
-                    holdId
+                    holdId,
+                    -creditAmount
                 ]);
 
                 await client.query('COMMIT');
 
                 console.log(`✅ Operation completed: ${holdId}, Credits deducted: ${creditAmount}, New balance: ${newBalance}`);
 
+                // 🔔 credits.low webhook when this deduction crossed the threshold
+                webhookService.emitIfCreditsLow(userId, totalAvailable, newBalance);
+
+                // 🚦 Low balance alert (feed + email) at the user's own threshold
+                usageBudgetService.notifyIfBalanceLow(userId, totalAvailable, newBalance);
+
                 return {
                     success: true,
                     creditsDeducted: creditAmount,
@@ -298,6 +468,69 @@ class CreditManager {
         }
     }
 
+    // 👥 NEW: Deduct a completed team hold from the organization's pool (inside completeOperation's transaction)
+    async settlePoolHold(client, userId, hold, creditAmount, operationResult = {}) {
+        const heldAmount = Math.abs(hold.amount);
+        const before = await lockPool(client, hold.organization_id);
+        if (!before) {
+            throw new Error('Organization not found');
+        }
+
+        const available = parseFloat(before.credits) || 0;
+        if (available < creditAmount) {
+            throw new Error(`Insufficient team credits: need ${creditAmount}, have ${available}`);
+        }
+
+        const updateResult = await client.query(`
+            UPDATE organizations
+            SET credits = credits - $2::DECIMAL(12,2), updated_at = NOW()
+            WHERE id = $1
+            RETURNING credits::DECIMAL(12,2) as credits
+        `, [hold.organization_id, creditAmount]);
+        const after = updateResult.rows[0];
+        const newBalance = parseFloat(after.credits);
+
+        await recordPoolChange(client, hold.organization_id, userId, before, after, {
+            type: 'usage',
+            reference: hold.hold_id,
+            description: `Spent on ${hold.operation_type}`,
+            metadata: { operationType: hold.operation_type, amountHeld: heldAmount, amountSettled: creditAmount }
+        });
+
+        await client.query(`
+            UPDATE credits_transactions 
+            SET 
+                status = 'completed',
+                amount = $4,
+                completed_at = NOW(),
+                operation_result = $1,
+                processing_time_ms = $2
+            WHERE hold_id = $3
+        `, [
+            JSON.stringify({
+                ...operationResult,
+                amountHeld: heldAmount,
+                teamPoolBefore: available,
+                teamPoolAfter: newBalance
+            }),
+            operationResult.processingTimeMs || null,
+            hold.hold_id,
+            -creditAmount
+        ]);
+
+        console.log(`✅ Operation completed: ${hold.hold_id}, Team credits deducted: ${creditAmount}, Pool balance: ${newBalance}`);
+
+        return {
+            success: true,
+            creditsDeducted: creditAmount,
+            newBalance: newBalance,
+            renewableCredits: newBalance,
+            payasyougoCredits: 0,
+            transactionId: hold.id,
+            organizationId: hold.organization_id
+        };
+    }
+
     // Release hold without deducting credits (for failed operations)
     async releaseHold(userId, holdId, reason = 'operation_failed') {
         try {
@@ -422,6 +655,152 @@ class CreditManager {
         }
     }
 
+    // ⏳ NEW: Which credits expire when - renewable credits at the next reset (beyond the rollover cap),
+    // pay-as-you-go credits per pack in the order they are spent
+    async getCreditBreakdown(userId) {
+        try {
+            const userResult = await pool.query(`
+                SELECT
+                    plan_code,
+                    next_billing_date,
+                    COALESCE(renewable_credits, 0)::DECIMAL(10,2) as renewable_credits,
+                    COALESCE(payasyougo_credits, 0)::DECIMAL(10,2) as payasyougo_credits
+                FROM users
+                WHERE id = $1
+            `, [userId]);
+
+            if (userResult.rows.length === 0) {
+                throw new Error('User not found');
+            }
+
+            const user = userResult.rows[0];
+            const renewableCredits = parseFloat(user.renewable_credits) || 0;
+            const payasyougoCredits = parseFloat(user.payasyougo_credits) || 0;
+            const { renewableRolloverCap } = getCreditPolicy(user.plan_code);
+            const rollsOver = Math.min(renewableCredits, renewableRolloverCap);
+
+            // Packs are listed up to the balance; credits beyond the packs (bought before packs existed) never expire
+            let unallocated = payasyougoCredits;
+            const packs = [];
+            for (const pack of (await getActivePacks(pool, userId)).reverse()) {
+                if (unallocated <= 0) break;
+                const credits = Math.min(parseFloat(pack.credits_remaining), unallocated);
+                unallocated = parseFloat((unallocated - credits).toFixed(2));
+                packs.unshift({
+                    id: pack.id,
+                    source: pack.source,
+                    planCode: pack.plan_code,
+                    credits,
+                    purchasedAt: pack.purchased_at,
+                    expiresAt: pack.expires_at
+                });
+            }
+            const neverExpires = parseFloat((unallocated + packs
+                .filter(pack => !pack.expiresAt)
+                .reduce((sum, pack) => sum + pack.credits, 0)).toFixed(2));
+
+            const expiring = [
+                ...(user.next_billing_date && renewableCredits > rollsOver
+                    ? [{ creditType: 'renewable', credits: parseFloat((renewableCredits - rollsOver).toFixed(2)), expiresAt: user.next_billing_date }]
+                    : []),
+                ...packs
+                    .filter(pack => pack.expiresAt)
+                    .map(pack => ({ creditType: 'payasyougo', packId: pack.id, credits: pack.credits, expiresAt: pack.expiresAt }))
+            ].sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+
+            return {
+                success: true,
+                renewable: {
+                    credits: renewableCredits,
+                    resetsAt: user.next_billing_date,
+                    rolloverCap: renewableRolloverCap,
+                    rollsOver
+                },
+                payasyougo: {
+                    credits: payasyougoCredits,
+                    packs,
+                    neverExpires
+                },
+                expiring
+            };
+
+        } catch (error) {
+            console.error('❌ Error getting credit breakdown:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ⏳ NEW: Expire pay-as-you-go packs past their expiry date (run periodically)
+    async expireCreditPacks() {
+        try {
+            const dueResult = await pool.query(`
+                SELECT DISTINCT user_id
+                FROM credit_packs
+                WHERE expires_at <= NOW() AND credits_remaining > 0 AND expired_at IS NULL
+                LIMIT 500
+            `);
+
+            let expiredCredits = 0;
+            for (const { user_id: userId } of dueResult.rows) {
+                const client = await pool.connect();
+                try {
+                    await client.query('BEGIN');
+
+                    const before = await lockBalances(client, userId);
+                    const packResult = await client.query(`
+                        SELECT id, credits_remaining
+                        FROM credit_packs
+                        WHERE user_id = $1 AND expires_at <= NOW() AND credits_remaining > 0 AND expired_at IS NULL
+                        FOR UPDATE
+                    `, [userId]);
+                    const packIds = packResult.rows.map(pack => pack.id);
+                    const dueCredits = packResult.rows.reduce((sum, pack) => sum + parseFloat(pack.credits_remaining), 0);
+
+                    await client.query(`
+                        UPDATE credit_packs
+                        SET credits_remaining = 0, expired_at = NOW(), updated_at = NOW()
+                        WHERE id = ANY($1::INTEGER[])
+                    `, [packIds]);
+
+                    const updateResult = await client.query(`
+                        UPDATE users
+                        SET payasyougo_credits = GREATEST(0, COALESCE(payasyougo_credits, 0) - $2::DECIMAL(10,2)),
+                            credits_remaining = COALESCE(renewable_credits, 0) + GREATEST(0, COALESCE(payasyougo_credits, 0) - $2::DECIMAL(10,2)),
+                            updated_at = NOW()
+                        WHERE id = $1
+                        RETURNING renewable_credits, payasyougo_credits
+                    `, [userId, dueCredits.toFixed(2)]);
+
+                    await recordBalanceChange(client, userId, before, updateResult.rows[0], {
+                        type: 'expiry',
+                        description: `${packIds.length} pay-as-you-go pack(s) expired`,
+                        metadata: { packIds }
+                    });
+
+                    expiredCredits += parseFloat(before.payasyougo_credits) - parseFloat(updateResult.rows[0].payasyougo_credits);
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    console.error(`❌ Error expiring credit packs of user ${userId}:`, error);
+                } finally {
+                    client.release();
+                }
+            }
+
+            if (expiredCredits > 0) {
+                console.log(`⏳ Expired ${expiredCredits.toFixed(2)} pay-as-you-go credits of ${dueResult.rows.length} user(s)`);
+            }
+            return expiredCredits;
+
+        } catch (error) {
+            console.error('❌ Error expiring credit packs:', error);
+            return 0;
+        }
+    }
+
     // Clean up old holds (older than 1 hour)
     async cleanupOldHolds() {
         try {
@@ -432,7 +811,17 @@ class CreditManager {
                     completed_at = NOW(),
                     operation_result = '{"reason": "hold_expired"}'
                 WHERE status = 'held' 
-                AND created_at < NOW() - INTERVAL '1 hour'
+                AND (
+                    (COALESCE(operation_type, '') <> 'campaign_generation' AND created_at < NOW() - INTERVAL '1 hour'
+                        -- ⏳ A queued or retrying job settles the hold its request created (target / BrightData analysis)
+                        AND NOT EXISTS (
+                            SELECT 1 FROM jobs
+                            WHERE jobs.status IN ('queued', 'running')
+                            AND jobs.payload->>'holdId' = credits_transactions.hold_id
+                        ))
+                    -- 📦 Bulk campaigns run in the background for a long time - their hold is settled when the run ends
+                    OR created_at < NOW() - INTERVAL '2 days'
+                )
                 RETURNING hold_id
             `);
 
@@ -462,6 +851,12 @@ class CreditManager {
             try {
                 await client.query('BEGIN');
 
+                // 📒 Lock the row and keep the balances before the purchase for the ledger
+                const before = await lockBalances(client, userId);
+                if (!before) {
+                    throw new Error('User not found');
+                }
+
                 // Add credits to user - FIXED: Use explicit casting
                 const result = await client.query(`
                     UPDATE users 
@@ -482,6 +877,14 @@ class CreditManager {
 
                 const credits = result.rows[0];
 
+                await recordBalanceChange(client, userId, before, credits, {
+                    type: 'purchase',
+                    reference: purchaseData.invoiceId || null,
+                    description: `Purchased ${amount} pay-as-you-go credits`,
+                    metadata: purchaseData,
+                    pack: { planCode: purchaseData.planCode || null }
+                });
+
                 // Record the credit addition transaction
                 await client.query(`
                     INSERT INTO credits_transactions (
@@ -530,6 +933,114 @@ class CreditManager {
         }
     }
 
+    // 💸 NEW: Credit back an approved refund request (services/refundService.js) to the balance that paid - the team
+    // pool when refundData.organizationId is set, otherwise pay-as-you-go credits without expiry - posted to the
+    // ledger as a refund. Idempotent per reference: a second call for it adds nothing. Runs in the caller's
+    // transaction (client), so the refund commits or rolls back together with the request's approval.
+    async refundCredits(client, userId, amount, refundData = {}) {
+        const organizationId = refundData.organizationId || null;
+
+        try {
+            const before = organizationId
+                ? await lockPool(client, organizationId)
+                : await lockBalances(client, userId);
+            if (!before) {
+                throw new Error(organizationId ? 'Organization not found' : 'User not found');
+            }
+
+            // The row lock of the balance serializes refunds to it, so this check can't race
+            const existing = await client.query(`
+                SELECT id FROM credit_ledger_transactions
+                WHERE user_id = $1 AND transaction_type = 'refund' AND reference = $2::VARCHAR
+                LIMIT 1
+            `, [userId, refundData.reference]);
+            if (existing.rows.length > 0) {
+                console.log(`💸 Refund ${refundData.reference} was already credited to user ${userId}`);
+                return {
+                    success: true,
+                    alreadyRefunded: true,
+                    newBalance: organizationId
+                        ? parseFloat(before.credits)
+                        : parseFloat((parseFloat(before.renewable_credits) + parseFloat(before.payasyougo_credits)).toFixed(2)),
+                    organizationId: organizationId,
+                    ledgerTransactionId: existing.rows[0].id
+                };
+            }
+
+            const posting = {
+                type: 'refund',
+                reference: refundData.reference,
+                description: refundData.description || `Refund of ${amount} credits`,
+                metadata: refundData.metadata || {}
+            };
+
+            let newBalance;
+            let ledgerTransaction;
+            if (organizationId) {
+                const result = await client.query(`
+                    UPDATE organizations
+                    SET credits = credits + $2::DECIMAL(12,2), updated_at = NOW()
+                    WHERE id = $1
+                    RETURNING credits::DECIMAL(12,2) as credits
+                `, [organizationId, amount]);
+                newBalance = parseFloat(result.rows[0].credits);
+                ledgerTransaction = await recordPoolChange(client, organizationId, userId, before, result.rows[0], posting);
+            } else {
+                const result = await client.query(`
+                    UPDATE users 
+                    SET 
+                        payasyougo_credits = COALESCE(payasyougo_credits, 0)::DECIMAL(10,2) + $1::DECIMAL(10,2),
+                        credits_remaining = COALESCE(renewable_credits, 0)::DECIMAL(10,2) + COALESCE(payasyougo_credits, 0)::DECIMAL(10,2) + $1::DECIMAL(10,2),
+                        updated_at = NOW()
+                    WHERE id = $2
+                    RETURNING 
+                        COALESCE(renewable_credits, 0)::DECIMAL(10,2) as renewable_credits, 
+                        COALESCE(payasyougo_credits, 0)::DECIMAL(10,2) as payasyougo_credits, 
+                        (COALESCE(renewable_credits, 0)::DECIMAL(10,2) + COALESCE(payasyougo_credits, 0)::DECIMAL(10,2)) as total_credits
+                `, [amount, userId]);
+                newBalance = parseFloat(result.rows[0].total_credits);
+                // No planCode - the pack never expires
+                ledgerTransaction = await recordBalanceChange(client, userId, before, result.rows[0], posting);
+            }
+
+            await client.query(`
+                INSERT INTO credits_transactions (
+                    user_id, organization_id, operation_type, amount, status,
+                    operation_data, operation_result, created_at, completed_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+            `, [
+                userId,
+                organizationId,
+                'credit_refund',
+                amount,
+                'completed',
+                JSON.stringify({ reference: refundData.reference, ...(refundData.metadata || {}) }),
+                JSON.stringify({
+                    creditType: organizationId ? 'team_pool' : 'payasyougo',
+                    amountAdded: amount,
+                    newBalance: newBalance
+                })
+            ]);
+
+            console.log(`💸 Refunded ${amount} credits to ${organizationId ? `the pool of organization ${organizationId} for user` : 'user'} ${userId} (${refundData.reference})`);
+
+            return {
+                success: true,
+                alreadyRefunded: false,
+                amountRefunded: amount,
+                newBalance: newBalance,
+                organizationId: organizationId,
+                ledgerTransactionId: ledgerTransaction ? ledgerTransaction.id : null
+            };
+        } catch (error) {
+            console.error('❌ Error refunding credits:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     // ✅ NEW: Reset renewable credits (monthly billing cycle) - FIXED
     async resetRenewableCredits(userId) {
         try {
@@ -540,7 +1051,7 @@ class CreditManager {
 
                 // Get user's plan renewable credits
                 const planResult = await client.query(`
-                    SELECT COALESCE(p.renewable_credits, 0)::DECIMAL(10,2) as renewable_credits
+                    SELECT u.plan_code, COALESCE(p.renewable_credits, 0)::DECIMAL(10,2) as renewable_credits
                     FROM users u
                     JOIN plans p ON u.plan_code = p.plan_code
                     WHERE u.id = $1
@@ -552,7 +1063,13 @@ class CreditManager {
 
                 const planRenewableCredits = parseFloat(planResult.rows[0].renewable_credits);
 
-                // Reset renewable credits to plan amount, keep pay-as-you-go unchanged - FIXED
+                // 📒 Lock the row and keep the balances before the reset for the ledger
+                const before = await lockBalances(client, userId);
+
+                // ⏳ Unused credits roll over up to the plan's cap
+                const renewal = calculateRenewal(planResult.rows[0].plan_code, planRenewableCredits, before.renewable_credits);
+
+                // Reset renewable credits to plan amount (+ rollover), keep pay-as-you-go unchanged - FIXED
                 const result = await client.query(`
                     UPDATE users 
                     SET 
@@ -565,10 +1082,17 @@ class CreditManager {
                         COALESCE(renewable_credits, 0)::DECIMAL(10,2) as renewable_credits, 
                         COALESCE(payasyougo_credits, 0)::DECIMAL(10,2) as payasyougo_credits, 
                         (COALESCE(renewable_credits, 0)::DECIMAL(10,2) + COALESCE(payasyougo_credits, 0)::DECIMAL(10,2)) as total_credits
-                `, [planRenewableCredits, userId]);
+                `, [renewal.renewableCredits, userId]);
 
                 const credits = result.rows[0];
 
+                await recordBalanceChange(client, userId, before, credits, {
+                    type: 'renewal',
+                    description: 'Monthly renewable credits reset',
+                    metadata: { planRenewableCredits, carriedOver: renewal.carriedOver, expired: renewal.expired },
+                    carriedOver: renewal.carriedOver
+                });
+
                 // Record the renewal transaction
                 await client.query(`
                     INSERT INTO credits_transactions (
@@ -583,7 +1107,9 @@ class CreditManager {
                     JSON.stringify({ planRenewableCredits }),
                     JSON.stringify({
                         creditType: 'renewable',
-                        resetTo: planRenewableCredits,
+                        resetTo: renewal.renewableCredits,
+                        carriedOver: renewal.carriedOver,
+                        expired: renewal.expired,
                         newBalance: parseFloat(credits.total_credits),
                         payasyougoCreditsKept: parseFloat(credits.payasyougo_credits)
                     })
@@ -591,7 +1117,7 @@ class CreditManager {
 
                 await client.query('COMMIT');
 
-                console.log(`🔄 Reset renewable credits for user ${userId} to ${planRenewableCredits}`);
+                console.log(`🔄 Reset renewable credits for user ${userId} to ${renewal.renewableCredits} (${renewal.carriedOver} rolled over)`);
                 console.log(`   - Pay-as-you-go credits kept: ${credits.payasyougo_credits}`);
                 console.log(`   - New total: ${credits.total_credits}`);
 
@@ -650,8 +1176,8 @@ async function releaseCreditHold(userId, holdId, reason = 'operation_failed') {
     return await creditManager.releaseHold(userId, holdId, reason);
 }
 
-async function checkUserCredits(userId, operationType) {
-    return await creditManager.checkCredits(userId, operationType);
+async function checkUserCredits(userId, operationType, quantity = 1) {
+    return await creditManager.checkCredits(userId, operationType, quantity);
 }
 
 async function getCurrentCredits(userId) {
@@ -671,10 +1197,23 @@ async function addPayAsYouGoCredits(userId, amount, purchaseData = {}) {
     return await creditManager.addPayAsYouGoCredits(userId, amount, purchaseData);
 }
 
+async function refundCredits(client, userId, amount, refundData = {}) {
+    return await creditManager.refundCredits(client, userId, amount, refundData);
+}
+
 async function resetRenewableCredits(userId) {
     return await creditManager.resetRenewableCredits(userId);
 }
 
+// ⏳ NEW: Credit expiry helpers
+async function getCreditBreakdown(userId) {
+    return await creditManager.getCreditBreakdown(userId);
+}
+
+async function expireCreditPacks() {
+    return await creditManager.expireCreditPacks();
+}
+
 function getOperationCost(operationType) {
     return creditManager.getOperationCost(operationType);
 }
@@ -683,6 +1222,13 @@ function isValidOperationType(operationType) {
     return creditManager.isValidOperationType(operationType);
 }
 
+// Holds refused for lack of credits or by a spending limit / team cap - callers answer these with 402
+const CREDIT_REFUSAL_ERRORS = ['insufficient_credits', 'spending_limit_reached', 'team_spending_cap_reached'];
+
+function isCreditRefusal(error) {
+    return CREDIT_REFUSAL_ERRORS.includes(error);
+}
+
 // Export everything
 module.exports = {
     CreditManager,
@@ -697,8 +1243,15 @@ module.exports = {
     // ✅ NEW: Dual credit system functions
     addPayAsYouGoCredits,
     resetRenewableCredits,
+    // 💸 NEW: Approved refund requests
+    refundCredits,
+    // ⏳ NEW: Credit expiry functions
+    getCreditBreakdown,
+    expireCreditPacks,
     getOperationCost,
-    isValidOperationType
+    isValidOperationType,
+    // 🚦 NEW: Refused holds that are the user's to fix (402)
+    isCreditRefusal
 };
 
 console.log('💳 Enhanced Credit Management System with Dual Credits loaded successfully! 🚨 CRITICAL NaN BUG FIXED! 🚨');
@@ -5,12 +5,16 @@
 // SEPARATED: Verification moved to emailVerifier.js (but awaited before returning)
 // NEW: email_requests table tracks which users requested email
 // Version: 1.3.0 - Per-user visibility + charge for not_found + await verification
+// ⏳ JOB QUEUE: POST /api/ask-email enqueues an email_finder job (runEmailFinderJob) instead of waiting inline
+// 🔔 WEBHOOKS: Emits email.found when Snov.io returns an email (email.verified comes from emailVerifier.js)
 
 const { pool } = require('./utils/database');
 const { createCreditHold, completeOperation, releaseCreditHold, checkUserCredits } = require('./credits');
 const logger = require('./utils/logger');
 const axios = require('axios');
 const { cleanLinkedInUrl } = require('./utils/helpers'); // âœ… ADDED: Import URL cleaning function
+const jobQueue = require('./services/jobQueue');
+const webhookService = require('./services/webhookService');
 
 class EmailFinder {
     constructor() {
@@ -187,7 +191,7 @@ class EmailFinder {
                     error: 'credit_hold_failed',
                     message: holdResult.error === 'insufficient_credits' 
                         ? `Insufficient credits: need ${this.costPerSuccess}, have ${holdResult.currentCredits}`
-                        : 'Failed to reserve credits for this operation'
+                        : (holdResult.userMessage || 'Failed to reserve credits for this operation')
                 };
             }
 
@@ -222,6 +226,12 @@ class EmailFinder {
                     // NEW: Mark user as requested (user paid, user can see result)
                     await this.markUserRequested(userId, linkedinUrl);
 
+                    webhookService.emit(userId, 'email.found', {
+                        source: 'messages',
+                        linkedinUrl: cleanLinkedInUrl(linkedinUrl),
+                        email: emailResult.email
+                    });
+
                     // FIXED: AWAIT VERIFICATION (not fire-and-forget)
                     let verificationStatus = 'unknown';
                     try {
@@ -298,6 +308,84 @@ class EmailFinder {
         }
     }
 
+    // ⏳ email_finder job: search + verification, then the final status from target_profiles
+    async runEmailFinderJob(job) {
+        const { userId, linkedinUrl } = job.payload;
+
+        // A retry after the search was already charged returns the stored result instead of charging again
+        if (job.attempts > 1) {
+            const requested = await pool.query(`
+                SELECT 1 FROM email_requests
+                WHERE user_id = $1 AND linkedin_url = $2 AND requested_at >= $3
+            `, [userId, cleanLinkedInUrl(linkedinUrl), job.created_at]);
+            if (requested.rows.length > 0) {
+                return await this.getEmailJobResult(userId, linkedinUrl, { creditsCharged: this.costPerSuccess });
+            }
+        }
+
+        const finderResult = await this.findEmailWithLinkedInUrl(userId, linkedinUrl);
+
+        if (!finderResult.success) {
+            // Snov.io / system hiccups are retried; disabled, no credits etc. are the final answer
+            if (finderResult.error === 'processing_error' || finderResult.error === 'system_error') {
+                throw new Error(finderResult.errorDetails || finderResult.details || finderResult.message);
+            }
+            logger.warn(`[EMAIL_FINDER] Failed: ${finderResult.error}`);
+            return finderResult;
+        }
+
+        if (!finderResult.email) {
+            logger.warn('[EMAIL_FINDER] No email found');
+            return finderResult;
+        }
+
+        return await this.getEmailJobResult(userId, linkedinUrl, finderResult);
+    }
+
+    // Email + verification status as stored by the finder and verifier
+    async getEmailJobResult(userId, linkedinUrl, finderResult) {
+        const statusResult = await pool.query(`
+            SELECT email_found, email_status, email_verified_at
+            FROM target_profiles 
+            WHERE linkedin_url = $1 AND user_id = $2
+        `, [linkedinUrl, userId]);
+
+        if (statusResult.rows.length > 0 && statusResult.rows[0].email_found) {
+            const row = statusResult.rows[0];
+            logger.success(`[EMAIL_FINDER] Complete result: email=${row.email_found}, status=${row.email_status}`);
+            return {
+                success: true,
+                email: row.email_found,
+                status: row.email_status || 'unknown',
+                verifiedAt: row.email_verified_at,
+                creditsCharged: finderResult.creditsCharged,
+                newBalance: finderResult.newBalance,
+                message: 'Email found and verified successfully'
+            };
+        }
+
+        if (!finderResult.email) {
+            return {
+                success: true,
+                error: 'email_not_found',
+                status: 'not_found',
+                creditsCharged: finderResult.creditsCharged,
+                message: 'Search completed - no email found for this LinkedIn profile'
+            };
+        }
+
+        // Fallback: return finder result if the status is not in target_profiles
+        logger.warn('[EMAIL_FINDER] Could not retrieve verification status from DB');
+        return {
+            success: true,
+            email: finderResult.email,
+            status: 'pending_verification',
+            creditsCharged: finderResult.creditsCharged,
+            newBalance: finderResult.newBalance,
+            message: 'Email found, verification status pending'
+        };
+    }
+
     // Snov.io v1 API implementation with proper delay - NO CATCH, let errors throw
     async findEmailWithSnovV1(linkedinUrl) {
         logger.info('[EMAIL_FINDER] 🌐 Finding email with Snov.io v1 LinkedIn URL API...');
@@ -483,6 +571,11 @@ class EmailFinder {
 // Create singleton instance
 const emailFinder = new EmailFinder();
 
+// Holds are created and settled inside findEmailWithLinkedInUrl, so nothing to release on failure
+jobQueue.registerHandler('email_finder', {
+    run: (job) => emailFinder.runEmailFinderJob(job)
+});
+
 // COMPLETE: Export all functions (including backward compatibility)
 async function findEmailForProfile(userId, targetProfileId) {
     return await emailFinder.findEmail(userId, targetProfileId);
@@ -4,10 +4,12 @@
 // FREE verification (no credits charged)
 // Updates target_profiles with Snov.io verification status
 // Version: 1.1.0 - FIXED: 8s wait + flexible URL matching
+// 🔔 WEBHOOKS: Emits email.verified with Snov.io's status once a verification completes
 
 const { pool } = require('./utils/database');
 const logger = require('./utils/logger');
 const axios = require('axios');
+const webhookService = require('./services/webhookService');
 
 class EmailVerifier {
     constructor() {
@@ -97,6 +99,14 @@ class EmailVerifier {
             await this.updateVerificationStatus(linkedinUrl, userId, status, reason);
             
             logger.success(`[EMAIL_VERIFIER] âœ… Verification complete: ${email} -> ${status}`);
+
+            webhookService.emit(userId, 'email.verified', {
+                source: 'messages',
+                linkedinUrl: this.normalizeLinkedInUrl(linkedinUrl),
+                email: email,
+                status: status,
+                reason: reason
+            });
             
             return {
                 success: true,
@@ -436,6 +436,97 @@ async function sendAdminNotification({ userEmail, userName, packageType, billing
     }
 }
 
+// 🚦 NEW: Usage alert email (low balance, spending limit warnings) - same text as the in-app notification
+async function sendUsageAlertEmail({ toEmail, toName, userId, title, message }) {
+    console.log(`[MAILER] sendUsageAlertEmail called for ${toEmail} (User ID: ${userId})`);
+    
+    try {
+        if (!toEmail || !isValidEmail(toEmail)) {
+            console.error('[MAILER] Invalid email address:', toEmail);
+            return {
+                ok: false,
+                error: 'Invalid email address'
+            };
+        }
+        
+        const name = toName || toEmail.split('@')[0];
+        
+        const htmlContent = `
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .header { background: #8039DF; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; }
+                .detail-box { background: #f8f9fa; border: 1px solid #dee2e6; padding: 15px; margin: 10px 0; border-radius: 5px; }
+                .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #666; }
+            </style>
+        </head>
+        <body>
+            <div class="header">
+                <h1>${title}</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${name},</p>
+                
+                <div class="detail-box">
+                    <p>${message}</p>
+                </div>
+                
+                <p>Manage your spending limits and alerts in your dashboard: https://api.msgly.ai/dashboard</p>
+                
+                <div class="footer">
+                    <p>You get this email because usage alerts are on for your Msgly.AI account. Turn them off in your dashboard.</p>
+                </div>
+            </div>
+        </body>
+        </html>`;
+        
+        const textContent = `
+        ${title.toUpperCase()} - Msgly.AI
+        
+        Hi ${name},
+        
+        ${message}
+        
+        Manage your spending limits and alerts in your dashboard: https://api.msgly.ai/dashboard
+        
+        You get this email because usage alerts are on for your Msgly.AI account. Turn them off in your dashboard.`;
+        
+        const emailData = {
+            toEmail: toEmail,
+            toName: name,
+            subject: `Msgly.AI: ${title}`,
+            htmlContent: htmlContent,
+            textContent: textContent
+        };
+        
+        console.log('[MAILER] Sending usage alert email...');
+        const result = await sendEmailWithRetry(emailData, 1);
+        
+        console.log(`[MAILER] Usage alert email sent successfully via ${result.provider}`);
+        
+        return {
+            ok: true,
+            provider: result.provider,
+            messageId: result.messageId,
+            toEmail: toEmail,
+            userId: userId
+        };
+        
+    } catch (error) {
+        console.error('[MAILER] Usage alert email failed:', error);
+        
+        return {
+            ok: false,
+            error: error.error || error.message || 'Unknown email error',
+            provider: error.provider || 'unknown',
+            toEmail: toEmail,
+            userId: userId
+        };
+    }
+}
+
 // Configuration check
 function checkConfiguration() {
     const hasAPIKey = !!MAILERSEND_API_KEY;
@@ -457,5 +548,6 @@ function checkConfiguration() {
 module.exports = {
     sendWelcomeEmail,
     sendAdminNotification, // 🚀 NEW: Added admin notification export
+    sendUsageAlertEmail, // 🚦 NEW: Low balance / spending limit alerts
     checkConfiguration
 };
@@ -1,5 +1,7 @@
 // middleware/auth.js - JWT Authentication Middleware - STEP 2D EXTRACTION
+// 🔑 API KEYS: authenticateApiKeyOrToken(scope) also accepts personal API keys (services/apiKeyService.js)
 const jwt = require('jsonwebtoken');
+const apiKeyService = require('../services/apiKeyService');
 
 // Import database function - will be initialized from server.js
 let getUserById;
@@ -36,6 +38,67 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+// 🔑 NEW: JWT or personal API key - for the routes of the public API
+// A request with `X-API-Key` or `Authorization: Bearer msgly_sk_...` is authenticated by the key: it must
+// hold `scope` (any valid key when scope is null) and stay within its per-minute rate limit. Everything
+// else goes through authenticateToken. req.apiKey is set for key requests.
+const authenticateApiKeyOrToken = (scope = null) => async (req, res, next) => {
+    const plainKey = apiKeyService.getKeyFromRequest(req);
+    if (!plainKey) {
+        return authenticateToken(req, res, next);
+    }
+
+    try {
+        const key = await apiKeyService.findActiveKey(plainKey);
+        if (!key) {
+            return res.status(401).json({ success: false, error: 'Invalid, revoked or expired API key' });
+        }
+
+        if (scope && !key.scopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `This API key does not have the ${scope} scope`,
+                requiredScope: scope
+            });
+        }
+
+        // Usage is counted per route pattern once the response is sent (rate limited requests included)
+        res.on('finish', () => {
+            const routePath = req.route ? `${req.baseUrl}${req.route.path}` : req.path;
+            apiKeyService.recordUsage(key.id, `${req.method} ${routePath}`, res.statusCode);
+        });
+
+        const rateLimit = await apiKeyService.consumeRateLimit(key);
+        res.set({
+            'X-RateLimit-Limit': String(rateLimit.limit),
+            'X-RateLimit-Remaining': String(rateLimit.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(new Date(rateLimit.resetAt).getTime() / 1000))
+        });
+
+        if (!rateLimit.allowed) {
+            const retryAfter = Math.max(1, Math.ceil((new Date(rateLimit.resetAt).getTime() - Date.now()) / 1000));
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: `Rate limit of ${rateLimit.limit} requests per minute exceeded for this API key`,
+                retryAfter
+            });
+        }
+
+        const user = await getUserById(key.user_id);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Invalid, revoked or expired API key' });
+        }
+
+        req.user = user;
+        req.apiKey = { id: key.id, name: key.name, scopes: key.scopes };
+        next();
+    } catch (error) {
+        console.error('[API_KEYS] API key authentication error:', error);
+        return res.status(500).json({ success: false, error: 'Authentication failed' });
+    }
+};
+
 // NEW: Admin Guard - Replaces all previous admin auth for /admin* routes
 const adminGuard = (req, res, next) => {
     console.log('[ADMIN_GUARD] Checking admin access for:', req.path);
@@ -136,6 +199,7 @@ const requireAdmin = (req, res, next) => {
 module.exports = {
     initAuthMiddleware,
     authenticateToken,
+    authenticateApiKeyOrToken,
     adminGuard,
     requireFeatureAccess,
     requireAdmin
@@ -0,0 +1,130 @@
+// middleware/validation.js - Request validation driven by the OpenAPI document (schema/openapi)
+// Path parameters, query parameters and JSON bodies are checked against the operation that matches the request
+// before any route handler (or credit hold) runs. Failures answer 400 in the standard error envelope:
+// { success: false, error: <first problem>, code: 'validation_error', details: [{ location, field, message }] }
+// Requests without a documented operation pass through unchecked. Multipart bodies are left to multer and the handler.
+
+const { validateSchema, coerceParameter } = require('../utils/schemaValidator');
+const { sendError } = require('../utils/apiErrors');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// '/messages/{id}/reply-response' -> { regex, paramNames: ['id'] }
+const compilePath = (template) => {
+    const paramNames = [];
+    const pattern = template.split(/(\{[^}]+\})/).map(part => {
+        const param = part.match(/^\{([^}]+)\}$/);
+        if (param) {
+            paramNames.push(param[1]);
+            return '([^/]+)';
+        }
+        return escapeRegExp(part);
+    }).join('');
+    return { template, regex: new RegExp(`^${pattern}$`), paramNames };
+};
+
+// Routes with fewer parameters win, so /messages/history is never taken for /messages/{id}
+const compileRoutes = (document) => Object.entries(document.paths || {})
+    .map(([template, operations]) => ({ ...compilePath(template), operations }))
+    .sort((a, b) => a.paramNames.length - b.paramNames.length);
+
+const findOperation = (routes, method, path) => {
+    for (const route of routes) {
+        const operation = route.operations[method];
+        if (!operation) continue;
+        const match = route.regex.exec(path);
+        if (!match) continue;
+
+        const params = {};
+        route.paramNames.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+        return { operation, params };
+    }
+    return null;
+};
+
+const checkParameters = (operation, location, values, document) => {
+    const problems = [];
+    for (const parameter of operation.parameters || []) {
+        if (parameter.in !== location) continue;
+
+        const raw = values[parameter.name];
+        if (raw === undefined || raw === '') {
+            if (parameter.required) {
+                problems.push({ location, field: parameter.name, message: `${parameter.name} is required` });
+            }
+            continue;
+        }
+
+        const value = coerceParameter(raw, parameter.schema || {}, document);
+        validateSchema(value, parameter.schema || {}, { document, path: parameter.name })
+            .forEach(problem => problems.push({ location, ...problem }));
+    }
+    return problems;
+};
+
+const checkBody = (operation, req, document) => {
+    const requestBody = operation.requestBody;
+    if (!requestBody || !requestBody.content || req.is('multipart/form-data')) {
+        return [];
+    }
+
+    const jsonContent = requestBody.content['application/json'];
+    if (!jsonContent || !jsonContent.schema) {
+        return [];
+    }
+
+    const body = req.body === undefined ? {} : req.body;
+    return validateSchema(body, jsonContent.schema, { document })
+        .map(problem => ({ location: 'body', ...problem }));
+};
+
+/**
+ * Build the validation middleware for an OpenAPI document
+ * @param {object} document - OpenAPI 3.0 document (schema/openapi getOpenApiDocument())
+ * @returns {Function} - Express middleware
+ */
+const createRequestValidator = (document) => {
+    const routes = compileRoutes(document);
+
+    return (req, res, next) => {
+        const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+        if (!METHODS.includes(method)) {
+            return next();
+        }
+
+        const path = req.path.length > 1 ? req.path.replace(/\/+$/, '') : req.path;
+        let found;
+        try {
+            found = findOperation(routes, method, path);
+        } catch (error) {
+            // Malformed percent-encoding in a path parameter
+            return sendError(res, 400, 'Invalid URL', { code: 'validation_error' });
+        }
+        if (!found) {
+            return next();
+        }
+
+        const problems = [
+            ...checkParameters(found.operation, 'path', found.params, document),
+            ...checkParameters(found.operation, 'query', req.query || {}, document),
+            ...checkBody(found.operation, req, document)
+        ];
+
+        if (problems.length > 0) {
+            return sendError(res, 400, problems[0].message, {
+                code: 'validation_error',
+                details: problems
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    createRequestValidator
+};
@@ -0,0 +1,47 @@
+// prompts/connectionRequest.js - Connection request prompt (built-in version)
+// Seeded into prompt_templates on startup; newer versions are added through the admin prompts API.
+
+module.exports = {
+    messageType: 'connection_request',
+    version: 'connection_request_v3_sender_name_full_data',
+    description: 'Connection request note - 150 characters, sender name required',
+    systemPrompt: `[MODE: CONNECTION_REQUEST]
+I send you:
+My LinkedIn profile (USER PROFILE)
+My Target's LinkedIn profile (TARGET PROFILE)
+The CONTEXT (business or conversational goal)
+Please build the most personalized LinkedIn connection request note.
+**Rules:**
+* Absolute maximum: **150 characters**.
+* Always start with: **"Hi [TARGET_FIRSTNAME],"**
+* Always end with sender's first name (e.g., "â€¦ Thanks, Ziv").
+* Must reference at least **1 detail from USER PROFILE** and **1 detail from TARGET PROFILE**.
+* You may use more than one detail from each profile if relevant and it improves personalization.
+* You may use details from the TARGET PROFILE "About" section **only if they are unique, personal, or add value**; skip generic/vague phrases.
+* Must end with a **clear CTA relevant to CONTEXT** (even short, like "Would love to connect").
+* Integrate CONTEXT naturally â€" frame it around the benefit or shared value for the target.
+* Keep tone **friendly, approachable, natural** (not salesy).
+* Language must be **English only, simple, natural, and human-like** (not formal, academic, or marketing-style).
+**Restrictions:**
+* Do **NOT** use emojis.
+* Do **NOT** use hashtags.
+* Do **NOT** use quotation marks unless quoting an exact profile title.
+* Do **NOT** use unusual punctuation (e.g., "!!!", "??", "--", "~~").
+* Do **NOT** use bullet points or lists.
+* Do **NOT** use line breaks â€" message must be one single line.
+* Do **NOT** generate multiple options â€" only one single message.
+* Do **NOT** exceed the character limit.
+* Do **NOT** output explanations, reasoning, or meta-text â€" only the message itself.
+* Do **NOT** use generic AI-sounding phrases.
+* Do **NOT** invent details â€" only use what exists in USER PROFILE, TARGET PROFILE, or CONTEXT.`,
+    userPrompt: `USER PROFILE:
+{{user_profile}}
+
+TARGET PROFILE:
+{{target_profile}}
+
+CONTEXT:
+{{context}}
+
+Generate the connection request now:`
+};
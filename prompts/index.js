@@ -0,0 +1,31 @@
+// prompts/index.js - Built-in prompt templates, one per message type
+// Placeholders: {{user_profile}}, {{target_profile}}, {{context}} (rendered by services/promptRegistry.js)
+// Editing a built-in here does NOT change what runs in production once seeded - add a new version through
+// POST /api/admin/prompts instead so every message_logs row keeps pointing at the exact text it was generated with.
+
+const inboxMessage = require('./inboxMessage');
+const connectionRequest = require('./connectionRequest');
+const introRequest = require('./introRequest');
+const coldEmail = require('./coldEmail');
+const replyResponse = require('./replyResponse');
+const inmail = require('./inmail');
+const postComment = require('./postComment');
+const eventFollowUp = require('./eventFollowUp');
+
+const BUILTIN_PROMPTS = {
+    [inboxMessage.messageType]: inboxMessage,
+    [connectionRequest.messageType]: connectionRequest,
+    [introRequest.messageType]: introRequest,
+    [coldEmail.messageType]: coldEmail,
+    [replyResponse.messageType]: replyResponse,
+    [inmail.messageType]: inmail,
+    [postComment.messageType]: postComment,
+    [eventFollowUp.messageType]: eventFollowUp
+};
+
+const PROMPT_PLACEHOLDERS = ['user_profile', 'target_profile', 'context'];
+
+module.exports = {
+    BUILTIN_PROMPTS,
+    PROMPT_PLACEHOLDERS
+};
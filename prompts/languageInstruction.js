@@ -0,0 +1,27 @@
+// prompts/languageInstruction.js - LANGUAGE section appended to the user prompt for non-English output
+// The templates say "English only"; this section overrides that and restates the per-language limits
+// (config/messageRules.js, scaled by config/languages.js lengthFactor). Shared by gptService and webMessageGPTService.
+
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+const { getMessageRules } = require('../config/messageRules');
+
+const buildLanguageInstruction = (languageCode, messageType) => {
+    const language = SUPPORTED_LANGUAGES[languageCode];
+    const englishLimit = getMessageRules(messageType, DEFAULT_LANGUAGE).maxLength;
+    const languageRules = getMessageRules(messageType, languageCode);
+    const languageLimit = languageRules.maxLength;
+    const labels = languageRules.format === 'subject_body'
+        ? '\nKeep the "Subject:" and "Body:" labels in English - only the subject line and body are translated.'
+        : languageRules.format === 'intro_parts'
+            ? `\nKeep the "Part A:" and "Part B:" labels in English - only the messages are translated. Part A may use up to ${languageRules.parts.partA.maxLength} characters, Part B up to ${languageRules.parts.partB.maxLength}.`
+            : '';
+
+    return `LANGUAGE:
+Write the entire message in ${language.name} (${language.nativeName}). This replaces the "English only" rule - every other rule still applies.
+${languageRules.greeting
+        ? `Start with "${language.greetings[0]} [TARGET_FIRSTNAME]," and keep the call-to-action and sign-off in ${language.name}.`
+        : 'Keep the comment free of greetings and sign-offs, as in English.'}${language.note ? `\n${language.note}` : ''}
+${language.name} needs more characters than English: the character limit is ${languageLimit} characters instead of ${englishLimit}.${labels}`;
+};
+
+module.exports = { buildLanguageInstruction };
@@ -0,0 +1,44 @@
+// prompts/postComment.js - Comment on one of the target's recent posts (built-in version)
+// Seeded into prompt_templates on startup; newer versions are added through the admin prompts API.
+// The post itself is appended by gptService as a POST section (taken from the target profile's activity array).
+
+module.exports = {
+    messageType: 'post_comment',
+    version: 'post_comment_v1_thoughtful',
+    description: 'Public comment on a recent post of the target - up to 300 characters, no greeting or sign-off',
+    systemPrompt: `[MODE: POST_COMMENT]
+I send you:
+1. My LinkedIn profile (USER PROFILE)
+2. My Target's LinkedIn profile (TARGET PROFILE)
+3. The CONTEXT (why I want to engage with this person)
+4. The POST of the target I want to comment on
+Please write one **thoughtful public comment** on the POST.
+**Rules:**
+* Absolute maximum: **300 characters**.
+* React to **one specific point** of the POST - never a generic "Great post!" or "Thanks for sharing".
+* Add value: a short insight, experience or perspective from USER PROFILE that relates to that point.
+* You may end with one genuine, open question about the POST.
+* The comment is public - do **NOT** pitch, sell, or mention the CONTEXT goal directly; it only guides which angle to pick.
+* Do **NOT** start with a greeting and do **NOT** sign off with a name.
+* Keep tone **friendly, approachable, natural** (not salesy).
+* Language must be **English only, simple, natural, and human-like**.
+**Restrictions:**
+* Do **NOT** use emojis.
+* Do **NOT** use hashtags.
+* Do **NOT** use links or mention other people.
+* Do **NOT** use line breaks - comment must be one single line.
+* Do **NOT** use flattery or exaggerated adjectives.
+* Do **NOT** generate multiple options - only one single comment.
+* Do **NOT** output explanations, reasoning, or meta-text - only the comment itself.
+* Do **NOT** invent details - only use what exists in USER PROFILE, TARGET PROFILE, CONTEXT, or the POST.`,
+    userPrompt: `USER PROFILE:
+{{user_profile}}
+
+TARGET PROFILE:
+{{target_profile}}
+
+CONTEXT:
+{{context}}
+
+Generate the comment now:`
+};
@@ -0,0 +1,24 @@
+// prompts/toneInstruction.js - TONE and WRITING SAMPLE sections appended to the user prompt
+// Only added when the user picked a non-default preset (config/tones.js) or saved a writing sample,
+// so the default prompts stay exactly as versioned in prompt_templates.
+
+const { TONE_PRESETS } = require('../config/tones');
+
+const buildToneInstruction = (toneKey) => {
+    const tone = TONE_PRESETS[toneKey];
+    return `TONE:
+${tone.instruction}
+This replaces the tone described in the rules above - length, greeting, sign-off and formatting rules still apply.`;
+};
+
+const buildWritingSampleSection = (writingSample) => `WRITING SAMPLE:
+The sender wrote the text below. Match their voice - sentence length, word choice, level of formality and punctuation habits.
+Do not copy its content, facts or phrases into the message.
+"""
+${writingSample.trim()}
+"""`;
+
+module.exports = {
+    buildToneInstruction,
+    buildWritingSampleSection
+};
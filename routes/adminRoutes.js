@@ -5,8 +5,14 @@
 const router = require('express').Router();
 const path = require('path'); // ✅ FIXED: Added missing path import
 const { adminGuard } = require('../middleware/auth');
-const { pool } = require('../utils/database');
+const { pool, logAdminAction } = require('../utils/database');
 const logger = require('../utils/logger');
+const promptRegistry = require('../services/promptRegistry');
+const promptExperimentService = require('../services/promptExperimentService');
+const creditLedgerService = require('../services/creditLedgerService');
+const { REPAIR_SOURCES, resolveRepairSource } = require('../config/creditLedger');
+const refundService = require('../services/refundService');
+const { REFUND_STATUSES, getRefundSettings, resolveRefundDecision } = require('../config/refunds');
 
 // Server startup time for uptime calculation
 const serverStartTime = Date.now();
@@ -226,6 +232,635 @@ router.get('/api/admin/export-users', adminGuard, async (req, res) => {
     }
 });
 
+// ==================== PROMPT TEMPLATE ENDPOINTS ====================
+
+// List prompt template versions (optionally for one message type)
+router.get('/api/admin/prompts', adminGuard, async (req, res) => {
+    try {
+        const { messageType } = req.query;
+        const templates = await promptRegistry.listTemplates(messageType || null);
+
+        res.json({
+            success: true,
+            data: {
+                messageTypes: promptRegistry.messageTypes,
+                templates
+            }
+        });
+
+    } catch (error) {
+        logger.error('Prompt templates list error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load prompt templates',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Quality per prompt version - sent / reply / edit rates from message_logs
+router.get('/api/admin/prompts/stats', adminGuard, async (req, res) => {
+    try {
+        const {
+            timeRange = '30days',
+            messageType,
+            startDate,
+            endDate
+        } = req.query;
+
+        const dateRange = calculateDateRange(timeRange, startDate, endDate);
+
+        const result = await pool.query(`
+            SELECT
+                ml.message_type,
+                ml.prompt_version,
+                ml.prompt_template_id,
+                COUNT(*) as messages,
+                ROUND(AVG(ml.total_tokens)) as avg_tokens,
+                ROUND(AVG(ml.latency_ms)) as avg_latency_ms,
+                COUNT(*) FILTER (WHERE ml.sent_status = 'yes') as sent,
+                COUNT(*) FILTER (WHERE ml.reply_status = 'yes') as replied,
+                COUNT(*) FILTER (WHERE COALESCE(ml.edit_count, 0) > 0) as edited
+            FROM message_logs ml
+            WHERE ml.created_at >= $1 AND ml.created_at <= $2
+              AND ml.prompt_version IS NOT NULL
+              AND ($3::VARCHAR IS NULL OR ml.message_type = $3::VARCHAR)
+            GROUP BY ml.message_type, ml.prompt_version, ml.prompt_template_id
+            ORDER BY ml.message_type ASC, messages DESC
+        `, [dateRange.start, dateRange.end, messageType || null]);
+
+        const rate = (count, total) => total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0;
+
+        const versions = result.rows.map(row => {
+            const messages = parseInt(row.messages);
+            const sent = parseInt(row.sent);
+            return {
+                messageType: row.message_type,
+                promptVersion: row.prompt_version,
+                promptTemplateId: row.prompt_template_id,
+                messages,
+                avgTokens: parseInt(row.avg_tokens) || 0,
+                avgLatencyMs: parseInt(row.avg_latency_ms) || 0,
+                sentRate: rate(sent, messages),
+                // Replies only happen on sent messages
+                replyRate: rate(parseInt(row.replied), sent),
+                editRate: rate(parseInt(row.edited), messages)
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                versions,
+                filters: {
+                    timeRange,
+                    messageType: messageType || null,
+                    dateRange: {
+                        start: dateRange.start.toISOString(),
+                        end: dateRange.end.toISOString()
+                    }
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Prompt stats error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load prompt stats',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// List prompt A/B experiments - ?status=running|stopped
+router.get('/api/admin/prompts/experiments', adminGuard, async (req, res) => {
+    try {
+        const experiments = await promptExperimentService.listExperiments(req.query.status || null);
+
+        res.json({
+            success: true,
+            data: experiments
+        });
+
+    } catch (error) {
+        logger.error('Prompt experiments list error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load prompt experiments',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Start an experiment - body: { variantTemplateId, trafficPercent, name } (arm A = current active version)
+router.post('/api/admin/prompts/experiments', adminGuard, async (req, res) => {
+    const adminEmail = req.session?.adminAuth?.adminEmail || null;
+
+    try {
+        const { variantTemplateId, trafficPercent = 50, name } = req.body;
+
+        const result = await promptExperimentService.createExperiment({
+            name,
+            variantTemplateId,
+            trafficPercent,
+            createdBy: adminEmail
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await logAdminAction('start_prompt_experiment', null, null, null, {
+            adminEmail,
+            experimentId: result.experiment.id,
+            messageType: result.experiment.messageType,
+            control: result.experiment.control.version,
+            variant: result.experiment.variant.version,
+            trafficPercent: result.experiment.trafficPercent
+        }, true, null, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            success: true,
+            message: `Experiment started: ${result.experiment.trafficPercent}% of ${result.experiment.messageType} generations use ${result.experiment.variant.version}`,
+            data: result.experiment
+        });
+
+    } catch (error) {
+        logger.error('Prompt experiment create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start prompt experiment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Stop an experiment - body: { rollOut: 'A' | 'B' } optionally activates the chosen arm's template
+router.post('/api/admin/prompts/experiments/:id/stop', adminGuard, async (req, res) => {
+    const adminEmail = req.session?.adminAuth?.adminEmail || null;
+
+    try {
+        const { rollOut = null } = req.body;
+        const result = await promptExperimentService.stopExperiment(parseInt(req.params.id) || 0, rollOut);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await logAdminAction('stop_prompt_experiment', null, null, null, {
+            adminEmail,
+            experimentId: result.experiment.id,
+            messageType: result.experiment.messageType,
+            rollOut,
+            rolledOut: result.rolledOut
+        }, true, null, req.ip, req.get('User-Agent'));
+
+        res.json({
+            success: true,
+            message: result.rolledOut ? `Experiment stopped - ${result.rolledOut} is now active` : 'Experiment stopped',
+            data: {
+                experiment: result.experiment,
+                rolledOut: result.rolledOut
+            }
+        });
+
+    } catch (error) {
+        logger.error('Prompt experiment stop error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stop prompt experiment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Single prompt template (full system/user prompt text)
+router.get('/api/admin/prompts/:id', adminGuard, async (req, res) => {
+    try {
+        const template = await promptRegistry.getTemplateById(parseInt(req.params.id) || 0);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prompt template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: template
+        });
+
+    } catch (error) {
+        logger.error('Prompt template fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load prompt template',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Add a new prompt version - body: { messageType, version, description, systemPrompt, userPrompt, activate }
+router.post('/api/admin/prompts', adminGuard, async (req, res) => {
+    const adminEmail = req.session?.adminAuth?.adminEmail || null;
+
+    try {
+        const { messageType, version, description, systemPrompt, userPrompt, activate = false } = req.body;
+
+        const result = await promptRegistry.createTemplate({
+            messageType,
+            version,
+            description,
+            systemPrompt,
+            userPrompt,
+            activate: activate === true,
+            createdBy: adminEmail
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await logAdminAction('create_prompt_template', null, null, null, {
+            adminEmail,
+            templateId: result.template.id,
+            messageType: result.template.messageType,
+            version: result.template.version,
+            activated: activate === true,
+            previousVersion: result.previousVersion || null
+        }, true, null, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            success: true,
+            message: `Prompt template ${result.template.version} created${activate === true ? ' and activated' : ''}`,
+            data: result.template
+        });
+
+    } catch (error) {
+        logger.error('Prompt template create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create prompt template',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Make a version the active prompt for its message type
+router.post('/api/admin/prompts/:id/activate', adminGuard, async (req, res) => {
+    const adminEmail = req.session?.adminAuth?.adminEmail || null;
+
+    try {
+        const result = await promptRegistry.activateTemplate(parseInt(req.params.id) || 0);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await logAdminAction('activate_prompt_template', null, null, null, {
+            adminEmail,
+            templateId: result.template.id,
+            messageType: result.template.messageType,
+            version: result.template.version,
+            previousVersion: result.previousVersion
+        }, true, null, req.ip, req.get('User-Agent'));
+
+        res.json({
+            success: true,
+            message: `${result.template.version} is now the active ${result.template.messageType} prompt`,
+            data: {
+                template: result.template,
+                previousVersion: result.previousVersion
+            }
+        });
+
+    } catch (error) {
+        logger.error('Prompt template activate error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to activate prompt template',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ==================== CREDIT LEDGER ENDPOINTS ====================
+
+// Reconciliation runs (credit_reconciliation job), newest first
+router.get('/api/admin/credits/reconciliation', adminGuard, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const runs = await creditLedgerService.listRuns({ limit });
+
+        res.json({
+            success: true,
+            data: {
+                runs: runs.map(run => creditLedgerService.formatRun(run))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Credit reconciliation runs error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load credit reconciliation runs',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Queue a reconciliation run now (instead of waiting for the hourly one)
+router.post('/api/admin/credits/reconciliation', adminGuard, async (req, res) => {
+    try {
+        const { job, created } = await creditLedgerService.queueReconciliation('admin');
+
+        res.status(202).json({
+            success: true,
+            message: created ? 'Credit reconciliation queued' : 'A credit reconciliation is already queued',
+            data: { jobId: job.id }
+        });
+
+    } catch (error) {
+        logger.error('Credit reconciliation queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to queue credit reconciliation',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Live drift report - users whose balance columns differ from the ledger
+router.get('/api/admin/credits/drift', adminGuard, async (req, res) => {
+    try {
+        const report = await creditLedgerService.buildReport();
+
+        res.json({
+            success: true,
+            data: {
+                ...report,
+                repairSources: REPAIR_SOURCES
+            }
+        });
+
+    } catch (error) {
+        logger.error('Credit drift report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build credit drift report',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// One user's balances (columns vs ledger) and ledger transactions
+router.get('/api/admin/credits/users/:id', adminGuard, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const ledger = await creditLedgerService.getUserLedger(parseInt(req.params.id) || 0, { limit });
+
+        if (!ledger) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: ledger
+        });
+
+    } catch (error) {
+        logger.error('Credit ledger user error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load credit ledger',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Repair one user's drift - body: { source: 'ledger' | 'users', reason? } (default ledger)
+router.post('/api/admin/credits/users/:id/repair', adminGuard, async (req, res) => {
+    const adminEmail = req.session?.adminAuth?.adminEmail || null;
+    const userId = parseInt(req.params.id) || 0;
+
+    try {
+        const sourceResult = resolveRepairSource(req.body?.source);
+        if (sourceResult.error) {
+            return res.status(400).json({
+                success: false,
+                error: sourceResult.error
+            });
+        }
+        const { source } = sourceResult;
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().substring(0, 500) || null : null;
+
+        const result = await creditLedgerService.repairUser(userId, { source, reason, adminEmail });
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (result.repaired) {
+            await logAdminAction('repair_credit_drift', null, userId, null, {
+                adminEmail,
+                source,
+                reason,
+                before: result.before,
+                after: result.after
+            }, true, null, req.ip, req.get('User-Agent'));
+        }
+
+        res.json({
+            success: true,
+            message: result.repaired ? 'Credit balances repaired' : 'Balances already match the ledger',
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Credit drift repair error:', error);
+        await logAdminAction('repair_credit_drift', null, userId, null, { adminEmail }, false, error.message, req.ip, req.get('User-Agent'));
+        res.status(500).json({
+            success: false,
+            error: 'Failed to repair credit balances',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// ==================== REFUND REQUEST ENDPOINTS ====================
+
+// Refund requests, pending first - ?status=pending|approved|rejected&limit=&offset=
+router.get('/api/admin/refund-requests', adminGuard, async (req, res) => {
+    try {
+        const { defaultListLimit, maxListLimit } = getRefundSettings();
+        const status = req.query.status || null;
+        if (status && !REFUND_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown status: ${status}. Use one of: ${REFUND_STATUSES.join(', ')}`
+            });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || defaultListLimit, maxListLimit);
+        const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+        const { requests, total } = await refundService.listForAdmin({ status, limit, offset });
+
+        res.json({
+            success: true,
+            data: {
+                requests: requests.map(request => refundService.formatRequest(request)),
+                total,
+                limit,
+                offset
+            }
+        });
+
+    } catch (error) {
+        logger.error('Refund requests list error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load refund requests',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Approve a request and credit the user back - body: { amount?, note? } (amount defaults to the credits charged)
+router.post('/api/admin/refund-requests/:id/approve', adminGuard, async (req, res) => {
+    const adminEmail = req.session?.adminAuth?.adminEmail || null;
+    const requestId = parseInt(req.params.id) || 0;
+
+    try {
+        const request = await refundService.getRequest(requestId);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                error: 'Refund request not found'
+            });
+        }
+
+        const decisionResult = resolveRefundDecision(req.body || {}, parseFloat(request.credits_charged));
+        if (decisionResult.error) {
+            return res.status(400).json({
+                success: false,
+                error: decisionResult.error
+            });
+        }
+        const { amount, note } = decisionResult.decision;
+
+        const result = await refundService.approve(requestId, { amount, note, adminEmail });
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await logAdminAction('approve_refund_request', null, request.user_id, request.user_email, {
+            adminEmail,
+            requestId,
+            sourceType: request.source_type,
+            sourceId: request.source_id,
+            reason: request.reason,
+            amount,
+            note,
+            organizationId: request.organization_id,
+            ledgerTransactionId: result.refund.ledgerTransactionId
+        }, true, null, req.ip, req.get('User-Agent'));
+
+        res.json({
+            success: true,
+            message: request.organization_id
+                ? `${amount} credits refunded to the team pool of ${request.user_email}`
+                : `${amount} credits refunded to ${request.user_email}`,
+            data: {
+                request: refundService.formatRequest(result.refundRequest),
+                newBalance: result.refund.newBalance
+            }
+        });
+
+    } catch (error) {
+        logger.error('Refund request approve error:', error);
+        await logAdminAction('approve_refund_request', null, null, null, { adminEmail, requestId }, false, error.message, req.ip, req.get('User-Agent'));
+        res.status(500).json({
+            success: false,
+            error: 'Failed to approve refund request',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Reject a request - body: { note? } (shown to the user)
+router.post('/api/admin/refund-requests/:id/reject', adminGuard, async (req, res) => {
+    const adminEmail = req.session?.adminAuth?.adminEmail || null;
+    const requestId = parseInt(req.params.id) || 0;
+
+    try {
+        const decisionResult = resolveRefundDecision(req.body || {});
+        if (decisionResult.error) {
+            return res.status(400).json({
+                success: false,
+                error: decisionResult.error
+            });
+        }
+        const { note } = decisionResult.decision;
+
+        const result = await refundService.reject(requestId, { note, adminEmail });
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+        const { refundRequest } = result;
+
+        await logAdminAction('reject_refund_request', null, refundRequest.user_id, refundRequest.user_email, {
+            adminEmail,
+            requestId,
+            sourceType: refundRequest.source_type,
+            sourceId: refundRequest.source_id,
+            reason: refundRequest.reason,
+            note
+        }, true, null, req.ip, req.get('User-Agent'));
+
+        res.json({
+            success: true,
+            message: 'Refund request rejected',
+            data: {
+                request: refundService.formatRequest(refundRequest)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Refund request reject error:', error);
+        await logAdminAction('reject_refund_request', null, null, null, { adminEmail, requestId }, false, error.message, req.ip, req.get('User-Agent'));
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reject refund request',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // ==================== HELPER FUNCTIONS ====================
 
 // Calculate date range based on filter
@@ -0,0 +1,161 @@
+// routes/apiKeyRoutes.js
+// 🔑 Personal API keys - managed with the web app session (JWT) only, so a key can never mint or revoke keys
+
+const router = require('express').Router();
+const { authenticateToken } = require('../middleware/auth');
+const apiKeyService = require('../services/apiKeyService');
+const {
+    API_KEY_SCOPES,
+    getApiKeySettings,
+    resolveApiKeyScopes
+} = require('../config/apiKeys');
+
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const sendServerError = (res, error, message) => {
+    console.error(`[ERROR] ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /user/api-keys - the user's keys (active first) + the scopes a key can have
+router.get('/user/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys(req.user.id);
+        const settings = getApiKeySettings();
+        res.json({
+            success: true,
+            data: {
+                keys: keys.map(key => apiKeyService.formatKey(key)),
+                scopes: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description })),
+                maxKeys: settings.maxKeysPerUser,
+                defaultRateLimitPerMinute: settings.defaultRateLimitPerMinute,
+                maxRateLimitPerMinute: settings.maxRateLimitPerMinute
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load API keys');
+    }
+});
+
+// POST /user/api-keys - { name, scopes, rateLimitPerMinute?, expiresInDays? } - the key is only shown in this response
+router.post('/user/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const { name, scopes, rateLimitPerMinute, expiresInDays } = req.body;
+        const settings = getApiKeySettings();
+
+        if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'name is required (at most 100 characters)'
+            });
+        }
+
+        const scopesResult = resolveApiKeyScopes(scopes);
+        if (scopesResult.error) {
+            return res.status(400).json({ success: false, error: scopesResult.error });
+        }
+
+        const rateLimit = rateLimitPerMinute === undefined || rateLimitPerMinute === null
+            ? settings.defaultRateLimitPerMinute
+            : Number(rateLimitPerMinute);
+        if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > settings.maxRateLimitPerMinute) {
+            return res.status(400).json({
+                success: false,
+                error: `rateLimitPerMinute must be a whole number between 1 and ${settings.maxRateLimitPerMinute}`
+            });
+        }
+
+        const expiryDays = expiresInDays === undefined || expiresInDays === null ? null : Number(expiresInDays);
+        if (expiryDays !== null && (!Number.isInteger(expiryDays) || expiryDays < 1 || expiryDays > settings.maxExpiryDays)) {
+            return res.status(400).json({
+                success: false,
+                error: `expiresInDays must be a whole number between 1 and ${settings.maxExpiryDays}`
+            });
+        }
+
+        if (await apiKeyService.countActiveKeys(req.user.id) >= settings.maxKeysPerUser) {
+            return res.status(400).json({
+                success: false,
+                error: `You can have up to ${settings.maxKeysPerUser} active API keys. Revoke one to create another.`
+            });
+        }
+
+        const { key, plainKey } = await apiKeyService.createKey(req.user.id, {
+            name: name.trim(),
+            scopes: scopesResult.scopes,
+            rateLimitPerMinute: rateLimit,
+            expiresInDays: expiryDays
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now - it will not be shown again.',
+            data: {
+                key: apiKeyService.formatKey(key),
+                apiKey: plainKey
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create API key');
+    }
+});
+
+// DELETE /user/api-keys/:id - revoke (the key stays listed with its usage)
+router.delete('/user/api-keys/:id', authenticateToken, async (req, res) => {
+    try {
+        const keyId = parseId(req.params.id);
+        const key = keyId ? await apiKeyService.getKey(req.user.id, keyId) : null;
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        const revoked = await apiKeyService.revokeKey(req.user.id, keyId);
+        res.json({
+            success: true,
+            message: revoked ? 'API key revoked' : 'API key was already revoked',
+            data: { key: apiKeyService.formatKey(revoked || key) }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to revoke API key');
+    }
+});
+
+// GET /user/api-keys/:id/usage - requests per day and per endpoint (?days=, default 30)
+router.get('/user/api-keys/:id/usage', authenticateToken, async (req, res) => {
+    try {
+        const keyId = parseId(req.params.id);
+        const key = keyId ? await apiKeyService.getKey(req.user.id, keyId) : null;
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        const { usageRetentionDays } = getApiKeySettings();
+        const days = Math.min(parseId(req.query.days) || 30, usageRetentionDays);
+        const usage = await apiKeyService.getUsage(key.id, days);
+
+        res.json({
+            success: true,
+            data: {
+                key: apiKeyService.formatKey(key),
+                usage
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load API key usage');
+    }
+});
+
+module.exports = router;
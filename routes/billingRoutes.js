@@ -13,12 +13,16 @@ const { chargebeeService } = require('../services/chargebeeService');
 // Import plan mapping
 const { CHARGEBEE_PLAN_MAPPING } = require('../config/billing');
 
+// 👥 TEAMS: Seat-based plans are bought by the organization's owner
+const organizationService = require('../services/organizationService');
+
 // Import webhook handlers
 const {
     handleSubscriptionCreated,
     handleSubscriptionActivated,
     handleSubscriptionCancellationScheduled,
     handleSubscriptionCancelled,
+    handleSubscriptionChanged,
     handleInvoiceGenerated,
     handlePaymentSucceeded
 } = require('../controllers/billingController');
@@ -54,6 +58,10 @@ router.post('/chargebee-webhook', express.json(), async (req, res) => {
             case 'subscription_cancelled':
                 await handleSubscriptionCancelled(event.content.subscription, event.content.customer);
                 break;
+            // 👥 TEAMS: Seat changes of a team plan
+            case 'subscription_changed':
+                await handleSubscriptionChanged(event.content.subscription, event.content.customer);
+                break;
             default:
                 console.log(`[WEBHOOK] Unhandled event type: ${eventType}`);
         }
@@ -74,7 +82,7 @@ router.post('/chargebee-webhook', express.json(), async (req, res) => {
 // NEW: Create Chargebee Checkout
 router.post('/create-checkout', authenticateToken, async (req, res) => {
     try {
-        const { planId } = req.body;
+        const { planId, seats } = req.body;
         const userId = req.user.id;
         
         console.log(`[CHECKOUT] Creating checkout for user ${userId}, plan ${planId}`);
@@ -94,9 +102,32 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
             });
         }
         
+        // 👥 TEAMS: Seat-based plans need a seat count within the plan's limits, and only an owner (or someone
+        // without a team yet) can buy one
+        const plan = CHARGEBEE_PLAN_MAPPING[planId];
+        let quantity = 1;
+        if (plan.seatBased) {
+            quantity = seats === undefined || seats === null ? plan.minSeats : parseInt(seats, 10);
+            if (!Number.isInteger(quantity) || quantity < plan.minSeats || quantity > plan.maxSeats) {
+                return res.status(400).json({
+                    success: false,
+                    error: `seats must be a whole number between ${plan.minSeats} and ${plan.maxSeats}`
+                });
+            }
+
+            const membership = await organizationService.getMembership(userId);
+            if (membership && membership.role !== 'owner') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the owner of your team can buy its plan'
+                });
+            }
+        }
+        
         // Create Chargebee checkout
         const checkout = await chargebeeService.createCheckout({
             planId: planId,
+            quantity: quantity,
             customerEmail: req.user.email,
             customerName: req.user.display_name,
             successUrl: 'https://api.msgly.ai/dashboard?upgrade=success',
@@ -120,7 +151,8 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
             data: {
                 checkoutUrl: checkout.checkoutUrl,
                 hostedPageId: checkout.hostedPageId,
-                planId: planId
+                planId: planId,
+                seats: plan.seatBased ? quantity : undefined
             }
         });
         
@@ -0,0 +1,54 @@
+// routes/campaignRoutes.js
+// 📦 Bulk campaign routes - CSV upload, progress, results download and cancel
+
+const router = require('express').Router();
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const { getCampaignLimits } = require('../config/campaigns');
+const {
+    handleCreateCampaign,
+    handleListCampaigns,
+    handleGetCampaign,
+    handleDownloadCampaignResults,
+    handleCancelCampaign
+} = require('../controllers/campaignController');
+
+// Browsers report .csv as text/csv, application/vnd.ms-excel (Windows) or text/plain
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: getCampaignLimits().maxFileBytes,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (CSV_MIME_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+        }
+    }
+});
+
+// Multer errors (size, type) are client errors
+const uploadCsv = (req, res, next) => {
+    csvUpload.single('file')(req, res, (error) => {
+        if (!error) return next();
+
+        res.status(400).json({
+            success: false,
+            error: error.code === 'LIMIT_FILE_SIZE'
+                ? `CSV file too large. Maximum size is ${Math.round(getCampaignLimits().maxFileBytes / 1024)}KB.`
+                : error.message
+        });
+    });
+};
+
+router.post('/campaigns', authenticateToken, uploadCsv, handleCreateCampaign);
+router.get('/campaigns', authenticateToken, handleListCampaigns);
+router.get('/campaigns/:id', authenticateToken, handleGetCampaign);
+router.get('/campaigns/:id/results.csv', authenticateToken, handleDownloadCampaignResults);
+router.post('/campaigns/:id/cancel', authenticateToken, handleCancelCampaign);
+
+module.exports = router;
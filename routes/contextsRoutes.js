@@ -2,23 +2,32 @@
 // Context Management Routes - Save/Load/Delete user contexts with plan-based limits + CONTEXT ADDON SUPPORT
 // ✅ UPDATED: Now uses simplified context slot system with direct database fields
 // 🔧 SIMPLIFIED: Removed complex calculations, uses database.js functions directly
+// 👥 TEAMS: Contexts can be shared with the user's organization - GET /contexts lists the team's shared contexts too
 
 const router = require('express').Router();
 const { authenticateToken } = require('../middleware/auth');
 const { getContextAddonUsage, getUserContextAddons } = require('../utils/database');
 const { pool } = require('../utils/database');
 const logger = require('../utils/logger');
+const organizationService = require('../services/organizationService');
+const { hasOrganizationPermission } = require('../config/organizations');
 
 // GET /contexts - List user's saved contexts with addon-aware limits
 router.get('/contexts', authenticateToken, async (req, res) => {
     try {
         const result = await pool.query(`
-            SELECT id, context_name, context_text, created_at, updated_at
+            SELECT id, context_name, context_text, created_at, updated_at, organization_id IS NOT NULL as shared
             FROM saved_contexts 
             WHERE user_id = $1 
             ORDER BY created_at DESC
         `, [req.user.id]);
 
+        // 👥 Contexts teammates shared (they don't take the user's slots)
+        const membership = await organizationService.getMembership(req.user.id);
+        const teamContexts = membership
+            ? await organizationService.listSharedContexts(membership.id, req.user.id)
+            : [];
+
         // 🆕 SIMPLIFIED: Use database function for context limits
         const limitData = await getContextAddonUsage(req.user.id);
         
@@ -32,6 +41,7 @@ router.get('/contexts', authenticateToken, async (req, res) => {
             success: true,
             data: {
                 contexts: result.rows,
+                teamContexts: teamContexts,
                 usage: {
                     used: used,
                     baseLimit: baseLimit,
@@ -62,20 +72,7 @@ router.post('/contexts', authenticateToken, async (req, res) => {
     try {
         const { context_name, context_text } = req.body;
 
-        // Validate input
-        if (!context_name || !context_text) {
-            return res.status(400).json({
-                success: false,
-                error: 'Context name and text are required'
-            });
-        }
-
-        if (context_name.length > 100) {
-            return res.status(400).json({
-                success: false,
-                error: 'Context name must be 100 characters or less'
-            });
-        }
+        // context_name (1-100 characters) and context_text: checked by the request schema (schema/openapi/paths/contexts.js)
 
         // 🆕 SIMPLIFIED: Use database function for limit checking
         const limitData = await getContextAddonUsage(req.user.id);
@@ -154,20 +151,7 @@ router.put('/contexts/:id', authenticateToken, async (req, res) => {
         const contextId = parseInt(req.params.id);
         const { context_name, context_text } = req.body;
 
-        // Validate input
-        if (!context_name || !context_text) {
-            return res.status(400).json({
-                success: false,
-                error: 'Context name and text are required'
-            });
-        }
-
-        if (context_name.length > 100) {
-            return res.status(400).json({
-                success: false,
-                error: 'Context name must be 100 characters or less'
-            });
-        }
+        // context_name (1-100 characters) and context_text: checked by the request schema (schema/openapi/paths/contexts.js)
 
         // Verify context belongs to user and update
         try {
@@ -241,6 +225,79 @@ router.delete('/contexts/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// 👥 POST /contexts/:id/share - Share one of the user's contexts with their organization
+router.post('/contexts/:id/share', authenticateToken, async (req, res) => {
+    try {
+        const contextId = parseInt(req.params.id);
+
+        const membership = await organizationService.getMembership(req.user.id);
+        if (!membership) {
+            return res.status(400).json({
+                success: false,
+                error: 'Join or create an organization to share contexts'
+            });
+        }
+
+        const context = await organizationService.shareContext(membership.id, req.user.id, contextId);
+        if (!context) {
+            return res.status(404).json({
+                success: false,
+                error: 'Context not found or access denied'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Context "${context.context_name}" shared with ${membership.name}`,
+            data: context
+        });
+
+    } catch (error) {
+        logger.error('Share context error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to share context'
+        });
+    }
+});
+
+// 👥 DELETE /contexts/:id/share - Stop sharing (the context's author, or an owner / admin for anyone's)
+router.delete('/contexts/:id/share', authenticateToken, async (req, res) => {
+    try {
+        const contextId = parseInt(req.params.id);
+
+        const membership = await organizationService.getMembership(req.user.id);
+        const context = membership
+            ? await organizationService.unshareContext(
+                membership.id,
+                req.user.id,
+                contextId,
+                hasOrganizationPermission(membership.role, 'manage_shared_contexts')
+            )
+            : null;
+
+        if (!context) {
+            return res.status(404).json({
+                success: false,
+                error: 'Shared context not found or access denied'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Context "${context.context_name}" is no longer shared`,
+            data: context
+        });
+
+    } catch (error) {
+        logger.error('Unshare context error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stop sharing context'
+        });
+    }
+});
+
 // GET /contexts/limits - Get user's context limits (used by frontend)
 router.get('/contexts/limits', authenticateToken, async (req, res) => {
     try {
@@ -0,0 +1,251 @@
+// routes/crmRoutes.js
+// 🔗 CRM export - connect HubSpot / Salesforce, choose the field mapping, push the Messages tracker and read the sync log
+
+const router = require('express').Router();
+const { authenticateToken } = require('../middleware/auth');
+const crmService = require('../services/crmService');
+const {
+    CRM_PROVIDERS,
+    CONTACT_FIELDS,
+    DEFAULT_FIELD_MAPPINGS,
+    ACTIVITY_TYPES,
+    SYNC_STATUSES,
+    resolveCrmProvider,
+    resolveFieldMapping
+} = require('../config/crm');
+
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Load the user's connection from :id or answer 404
+const loadConnection = async (req, res) => {
+    const connectionId = parseId(req.params.id);
+    const connection = connectionId ? await crmService.getConnection(req.user.id, connectionId) : null;
+    if (!connection) {
+        res.status(404).json({
+            success: false,
+            error: 'CRM connection not found'
+        });
+        return null;
+    }
+    return connection;
+};
+
+const sendServerError = (res, error, message) => {
+    console.error(`[ERROR] ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /user/crm - the user's connections + providers, exportable fields and default mappings
+router.get('/user/crm', authenticateToken, async (req, res) => {
+    try {
+        const connections = await crmService.listConnections(req.user.id);
+        res.json({
+            success: true,
+            data: {
+                connections: connections.map(connection => crmService.formatConnection(connection)),
+                providers: Object.entries(CRM_PROVIDERS).map(([provider, config]) => ({
+                    provider,
+                    label: config.label,
+                    requiresInstanceUrl: config.requiresInstanceUrl,
+                    defaultFieldMapping: DEFAULT_FIELD_MAPPINGS[provider]
+                })),
+                contactFields: Object.entries(CONTACT_FIELDS).map(([field, description]) => ({ field, description })),
+                activityTypes: ACTIVITY_TYPES
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load CRM connections');
+    }
+});
+
+// POST /user/crm/connections - { provider, accessToken, instanceUrl?, fieldMapping?, syncActivities? }
+router.post('/user/crm/connections', authenticateToken, async (req, res) => {
+    try {
+        const { accessToken, instanceUrl, fieldMapping, syncActivities } = req.body;
+
+        const providerResult = resolveCrmProvider(req.body.provider);
+        if (providerResult.error) {
+            return res.status(400).json({ success: false, error: providerResult.error });
+        }
+        const { provider } = providerResult;
+
+        const validationError = crmService.getAccessTokenError(accessToken)
+            || crmService.getInstanceUrlError(provider, instanceUrl);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const mappingResult = resolveFieldMapping(provider, fieldMapping);
+        if (mappingResult.error) {
+            return res.status(400).json({ success: false, error: mappingResult.error });
+        }
+
+        if (syncActivities !== undefined && typeof syncActivities !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'syncActivities must be true or false' });
+        }
+
+        if (await crmService.getConnectionByProvider(req.user.id, provider)) {
+            return res.status(409).json({
+                success: false,
+                error: `${CRM_PROVIDERS[provider].label} is already connected. Update or delete that connection instead.`
+            });
+        }
+
+        const connection = await crmService.createConnection(req.user.id, {
+            provider,
+            accessToken,
+            instanceUrl,
+            fieldMapping: mappingResult.fieldMapping,
+            syncActivities: syncActivities !== false
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${CRM_PROVIDERS[provider].label} connected`,
+            data: { connection: crmService.formatConnection(connection) }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create CRM connection');
+    }
+});
+
+// PUT /user/crm/connections/:id - { accessToken?, instanceUrl?, fieldMapping?, syncActivities?, isActive? }
+// fieldMapping only changes the fields it names; null stops exporting a field
+router.put('/user/crm/connections/:id', authenticateToken, async (req, res) => {
+    try {
+        const connection = await loadConnection(req, res);
+        if (!connection) return;
+
+        const { accessToken, instanceUrl, fieldMapping, syncActivities, isActive } = req.body;
+        const updates = {};
+
+        if (accessToken !== undefined) {
+            const tokenError = crmService.getAccessTokenError(accessToken);
+            if (tokenError) {
+                return res.status(400).json({ success: false, error: tokenError });
+            }
+            updates.accessToken = accessToken;
+        }
+
+        if (instanceUrl !== undefined) {
+            const urlError = crmService.getInstanceUrlError(connection.provider, instanceUrl);
+            if (urlError) {
+                return res.status(400).json({ success: false, error: urlError });
+            }
+            updates.instanceUrl = instanceUrl;
+        }
+
+        if (fieldMapping !== undefined) {
+            const mappingResult = resolveFieldMapping(connection.provider, fieldMapping, connection.field_mapping);
+            if (mappingResult.error) {
+                return res.status(400).json({ success: false, error: mappingResult.error });
+            }
+            updates.fieldMapping = mappingResult.fieldMapping;
+        }
+
+        for (const [name, value] of Object.entries({ syncActivities, isActive })) {
+            if (value === undefined) continue;
+            if (typeof value !== 'boolean') {
+                return res.status(400).json({ success: false, error: `${name} must be true or false` });
+            }
+            updates[name] = value;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid updates provided'
+            });
+        }
+
+        const updated = await crmService.updateConnection(req.user.id, connection.id, updates);
+        res.json({
+            success: true,
+            message: 'CRM connection updated',
+            data: { connection: crmService.formatConnection(updated) }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update CRM connection');
+    }
+});
+
+// DELETE /user/crm/connections/:id - records already pushed stay in the CRM
+router.delete('/user/crm/connections/:id', authenticateToken, async (req, res) => {
+    try {
+        const connection = await loadConnection(req, res);
+        if (!connection) return;
+
+        await crmService.deleteConnection(req.user.id, connection.id);
+        res.json({
+            success: true,
+            message: 'CRM connection deleted'
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to delete CRM connection');
+    }
+});
+
+// POST /user/crm/connections/:id/sync - { messageIds? } - push what is new (or push the given messages again)
+router.post('/user/crm/connections/:id/sync', authenticateToken, async (req, res) => {
+    try {
+        const connection = await loadConnection(req, res);
+        if (!connection) return;
+
+        if (!connection.is_active) {
+            return res.status(400).json({
+                success: false,
+                error: 'CRM connection is paused. Set isActive to true to sync it.'
+            });
+        }
+
+        const { messageIds } = req.body || {};
+        const { job, created } = await crmService.queueSync(req.user.id, connection, {
+            messageIds: Array.isArray(messageIds) ? messageIds : null
+        });
+
+        res.status(202).json({
+            success: true,
+            message: created ? 'CRM sync queued' : 'A sync of this connection is already queued',
+            data: {
+                jobId: job.id,
+                statusUrl: `/jobs/${job.id}`
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to queue CRM sync');
+    }
+});
+
+// GET /user/crm/connections/:id/sync-log - sync runs, newest first (?status=, ?limit=)
+router.get('/user/crm/connections/:id/sync-log', authenticateToken, async (req, res) => {
+    try {
+        const connection = await loadConnection(req, res);
+        if (!connection) return;
+
+        const { status } = req.query;
+        if (status && !SYNC_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown status: ${status}. Use one of: ${SYNC_STATUSES.join(', ')}`
+            });
+        }
+        const limit = Math.min(parseId(req.query.limit) || 50, 200);
+
+        const entries = await crmService.listSyncLog(req.user.id, connection.id, { status: status || null, limit });
+        res.json({
+            success: true,
+            data: { syncLog: entries.map(entry => crmService.formatSyncLog(entry)) }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load CRM sync log');
+    }
+});
+
+module.exports = router;
@@ -5,7 +5,7 @@
 // Version: 2.0.0 - Using emailFinderForPage.js with v2 API
 
 const router = require('express').Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateApiKeyOrToken } = require('../middleware/auth');
 const { pool } = require('../utils/database');
 const logger = require('../utils/logger');
 
@@ -32,21 +32,14 @@ router.get('/health', authenticateToken, async (req, res) => {
 });
 
 // Search for email + profile data by LinkedIn URL
-router.post('/search', authenticateToken, async (req, res) => {
+router.post('/search', authenticateApiKeyOrToken('emails:find'), async (req, res) => {
     try {
         const { linkedin_url } = req.body;
         const userId = req.user.id;
 
         logger.info(`[EMAIL_FINDER_PAGE_ROUTE] Search request - User: ${userId}, URL: ${linkedin_url}`);
 
-        // Validate input
-        if (!linkedin_url || !linkedin_url.includes('linkedin.com')) {
-            return res.status(400).json({
-                success: false,
-                error: 'invalid_url',
-                message: 'Please provide a valid LinkedIn profile URL'
-            });
-        }
+        // linkedin_url (a linkedin.com URL): checked by the request schema (schema/openapi/paths/emailFinder.js)
 
         // Call the email finder for page (handles credits internally)
         const result = await findEmailForPage(userId, linkedin_url);
@@ -80,7 +73,7 @@ router.post('/search', authenticateToken, async (req, res) => {
 });
 
 // Get search history for current user
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateApiKeyOrToken('history:read'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { sort = 'recent_first', limit = 50 } = req.query;
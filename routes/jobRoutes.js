@@ -0,0 +1,109 @@
+// routes/jobRoutes.js
+// ⏳ Background job status - endpoints that enqueue work return a jobId the frontend polls here
+
+const router = require('express').Router();
+const { authenticateToken, authenticateApiKeyOrToken } = require('../middleware/auth');
+const jobQueue = require('../services/jobQueue');
+const { JOB_STATUSES, JOB_TYPES } = require('../config/jobs');
+
+const parseJobId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// 🔑 Job types an API key may see: those whose apiKeyScope (config/jobs.js) it has - null for a login (every type)
+const getVisibleJobTypes = (req) => {
+    if (!req.apiKey) return null;
+    return Object.keys(JOB_TYPES).filter(type => JOB_TYPES[type].apiKeyScope && req.apiKey.scopes.includes(JOB_TYPES[type].apiKeyScope));
+};
+
+// GET /jobs - recent jobs of the user (?status=, ?type=) - an API key only lists the types its scopes cover
+router.get('/jobs', authenticateApiKeyOrToken(), async (req, res) => {
+    try {
+        const { status, type } = req.query;
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown status: ${status}. Use one of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+        if (type && !JOB_TYPES[type]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown job type: ${type}. Use one of: ${Object.keys(JOB_TYPES).join(', ')}`
+            });
+        }
+
+        const jobs = await jobQueue.listJobs(req.user.id, {
+            status: status || null,
+            jobType: type || null,
+            jobTypes: getVisibleJobTypes(req)
+        });
+        res.json({
+            success: true,
+            data: { jobs: jobs.map(job => jobQueue.formatJob(job)) }
+        });
+    } catch (error) {
+        console.error('[ERROR] List jobs error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load jobs',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// GET /jobs/:id - poll until status is completed, failed or cancelled
+router.get('/jobs/:id', authenticateApiKeyOrToken(), async (req, res) => {
+    try {
+        const jobId = parseJobId(req.params.id);
+        const job = jobId ? await jobQueue.getJob(req.user.id, jobId) : null;
+        const visibleJobTypes = getVisibleJobTypes(req);
+        if (!job || (visibleJobTypes && !visibleJobTypes.includes(job.job_type))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { job: jobQueue.formatJob(job) }
+        });
+    } catch (error) {
+        console.error('[ERROR] Get job error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load job',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// POST /jobs/:id/cancel - only jobs that have not started yet
+router.post('/jobs/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+        const jobId = parseJobId(req.params.id);
+        const cancelled = jobId ? await jobQueue.cancelJob(req.user.id, jobId) : false;
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: 'Only queued jobs can be cancelled'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Job cancelled'
+        });
+    } catch (error) {
+        console.error('[ERROR] Cancel job error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel job',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
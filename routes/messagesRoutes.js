@@ -3,31 +3,148 @@
 // Version: 1.2.0 - FIXED: Email visibility filtered by user requests (only show if user asked)
 
 const router = require('express').Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateApiKeyOrToken } = require('../middleware/auth');
 const {
     handleGenerateMessage,
     handleGenerateConnection,
     handleGenerateIntro,
     handleGenerateColdEmail  // EXISTING: Keep cold email functionality
 } = require('../controllers/messagesController');
+const {
+    handleGenerateMessageStream,
+    handleGenerateConnectionStream,
+    handleGenerateIntroStream,
+    handleGenerateColdEmailStream,
+    handleGenerateUnifiedStream
+} = require('../controllers/messageStreamController');
+const { handleGenerateSequence, handleGetSequence } = require('../controllers/sequenceController');
+const { handleGenerateReplyResponse } = require('../controllers/replyController');
+const {
+    handleGenerateInMail,
+    handleGeneratePostComment,
+    handleGenerateEventFollowUp
+} = require('../controllers/messageTypesController');
+const gptService = require('../services/gptService');
+const messageGenerationService = require('../services/messageGenerationService');
 
 // NEW: Import database and logger for CRUD operations
 const { pool } = require('../utils/database');
 const logger = require('../utils/logger');
 
 // Import email finder integration
-const { findEmailWithLinkedInUrl, isEmailFinderEnabled } = require('../emailFinder');
+const { isEmailFinderEnabled } = require('../emailFinder');
+const jobQueue = require('../services/jobQueue');
+
+// 📤 Message history export (CSV / JSON / XLSX)
+const messageExportService = require('../services/messageExportService');
+const { resolveExportRequest } = require('../config/messageExport');
 
 // EXISTING: Message generation routes (unchanged)
-router.post('/generate-message', authenticateToken, handleGenerateMessage);
-router.post('/generate-connection', authenticateToken, handleGenerateConnection);
-router.post('/generate-intro', authenticateToken, handleGenerateIntro);
-router.post('/generate-cold-email', authenticateToken, handleGenerateColdEmail); // EXISTING: Keep this
+router.post('/generate-message', authenticateApiKeyOrToken('messages:generate'), handleGenerateMessage);
+router.post('/generate-connection', authenticateApiKeyOrToken('messages:generate'), handleGenerateConnection);
+router.post('/generate-intro', authenticateApiKeyOrToken('messages:generate'), handleGenerateIntro);
+router.post('/generate-cold-email', authenticateApiKeyOrToken('messages:generate'), handleGenerateColdEmail); // EXISTING: Keep this
+
+// ✉️ InMail, comment on a target's post, follow-up after a meeting or event
+router.post('/generate-inmail', authenticateApiKeyOrToken('messages:generate'), handleGenerateInMail);
+router.post('/generate-post-comment', authenticateApiKeyOrToken('messages:generate'), handleGeneratePostComment);
+router.post('/generate-event-followup', authenticateApiKeyOrToken('messages:generate'), handleGenerateEventFollowUp);
+
+// NEW: Streaming (SSE) variants - credits are charged only when the stream finishes cleanly
+router.post('/generate-message/stream', authenticateApiKeyOrToken('messages:generate'), handleGenerateMessageStream);
+router.post('/generate-connection/stream', authenticateApiKeyOrToken('messages:generate'), handleGenerateConnectionStream);
+router.post('/generate-intro/stream', authenticateApiKeyOrToken('messages:generate'), handleGenerateIntroStream);
+router.post('/generate-cold-email/stream', authenticateApiKeyOrToken('messages:generate'), handleGenerateColdEmailStream);
+router.post('/generate-unified/stream', authenticateApiKeyOrToken('messages:generate'), handleGenerateUnifiedStream);
+
+// 🔗 NEW: Multi-touch sequence (cadence) generation
+router.post('/generate-sequence', authenticateApiKeyOrToken('messages:generate'), handleGenerateSequence);
+
+// 🤝 GET /mutual-connections?targetProfileUrl= - Picker for intro requests (names found on the analyzed target profile)
+router.get('/mutual-connections', authenticateToken, async (req, res) => {
+    try {
+        const { targetProfileUrl } = req.query;
+
+        if (!targetProfileUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'targetProfileUrl is required'
+            });
+        }
+
+        const targetProfile = await messageGenerationService.loadTargetProfile(targetProfileUrl);
+        if (!targetProfile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Target profile not found. Please analyze the target profile first.'
+            });
+        }
+
+        const { connections, totalCount } = messageGenerationService.extractMutualConnections(targetProfile.data_json);
+
+        res.json({
+            success: true,
+            data: {
+                targetProfileUrl: targetProfile.linkedin_url,
+                connections: connections,
+                totalCount: totalCount,
+                // LinkedIn only shows a few names - any other mutual connection can be typed in
+                hiddenCount: Math.max(0, totalCount - connections.length)
+            }
+        });
+    } catch (error) {
+        logger.error('Get mutual connections error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load mutual connections'
+        });
+    }
+});
+
+// ✉️ GET /target-posts?targetProfileUrl= - Picker for post comments (posts from the analyzed target's activity)
+router.get('/target-posts', authenticateToken, async (req, res) => {
+    try {
+        const { targetProfileUrl } = req.query;
+
+        if (!targetProfileUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'targetProfileUrl is required'
+            });
+        }
+
+        const targetProfile = await messageGenerationService.loadTargetProfile(targetProfileUrl);
+        if (!targetProfile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Target profile not found. Please analyze the target profile first.'
+            });
+        }
+
+        const posts = gptService.getTargetPosts(targetProfile);
+
+        res.json({
+            success: true,
+            data: {
+                targetProfileUrl: targetProfile.linkedin_url,
+                // Send posts[].index back as postIndex to /generate-post-comment
+                posts: posts,
+                totalCount: posts.length
+            }
+        });
+    } catch (error) {
+        logger.error('Get target posts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load target posts'
+        });
+    }
+});
 
 // ==================== NEW: MESSAGES CRUD ENDPOINTS ====================
 
 // GET /messages/history - Get messages for user (FIXED: JOIN with target_profiles for email data)
-router.get('/messages/history', authenticateToken, async (req, res) => {
+router.get('/messages/history', authenticateApiKeyOrToken('history:read'), async (req, res) => {
     try {
         const result = await pool.query(`
             SELECT 
@@ -49,6 +166,32 @@ router.get('/messages/history', authenticateToken, async (req, res) => {
                 ml.sent_date,
                 ml.reply_date,
                 ml.target_profile_url as linkedinUrl,
+                -- 🔀 Variant drafts share a generation group
+                ml.generation_group_id,
+                ml.variant_index,
+                ml.variant_angle,
+                ml.variant_selected,
+                -- 🔗 Sequence schedule (steps of one cadence share a sequence_id)
+                ml.sequence_id,
+                ml.sequence_name,
+                ml.sequence_step,
+                ml.sequence_day_offset,
+                ml.scheduled_for,
+                CASE 
+                    WHEN ml.sequence_id IS NOT NULL THEN COUNT(*) OVER (PARTITION BY ml.sequence_id)
+                    ELSE NULL
+                END as sequence_total_steps,
+                -- 💬 Reply responses point at the message the target replied to
+                ml.parent_message_id,
+                ml.reply_text,
+                -- 🌍 Output language (null for messages generated before multi-language support)
+                ml.language,
+                -- ✉️ The commented post / followed-up event (post_comment and event_followup only)
+                ml.data_json->'post' as commented_post,
+                ml.data_json->'event' as followup_event,
+                -- 📦 Bulk campaign the message was generated in
+                ml.campaign_id,
+                c.name as campaign_name,
                 -- Get full profile data from target_profiles to extract lastName
                 tp.data_json,
                 -- FIXED: Only show email if THIS user requested it
@@ -67,6 +210,7 @@ router.get('/messages/history', authenticateToken, async (req, res) => {
             FROM message_logs ml 
             LEFT JOIN target_profiles tp ON tp.linkedin_url = ml.target_profile_url
             LEFT JOIN email_requests er ON er.linkedin_url = ml.target_profile_url AND er.user_id = ml.user_id
+            LEFT JOIN campaigns c ON c.id = ml.campaign_id
             WHERE ml.user_id = $1 
             ORDER BY ml.created_at DESC
         `, [req.user.id]);
@@ -137,7 +281,33 @@ router.get('/messages/history', authenticateToken, async (req, res) => {
                 // FIXED: Include email data from target_profiles
                 emailFound: row.email_found,
                 emailStatus: row.email_status,
-                emailVerifiedAt: row.email_verified_at
+                emailVerifiedAt: row.email_verified_at,
+                // 🔀 Variant info (null for single-message generations)
+                generationGroupId: row.generation_group_id,
+                variantIndex: row.variant_index,
+                variantAngle: row.variant_angle,
+                variantSelected: row.variant_selected || false,
+                // 🔗 Sequence schedule (null for standalone messages)
+                sequence: row.sequence_id ? {
+                    id: row.sequence_id,
+                    cadence: row.sequence_name,
+                    step: row.sequence_step,
+                    totalSteps: parseInt(row.sequence_total_steps),
+                    dayOffset: row.sequence_day_offset,
+                    scheduledFor: row.scheduled_for
+                } : null,
+                // 💬 Reply response info (null for outreach messages)
+                parentMessageId: row.parent_message_id,
+                replyText: row.reply_text,
+                language: row.language || 'en',
+                // ✉️ Post comments / event follow-ups (null for other types)
+                post: row.commented_post || null,
+                event: row.followup_event || null,
+                // 📦 Bulk campaign (null for one-by-one generations)
+                campaign: row.campaign_id ? {
+                    id: row.campaign_id,
+                    name: row.campaign_name
+                } : null
             };
         });
 
@@ -154,6 +324,155 @@ router.get('/messages/history', authenticateToken, async (req, res) => {
     }
 });
 
+// 📤 GET /messages/export?format=csv|json|xlsx - Message history download (filters: from, to, messageType, sentStatus, replyStatus, context)
+router.get('/messages/export', authenticateApiKeyOrToken('history:read'), async (req, res) => {
+    try {
+        const exportRequest = resolveExportRequest(req.query);
+        if (exportRequest.error) {
+            return res.status(400).json({
+                success: false,
+                error: exportRequest.error
+            });
+        }
+
+        const file = await messageExportService.buildExport(req.user.id, exportRequest.format, exportRequest.filters);
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.setHeader('X-Export-Count', String(file.count));
+        if (file.truncated) {
+            res.setHeader('X-Export-Truncated', 'true');
+        }
+        res.send(file.body);
+    } catch (error) {
+        logger.error('Messages export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export messages'
+        });
+    }
+});
+
+// 💬 POST /messages/:id/reply-response - Respond to the target's pasted reply (charged as message_generation)
+router.post('/messages/:id/reply-response', authenticateApiKeyOrToken('messages:generate'), handleGenerateReplyResponse);
+
+// 🔗 GET /messages/sequences/:sequenceId - Schedule of one sequence
+router.get('/messages/sequences/:sequenceId', authenticateApiKeyOrToken('history:read'), handleGetSequence);
+
+// 🔀 GET /messages/variants/:groupId - All drafts generated by one variants request
+router.get('/messages/variants/:groupId', authenticateApiKeyOrToken('history:read'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT 
+                id,
+                variant_index,
+                variant_angle,
+                variant_selected,
+                variant_selected_at,
+                generated_message,
+                message_type,
+                created_at
+            FROM message_logs
+            WHERE generation_group_id = $1 AND user_id = $2
+            ORDER BY variant_index ASC
+        `, [req.params.groupId, req.user.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Generation group not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                generationGroupId: req.params.groupId,
+                variants: result.rows.map(row => ({
+                    messageLogId: row.id,
+                    variantIndex: row.variant_index,
+                    angle: row.variant_angle,
+                    selected: row.variant_selected || false,
+                    selectedAt: row.variant_selected_at,
+                    message: row.generated_message,
+                    messageType: row.message_type,
+                    createdAt: row.created_at
+                }))
+            }
+        });
+    } catch (error) {
+        logger.error('Get variants error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load variants'
+        });
+    }
+});
+
+// 🔀 PUT /messages/variants/:groupId/select - Mark the draft the user chose (one per group)
+router.put('/messages/variants/:groupId/select', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const messageLogId = parseInt(req.body.messageLogId);
+        const { groupId } = req.params;
+        const userId = req.user.id;
+
+        if (!messageLogId) {
+            return res.status(400).json({
+                success: false,
+                error: 'messageLogId is required'
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const checkResult = await client.query(
+            'SELECT id FROM message_logs WHERE id = $1 AND user_id = $2 AND generation_group_id = $3',
+            [messageLogId, userId, groupId]
+        );
+
+        if (checkResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                error: 'Variant not found in this generation group'
+            });
+        }
+
+        await client.query(`
+            UPDATE message_logs 
+            SET 
+                variant_selected = (id = $1),
+                variant_selected_at = CASE WHEN id = $1 THEN NOW() ELSE NULL END
+            WHERE generation_group_id = $2 AND user_id = $3
+        `, [messageLogId, groupId, userId]);
+
+        await client.query('COMMIT');
+
+        logger.success(`Variant ${messageLogId} selected in group ${groupId} for user ${userId}`);
+
+        res.json({
+            success: true,
+            message: 'Variant selected',
+            data: {
+                generationGroupId: groupId,
+                selectedMessageLogId: messageLogId
+            }
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Select variant error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to select variant'
+        });
+    } finally {
+        client.release();
+    }
+});
+
 // PUT /messages/:id - Update message status and comments (EXACT ORIGINAL VERSION)
 router.put('/messages/:id', authenticateToken, async (req, res) => {
     try {
@@ -394,10 +713,10 @@ router.put('/messages/individual/:messageId/edit', authenticateToken, async (req
 
 // ==================== EMAIL FINDER ENDPOINT ====================
 
-// POST /api/ask-email - FIXED: Waits for verification to complete before responding
-router.post('/api/ask-email', authenticateToken, async (req, res) => {
+// POST /api/ask-email - ⏳ Enqueues an email_finder job (emailFinder.runEmailFinderJob) and returns its jobId
+router.post('/api/ask-email', authenticateApiKeyOrToken('emails:find'), async (req, res) => {
     try {
-        logger.info('=== EMAIL FINDER REQUEST (WITH VERIFICATION WAIT) ===');
+        logger.info('=== EMAIL FINDER REQUEST ===');
         logger.info(`User ID: ${req.user.id}`);
         
         const { messageId } = req.body;
@@ -461,62 +780,23 @@ router.post('/api/ask-email', authenticateToken, async (req, res) => {
             });
         }
         
-        // STEP 1: Call email finder (finds email, triggers verification)
-        logger.info('[STEP 1] Finding email...');
-        const finderResult = await findEmailWithLinkedInUrl(req.user.id, linkedinUrl);
-        
-        if (!finderResult.success) {
-            logger.warn(`[EMAIL_FINDER] Failed: ${finderResult.error}`);
-            return res.json(finderResult);
-        }
-        
-        if (!finderResult.email) {
-            logger.warn('[EMAIL_FINDER] No email found');
-            return res.json(finderResult);
-        }
-        
-        logger.success(`[EMAIL_FINDER] âœ… Email found: ${finderResult.email}`);
-        
-        // STEP 2: FIXED - Wait for verification to complete (16 seconds total)
-        logger.info('[STEP 2] Waiting for verification to complete...');
-        
-        // Wait 16 seconds for verification (email finding ~3s + verification ~12s + buffer ~1s)
-        await new Promise(resolve => setTimeout(resolve, 16000));
-        
-        // STEP 3: Get final verification status from database
-        logger.info('[STEP 3] Retrieving final verification status...');
-        const statusResult = await pool.query(`
-            SELECT email_found, email_status, email_verified_at
-            FROM target_profiles 
-            WHERE linkedin_url = $1 AND user_id = $2
-        `, [linkedinUrl, req.user.id]);
+        // ⏳ Search + verification (~20s) run as an email_finder job - the client polls GET /jobs/:id
+        const { job } = await jobQueue.enqueue('email_finder', {
+            userId: req.user.id,
+            linkedinUrl: linkedinUrl,
+            messageId: messageId
+        }, {
+            userId: req.user.id,
+            dedupeKey: `email_finder:${req.user.id}:${linkedinUrl}`
+        });
         
-        if (statusResult.rows.length > 0) {
-            const row = statusResult.rows[0];
-            logger.success(`[EMAIL_FINDER] âœ… Complete result: email=${row.email_found}, status=${row.email_status}`);
-            
-            // Return complete result with email + verification status
-            return res.json({
-                success: true,
-                email: row.email_found,
-                status: row.email_status || 'unknown',
-                verifiedAt: row.email_verified_at,
-                creditsCharged: finderResult.creditsCharged,
-                newBalance: finderResult.newBalance,
-                message: 'Email found and verified successfully'
-            });
-        } else {
-            // Fallback: return finder result if DB query fails
-            logger.warn('[EMAIL_FINDER] Could not retrieve verification status from DB');
-            return res.json({
-                success: true,
-                email: finderResult.email,
-                status: 'pending_verification',
-                creditsCharged: finderResult.creditsCharged,
-                newBalance: finderResult.newBalance,
-                message: 'Email found, verification status pending'
-            });
-        }
+        res.status(202).json({
+            success: true,
+            queued: true,
+            jobId: job.id,
+            statusUrl: `/jobs/${job.id}`,
+            message: 'Finding and verifying email...'
+        });
         
     } catch (error) {
         logger.error('Email finder error:', error);
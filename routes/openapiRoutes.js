@@ -0,0 +1,13 @@
+// routes/openapiRoutes.js
+// 📘 Machine-readable API description (schema/openapi) - public, so clients and tooling can fetch it without a token
+
+const router = require('express').Router();
+const { getOpenApiDocument } = require('../schema/openapi');
+
+// GET /api/openapi.json - OpenAPI 3.0 document of every route
+router.get('/api/openapi.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getOpenApiDocument());
+});
+
+module.exports = router;
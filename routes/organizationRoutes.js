@@ -0,0 +1,376 @@
+// routes/organizationRoutes.js
+// 👥 Team workspaces - the user's organization, members and roles, invites, monthly spending caps and the team
+// Messages view. Seats are bought with the seat-based plan at /create-checkout (config/billing.js).
+
+const router = require('express').Router();
+const { authenticateToken } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
+const { isValidEmail } = require('../utils/helpers');
+const { resolveMessageFilters } = require('../config/messageExport');
+const {
+    ORGANIZATION_ROLES,
+    getOrganizationSettings,
+    hasOrganizationPermission,
+    resolveOrganizationName,
+    resolveOrganizationRole,
+    resolveMemberCap
+} = require('../config/organizations');
+
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Load the user's organization (with their role) or answer 404
+const loadMembership = async (req, res) => {
+    const membership = await organizationService.getMembership(req.user.id);
+    if (!membership) {
+        res.status(404).json({
+            success: false,
+            error: 'You are not in an organization'
+        });
+        return null;
+    }
+    return membership;
+};
+
+// Answer 403 unless the role has the permission (config/organizations.js ORGANIZATION_PERMISSIONS)
+const requirePermission = (res, membership, permission) => {
+    if (hasOrganizationPermission(membership.role, permission)) return true;
+    res.status(403).json({
+        success: false,
+        error: `Your role (${membership.role}) can't do this`
+    });
+    return false;
+};
+
+const sendServerError = (res, error, message) => {
+    console.error(`[ERROR] ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /organization - the user's organization, their role, cap and spend + invites addressed to them
+router.get('/organization', authenticateToken, async (req, res) => {
+    try {
+        const [membership, invites] = await Promise.all([
+            organizationService.getMembership(req.user.id),
+            organizationService.listInvitesForEmail(req.user.email)
+        ]);
+
+        let organization = null;
+        if (membership) {
+            organization = {
+                ...organizationService.formatOrganization(membership),
+                role: membership.role,
+                monthlyCreditCap: membership.monthly_credit_cap === null ? null : parseFloat(membership.monthly_credit_cap),
+                spentThisMonth: await organizationService.getMemberSpend(membership.id, req.user.id),
+                seatsUsed: await organizationService.countSeatsUsed(membership.id)
+            };
+        }
+
+        res.json({
+            success: true,
+            data: {
+                organization,
+                invites: invites.map(invite => organizationService.formatInvite(invite)),
+                roles: Object.entries(ORGANIZATION_ROLES).map(([role, description]) => ({ role, description }))
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load organization');
+    }
+});
+
+// POST /organization - { name } - create a team with the user as owner (seats come with the team plan)
+router.post('/organization', authenticateToken, async (req, res) => {
+    try {
+        const nameResult = resolveOrganizationName(req.body.name);
+        if (nameResult.error) {
+            return res.status(400).json({ success: false, error: nameResult.error });
+        }
+
+        const result = await organizationService.createOrganization(req.user.id, nameResult.name);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Organization created. Buy seats with the team plan to share a credit pool.',
+            data: {
+                organization: { ...organizationService.formatOrganization(result.organization), role: 'owner' }
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create organization');
+    }
+});
+
+// PUT /organization - { name } - rename (owner)
+router.put('/organization', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership || !requirePermission(res, membership, 'manage_organization')) return;
+
+        const nameResult = resolveOrganizationName(req.body.name);
+        if (nameResult.error) {
+            return res.status(400).json({ success: false, error: nameResult.error });
+        }
+
+        const organization = await organizationService.renameOrganization(membership.id, nameResult.name);
+        res.json({
+            success: true,
+            message: 'Organization renamed',
+            data: {
+                organization: { ...organizationService.formatOrganization(organization), role: membership.role }
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to rename organization');
+    }
+});
+
+// GET /organization/members - members with their role, monthly cap and what they spent this month
+router.get('/organization/members', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership) return;
+
+        const members = await organizationService.listMembers(membership.id);
+        res.json({
+            success: true,
+            data: {
+                members: members.map(member => organizationService.formatMember(member)),
+                seats: membership.seats
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load members');
+    }
+});
+
+// PUT /organization/members/:userId - { role?, monthlyCreditCap? } - owner / admin; only the owner promotes or demotes admins
+router.put('/organization/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership || !requirePermission(res, membership, 'manage_members')) return;
+
+        const memberId = parseId(req.params.userId);
+        const member = memberId ? await organizationService.getMember(membership.id, memberId) : null;
+        if (!member) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+
+        const changes = {};
+        if (req.body.role !== undefined) {
+            const roleResult = resolveOrganizationRole(req.body.role);
+            if (roleResult.error) {
+                return res.status(400).json({ success: false, error: roleResult.error });
+            }
+            if (member.role === 'owner') {
+                return res.status(400).json({ success: false, error: 'The owner\'s role can\'t be changed' });
+            }
+            if ((roleResult.role === 'admin' || member.role === 'admin') && !requirePermission(res, membership, 'manage_admins')) return;
+            changes.role = roleResult.role;
+        }
+
+        if (req.body.monthlyCreditCap !== undefined) {
+            const capResult = resolveMemberCap(req.body.monthlyCreditCap);
+            if (capResult.error) {
+                return res.status(400).json({ success: false, error: capResult.error });
+            }
+            // Admins set caps of members; admins' and the owner's caps are the owner's call
+            if (member.role !== 'member' && !requirePermission(res, membership, 'manage_admins')) return;
+            changes.monthlyCreditCap = capResult.cap;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to change: send role and/or monthlyCreditCap' });
+        }
+
+        await organizationService.updateMember(membership.id, memberId, changes);
+        const updated = await organizationService.getMember(membership.id, memberId);
+        res.json({
+            success: true,
+            message: 'Member updated',
+            data: { member: organizationService.formatMember(updated) }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update member');
+    }
+});
+
+// DELETE /organization/members/:userId - remove a member (owner / admin), or leave (your own id); the owner can't leave
+router.delete('/organization/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership) return;
+
+        const memberId = parseId(req.params.userId);
+        const member = memberId ? await organizationService.getMember(membership.id, memberId) : null;
+        if (!member) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+        if (member.role === 'owner') {
+            return res.status(400).json({ success: false, error: 'The owner can\'t leave or be removed' });
+        }
+
+        const leaving = memberId === req.user.id;
+        if (!leaving) {
+            if (!requirePermission(res, membership, 'manage_members')) return;
+            if (member.role === 'admin' && !requirePermission(res, membership, 'manage_admins')) return;
+        }
+
+        await organizationService.removeMember(membership.id, memberId);
+        res.json({
+            success: true,
+            message: leaving ? 'You left the organization' : 'Member removed'
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to remove member');
+    }
+});
+
+// GET /organization/invites - pending invites (owner / admin)
+router.get('/organization/invites', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership || !requirePermission(res, membership, 'manage_members')) return;
+
+        const invites = await organizationService.listInvites(membership.id);
+        res.json({
+            success: true,
+            data: {
+                invites: invites.map(invite => organizationService.formatInvite(invite))
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load invites');
+    }
+});
+
+// POST /organization/invites - { email, role? } - invite by email (owner / admin; only the owner invites admins)
+router.post('/organization/invites', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership || !requirePermission(res, membership, 'manage_members')) return;
+
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ success: false, error: 'A valid email is required' });
+        }
+
+        const roleResult = resolveOrganizationRole(req.body.role);
+        if (roleResult.error) {
+            return res.status(400).json({ success: false, error: roleResult.error });
+        }
+        if (roleResult.role === 'admin' && !requirePermission(res, membership, 'manage_admins')) return;
+
+        const result = await organizationService.createInvite(membership.id, req.user.id, { email, role: roleResult.role });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        const { inviteExpiryDays } = getOrganizationSettings();
+        res.status(201).json({
+            success: true,
+            message: `Invite created. ${email} can accept it from their account within ${inviteExpiryDays} days.`,
+            data: { invite: organizationService.formatInvite(result.invite) }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create invite');
+    }
+});
+
+// DELETE /organization/invites/:id - revoke a pending invite (owner / admin)
+router.delete('/organization/invites/:id', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership || !requirePermission(res, membership, 'manage_members')) return;
+
+        const inviteId = parseId(req.params.id);
+        const invite = inviteId ? await organizationService.revokeInvite(membership.id, inviteId) : null;
+        if (!invite) {
+            return res.status(404).json({ success: false, error: 'Invite not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Invite revoked'
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to revoke invite');
+    }
+});
+
+// POST /organization/invites/:id/accept - join the organization of an invite addressed to the user's email
+router.post('/organization/invites/:id/accept', authenticateToken, async (req, res) => {
+    try {
+        const inviteId = parseId(req.params.id);
+        if (!inviteId) {
+            return res.status(404).json({ success: false, error: 'Invite not found or expired' });
+        }
+
+        const result = await organizationService.acceptInvite(req.user, inviteId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: `You joined ${result.organization.name}`,
+            data: {
+                organization: { ...organizationService.formatOrganization(result.organization), role: result.organization.role }
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to accept invite');
+    }
+});
+
+// GET /organization/messages - the team's messages, newest first (owner / admin)
+// ?memberId=&limit=&offset= + the history filters of /messages/export (from, to, messageType, sentStatus, replyStatus, context)
+router.get('/organization/messages', authenticateToken, async (req, res) => {
+    try {
+        const membership = await loadMembership(req, res);
+        if (!membership || !requirePermission(res, membership, 'view_team_messages')) return;
+
+        const filterResult = resolveMessageFilters(req.query);
+        if (filterResult.error) {
+            return res.status(400).json({ success: false, error: filterResult.error });
+        }
+
+        const { defaultMessagesLimit, maxMessagesLimit } = getOrganizationSettings();
+        const limit = Math.min(parseId(req.query.limit) || defaultMessagesLimit, maxMessagesLimit);
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const memberId = req.query.memberId ? parseId(req.query.memberId) : null;
+        if (req.query.memberId && !memberId) {
+            return res.status(400).json({ success: false, error: 'memberId must be a user id' });
+        }
+
+        const { messages, total } = await organizationService.listTeamMessages(membership.id, {
+            memberId,
+            filters: filterResult.filters,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            data: {
+                messages,
+                total,
+                limit,
+                offset
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load team messages');
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const router = require('express').Router();
 const path = require('path');
 const { pool } = require('../utils/database');
 const logger = require('../utils/logger');
+const promptExperimentService = require('../services/promptExperimentService');
 
 // ==================== SIMPLE AUTH MIDDLEWARE ====================
 
@@ -123,6 +124,9 @@ router.post('/api/owner/analytics', ownerAuth, async (req, res) => {
             creditMetrics,
             contextMetrics,
             messageTypeMetrics,
+            variantAngleMetrics,
+            promptExperimentMetrics,
+            validationMetrics,
             chartData
         ] = await Promise.all([
             getUserMetrics(dateRange),
@@ -134,6 +138,9 @@ router.post('/api/owner/analytics', ownerAuth, async (req, res) => {
             getCreditMetrics(dateRange),
             getContextMetrics(dateRange),
             getMessageTypeMetrics(dateRange),
+            getVariantAngleMetrics(dateRange),
+            getPromptExperimentMetrics(dateRange),
+            getMessageValidationMetrics(dateRange),
             getChartData(dateRange)
         ]);
 
@@ -169,6 +176,9 @@ router.post('/api/owner/analytics', ownerAuth, async (req, res) => {
                 credits: creditMetrics,
                 contexts: contextMetrics,
                 messageTypes: messageTypeMetrics,
+                variantAngles: variantAngleMetrics,
+                promptExperiments: promptExperimentMetrics,
+                validation: validationMetrics,
                 charts: chartData
             }
         });
@@ -547,6 +557,7 @@ async function getActivityMetrics(dateRange) {
                 SELECT 
                     CASE 
                         WHEN message_type IS NULL OR message_type = 'message' OR message_type = 'linkedin_message' THEN 'linkedin_message'
+                        WHEN message_type IN ('inmail', 'post_comment', 'event_followup') THEN message_type
                         WHEN message_type = 'connection_request' OR LOWER(message_type) LIKE '%connection%' THEN 'connection_request'
                         WHEN message_type = 'cold_email' OR LOWER(message_type) LIKE '%email%' THEN 'cold_email'
                         ELSE 'linkedin_message'
@@ -557,6 +568,7 @@ async function getActivityMetrics(dateRange) {
                     AND message_type IS NOT NULL
                 GROUP BY CASE 
                     WHEN message_type IS NULL OR message_type = 'message' OR message_type = 'linkedin_message' THEN 'linkedin_message'
+                    WHEN message_type IN ('inmail', 'post_comment', 'event_followup') THEN message_type
                     WHEN message_type = 'connection_request' OR LOWER(message_type) LIKE '%connection%' THEN 'connection_request'
                     WHEN message_type = 'cold_email' OR LOWER(message_type) LIKE '%email%' THEN 'cold_email'
                     ELSE 'linkedin_message'
@@ -591,6 +603,9 @@ async function getActivityMetrics(dateRange) {
             linkedinMessages: webMessages.linkedin_message || 0,
             connectionRequests: webMessages.connection_request || 0,
             coldEmails: webMessages.cold_email || 0,
+            inmails: webMessages.inmail || 0,
+            postComments: webMessages.post_comment || 0,
+            eventFollowUps: webMessages.event_followup || 0,
             avgInputTokens: Math.round(tokenStats.avg_input || 0),
             avgOutputTokens: Math.round(tokenStats.avg_output || 0),
             avgTotalTokens: Math.round(tokenStats.avg_total || 0),
@@ -827,6 +842,7 @@ async function getMessageTypeMetrics(dateRange) {
             SELECT 
                 CASE 
                     WHEN message_type IS NULL OR message_type = 'message' OR message_type = 'linkedin_message' THEN 'linkedin_message'
+                    WHEN message_type IN ('inmail', 'post_comment', 'event_followup') THEN message_type
                     WHEN message_type = 'connection_request' OR LOWER(message_type) LIKE '%connection%' THEN 'connection_request'
                     WHEN message_type = 'cold_email' OR LOWER(message_type) LIKE '%email%' THEN 'cold_email'
                     ELSE 'linkedin_message'
@@ -837,6 +853,7 @@ async function getMessageTypeMetrics(dateRange) {
             WHERE created_at BETWEEN $1 AND $2
             GROUP BY CASE 
                 WHEN message_type IS NULL OR message_type = 'message' OR message_type = 'linkedin_message' THEN 'linkedin_message'
+                WHEN message_type IN ('inmail', 'post_comment', 'event_followup') THEN message_type
                 WHEN message_type = 'connection_request' OR LOWER(message_type) LIKE '%connection%' THEN 'connection_request'
                 WHEN message_type = 'cold_email' OR LOWER(message_type) LIKE '%email%' THEN 'cold_email'
                 ELSE 'linkedin_message'
@@ -857,6 +874,117 @@ async function getMessageTypeMetrics(dateRange) {
     }
 }
 
+// 🔀 Variant angle performance - which angle users pick, send and get replies on
+async function getVariantAngleMetrics(dateRange) {
+    try {
+        const result = await pool.query(`
+            SELECT 
+                variant_angle,
+                COUNT(*) as generated,
+                COUNT(*) FILTER (WHERE variant_selected = true) as selected,
+                COUNT(*) FILTER (WHERE sent_status = 'yes') as sent,
+                COUNT(*) FILTER (WHERE reply_status = 'yes') as replied
+            FROM message_logs
+            WHERE generation_group_id IS NOT NULL
+            AND created_at BETWEEN $1 AND $2
+            GROUP BY variant_angle
+            ORDER BY selected DESC
+        `, [dateRange.start, dateRange.end]);
+
+        return result.rows.map(row => {
+            const generated = parseInt(row.generated);
+            const selected = parseInt(row.selected);
+            const sent = parseInt(row.sent);
+            const replied = parseInt(row.replied);
+            return {
+                angle: row.variant_angle,
+                generated,
+                selected,
+                sent,
+                replied,
+                selectionRate: generated > 0 ? ((selected / generated) * 100).toFixed(1) : '0.0',
+                replyRate: sent > 0 ? ((replied / sent) * 100).toFixed(1) : '0.0'
+            };
+        });
+
+    } catch (error) {
+        logger.warn('Error getting variant angle metrics:', error.message);
+        return [];
+    }
+}
+
+// 🧪 Prompt A/B experiments - reply / sent / edit rate per arm with a significance indicator
+async function getPromptExperimentMetrics(dateRange) {
+    try {
+        return await promptExperimentService.getExperimentResults(dateRange);
+
+    } catch (error) {
+        logger.warn('Error getting prompt experiment metrics:', error.message);
+        return [];
+    }
+}
+
+// ✅ Output validation - how often first drafts break the message rules, and how they were fixed
+async function getMessageValidationMetrics(dateRange) {
+    try {
+        const [summaryResult, rulesResult] = await Promise.all([
+            pool.query(`
+                SELECT 
+                    COUNT(*) as checked,
+                    COUNT(*) FILTER (WHERE jsonb_array_length(data_json->'validation'->'initialFailedRules') > 0) as first_draft_failed,
+                    COUNT(*) FILTER (WHERE (data_json->'validation'->>'retries')::INTEGER > 0) as regenerated,
+                    COUNT(*) FILTER (WHERE jsonb_array_length(data_json->'validation'->'repairedRules') > 0) as repaired,
+                    COUNT(*) FILTER (WHERE (data_json->'validation'->>'valid')::BOOLEAN = false) as still_failing
+                FROM message_logs
+                WHERE data_json ? 'validation'
+                AND created_at BETWEEN $1 AND $2
+            `, [dateRange.start, dateRange.end]),
+            pool.query(`
+                SELECT 
+                    rule,
+                    COUNT(*) as first_draft_failures
+                FROM message_logs, jsonb_array_elements_text(data_json->'validation'->'initialFailedRules') as rule
+                WHERE data_json ? 'validation'
+                AND created_at BETWEEN $1 AND $2
+                GROUP BY rule
+                ORDER BY first_draft_failures DESC
+            `, [dateRange.start, dateRange.end])
+        ]);
+
+        const summary = summaryResult.rows[0];
+        const checked = parseInt(summary.checked);
+        const rate = (count) => checked > 0 ? ((count / checked) * 100).toFixed(1) : '0.0';
+
+        return {
+            checked,
+            firstDraftFailed: parseInt(summary.first_draft_failed),
+            regenerated: parseInt(summary.regenerated),
+            repaired: parseInt(summary.repaired),
+            stillFailing: parseInt(summary.still_failing),
+            firstDraftFailureRate: rate(parseInt(summary.first_draft_failed)),
+            stillFailingRate: rate(parseInt(summary.still_failing)),
+            rules: rulesResult.rows.map(row => ({
+                rule: row.rule,
+                firstDraftFailures: parseInt(row.first_draft_failures),
+                rate: rate(parseInt(row.first_draft_failures))
+            }))
+        };
+
+    } catch (error) {
+        logger.warn('Error getting message validation metrics:', error.message);
+        return {
+            checked: 0,
+            firstDraftFailed: 0,
+            regenerated: 0,
+            repaired: 0,
+            stillFailing: 0,
+            firstDraftFailureRate: '0.0',
+            stillFailingRate: '0.0',
+            rules: []
+        };
+    }
+}
+
 // Get chart data for visualization
 async function getChartData(dateRange) {
     try {
@@ -0,0 +1,69 @@
+// routes/refundRoutes.js
+// 💸 Refund requests - the user flags a generated message or an email finder search they were charged for; admins
+// review it from the admin dashboard (routes/adminRoutes.js) and approved requests are credited back.
+
+const router = require('express').Router();
+const { authenticateToken } = require('../middleware/auth');
+const refundService = require('../services/refundService');
+const { REFUND_SOURCES, REFUND_REASONS, getRefundSettings, resolveRefundRequest } = require('../config/refunds');
+
+const sendServerError = (res, error, message) => {
+    console.error(`[ERROR] ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// What can be flagged and why - for the request form
+const describeSources = () => Object.entries(REFUND_SOURCES).map(([sourceType, source]) => ({
+    sourceType,
+    label: source.label,
+    reasons: Object.entries(REFUND_REASONS[sourceType]).map(([reason, description]) => ({ reason, description }))
+}));
+
+// GET /refund-requests - the user's requests, newest first
+router.get('/refund-requests', authenticateToken, async (req, res) => {
+    try {
+        const requests = await refundService.listForUser(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                requests: requests.map(request => refundService.formatRequest(request)),
+                sources: describeSources(),
+                requestWindowDays: getRefundSettings().requestWindowDays
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load refund requests');
+    }
+});
+
+// POST /refund-requests - { sourceType: 'message' | 'email_search', sourceId, reason, note? }
+router.post('/refund-requests', authenticateToken, async (req, res) => {
+    try {
+        const requestResult = resolveRefundRequest(req.body || {});
+        if (requestResult.error) {
+            return res.status(400).json({ success: false, error: requestResult.error });
+        }
+
+        const result = await refundService.createRequest(req.user.id, requestResult.request);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund requested - it will be reviewed by our team',
+            data: {
+                request: refundService.formatRequest(result.refundRequest)
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to request refund');
+    }
+});
+
+module.exports = router;
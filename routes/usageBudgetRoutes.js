@@ -0,0 +1,138 @@
+// routes/usageBudgetRoutes.js
+// 🚦 Usage budgets - the user's daily / monthly spending limits and low-balance threshold, and the in-app
+// notification feed the alerts land in (config/usageBudgets.js).
+
+const router = require('express').Router();
+const { authenticateToken } = require('../middleware/auth');
+const usageBudgetService = require('../services/usageBudgetService');
+const notificationService = require('../services/notificationService');
+const { NOTIFICATION_TYPES, getUsageBudgetSettings, resolveUsageBudget } = require('../config/usageBudgets');
+
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const sendServerError = (res, error, message) => {
+    console.error(`[ERROR] ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// The budget with today's and this month's spend
+const loadBudget = async (userId, budget) => {
+    const [currentBudget, spend] = await Promise.all([
+        budget || usageBudgetService.getBudget(userId),
+        usageBudgetService.getSpend(userId)
+    ]);
+    return {
+        ...usageBudgetService.formatBudget(currentBudget, spend),
+        warningPercent: getUsageBudgetSettings().warningPercent
+    };
+};
+
+// GET /user/usage-budget - limits, threshold and what was spent against them
+router.get('/user/usage-budget', authenticateToken, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                budget: await loadBudget(req.user.id)
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load usage budget');
+    }
+});
+
+// PUT /user/usage-budget - { dailyLimit?, monthlyLimit?, lowBalanceThreshold?, emailAlerts? } - null turns a limit off
+router.put('/user/usage-budget', authenticateToken, async (req, res) => {
+    try {
+        const current = await usageBudgetService.getBudget(req.user.id);
+        const budgetResult = resolveUsageBudget(req.body || {}, current);
+        if (budgetResult.error) {
+            return res.status(400).json({ success: false, error: budgetResult.error });
+        }
+
+        const budget = await usageBudgetService.saveBudget(req.user.id, budgetResult.budget);
+
+        res.json({
+            success: true,
+            message: 'Usage budget saved',
+            data: {
+                budget: await loadBudget(req.user.id, budget)
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to save usage budget');
+    }
+});
+
+// GET /user/notifications - the feed, newest first - ?unread=true&limit=&offset=
+router.get('/user/notifications', authenticateToken, async (req, res) => {
+    try {
+        const { defaultNotificationsLimit, maxNotificationsLimit } = getUsageBudgetSettings();
+        const limit = Math.min(parseId(req.query.limit) || defaultNotificationsLimit, maxNotificationsLimit);
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const unreadOnly = req.query.unread === 'true';
+
+        const { notifications, total, unread } = await notificationService.listNotifications(req.user.id, {
+            unreadOnly,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            data: {
+                notifications: notifications.map(notification => notificationService.formatNotification(notification)),
+                total,
+                unread,
+                limit,
+                offset,
+                types: Object.entries(NOTIFICATION_TYPES).map(([type, description]) => ({ type, description }))
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load notifications');
+    }
+});
+
+// POST /user/notifications/read-all
+router.post('/user/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const marked = await notificationService.markAllRead(req.user.id);
+        res.json({
+            success: true,
+            message: `${marked} notification(s) marked as read`,
+            data: { marked }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to mark notifications as read');
+    }
+});
+
+// POST /user/notifications/:id/read
+router.post('/user/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const notificationId = parseId(req.params.id);
+        const notification = notificationId ? await notificationService.markRead(req.user.id, notificationId) : null;
+        if (!notification) {
+            return res.status(404).json({ success: false, error: 'Notification not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                notification: notificationService.formatNotification(notification)
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to mark notification as read');
+    }
+});
+
+module.exports = router;
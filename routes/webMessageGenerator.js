@@ -6,11 +6,57 @@ const router = express.Router();
 const { pool, spendUserCredits } = require('../utils/database');
 const brightDataService = require('../services/brightDataService');
 const webMessageGPTService = require('../services/webMessageGPTService');
+const messageGenerationService = require('../services/messageGenerationService');
 const { cleanLinkedInUrl } = require('../utils/helpers'); // âœ… ADDED: Import URL cleaning function
+const { getLanguageOptionError } = require('../config/languages');
+const { createCreditHold, completeOperation, releaseCreditHold, isCreditRefusal } = require('../credits');
+const jobQueue = require('../services/jobQueue');
+const webhookService = require('../services/webhookService');
+
+/**
+ * ⏳ brightdata_profile_analysis job: BrightData scrape (polls up to 5 minutes) -> brightdata_profiles,
+ * then settles the credit hold created by POST /analyze-profile
+ */
+jobQueue.registerHandler('brightdata_profile_analysis', {
+    run: async (job) => {
+        const { userId, linkedinUrl, cleanUrl, holdId } = job.payload;
+        console.log(`[WEB-MSG] Job ${job.id}: triggering BrightData scrape for ${cleanUrl}`);
+
+        const { profileData, profileId } = await brightDataService.scrapeAndStoreProfile(userId, linkedinUrl, cleanUrl);
+
+        const completionResult = await completeOperation(userId, holdId, {
+            linkedinUrl: cleanUrl,
+            profileId: profileId,
+            jobId: job.id
+        });
+        if (!completionResult.success) {
+            throw jobQueue.permanentError(`Failed to process credits after successful analysis: ${completionResult.error}`);
+        }
+
+        console.log('[WEB-MSG] ✅ Profile analyzed and saved');
+
+        webhookService.emit(userId, 'profile.analyzed', {
+            source: 'web',
+            profileUrl: cleanUrl,
+            profileId: profileId
+        });
+
+        return {
+            success: true,
+            cached: false,
+            profile: brightDataService.formatProfileForGPT(profileData),
+            mutualConnections: messageGenerationService.extractMutualConnections(profileData),
+            profileId: profileId,
+            credits_remaining: completionResult.newBalance
+        };
+    },
+    onFailed: (job) => releaseCreditHold(job.payload.userId, job.payload.holdId, 'brightdata_analysis_failed')
+});
 
 /**
  * POST /api/web-message-generator/analyze-profile
- * Analyze LinkedIn profile using BrightData
+ * Analyze LinkedIn profile using BrightData - cached profiles return right away,
+ * new ones are scraped by a background job (202 + jobId, poll GET /jobs/:id)
  */
 router.post('/analyze-profile', async (req, res) => {
     try {
@@ -27,10 +73,12 @@ router.post('/analyze-profile', async (req, res) => {
             return res.status(400).json({ error: 'LinkedIn URL is required' });
         }
         
+        const cleanUrl = cleanLinkedInUrl(linkedinUrl);
+        
         // Check if profile already exists in cache
         const existingProfile = await pool.query(
             'SELECT * FROM brightdata_profiles WHERE user_id = $1 AND linkedin_url = $2',
-            [userId, linkedinUrl]
+            [userId, cleanUrl]
         );
         
         if (existingProfile.rows.length > 0) {
@@ -41,50 +89,60 @@ router.post('/analyze-profile', async (req, res) => {
                 success: true,
                 cached: true,
                 profile: brightDataService.formatProfileForGPT(cached.profile_data),
+                mutualConnections: messageGenerationService.extractMutualConnections(cached.profile_data),
                 profileId: cached.id
             });
         }
         
-        // Deduct credits first (1.0 credit for BrightData analysis)
-        const creditResult = await spendUserCredits(userId, 1.0, 'brightdata_analysis');
-        
-        if (!creditResult.success) {
-            return res.status(402).json({ 
-                error: 'Insufficient credits',
-                credits_remaining: creditResult.credits_remaining 
+        // A scrape of this profile is already queued or running
+        const dedupeKey = `brightdata:${userId}:${cleanUrl}`;
+        const activeJob = await jobQueue.findActiveJob(dedupeKey);
+        if (activeJob) {
+            return res.status(202).json({
+                success: true,
+                queued: true,
+                jobId: activeJob.id,
+                statusUrl: `/jobs/${activeJob.id}`
             });
         }
         
-        console.log('[WEB-MSG] Credits deducted. Triggering BrightData scrape...');
-        
-        // Get profile from BrightData
-        const { snapshotId, profileData } = await brightDataService.getLinkedInProfile(linkedinUrl);
+        // Hold 1.0 credit for the BrightData analysis - charged when the scrape succeeds
+        const holdResult = await createCreditHold(userId, 'brightdata_analysis', {
+            linkedinUrl: cleanUrl,
+            timestamp: new Date().toISOString()
+        });
         
-        const cleanUrl = cleanLinkedInUrl(linkedinUrl); // âœ… ADDED: Clean URL before saving
+        if (!holdResult.success) {
+            if (isCreditRefusal(holdResult.error)) {
+                return res.status(402).json({ 
+                    error: holdResult.error === 'insufficient_credits' ? 'Insufficient credits' : holdResult.userMessage,
+                    credits_remaining: holdResult.currentCredits 
+                });
+            }
+            return res.status(500).json({
+                error: 'Failed to create credit hold',
+                details: holdResult.error
+            });
+        }
         
-        // Store in database
-        const insertResult = await pool.query(
-            `INSERT INTO brightdata_profiles (user_id, linkedin_url, profile_data, snapshot_id)
-             VALUES ($1, $2, $3, $4)
-             ON CONFLICT (user_id, linkedin_url) 
-             DO UPDATE SET 
-                profile_data = EXCLUDED.profile_data,
-                snapshot_id = EXCLUDED.snapshot_id,
-                updated_at = CURRENT_TIMESTAMP
-             RETURNING *`,
-            [userId, cleanUrl, JSON.stringify(profileData), snapshotId] // âœ… FIXED: Use cleanUrl
-        );
+        const { job, created } = await jobQueue.enqueue('brightdata_profile_analysis', {
+            userId,
+            linkedinUrl,
+            cleanUrl,
+            holdId: holdResult.holdId
+        }, { userId, dedupeKey });
         
-        const savedProfile = insertResult.rows[0];
+        if (!created) {
+            await releaseCreditHold(userId, holdResult.holdId, 'duplicate_analysis');
+        }
         
-        console.log('[WEB-MSG] ✅ Profile analyzed and saved');
+        console.log(`[WEB-MSG] Profile analysis queued as job ${job.id}`);
         
-        res.json({
+        res.status(202).json({
             success: true,
-            cached: false,
-            profile: brightDataService.formatProfileForGPT(profileData),
-            profileId: savedProfile.id,
-            credits_remaining: creditResult.credits_remaining
+            queued: true,
+            jobId: job.id,
+            statusUrl: `/jobs/${job.id}`
         });
         
     } catch (error) {
@@ -102,7 +160,7 @@ router.post('/analyze-profile', async (req, res) => {
  */
 router.post('/generate', async (req, res) => {
     try {
-        const { linkedinUrl, messageType, context } = req.body;
+        const { linkedinUrl, messageType, context, language, mutualConnectionName } = req.body;
         const userId = req.user?.id;
         
         console.log('[WEB-MSG] Message generation requested');
@@ -120,11 +178,22 @@ router.post('/generate', async (req, res) => {
         }
         
         // Validate message type
-        const validTypes = ['linkedin_message', 'connection_request', 'cold_email'];
+        const validTypes = ['linkedin_message', 'connection_request', 'cold_email', 'intro_request'];
         if (!validTypes.includes(messageType)) {
             return res.status(400).json({ error: 'Invalid message type' });
         }
         
+        // 🤝 Intro requests need the person who makes the introduction (see GET /mutual-connections)
+        if (messageType === 'intro_request' && !mutualConnectionName) {
+            return res.status(400).json({ error: 'Mutual connection name is required for intro requests' });
+        }
+        
+        // 'auto' (default) detects the language from the analyzed profile
+        const languageError = getLanguageOptionError(language);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+        
         // Get BrightData profile from database
         const profileResult = await pool.query(
             'SELECT * FROM brightdata_profiles WHERE user_id = $1 AND linkedin_url = $2',
@@ -149,6 +218,8 @@ router.post('/generate', async (req, res) => {
             });
         }
         
+        webhookService.emitIfCreditsLow(userId, creditResult.newTotalCredits + creditResult.spent, creditResult.newTotalCredits);
+        
         console.log('[WEB-MSG] Credits deducted. Generating message...');
         
         // Get user profile
@@ -175,14 +246,16 @@ router.post('/generate', async (req, res) => {
             fullUserProfile,
             formattedProfile,
             context,
-            messageType
+            messageType,
+            { language, mutualConnectionName }
         );
         
         // Save to database
-        await pool.query(
+        const savedMessage = await pool.query(
             `INSERT INTO web_generated_messages 
-             (user_id, brightdata_profile_id, linkedin_url, message_type, generated_message, profile_summary, credits_used, context_text)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+             (user_id, brightdata_profile_id, linkedin_url, message_type, generated_message, profile_summary, credits_used, context_text, language, mutual_connection_name)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING id`,
             [
                 userId,
                 brightDataProfile.id,
@@ -191,16 +264,34 @@ router.post('/generate', async (req, res) => {
                 result.message,
                 JSON.stringify(formattedProfile),
                 1.0,
-                context
+                context,
+                result.language,
+                messageType === 'intro_request' ? mutualConnectionName : null
             ]
         );
         
         console.log('[WEB-MSG] ✅ Message generated and saved');
         
+        webhookService.emit(userId, 'message.generated', {
+            source: 'web',
+            messageId: savedMessage.rows[0].id,
+            messageType: messageType,
+            targetProfileUrl: linkedinUrl,
+            message: result.message,
+            language: result.language
+        });
+        
         res.json({
             success: true,
             message: result.message,
             model_used: result.model_used,
+            language: result.language,
+            ...(messageType === 'intro_request' ? {
+                partA: result.partA,
+                partB: result.partB,
+                forwardableBlurb: result.forwardableBlurb,
+                mutualConnectionName: mutualConnectionName
+            } : {}),
             credits_remaining: creditResult.credits_remaining
         });
         
@@ -219,7 +310,7 @@ router.post('/generate', async (req, res) => {
  */
 router.post('/batch-generate', async (req, res) => {
     try {
-        const { linkedinUrl, context } = req.body;
+        const { linkedinUrl, context, language } = req.body;
         const userId = req.user?.id;
         
         console.log('[WEB-MSG] Batch generation requested for:', linkedinUrl);
@@ -232,6 +323,11 @@ router.post('/batch-generate', async (req, res) => {
             return res.status(400).json({ error: 'LinkedIn URL is required' });
         }
         
+        const languageError = getLanguageOptionError(language);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+        
         // Check credits (need 3 credits for 3 messages)
         const userResult = await pool.query(
             'SELECT renewable_credits, payasyougo_credits FROM users WHERE id = $1',
@@ -287,22 +383,25 @@ router.post('/batch-generate', async (req, res) => {
                     credits_remaining: creditResult.credits_remaining 
                 });
             }
+            webhookService.emitIfCreditsLow(userId, creditResult.newTotalCredits + creditResult.spent, creditResult.newTotalCredits);
             
             // Generate message
             const result = await webMessageGPTService.generateMessage(
                 fullUserProfile,
                 formattedProfile,
                 context,
-                messageType
+                messageType,
+                { language }
             );
             
             messages[messageType] = result.message;
             
             // Save to database
-            await pool.query(
+            const savedMessage = await pool.query(
                 `INSERT INTO web_generated_messages 
-                 (user_id, brightdata_profile_id, linkedin_url, message_type, generated_message, profile_summary, credits_used, context_text)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                 (user_id, brightdata_profile_id, linkedin_url, message_type, generated_message, profile_summary, credits_used, context_text, language)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 RETURNING id`,
                 [
                     userId,
                     brightDataProfile.id,
@@ -311,9 +410,19 @@ router.post('/batch-generate', async (req, res) => {
                     result.message,
                     JSON.stringify(formattedProfile),
                     1.0,
-                    context
+                    context,
+                    result.language
                 ]
             );
+            
+            webhookService.emit(userId, 'message.generated', {
+                source: 'web',
+                messageId: savedMessage.rows[0].id,
+                messageType: messageType,
+                targetProfileUrl: linkedinUrl,
+                message: result.message,
+                language: result.language
+            });
         }
         
         // Get remaining credits
@@ -342,6 +451,54 @@ router.post('/batch-generate', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/web-message-generator/mutual-connections?linkedinUrl=
+ * Mutual connection picker for intro requests (from the analyzed BrightData profile)
+ */
+router.get('/mutual-connections', async (req, res) => {
+    try {
+        const { linkedinUrl } = req.query;
+        const userId = req.user?.id;
+        
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        if (!linkedinUrl) {
+            return res.status(400).json({ error: 'LinkedIn URL is required' });
+        }
+        
+        const profileResult = await pool.query(
+            'SELECT profile_data FROM brightdata_profiles WHERE user_id = $1 AND linkedin_url = $2',
+            [userId, linkedinUrl]
+        );
+        
+        if (profileResult.rows.length === 0) {
+            return res.status(404).json({ 
+                error: 'Profile not found. Please analyze the profile first.' 
+            });
+        }
+        
+        const { connections, totalCount } = messageGenerationService.extractMutualConnections(
+            profileResult.rows[0].profile_data
+        );
+        
+        res.json({
+            success: true,
+            connections,
+            totalCount,
+            hiddenCount: Math.max(0, totalCount - connections.length)
+        });
+        
+    } catch (error) {
+        console.error('[WEB-MSG] Error loading mutual connections:', error);
+        res.status(500).json({ 
+            error: 'Failed to load mutual connections',
+            details: error.message 
+        });
+    }
+});
+
 /**
  * GET /api/web-message-generator/history
  * Get message generation history for user
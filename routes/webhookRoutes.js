@@ -0,0 +1,277 @@
+// routes/webhookRoutes.js
+// 🔔 Outbound webhooks - endpoints the user registers to be notified of generated messages, found emails, etc.
+
+const router = require('express').Router();
+const { authenticateToken } = require('../middleware/auth');
+const webhookService = require('../services/webhookService');
+const {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    getWebhookSettings,
+    resolveWebhookEvents
+} = require('../config/webhooks');
+
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const getDescriptionError = (description) => {
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+        return 'description must be a string of at most 255 characters';
+    }
+    return null;
+};
+
+// Load the user's webhook from :id or answer 404
+const loadWebhook = async (req, res) => {
+    const webhookId = parseId(req.params.id);
+    const webhook = webhookId ? await webhookService.getWebhook(req.user.id, webhookId) : null;
+    if (!webhook) {
+        res.status(404).json({
+            success: false,
+            error: 'Webhook not found'
+        });
+        return null;
+    }
+    return webhook;
+};
+
+const sendServerError = (res, error, message) => {
+    console.error(`[ERROR] ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /user/webhooks - the user's endpoints + the events they can subscribe to
+router.get('/user/webhooks', authenticateToken, async (req, res) => {
+    try {
+        const webhooks = await webhookService.listWebhooks(req.user.id);
+        res.json({
+            success: true,
+            data: {
+                webhooks: webhooks.map(webhook => webhookService.formatWebhook(webhook)),
+                events: Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description })),
+                maxWebhooks: getWebhookSettings().maxWebhooksPerUser
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load webhooks');
+    }
+});
+
+// POST /user/webhooks - { url, secret?, events?, description? } - secret is generated when omitted
+router.post('/user/webhooks', authenticateToken, async (req, res) => {
+    try {
+        const { url, secret, events, description } = req.body;
+
+        const validationError = webhookService.getUrlError(url)
+            || (secret !== undefined ? webhookService.getSecretError(secret) : null)
+            || getDescriptionError(description);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const eventsResult = resolveWebhookEvents(events);
+        if (eventsResult.error) {
+            return res.status(400).json({ success: false, error: eventsResult.error });
+        }
+
+        const { maxWebhooksPerUser } = getWebhookSettings();
+        if (await webhookService.countWebhooks(req.user.id) >= maxWebhooksPerUser) {
+            return res.status(400).json({
+                success: false,
+                error: `You can register up to ${maxWebhooksPerUser} webhooks. Delete one to add another.`
+            });
+        }
+
+        const webhook = await webhookService.createWebhook(req.user.id, {
+            url,
+            secret,
+            events: eventsResult.events,
+            description
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created',
+            data: {
+                webhook: webhookService.formatWebhook(webhook),
+                // Shown once - store it to verify X-Msgly-Signature
+                secret: webhook.secret
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create webhook');
+    }
+});
+
+// PUT /user/webhooks/:id - { url?, events?, description?, isActive?, secret? | rotateSecret: true }
+router.put('/user/webhooks/:id', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const { url, events, description, isActive, secret, rotateSecret } = req.body;
+        const updates = {};
+
+        if (url !== undefined) {
+            const urlError = webhookService.getUrlError(url);
+            if (urlError) {
+                return res.status(400).json({ success: false, error: urlError });
+            }
+            updates.url = url;
+        }
+
+        if (events !== undefined) {
+            const eventsResult = resolveWebhookEvents(events);
+            if (eventsResult.error) {
+                return res.status(400).json({ success: false, error: eventsResult.error });
+            }
+            updates.events = eventsResult.events;
+        }
+
+        if (description !== undefined) {
+            const descriptionError = getDescriptionError(description);
+            if (descriptionError) {
+                return res.status(400).json({ success: false, error: descriptionError });
+            }
+            updates.description = description;
+        }
+
+        if (isActive !== undefined) {
+            if (typeof isActive !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'isActive must be true or false' });
+            }
+            updates.isActive = isActive;
+        }
+
+        if (secret !== undefined) {
+            const secretError = webhookService.getSecretError(secret);
+            if (secretError) {
+                return res.status(400).json({ success: false, error: secretError });
+            }
+            updates.secret = secret;
+        } else if (rotateSecret === true) {
+            updates.secret = webhookService.generateSecret();
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid updates provided'
+            });
+        }
+
+        const updated = await webhookService.updateWebhook(req.user.id, webhook.id, updates);
+        const data = { webhook: webhookService.formatWebhook(updated) };
+        if (updates.secret) {
+            data.secret = updated.secret;
+        }
+
+        res.json({
+            success: true,
+            message: 'Webhook updated',
+            data
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update webhook');
+    }
+});
+
+// DELETE /user/webhooks/:id
+router.delete('/user/webhooks/:id', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        await webhookService.deleteWebhook(req.user.id, webhook.id);
+        res.json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to delete webhook');
+    }
+});
+
+// POST /user/webhooks/:id/test - queue a signed webhook.test event to the endpoint
+router.post('/user/webhooks/:id/test', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const { delivery, job } = await webhookService.sendTestEvent(req.user.id, webhook);
+        res.status(202).json({
+            success: true,
+            message: 'Test event queued',
+            data: {
+                deliveryId: delivery.id,
+                eventId: delivery.event_id,
+                jobId: job.id,
+                statusUrl: `/jobs/${job.id}`
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to send test event');
+    }
+});
+
+// GET /user/webhooks/:id/deliveries - delivery log, newest first (?status=, ?limit=)
+router.get('/user/webhooks/:id/deliveries', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const { status } = req.query;
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown status: ${status}. Use one of: ${DELIVERY_STATUSES.join(', ')}`
+            });
+        }
+        const limit = Math.min(parseId(req.query.limit) || 50, 200);
+
+        const deliveries = await webhookService.listDeliveries(req.user.id, webhook.id, { status: status || null, limit });
+        res.json({
+            success: true,
+            data: { deliveries: deliveries.map(delivery => webhookService.formatDelivery(delivery)) }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load webhook deliveries');
+    }
+});
+
+// POST /user/webhooks/:id/deliveries/:deliveryId/redeliver - send a past event again
+router.post('/user/webhooks/:id/deliveries/:deliveryId/redeliver', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const deliveryId = parseId(req.params.deliveryId);
+        const queued = deliveryId ? await webhookService.redeliver(req.user.id, webhook.id, deliveryId) : null;
+        if (!queued) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Delivery queued again',
+            data: {
+                deliveryId: queued.delivery.id,
+                jobId: queued.job.id,
+                statusUrl: `/jobs/${queued.job.id}`
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to redeliver event');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// schema/openapi/helpers.js - Builders for the path modules in schema/openapi/paths/
+// Request schemas drive middleware/validation.js, so they only mark a field required or restrict its type where
+// the handler needs it to - anything else stays optional and unknown fields are allowed.
+
+// Who can call a route -> OpenAPI security requirements (alternatives, any one of them is enough)
+const SECURITY = {
+    public: [],
+    jwt: [{ bearerAuth: [] }],
+    dual: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    session: [{ sessionCookie: [] }],
+    admin: [{ adminSession: [] }],
+    owner: [{ ownerBasic: [] }],
+    migration: [{ migrationPassword: [] }]
+};
+
+// 'jwt' | 'dual' | ... or { apiKey: 'messages:generate' } (JWT or an API key with that scope)
+const security = (auth) => {
+    if (auth && typeof auth === 'object' && 'apiKey' in auth) {
+        return [{ bearerAuth: [] }, { apiKey: auth.apiKey ? [auth.apiKey] : [] }];
+    }
+    return SECURITY[auth || 'public'];
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const errorRef = (status) => ({ $ref: `#/components/responses/Error${status}` });
+
+// Optional string (empty and null allowed) - the usual shape of a free-text option
+const optionalString = (description, extra = {}) => ({ type: 'string', nullable: true, description, ...extra });
+
+const jsonBody = (schema, { required = true, description } = {}) => ({
+    required,
+    description,
+    content: { 'application/json': { schema } }
+});
+
+// Parameters
+const pathParam = (name, description, schema = { type: 'integer', minimum: 1 }) => ({
+    name, in: 'path', required: true, description, schema
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+    name, in: 'query', required: false, description, schema
+});
+
+const idParam = (name = 'id', description = 'Numeric id') => pathParam(name, description);
+
+/**
+ * One operation
+ * @param {object} options - { summary, tags, auth, parameters, body, success: { status, description, schema, contentType }, errors: [statuses], ...extra }
+ */
+const operation = ({
+    summary,
+    description,
+    tags,
+    auth = 'public',
+    parameters,
+    body,
+    success = {},
+    errors = [],
+    ...extra
+}) => {
+    const {
+        status = 200,
+        description: successDescription = 'Success',
+        schema = ref('SuccessResponse'),
+        contentType = 'application/json'
+    } = success;
+
+    const responses = {
+        [status]: {
+            description: successDescription,
+            content: { [contentType]: { schema } }
+        }
+    };
+
+    const errorStatuses = new Set(errors);
+    if (auth !== 'public') errorStatuses.add(401);
+    if (body || (parameters && parameters.length > 0)) errorStatuses.add(400);
+    errorStatuses.add(500);
+    [...errorStatuses].sort().forEach(code => {
+        responses[code] = errorRef(code);
+    });
+
+    return {
+        summary,
+        description,
+        tags,
+        security: security(auth),
+        parameters,
+        requestBody: body,
+        responses,
+        ...extra
+    };
+};
+
+// An HTML page / static file
+const page = (summary, tags = ['Pages'], contentType = 'text/html') => operation({
+    summary,
+    tags,
+    success: { description: summary, contentType, schema: { type: 'string' } }
+});
+
+module.exports = {
+    security,
+    ref,
+    errorRef,
+    optionalString,
+    jsonBody,
+    pathParam,
+    queryParam,
+    idParam,
+    operation,
+    page
+};
@@ -0,0 +1,161 @@
+// schema/openapi/index.js - OpenAPI 3.0 description of every mounted route, served at GET /api/openapi.json
+// Request schemas are also what middleware/validation.js checks, so a route's spec and its validation can't drift.
+// Paths live in schema/openapi/paths/ (one module per area). A new route gets its entry there - an
+// undocumented route still works, its requests are simply not validated.
+
+const { version } = require('../../package.json');
+const { API_KEY_PREFIX, API_KEY_SCOPES } = require('../../config/apiKeys');
+const { ERROR_CODES } = require('../../utils/apiErrors');
+
+const PATH_MODULES = [
+    require('./paths/system'),
+    require('./paths/account'),
+    require('./paths/profile'),
+    require('./paths/messages'),
+    require('./paths/contexts'),
+    require('./paths/emailFinder'),
+    require('./paths/webGenerator'),
+    require('./paths/campaigns'),
+    require('./paths/jobs'),
+    require('./paths/webhooks'),
+    require('./paths/apiKeys'),
+    require('./paths/crm'),
+    require('./paths/organizations'),
+    require('./paths/usageBudgets'),
+    require('./paths/refunds'),
+    require('./paths/billing'),
+    require('./paths/admin')
+];
+
+const TAGS = [
+    ['Auth', 'Sign-up, sign-in and registration'],
+    ['Users', 'Account settings and onboarding'],
+    ['Profile', 'The user\'s own profile, tone and personal info'],
+    ['Profile capture', 'Profiles captured by the extension or uploaded as files'],
+    ['Messages', 'Message generation (JSON and server-sent events)'],
+    ['Sequences', 'Multi-touch sequences'],
+    ['Message history', 'Generated messages, variants and their status'],
+    ['Contexts', 'Saved outreach contexts'],
+    ['Email finder', 'Email lookup and verification'],
+    ['Web message generator', 'Web app generation from BrightData profiles'],
+    ['Campaigns', 'Bulk CSV campaigns'],
+    ['Jobs', 'Background job status'],
+    ['Webhooks', 'Outbound webhooks'],
+    ['API keys', 'Personal API keys'],
+    ['CRM', 'HubSpot / Salesforce export of the Messages tracker'],
+    ['Teams', 'Organizations with a shared credit pool, roles and seats'],
+    ['Credits', 'Plan and credit balance'],
+    ['Usage budgets', 'Spending limits, low-balance alerts and the notification feed'],
+    ['Refunds', 'Refund requests for charged messages and email searches'],
+    ['Billing', 'Chargebee checkout and webhooks'],
+    ['Admin', 'Admin and owner dashboards'],
+    ['Pages', 'HTML pages and static files'],
+    ['System', 'Health and API description']
+].map(([name, description]) => ({ name, description }));
+
+const errorResponses = () => Object.fromEntries(Object.entries(ERROR_CODES).map(([status, code]) => [
+    `Error${status}`,
+    {
+        description: `Error (${code})`,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    }
+]));
+
+// Merge the path modules - two modules may describe different methods of one path, never the same one
+const mergePaths = (modules) => {
+    const paths = {};
+    for (const module of modules) {
+        for (const [path, operations] of Object.entries(module)) {
+            paths[path] = paths[path] || {};
+            for (const [method, operation] of Object.entries(operations)) {
+                if (paths[path][method]) {
+                    throw new Error(`OpenAPI: ${method.toUpperCase()} ${path} is described twice`);
+                }
+                paths[path][method] = operation;
+            }
+        }
+    }
+    return paths;
+};
+
+// Built once - JSON round trip drops the undefined optional fields the builders leave behind
+const buildOpenApiDocument = () => JSON.parse(JSON.stringify({
+    openapi: '3.0.3',
+    info: {
+        title: 'Msgly.AI API',
+        version,
+        description: [
+            'LinkedIn message generation, email finding and account management for the Msgly.AI web app and Chrome extension.',
+            `Authenticate with the JWT from /login or /auth/chrome-extension (Authorization: Bearer ...) or a personal API key (${API_KEY_PREFIX}..., see /user/api-keys) on routes that accept one.`,
+            'Errors share one envelope: { success: false, error, code, details? }. Invalid requests return 400 with code validation_error and one details entry per problem.'
+        ].join('\n\n')
+    },
+    servers: [{ url: 'https://api.msgly.ai' }],
+    tags: TAGS,
+    paths: mergePaths(PATH_MODULES),
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            apiKey: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-API-Key',
+                description: `Personal API key (also accepted as Authorization: Bearer ${API_KEY_PREFIX}...). Scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+            },
+            sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid', description: 'Web app session (Google sign-in)' },
+            adminSession: { type: 'apiKey', in: 'cookie', name: 'connect.sid', description: 'Admin session after Duo 2FA' },
+            ownerBasic: { type: 'http', scheme: 'basic', description: 'Owner credentials' },
+            migrationPassword: { type: 'http', scheme: 'bearer', description: 'Migration password' }
+        },
+        schemas: {
+            SuccessResponse: {
+                type: 'object',
+                required: ['success'],
+                properties: {
+                    success: { type: 'boolean', enum: [true] },
+                    message: { type: 'string' },
+                    data: {}
+                }
+            },
+            ErrorResponse: {
+                type: 'object',
+                required: ['success', 'error', 'code'],
+                properties: {
+                    success: { type: 'boolean', enum: [false] },
+                    error: { type: 'string', description: 'Human readable message' },
+                    code: { type: 'string', description: `Machine readable code, e.g. validation_error, ${Object.values(ERROR_CODES).join(', ')}` },
+                    message: { type: 'string', description: 'Longer explanation (some routes)' },
+                    details: {
+                        description: 'validation_error: the problems found; 500 in development: the exception message',
+                        oneOf: [
+                            { type: 'array', items: { $ref: '#/components/schemas/ValidationProblem' } },
+                            { type: 'string' }
+                        ]
+                    }
+                }
+            },
+            ValidationProblem: {
+                type: 'object',
+                properties: {
+                    location: { type: 'string', enum: ['path', 'query', 'body'] },
+                    field: { type: 'string', nullable: true },
+                    message: { type: 'string' }
+                }
+            }
+        },
+        responses: errorResponses()
+    }
+}));
+
+let openApiDocument = null;
+
+const getOpenApiDocument = () => {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApiDocument();
+    }
+    return openApiDocument;
+};
+
+module.exports = {
+    getOpenApiDocument
+};
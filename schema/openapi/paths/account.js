@@ -0,0 +1,163 @@
+// schema/openapi/paths/account.js - Sign-up / sign-in, registration completion, user settings, plan and credits
+
+const { operation, jsonBody, queryParam, optionalString } = require('../helpers');
+
+const packageType = optionalString("Plan key - only 'free' during beta");
+
+module.exports = {
+    '/register': {
+        post: operation({
+            summary: 'Register with email and password',
+            tags: ['Auth'],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    email: optionalString(undefined, { format: 'email' }),
+                    password: optionalString(),
+                    packageType,
+                    billingModel: optionalString('monthly or payAsYouGo')
+                }
+            })
+        })
+    },
+    '/login': {
+        post: operation({
+            summary: 'Sign in with email and password (returns a JWT)',
+            tags: ['Auth'],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    email: optionalString(),
+                    password: optionalString()
+                }
+            }),
+            errors: [401]
+        })
+    },
+    '/auth/google': {
+        get: operation({
+            summary: 'Start Google sign-in (redirect)',
+            tags: ['Auth'],
+            parameters: [
+                queryParam('package', 'Plan selected on the pricing page'),
+                queryParam('billing', 'monthly (default) or payAsYouGo')
+            ],
+            success: { status: 302, description: 'Redirect to Google', contentType: 'text/html', schema: { type: 'string' } }
+        })
+    },
+    '/auth/google/callback': {
+        get: operation({
+            summary: 'Google sign-in callback (redirect to the dashboard or sign-up)',
+            tags: ['Auth'],
+            success: { status: 302, description: 'Redirect', contentType: 'text/html', schema: { type: 'string' } }
+        })
+    },
+    '/auth/failed': {
+        get: operation({ summary: 'Google sign-in failed', tags: ['Auth'], errors: [401] })
+    },
+    '/auth/chrome-extension': {
+        post: operation({
+            summary: 'Sign in from the Chrome extension with a Google access token (auto-registers when linkedinUrl is sent)',
+            tags: ['Auth'],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    googleAccessToken: optionalString(),
+                    clientType: optionalString(),
+                    extensionId: optionalString(),
+                    linkedinUrl: optionalString('LinkedIn URL of the signed-in user')
+                }
+            }),
+            errors: [401]
+        })
+    },
+    '/complete-registration': {
+        post: operation({
+            summary: 'Accept the terms and finish registration',
+            tags: ['Auth'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    packageType,
+                    termsAccepted: { description: 'Must be true' }
+                }
+            })
+        })
+    },
+    '/store-pending-registration': {
+        post: operation({
+            summary: 'Remember the selected plan until payment completes',
+            tags: ['Auth'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    packageType,
+                    termsAccepted: { description: 'Must be true' },
+                    linkedinUrl: optionalString()
+                }
+            })
+        })
+    },
+    '/send-welcome-email': {
+        post: operation({ summary: 'Send the welcome email once', tags: ['Auth'], auth: 'jwt' })
+    },
+    '/update-profile': {
+        post: operation({
+            summary: 'Set the LinkedIn URL and/or plan of the user',
+            tags: ['Users'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    linkedinUrl: optionalString('linkedin.com/in/... URL'),
+                    packageType
+                }
+            })
+        })
+    },
+
+    '/user/setup-status': {
+        get: operation({ summary: 'Onboarding status', tags: ['Users'], auth: 'jwt' })
+    },
+    '/user/initial-scraping-status': {
+        get: operation({ summary: 'Whether the user\'s own profile has been captured', tags: ['Users'], auth: 'jwt' })
+    },
+    '/user/stats': {
+        get: operation({ summary: 'Usage statistics of the user', tags: ['Users'], auth: 'jwt' })
+    },
+    '/user/settings': {
+        put: operation({
+            summary: 'Update display name and/or plan',
+            tags: ['Users'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    displayName: optionalString(),
+                    packageType
+                }
+            })
+        })
+    },
+    '/user/plan': {
+        get: operation({ summary: 'Current plan, renewal and credit allowance', tags: ['Credits'], auth: 'jwt' })
+    },
+    '/credits/balance': {
+        get: operation({
+            summary: 'Plan, pay-as-you-go and total credits',
+            description: 'breakdown lists which credits expire when: renewable credits above the plan\'s rollover cap at the next reset, pay-as-you-go packs on their expiry date.',
+            tags: ['Credits'],
+            auth: 'jwt'
+        })
+    },
+    '/credits/history': {
+        get: operation({
+            summary: 'Credit transactions, newest first',
+            tags: ['Credits'],
+            auth: 'jwt',
+            parameters: [queryParam('limit', 'Default 50', { type: 'integer', minimum: 1 })]
+        })
+    }
+};
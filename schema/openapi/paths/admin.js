@@ -0,0 +1,179 @@
+// schema/openapi/paths/admin.js - Admin dashboard (Duo session), owner dashboard and URL migration tools
+
+const { operation, jsonBody, idParam, queryParam, optionalString, page } = require('../helpers');
+const { REPAIR_SOURCES } = require('../../../config/creditLedger');
+const { REFUND_STATUSES, getRefundSettings } = require('../../../config/refunds');
+
+const rangeParams = (defaultRange = '7days') => [
+    queryParam('timeRange', `Default ${defaultRange} (or custom with startDate / endDate)`),
+    queryParam('startDate', 'Custom range start'),
+    queryParam('endDate', 'Custom range end')
+];
+
+const adminRangeParams = [...rangeParams(), queryParam('userType', 'Default all')];
+
+const ownerBody = jsonBody({
+    type: 'object',
+    properties: {
+        timeRange: optionalString('Default 7days'),
+        startDate: optionalString(),
+        endDate: optionalString(),
+        email: optionalString('Owner credentials (or Basic auth / query)'),
+        password: optionalString()
+    }
+}, { required: false });
+
+const admin = (summary, extra = {}) => operation({ summary, tags: ['Admin'], auth: 'admin', errors: [403], ...extra });
+const migration = (summary) => operation({ summary, tags: ['Admin'], auth: 'migration', errors: [403] });
+
+module.exports = {
+    '/admin-login': { get: page('Admin login page', ['Admin']) },
+    '/admin-initiate-duo': {
+        post: operation({
+            summary: 'Start the Duo 2FA admin login',
+            tags: ['Admin'],
+            body: jsonBody({ type: 'object', properties: { email: optionalString() } }),
+            errors: [403]
+        })
+    },
+    '/admin-duo-callback': {
+        get: operation({
+            summary: 'Duo 2FA callback (redirect to the admin dashboard)',
+            tags: ['Admin'],
+            parameters: [queryParam('code', 'Duo authorization code'), queryParam('state', 'Duo state')],
+            success: { status: 302, description: 'Redirect', contentType: 'text/html', schema: { type: 'string' } }
+        })
+    },
+    '/admin-logout': {
+        get: operation({
+            summary: 'End the admin session',
+            tags: ['Admin'],
+            success: { status: 302, description: 'Redirect to the admin login', contentType: 'text/html', schema: { type: 'string' } }
+        })
+    },
+    '/admin-dashboard': { get: { ...page('Admin dashboard', ['Admin']), security: [{ adminSession: [] }] } },
+
+    '/api/admin/analytics': { get: admin('Business metrics for a period', { parameters: adminRangeParams }) },
+    '/api/admin/health': { get: admin('Server, database and integration health') },
+    '/api/admin/export': { get: admin('Metrics export', { parameters: adminRangeParams }) },
+    '/api/admin/export-users': { get: admin('Users export', { parameters: adminRangeParams }) },
+    '/api/admin/prompts': {
+        get: admin('Prompt template versions', { parameters: [queryParam('messageType', 'Filter by message type')] }),
+        post: admin('Add a prompt template version', {
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    messageType: optionalString(),
+                    version: optionalString(),
+                    description: optionalString(),
+                    systemPrompt: optionalString(),
+                    userPrompt: optionalString(),
+                    activate: { type: 'boolean' }
+                }
+            })
+        })
+    },
+    '/api/admin/prompts/stats': {
+        get: admin('Quality and cost per prompt version', {
+            parameters: [...rangeParams('30days'), queryParam('messageType', 'Filter by message type')]
+        })
+    },
+    '/api/admin/prompts/experiments': {
+        get: admin('Prompt A/B experiments', { parameters: [queryParam('status', 'Filter by status')] }),
+        post: admin('Start a prompt A/B experiment', {
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    name: optionalString(),
+                    variantTemplateId: { description: 'Prompt template id of the variant' },
+                    trafficPercent: { description: 'Default 50' }
+                }
+            })
+        })
+    },
+    '/api/admin/prompts/experiments/{id}/stop': {
+        post: admin('Stop an experiment (optionally roll out the variant)', {
+            parameters: [idParam('id', 'Experiment id')],
+            body: jsonBody({ type: 'object', properties: { rollOut: { description: 'control, variant or null' } } }, { required: false })
+        })
+    },
+    '/api/admin/prompts/{id}': {
+        get: admin('One prompt template version', { parameters: [idParam('id', 'Prompt template id')], errors: [403, 404] })
+    },
+    '/api/admin/prompts/{id}/activate': {
+        post: admin('Make a prompt version the active one', { parameters: [idParam('id', 'Prompt template id')], errors: [403, 404] })
+    },
+
+    '/api/admin/credits/reconciliation': {
+        get: admin('Credit ledger reconciliation runs', { parameters: [queryParam('limit', 'Default 20, max 100')] }),
+        post: admin('Queue a credit ledger reconciliation run', {
+            success: { status: 202, description: 'Reconciliation queued' }
+        })
+    },
+    '/api/admin/credits/drift': { get: admin('Users whose credit balances differ from the ledger') },
+    '/api/admin/credits/users/{id}': {
+        get: admin('A user\'s credit balances and ledger transactions', {
+            parameters: [idParam('id', 'User id'), queryParam('limit', 'Default 50, max 500')],
+            errors: [403, 404]
+        })
+    },
+    '/api/admin/credits/users/{id}/repair': {
+        post: admin('Repair a user\'s drift between balances and ledger', {
+            parameters: [idParam('id', 'User id')],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    source: { type: 'string', enum: Object.keys(REPAIR_SOURCES), description: 'Which side is right (default ledger)' },
+                    reason: optionalString('Kept on the audit log and the reconciliation transaction', { maxLength: 500 })
+                }
+            }, { required: false }),
+            errors: [400, 403, 404]
+        })
+    },
+    '/api/admin/refund-requests': {
+        get: admin('Refund requests, pending first', {
+            parameters: [
+                queryParam('status', 'Only requests in this status', { type: 'string', enum: REFUND_STATUSES }),
+                queryParam('limit', 'Default 50', { type: 'integer', minimum: 1 }),
+                queryParam('offset', 'Default 0', { type: 'integer', minimum: 0 })
+            ],
+            errors: [400, 403]
+        })
+    },
+    '/api/admin/refund-requests/{id}/approve': {
+        post: admin('Approve a refund request - credits it back to the balance that paid (the user or their team pool) and records it in the audit log', {
+            parameters: [idParam('id', 'Refund request id')],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    amount: { type: 'number', minimum: 0, description: 'Credits to give back (default: all credits charged)' },
+                    note: optionalString('Shown to the user, and kept on the audit log', { maxLength: getRefundSettings().maxNoteLength })
+                }
+            }, { required: false }),
+            errors: [400, 403, 404, 409]
+        })
+    },
+    '/api/admin/refund-requests/{id}/reject': {
+        post: admin('Reject a refund request', {
+            parameters: [idParam('id', 'Refund request id')],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    note: optionalString('Shown to the user', { maxLength: getRefundSettings().maxNoteLength })
+                }
+            }, { required: false }),
+            errors: [400, 403, 404, 409]
+        })
+    },
+
+    '/owner-dashboard': { get: { ...page('Owner dashboard', ['Admin']), security: [{ ownerBasic: [] }] } },
+    '/api/owner/analytics': { post: operation({ summary: 'Owner business metrics', tags: ['Admin'], auth: 'owner', body: ownerBody }) },
+    '/api/owner/health': { post: operation({ summary: 'Owner system health', tags: ['Admin'], auth: 'owner', body: ownerBody }) },
+    '/api/owner/export': { post: operation({ summary: 'Owner users export', tags: ['Admin'], auth: 'owner', body: ownerBody }) },
+
+    '/admin/migrate-urls': { get: page('LinkedIn URL migration page', ['Admin']) },
+    '/api/admin/verify-urls': { get: migration('Count LinkedIn URLs that need normalizing') },
+    '/api/admin/migrate-urls-dry-run': { get: migration('Preview the LinkedIn URL migration') },
+    '/api/admin/migrate-urls-execute': { post: migration('Normalize stored LinkedIn URLs') },
+    '/api/admin/force-cleanup-target-profiles': { post: migration('Remove duplicate target profiles') }
+};
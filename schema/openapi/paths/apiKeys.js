@@ -0,0 +1,45 @@
+// schema/openapi/paths/apiKeys.js - Personal API keys (managed with the web app session only)
+
+const { API_KEY_SCOPES, getApiKeySettings } = require('../../../config/apiKeys');
+const { operation, jsonBody, idParam, queryParam } = require('../helpers');
+
+const { maxRateLimitPerMinute, maxExpiryDays } = getApiKeySettings();
+const keyId = idParam('id', 'API key id');
+
+module.exports = {
+    '/user/api-keys': {
+        get: operation({ summary: 'API keys of the user and the scopes a key can have', tags: ['API keys'], auth: 'jwt' }),
+        post: operation({
+            summary: 'Create an API key (the key is only shown in this response)',
+            tags: ['API keys'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                required: ['name', 'scopes'],
+                properties: {
+                    name: { type: 'string', minLength: 1, maxLength: 100 },
+                    scopes: {
+                        type: 'array',
+                        minItems: 1,
+                        items: { type: 'string', enum: Object.keys(API_KEY_SCOPES) }
+                    },
+                    rateLimitPerMinute: { type: 'integer', nullable: true, minimum: 1, maximum: maxRateLimitPerMinute },
+                    expiresInDays: { type: 'integer', nullable: true, minimum: 1, maximum: maxExpiryDays }
+                }
+            }),
+            success: { status: 201, description: 'API key created' }
+        })
+    },
+    '/user/api-keys/{id}': {
+        delete: operation({ summary: 'Revoke an API key', tags: ['API keys'], auth: 'jwt', parameters: [keyId], errors: [404] })
+    },
+    '/user/api-keys/{id}/usage': {
+        get: operation({
+            summary: 'Requests per day and per endpoint',
+            tags: ['API keys'],
+            auth: 'jwt',
+            parameters: [keyId, queryParam('days', 'Default 30', { type: 'integer', minimum: 1 })],
+            errors: [404]
+        })
+    }
+};
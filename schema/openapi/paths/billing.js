@@ -0,0 +1,34 @@
+// schema/openapi/paths/billing.js - Chargebee checkout, webhook and plan catalogue
+
+const { operation, jsonBody } = require('../helpers');
+
+module.exports = {
+    '/packages': {
+        get: operation({ summary: 'Plans and credit packs', tags: ['Billing'] })
+    },
+    '/create-checkout': {
+        post: operation({
+            summary: 'Create a Chargebee hosted checkout for a plan',
+            tags: ['Billing'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    planId: { type: 'string', nullable: true },
+                    seats: { type: 'integer', nullable: true, minimum: 1, description: 'Seat-based (team) plans only' }
+                }
+            }),
+            errors: [403]
+        })
+    },
+    '/chargebee-webhook': {
+        post: operation({
+            summary: 'Chargebee event webhook (subscriptions, payments)',
+            tags: ['Billing'],
+            body: jsonBody({ type: 'object', description: 'Chargebee event' })
+        })
+    },
+    '/test-chargebee': {
+        get: operation({ summary: 'Check the Chargebee connection', tags: ['Billing'] })
+    }
+};
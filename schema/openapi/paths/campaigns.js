@@ -0,0 +1,65 @@
+// schema/openapi/paths/campaigns.js - Bulk CSV campaigns
+
+const { CAMPAIGN_MESSAGE_TYPES } = require('../../../config/campaigns');
+const { operation, idParam, optionalString } = require('../helpers');
+
+const campaignFields = {
+    name: { type: 'string', maxLength: 100 },
+    messageTypes: { description: `Array or comma-separated list of: ${Object.keys(CAMPAIGN_MESSAGE_TYPES).join(', ')}` },
+    contextId: { description: 'Saved context to use (or send outreachContext)' },
+    outreachContext: optionalString(),
+    language: optionalString("Language code or 'auto'"),
+    tone: optionalString('Tone preset')
+};
+
+const campaignId = idParam('id', 'Campaign id');
+
+module.exports = {
+    '/campaigns': {
+        get: operation({ summary: 'Campaigns of the user, newest first', tags: ['Campaigns'], auth: 'jwt' }),
+        post: operation({
+            summary: 'Create a campaign from a CSV of LinkedIn URLs (processed in the background)',
+            tags: ['Campaigns'],
+            auth: 'jwt',
+            body: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            properties: { file: { type: 'string', format: 'binary' }, ...campaignFields }
+                        }
+                    },
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                csv: { type: 'string', description: 'CSV text' },
+                                filename: optionalString(),
+                                ...campaignFields
+                            }
+                        }
+                    }
+                }
+            },
+            success: { status: 202, description: 'Campaign queued' },
+            errors: [402, 404]
+        })
+    },
+    '/campaigns/{id}': {
+        get: operation({ summary: 'Campaign progress and targets', tags: ['Campaigns'], auth: 'jwt', parameters: [campaignId], errors: [404] })
+    },
+    '/campaigns/{id}/results.csv': {
+        get: operation({
+            summary: 'Generated messages as CSV',
+            tags: ['Campaigns'],
+            auth: 'jwt',
+            parameters: [campaignId],
+            success: { description: 'CSV file', contentType: 'text/csv', schema: { type: 'string' } },
+            errors: [404]
+        })
+    },
+    '/campaigns/{id}/cancel': {
+        post: operation({ summary: 'Cancel a running campaign (unused credits are released)', tags: ['Campaigns'], auth: 'jwt', parameters: [campaignId], errors: [404, 409] })
+    }
+};
@@ -0,0 +1,74 @@
+// schema/openapi/paths/contexts.js - Saved outreach contexts and extra context slots
+
+const { operation, jsonBody, idParam, optionalString } = require('../helpers');
+
+const contextBody = jsonBody({
+    type: 'object',
+    required: ['context_name', 'context_text'],
+    properties: {
+        context_name: { type: 'string', minLength: 1, maxLength: 100, description: 'Unique per user' },
+        context_text: { type: 'string', minLength: 1 }
+    }
+});
+
+module.exports = {
+    '/contexts': {
+        get: operation({ summary: 'Saved contexts with slot usage, plus contexts teammates shared', tags: ['Contexts'], auth: 'jwt' }),
+        post: operation({
+            summary: 'Save a new context (limited by plan slots + purchased addon slots)',
+            tags: ['Contexts'],
+            auth: 'jwt',
+            body: contextBody
+        })
+    },
+    '/contexts/limits': {
+        get: operation({ summary: 'Context slots: used, plan, addons', tags: ['Contexts'], auth: 'jwt' })
+    },
+    '/contexts/{id}': {
+        put: operation({
+            summary: 'Update a saved context',
+            tags: ['Contexts'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Context id')],
+            body: contextBody,
+            errors: [404]
+        }),
+        delete: operation({
+            summary: 'Delete a saved context',
+            tags: ['Contexts'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Context id')],
+            errors: [404]
+        })
+    },
+    '/contexts/{id}/share': {
+        post: operation({
+            summary: 'Share a context with the user\'s organization',
+            tags: ['Contexts'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Context id')],
+            errors: [404]
+        }),
+        delete: operation({
+            summary: 'Stop sharing a context (its author, or an organization owner / admin)',
+            tags: ['Contexts'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Context id')],
+            errors: [404]
+        })
+    },
+    '/context-addons/purchase': {
+        post: operation({
+            summary: 'Start a checkout for extra context slots',
+            tags: ['Contexts'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    addonType: optionalString("Default 'context-slot'"),
+                    quantity: { description: 'Default 1' }
+                }
+            }, { required: false })
+        })
+    }
+};
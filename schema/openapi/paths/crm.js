@@ -0,0 +1,97 @@
+// schema/openapi/paths/crm.js - CRM export (HubSpot / Salesforce connections, sync runs and the sync log)
+
+const { CRM_PROVIDERS, CONTACT_FIELDS, SYNC_STATUSES } = require('../../../config/crm');
+const { operation, jsonBody, idParam, queryParam, optionalString } = require('../helpers');
+
+const fieldMapping = {
+    type: 'object',
+    description: 'Contact field -> CRM property name (null = not exported). Unnamed fields keep their current / default property',
+    properties: Object.fromEntries(Object.entries(CONTACT_FIELDS).map(([field, description]) => [
+        field,
+        { type: 'string', nullable: true, maxLength: 100, description }
+    ])),
+    additionalProperties: false
+};
+
+const connectionId = idParam('id', 'CRM connection id');
+
+module.exports = {
+    '/user/crm': {
+        get: operation({ summary: 'CRM connections of the user, providers and exportable contact fields', tags: ['CRM'], auth: 'jwt' })
+    },
+    '/user/crm/connections': {
+        post: operation({
+            summary: 'Connect HubSpot or Salesforce (one connection per provider)',
+            tags: ['CRM'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                required: ['provider', 'accessToken'],
+                properties: {
+                    provider: { type: 'string', enum: Object.keys(CRM_PROVIDERS) },
+                    accessToken: { type: 'string', description: 'HubSpot private app token or Salesforce OAuth access token' },
+                    instanceUrl: optionalString('Salesforce only: https://<domain>.my.salesforce.com'),
+                    fieldMapping,
+                    syncActivities: { type: 'boolean', description: 'Also push generated / sent / replied activities (default true)' }
+                }
+            }),
+            success: { status: 201, description: 'Connection created' },
+            errors: [409]
+        })
+    },
+    '/user/crm/connections/{id}': {
+        put: operation({
+            summary: 'Update the token, instance URL, field mapping or flags of a connection',
+            tags: ['CRM'],
+            auth: 'jwt',
+            parameters: [connectionId],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    accessToken: { type: 'string' },
+                    instanceUrl: optionalString(),
+                    fieldMapping,
+                    syncActivities: { type: 'boolean' },
+                    isActive: { type: 'boolean' }
+                }
+            }),
+            errors: [404]
+        }),
+        delete: operation({ summary: 'Delete a connection and its sync log', tags: ['CRM'], auth: 'jwt', parameters: [connectionId], errors: [404] })
+    },
+    '/user/crm/connections/{id}/sync': {
+        post: operation({
+            summary: 'Queue a sync run (background job) - without messageIds, everything not pushed yet',
+            tags: ['CRM'],
+            auth: 'jwt',
+            parameters: [connectionId],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    messageIds: {
+                        type: 'array',
+                        items: { type: 'integer', minimum: 1 },
+                        minItems: 1,
+                        maxItems: 500,
+                        description: 'Push these messages (again)'
+                    }
+                }
+            }, { required: false }),
+            success: { status: 202, description: 'Sync queued - poll statusUrl' },
+            errors: [404]
+        })
+    },
+    '/user/crm/connections/{id}/sync-log': {
+        get: operation({
+            summary: 'Sync runs, newest first',
+            tags: ['CRM'],
+            auth: 'jwt',
+            parameters: [
+                connectionId,
+                queryParam('status', 'Filter by status', { type: 'string', enum: SYNC_STATUSES }),
+                queryParam('limit', 'Default 50, at most 200', { type: 'integer', minimum: 1 })
+            ],
+            errors: [404]
+        })
+    }
+};
@@ -0,0 +1,63 @@
+// schema/openapi/paths/emailFinder.js - Email finder page (mounted under /api/email-finder-page)
+
+const { operation, jsonBody, idParam, queryParam } = require('../helpers');
+
+const linkedinUrl = {
+    type: 'string',
+    pattern: 'linkedin\\.com',
+    'x-message': 'Please provide a valid LinkedIn profile URL'
+};
+
+module.exports = {
+    '/api/email-finder-page/health': {
+        get: operation({ summary: 'Whether the email finder is configured', tags: ['Email finder'], auth: 'jwt' })
+    },
+    '/api/email-finder-page/search': {
+        post: operation({
+            summary: 'Find the email and profile data of a LinkedIn profile',
+            tags: ['Email finder'],
+            auth: { apiKey: 'emails:find' },
+            body: jsonBody({
+                type: 'object',
+                required: ['linkedin_url'],
+                'x-message': 'Please provide a valid LinkedIn profile URL',
+                properties: { linkedin_url: linkedinUrl }
+            }),
+            errors: [402, 403, 409]
+        })
+    },
+    '/api/email-finder-page/history': {
+        get: operation({
+            summary: 'Past searches',
+            tags: ['Email finder'],
+            auth: { apiKey: 'history:read' },
+            parameters: [
+                queryParam('sort', 'recent_first (default) or oldest_first', { type: 'string', enum: ['recent_first', 'oldest_first'] }),
+                queryParam('limit', 'Default 50', { type: 'integer', minimum: 1 })
+            ]
+        })
+    },
+    '/api/email-finder-page/history/{id}': {
+        delete: operation({
+            summary: 'Delete a past search',
+            tags: ['Email finder'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Search id')],
+            errors: [404]
+        })
+    },
+    '/api/email-finder-page/check-duplicate': {
+        post: operation({
+            summary: 'Whether a LinkedIn URL was searched before',
+            tags: ['Email finder'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: { linkedin_url: { type: 'string', nullable: true } }
+            })
+        })
+    },
+    '/api/email-finder-page/stats': {
+        get: operation({ summary: 'Search statistics', tags: ['Email finder'], auth: 'jwt' })
+    }
+};
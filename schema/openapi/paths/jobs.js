@@ -0,0 +1,44 @@
+// schema/openapi/paths/jobs.js - Background job status (polling)
+
+const { JOB_STATUSES, JOB_TYPES } = require('../../../config/jobs');
+const { operation, idParam, queryParam } = require('../helpers');
+
+// Job types an API key can see, by the scope they need (apiKeyScope in config/jobs.js)
+const apiKeyNote = `An API key only sees job types its scopes cover: ${Object.entries(JOB_TYPES)
+    .filter(([, config]) => config.apiKeyScope)
+    .map(([type, config]) => `${type} (${config.apiKeyScope})`)
+    .join(', ')}. Other jobs need a login.`;
+
+module.exports = {
+    '/jobs': {
+        get: operation({
+            summary: 'Background jobs of the user',
+            description: apiKeyNote,
+            tags: ['Jobs'],
+            auth: { apiKey: null },
+            parameters: [
+                queryParam('status', 'Filter by status', { type: 'string', enum: JOB_STATUSES }),
+                queryParam('type', 'Filter by job type', { type: 'string', enum: Object.keys(JOB_TYPES) })
+            ]
+        })
+    },
+    '/jobs/{id}': {
+        get: operation({
+            summary: 'Status and result of one job',
+            description: apiKeyNote,
+            tags: ['Jobs'],
+            auth: { apiKey: null },
+            parameters: [idParam('id', 'Job id')],
+            errors: [404]
+        })
+    },
+    '/jobs/{id}/cancel': {
+        post: operation({
+            summary: 'Cancel a queued job',
+            tags: ['Jobs'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Job id')],
+            errors: [404, 409]
+        })
+    }
+};
@@ -0,0 +1,300 @@
+// schema/openapi/paths/messages.js - Message generation, streaming, sequences, replies and message history
+
+const { TONE_PRESETS } = require('../../../config/tones');
+const { CADENCE_TEMPLATES } = require('../../../config/sequences');
+const { EXPORT_FORMATS, STATUS_FILTERS } = require('../../../config/messageExport');
+const { operation, jsonBody, idParam, pathParam, queryParam, optionalString, ref } = require('../helpers');
+
+// Keys of UNIFIED_HANDLERS in server.js
+const UNIFIED_MESSAGE_TYPES = [
+    'linkedin-message',
+    'connection-request',
+    'intro-request',
+    'cold-email',
+    'inmail',
+    'post-comment',
+    'event-followup'
+];
+
+// Streaming covers the four classic types (UNIFIED_STREAM_TYPES in controllers/messageStreamController.js)
+const STREAM_MESSAGE_TYPES = ['linkedin-message', 'connection-request', 'intro-request', 'cold-email'];
+
+const tone = {
+    type: 'string',
+    nullable: true,
+    enum: ['', ...Object.keys(TONE_PRESETS)],
+    description: 'Tone preset - omitted uses the saved tone (GET /profile/tone)'
+};
+
+const language = optionalString("Output language code or 'auto' (default: detected from the target profile)");
+
+const requiredText = (description) => ({ type: 'string', minLength: 1, description });
+
+const generationProperties = {
+    targetProfileUrl: requiredText('LinkedIn URL of the target profile (analyzed first with POST /target-profile/analyze-json)'),
+    outreachContext: requiredText('What the message is about'),
+    language,
+    tone
+};
+
+const generationBody = (extraProperties = {}, extra = {}) => jsonBody({
+    type: 'object',
+    required: ['targetProfileUrl', 'outreachContext'],
+    properties: { ...generationProperties, ...extraProperties },
+    ...extra
+});
+
+const variants = {
+    description: 'Number of drafts (1 = classic single message). Drafts share one generation group (GET /messages/variants/{groupId})'
+};
+
+const generationErrors = [402, 404];
+const messageAuth = { apiKey: 'messages:generate' };
+const historyAuth = { apiKey: 'history:read' };
+
+const generate = (summary, body) => ({
+    post: operation({ summary, tags: ['Messages'], auth: messageAuth, body, errors: generationErrors })
+});
+
+const stream = (summary, body) => ({
+    post: operation({
+        summary,
+        description: 'Server-sent events: `token` events while the model writes, then one `done` (or `error`) event.',
+        tags: ['Messages'],
+        auth: messageAuth,
+        body,
+        errors: generationErrors,
+        success: { description: 'Event stream', contentType: 'text/event-stream', schema: { type: 'string' } }
+    })
+});
+
+const mutualConnectionName = requiredText('Person who makes the introduction (GET /mutual-connections)');
+
+const unifiedBody = (messageTypes) => jsonBody({
+    type: 'object',
+    required: ['targetProfileUrl', 'outreachContext', 'messageTypes'],
+    properties: {
+        ...generationProperties,
+        messageTypes: {
+            type: 'array',
+            minItems: 1,
+            uniqueItems: true,
+            items: { type: 'string', enum: messageTypes },
+            description: 'Message types to generate (one credit per type)'
+        },
+        mutualConnectionName: optionalString('Required for intro-request'),
+        postIndex: { description: 'post-comment: index of the post (GET /target-posts) - default: most recent' },
+        eventName: optionalString('Required for event-followup', { maxLength: 200 }),
+        eventDate: optionalString('event-followup', { maxLength: 50 }),
+        eventNotes: optionalString('event-followup', { maxLength: 2000 })
+    }
+});
+
+module.exports = {
+    '/generate-message': generate('Generate a LinkedIn message', generationBody({ variants })),
+    '/generate-connection': generate('Generate a connection request', generationBody({ variants })),
+    '/generate-intro': generate('Generate an intro request', generationBody({ mutualConnectionName }, { required: ['targetProfileUrl', 'outreachContext', 'mutualConnectionName'] })),
+    '/generate-cold-email': generate('Generate a cold email', generationBody({ variants })),
+    '/generate-inmail': generate('Generate an InMail (subject + body)', generationBody()),
+    '/generate-post-comment': generate('Generate a comment on one of the target\'s posts', generationBody({
+        postIndex: { description: 'Index of the post (GET /target-posts) - default: most recent' }
+    })),
+    '/generate-event-followup': generate('Generate a follow-up after a meeting or event', generationBody({
+        eventName: { type: 'string', minLength: 1, maxLength: 200 },
+        eventDate: optionalString('Free text, e.g. "last Tuesday"', { maxLength: 50 }),
+        eventNotes: optionalString('What was discussed', { maxLength: 2000 })
+    }, { required: ['targetProfileUrl', 'outreachContext', 'eventName'] })),
+    '/generate-unified': {
+        post: operation({
+            summary: 'Generate several message types for one target in parallel',
+            description: 'One credit per type; the hold is settled only for the types that succeeded.',
+            tags: ['Messages'],
+            auth: messageAuth,
+            body: unifiedBody(UNIFIED_MESSAGE_TYPES),
+            errors: generationErrors
+        })
+    },
+
+    '/generate-message/stream': stream('Stream a LinkedIn message', generationBody()),
+    '/generate-connection/stream': stream('Stream a connection request', generationBody()),
+    '/generate-intro/stream': stream('Stream an intro request', generationBody({ mutualConnectionName }, { required: ['targetProfileUrl', 'outreachContext', 'mutualConnectionName'] })),
+    '/generate-cold-email/stream': stream('Stream a cold email', generationBody()),
+    '/generate-unified/stream': stream('Stream several message types', unifiedBody(STREAM_MESSAGE_TYPES)),
+
+    '/generate-sequence': {
+        post: operation({
+            summary: 'Generate a multi-touch sequence (connection request, follow-ups, email) on a cadence',
+            tags: ['Sequences'],
+            auth: messageAuth,
+            body: generationBody({
+                cadence: {
+                    description: `Template name (${Object.keys(CADENCE_TEMPLATES).join(', ')}) or an array of { dayOffset, type } steps`
+                },
+                startDate: optionalString('Day of the first step (default: today)')
+            }),
+            errors: generationErrors
+        })
+    },
+    '/messages/sequences/{sequenceId}': {
+        get: operation({
+            summary: 'Steps and schedule of a generated sequence',
+            tags: ['Sequences'],
+            auth: historyAuth,
+            parameters: [pathParam('sequenceId', 'Sequence id', { type: 'string' })],
+            errors: [404]
+        })
+    },
+    '/messages/{id}/reply-response': {
+        post: operation({
+            summary: 'Generate a response to a reply the target sent',
+            tags: ['Messages'],
+            auth: messageAuth,
+            parameters: [idParam('id', 'Message log id of the original message')],
+            body: jsonBody({
+                type: 'object',
+                required: ['replyText'],
+                properties: {
+                    replyText: { type: 'string', minLength: 1, maxLength: 4000, description: 'The reply as pasted from LinkedIn / email' },
+                    goal: optionalString("auto (default), book_meeting, answer_objection, answer_question or close_politely"),
+                    availability: optionalString('Time slots to offer when booking a meeting'),
+                    language
+                }
+            }),
+            errors: generationErrors
+        })
+    },
+
+    '/mutual-connections': {
+        get: operation({
+            summary: 'Mutual connections of a target (intro request picker)',
+            tags: ['Messages'],
+            auth: 'jwt',
+            parameters: [{ ...queryParam('targetProfileUrl', 'LinkedIn URL of the target'), required: true }],
+            errors: [404]
+        })
+    },
+    '/target-posts': {
+        get: operation({
+            summary: 'Recent posts of a target (post comment picker)',
+            tags: ['Messages'],
+            auth: 'jwt',
+            parameters: [{ ...queryParam('targetProfileUrl', 'LinkedIn URL of the target'), required: true }],
+            errors: [404]
+        })
+    },
+
+    '/messages/history': {
+        get: operation({
+            summary: 'Generated messages with their sent / reply status',
+            tags: ['Message history'],
+            auth: historyAuth
+        })
+    },
+    '/messages/export': {
+        get: operation({
+            summary: 'Download the message history with target profile fields and looked-up emails (newest first)',
+            tags: ['Message history'],
+            auth: historyAuth,
+            parameters: [
+                queryParam('format', 'Default csv', { type: 'string', enum: Object.keys(EXPORT_FORMATS) }),
+                queryParam('from', 'Created at or after (YYYY-MM-DD or ISO date-time)', { type: 'string', format: 'date-time' }),
+                queryParam('to', 'Created before (ISO date-time) or on (YYYY-MM-DD)', { type: 'string', format: 'date-time' }),
+                queryParam('messageType', 'Message type or comma-separated list, e.g. connection_request,inmail'),
+                queryParam('sentStatus', 'Sent status', { type: 'string', enum: STATUS_FILTERS }),
+                queryParam('replyStatus', 'Reply status', { type: 'string', enum: STATUS_FILTERS }),
+                queryParam('context', 'Text the outreach context contains', { type: 'string', maxLength: 200 })
+            ],
+            success: {
+                status: 200,
+                description: 'The export file (X-Export-Count: rows, X-Export-Truncated: true when the row limit was hit)',
+                contentType: 'text/csv',
+                schema: { type: 'string' }
+            }
+        })
+    },
+    '/messages/variants/{groupId}': {
+        get: operation({
+            summary: 'Variant drafts of one generation',
+            tags: ['Message history'],
+            auth: historyAuth,
+            parameters: [pathParam('groupId', 'Generation group id', { type: 'string' })],
+            errors: [404]
+        })
+    },
+    '/messages/variants/{groupId}/select': {
+        put: operation({
+            summary: 'Mark the chosen variant of a generation',
+            tags: ['Message history'],
+            auth: 'jwt',
+            parameters: [pathParam('groupId', 'Generation group id', { type: 'string' })],
+            body: jsonBody({
+                type: 'object',
+                required: ['messageLogId'],
+                properties: { messageLogId: { description: 'Message log id of the chosen draft' } }
+            }),
+            errors: [404]
+        })
+    },
+    '/messages/{id}': {
+        put: operation({
+            summary: 'Update sent / reply status and comments of a message',
+            tags: ['Message history'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Message log id')],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    sent_status: optionalString('yes, no or pending'),
+                    reply_status: optionalString('yes, no or pending'),
+                    comments: optionalString('Free-text notes')
+                }
+            }),
+            errors: [404]
+        })
+    },
+    '/messages/individual/{messageId}': {
+        put: operation({
+            summary: 'Update sent / got reply of one message (messages page)',
+            tags: ['Message history'],
+            auth: 'jwt',
+            parameters: [idParam('messageId', 'Message log id')],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    sent: { type: 'string', nullable: true, enum: ['', 'yes', 'no', 'pending'] },
+                    got_reply: { type: 'string', nullable: true, enum: ['', 'yes', 'no', 'pending'] }
+                }
+            }),
+            errors: [404]
+        })
+    },
+    '/messages/individual/{messageId}/edit': {
+        put: operation({
+            summary: 'Save an edited version of a generated message',
+            tags: ['Message history'],
+            auth: 'jwt',
+            parameters: [idParam('messageId', 'Message log id')],
+            body: jsonBody({
+                type: 'object',
+                required: ['edited_message'],
+                properties: { edited_message: { type: 'string', minLength: 1 } }
+            }),
+            errors: [404]
+        })
+    },
+
+    '/api/ask-email': {
+        post: operation({
+            summary: 'Find (and verify) the email of a message\'s target',
+            tags: ['Email finder'],
+            auth: { apiKey: 'emails:find' },
+            body: jsonBody({
+                type: 'object',
+                required: ['messageId'],
+                properties: { messageId: { description: 'Message log id' } }
+            }),
+            errors: [402, 403, 404],
+            success: { description: 'Email result (or a job to poll for slow lookups)', schema: ref('SuccessResponse') }
+        })
+    }
+};
@@ -0,0 +1,116 @@
+// schema/openapi/paths/organizations.js - Team workspaces: organization, members, invites, team messages
+
+const { ASSIGNABLE_ROLES, getOrganizationSettings } = require('../../../config/organizations');
+const { STATUS_FILTERS } = require('../../../config/messageExport');
+const { operation, jsonBody, idParam, queryParam } = require('../helpers');
+
+const { maxNameLength, maxMessagesLimit } = getOrganizationSettings();
+const memberId = idParam('userId', 'User id of the member');
+const inviteId = idParam('id', 'Invite id');
+
+const nameBody = jsonBody({
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: maxNameLength }
+    }
+});
+
+module.exports = {
+    '/organization': {
+        get: operation({
+            summary: 'The user\'s organization (role, pool, seats, their cap and spend) and invites addressed to them',
+            tags: ['Teams'],
+            auth: 'jwt'
+        }),
+        post: operation({
+            summary: 'Create an organization with the user as owner',
+            tags: ['Teams'],
+            auth: 'jwt',
+            body: nameBody,
+            success: { status: 201, description: 'Organization created' },
+            errors: [409]
+        }),
+        put: operation({ summary: 'Rename the organization (owner)', tags: ['Teams'], auth: 'jwt', body: nameBody, errors: [403, 404] })
+    },
+    '/organization/members': {
+        get: operation({
+            summary: 'Members with role, monthly credit cap and pool credits spent this month',
+            tags: ['Teams'],
+            auth: 'jwt',
+            errors: [404]
+        })
+    },
+    '/organization/members/{userId}': {
+        put: operation({
+            summary: 'Change a member\'s role or monthly credit cap (owner / admin; admins are managed by the owner)',
+            tags: ['Teams'],
+            auth: 'jwt',
+            parameters: [memberId],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    role: { type: 'string', enum: ASSIGNABLE_ROLES },
+                    monthlyCreditCap: { type: 'number', nullable: true, minimum: 0, description: 'null removes the cap' }
+                }
+            }),
+            errors: [403, 404]
+        }),
+        delete: operation({
+            summary: 'Remove a member (owner / admin) or leave the organization (your own id)',
+            tags: ['Teams'],
+            auth: 'jwt',
+            parameters: [memberId],
+            errors: [403, 404]
+        })
+    },
+    '/organization/invites': {
+        get: operation({ summary: 'Pending invites (owner / admin)', tags: ['Teams'], auth: 'jwt', errors: [403, 404] }),
+        post: operation({
+            summary: 'Invite someone by email - takes a seat until it is accepted, revoked or expires',
+            tags: ['Teams'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                required: ['email'],
+                properties: {
+                    email: { type: 'string', minLength: 3, maxLength: 255 },
+                    role: { type: 'string', nullable: true, enum: [...ASSIGNABLE_ROLES, null], description: "Default 'member'" }
+                }
+            }),
+            success: { status: 201, description: 'Invite created' },
+            errors: [403, 404, 409]
+        })
+    },
+    '/organization/invites/{id}': {
+        delete: operation({ summary: 'Revoke a pending invite', tags: ['Teams'], auth: 'jwt', parameters: [inviteId], errors: [403, 404] })
+    },
+    '/organization/invites/{id}/accept': {
+        post: operation({
+            summary: 'Join the organization of an invite addressed to the user\'s email',
+            tags: ['Teams'],
+            auth: 'jwt',
+            parameters: [inviteId],
+            errors: [404, 409]
+        })
+    },
+    '/organization/messages': {
+        get: operation({
+            summary: 'Messages of the team\'s members, newest first (owner / admin)',
+            tags: ['Teams'],
+            auth: 'jwt',
+            parameters: [
+                queryParam('memberId', 'Only this member\'s messages', { type: 'integer', minimum: 1 }),
+                queryParam('limit', `Default 50, at most ${maxMessagesLimit}`, { type: 'integer', minimum: 1 }),
+                queryParam('offset', 'Default 0', { type: 'integer', minimum: 0 }),
+                queryParam('from', 'Created at or after (YYYY-MM-DD or ISO date-time)', { type: 'string', format: 'date-time' }),
+                queryParam('to', 'Created before (ISO date-time) or on (YYYY-MM-DD)', { type: 'string', format: 'date-time' }),
+                queryParam('messageType', 'Message type or comma-separated list, e.g. connection_request,inmail'),
+                queryParam('sentStatus', 'Sent status', { type: 'string', enum: STATUS_FILTERS }),
+                queryParam('replyStatus', 'Reply status', { type: 'string', enum: STATUS_FILTERS }),
+                queryParam('context', 'Text the outreach context contains', { type: 'string', maxLength: 200 })
+            ],
+            errors: [403, 404]
+        })
+    }
+};
@@ -0,0 +1,143 @@
+// schema/openapi/paths/profile.js - The user's own profile (manual edits, tone, personal info) and profile capture
+
+const { TONE_PRESETS, MIN_WRITING_SAMPLE_LENGTH, MAX_WRITING_SAMPLE_LENGTH } = require('../../../config/tones');
+const { operation, jsonBody, optionalString } = require('../helpers');
+
+const profileEdit = (summary, properties, required) => ({
+    put: operation({
+        summary,
+        tags: ['Profile'],
+        auth: 'jwt',
+        body: jsonBody({ type: 'object', required, properties })
+    })
+});
+
+const profileSection = (summary, field, description) => profileEdit(summary, {
+    [field]: { type: 'array', items: {}, description }
+}, [field]);
+
+module.exports = {
+    '/profile': {
+        get: operation({ summary: 'Profile, plan and credits of the signed-in user', tags: ['Profile'], auth: 'dual', errors: [404] })
+    },
+    '/profile-status': {
+        get: operation({ summary: 'Profile capture status', tags: ['Profile'], auth: 'dual' })
+    },
+    '/traffic-light-status': {
+        get: operation({ summary: 'Setup traffic light (registration, profile, plan)', tags: ['Profile'], auth: 'dual' })
+    },
+    '/profile/personal-info': {
+        get: operation({ summary: 'Saved personal information', tags: ['Profile'], auth: 'jwt' }),
+        put: operation({
+            summary: 'Replace the saved personal information',
+            tags: ['Profile'],
+            auth: 'jwt',
+            body: jsonBody({ type: 'object', description: 'Free-form key / value data used as extra context' })
+        })
+    },
+    '/profile/tone': {
+        get: operation({ summary: 'Saved tone preset, writing sample and the presets to choose from', tags: ['Profile'], auth: 'jwt' }),
+        put: operation({
+            summary: 'Save the tone preset and/or writing sample (empty writingSample clears it)',
+            tags: ['Profile'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                anyOf: [{ required: ['tonePreset'] }, { required: ['writingSample'] }],
+                'x-message': 'tonePreset or writingSample is required',
+                properties: {
+                    tonePreset: {
+                        type: 'string',
+                        nullable: true,
+                        enum: ['', ...Object.keys(TONE_PRESETS)],
+                        description: 'Empty resets to the default preset'
+                    },
+                    writingSample: optionalString(
+                        `${MIN_WRITING_SAMPLE_LENGTH}-${MAX_WRITING_SAMPLE_LENGTH} characters (after trimming) of the user's own writing`,
+                        { maxLength: MAX_WRITING_SAMPLE_LENGTH }
+                    )
+                }
+            })
+        })
+    },
+    '/profile/basic-info': profileEdit('Update name, headline, current role and location', {
+        firstName: optionalString(),
+        lastName: optionalString(),
+        fullName: optionalString(),
+        headline: optionalString(),
+        currentJobTitle: optionalString(),
+        currentCompany: optionalString(),
+        location: optionalString()
+    }),
+    '/profile/about': profileEdit('Update the about section', { about: optionalString() }, ['about']),
+    '/profile/experience': profileSection('Replace the experience entries', 'experience', 'Positions, newest first'),
+    '/profile/education': profileSection('Replace the education entries', 'education', 'Schools and degrees'),
+    '/profile/skills': profileSection('Replace the skills', 'skills', 'Skill names or skill objects'),
+    '/profile/certifications': profileSection('Replace the certifications', 'certifications', 'Certification entries'),
+
+    '/scrape-html': {
+        post: operation({
+            summary: 'Store a profile captured by the extension (isUserProfile: true = own profile, otherwise a target)',
+            tags: ['Profile capture'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    isUserProfile: { description: 'true routes to the user profile handler' },
+                    profileUrl: optionalString('LinkedIn URL of the captured profile'),
+                    html: optionalString('Captured page HTML')
+                }
+            }),
+            errors: [402]
+        })
+    },
+    '/target-profile/analyze-json': {
+        post: operation({
+            summary: 'Analyze a target profile (cached profiles return right away, new ones run as a background job)',
+            tags: ['Profile capture'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    profileUrl: optionalString('LinkedIn URL of the target'),
+                    html: optionalString('Captured page HTML')
+                }
+            }),
+            errors: [402]
+        })
+    },
+    '/api/analyze-profile-file': {
+        post: operation({
+            summary: 'Analyze a target profile from an uploaded PDF / DOCX / TXT file (kept for 7 days)',
+            tags: ['Profile capture'],
+            auth: 'jwt',
+            body: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            required: ['profileFile', 'userConsented'],
+                            properties: {
+                                profileFile: { type: 'string', format: 'binary' },
+                                userConsented: { type: 'string', enum: ['true'] }
+                            }
+                        }
+                    }
+                }
+            },
+            errors: [402]
+        })
+    },
+    '/extension/auto-store-linkedin-url': {
+        post: operation({
+            summary: 'Store the user\'s LinkedIn URL detected by the extension',
+            tags: ['Profile capture'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: { linkedinUrl: optionalString('LinkedIn profile URL') }
+            })
+        })
+    }
+};
@@ -0,0 +1,33 @@
+// schema/openapi/paths/refunds.js - Refund requests for charged messages and email searches (admin review in paths/admin.js)
+
+const { REFUND_SOURCES, REFUND_REASONS, getRefundSettings } = require('../../../config/refunds');
+const { operation, jsonBody, optionalString } = require('../helpers');
+
+const allReasons = [...new Set(Object.values(REFUND_REASONS).flatMap(reasons => Object.keys(reasons)))];
+
+module.exports = {
+    '/refund-requests': {
+        get: operation({
+            summary: 'The user\'s refund requests, newest first, and the reasons each source type accepts',
+            tags: ['Refunds'],
+            auth: 'jwt'
+        }),
+        post: operation({
+            summary: `Flag a charged message or email search for a refund (within ${getRefundSettings().requestWindowDays} days, once per item)`,
+            tags: ['Refunds'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                required: ['sourceType', 'sourceId', 'reason'],
+                properties: {
+                    sourceType: { type: 'string', enum: Object.keys(REFUND_SOURCES) },
+                    sourceId: { type: 'integer', minimum: 1, description: 'message_logs id (message) or email_finder_searches id (email_search)' },
+                    reason: { type: 'string', enum: allReasons, description: 'One of the reasons of the source type' },
+                    note: optionalString('Required when the reason is other', { maxLength: getRefundSettings().maxNoteLength })
+                }
+            }),
+            success: { status: 201, description: 'Refund requested' },
+            errors: [400, 404, 409]
+        })
+    }
+};
@@ -0,0 +1,35 @@
+// schema/openapi/paths/system.js - Pages, static files, health and the API description itself
+
+const { operation, page } = require('../helpers');
+
+module.exports = {
+    '/': { get: page('Landing page') },
+    '/sign-up': { get: page('Sign-up page') },
+    '/login': { get: page('Login page') },
+    '/dashboard': { get: page('Dashboard page') },
+    '/messages': { get: page('Messages page') },
+    '/target-profiles': { get: page('Target profiles page') },
+    '/message-generator': { get: page('Message generator page') },
+    '/message-generator.html': { get: page('Message generator page') },
+    '/email-finder': { get: page('Email finder page') },
+    '/email-finder.html': { get: page('Email finder page') },
+    '/msgly-profile': { get: page('Msgly profile page') },
+    '/msgly-profile.html': { get: page('Msgly profile page') },
+    '/upgrade': { get: page('Upgrade page') },
+    '/robots.txt': { get: page('robots.txt', ['Pages'], 'text/plain') },
+    '/sitemap.xml': { get: page('Sitemap', ['Pages'], 'application/xml') },
+    '/manifest.json': { get: page('Web app manifest', ['Pages'], 'application/json') },
+    '/sw.js': { get: page('Service worker', ['Pages'], 'application/javascript') },
+    '/favicon.ico': { get: page('Favicon', ['Pages'], 'image/x-icon') },
+
+    '/health': { get: operation({ summary: 'Service health (database, integrations)', tags: ['System'] }) },
+    '/status': { get: operation({ summary: 'Feature status', tags: ['System'] }) },
+    '/version': { get: operation({ summary: 'Server version', tags: ['System'] }) },
+    '/api/openapi.json': {
+        get: operation({
+            summary: 'This OpenAPI document',
+            tags: ['System'],
+            success: { description: 'OpenAPI 3.0 document', schema: { type: 'object' } }
+        })
+    }
+};
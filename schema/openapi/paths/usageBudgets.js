@@ -0,0 +1,60 @@
+// schema/openapi/paths/usageBudgets.js - Spending limits, low-balance threshold and the notification feed
+
+const { MAX_CREDIT_AMOUNT } = require('../../../config/usageBudgets');
+const { operation, jsonBody, idParam, queryParam } = require('../helpers');
+
+const creditAmount = (description) => ({
+    type: 'number',
+    nullable: true,
+    minimum: 0,
+    maximum: MAX_CREDIT_AMOUNT,
+    description
+});
+
+module.exports = {
+    '/user/usage-budget': {
+        get: operation({
+            summary: 'Daily / monthly spending limits, low-balance threshold and the spend against them',
+            tags: ['Usage budgets'],
+            auth: 'jwt'
+        }),
+        put: operation({
+            summary: 'Change limits and alerts - holds past a limit are refused with 402 spending_limit_reached',
+            tags: ['Usage budgets'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    dailyLimit: creditAmount('Credits per calendar day (null = no limit)'),
+                    monthlyLimit: creditAmount('Credits per calendar month (null = no limit)'),
+                    lowBalanceThreshold: creditAmount('Alert when a deduction takes the balance below this (null = no alert, the default)'),
+                    emailAlerts: { type: 'boolean', description: 'Also send alerts by email (off until turned on)' }
+                }
+            })
+        })
+    },
+    '/user/notifications': {
+        get: operation({
+            summary: 'In-app notifications (low balance, spending limit warnings), newest first',
+            tags: ['Usage budgets'],
+            auth: 'jwt',
+            parameters: [
+                queryParam('unread', 'true = unread only', { type: 'string', enum: ['true', 'false'] }),
+                queryParam('limit', 'Default 20', { type: 'integer', minimum: 1 }),
+                queryParam('offset', 'Default 0', { type: 'integer', minimum: 0 })
+            ]
+        })
+    },
+    '/user/notifications/read-all': {
+        post: operation({ summary: 'Mark every notification as read', tags: ['Usage budgets'], auth: 'jwt' })
+    },
+    '/user/notifications/{id}/read': {
+        post: operation({
+            summary: 'Mark a notification as read',
+            tags: ['Usage budgets'],
+            auth: 'jwt',
+            parameters: [idParam('id', 'Notification id')],
+            errors: [404]
+        })
+    }
+};
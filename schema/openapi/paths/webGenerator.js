@@ -0,0 +1,64 @@
+// schema/openapi/paths/webGenerator.js - Web message generator (BrightData profiles, mounted under /api/web-message-generator)
+
+const { operation, jsonBody, queryParam, optionalString } = require('../helpers');
+
+const linkedinUrl = optionalString('LinkedIn profile URL');
+const language = optionalString("Output language code or 'auto'");
+
+module.exports = {
+    '/api/web-message-generator/analyze-profile': {
+        post: operation({
+            summary: 'Analyze a LinkedIn profile with BrightData (202 + jobId when it has to be scraped)',
+            tags: ['Web message generator'],
+            auth: 'session',
+            body: jsonBody({ type: 'object', properties: { linkedinUrl } }),
+            errors: [402]
+        })
+    },
+    '/api/web-message-generator/generate': {
+        post: operation({
+            summary: 'Generate one message for an analyzed profile',
+            tags: ['Web message generator'],
+            auth: 'session',
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    linkedinUrl,
+                    messageType: optionalString('linkedin_message, connection_request, cold_email or intro_request'),
+                    context: optionalString(),
+                    language,
+                    mutualConnectionName: optionalString('Required for intro_request')
+                }
+            }),
+            errors: [402, 404]
+        })
+    },
+    '/api/web-message-generator/batch-generate': {
+        post: operation({
+            summary: 'Generate a LinkedIn message, connection request and cold email at once',
+            tags: ['Web message generator'],
+            auth: 'session',
+            body: jsonBody({
+                type: 'object',
+                properties: { linkedinUrl, context: optionalString(), language }
+            }),
+            errors: [402, 404]
+        })
+    },
+    '/api/web-message-generator/mutual-connections': {
+        get: operation({
+            summary: 'Mutual connections of an analyzed profile',
+            tags: ['Web message generator'],
+            auth: 'session',
+            parameters: [queryParam('linkedinUrl', 'LinkedIn profile URL')]
+        })
+    },
+    '/api/web-message-generator/history': {
+        get: operation({
+            summary: 'Messages generated on the web',
+            tags: ['Web message generator'],
+            auth: 'session',
+            parameters: [queryParam('limit', 'Default 20', { type: 'integer', minimum: 1 })]
+        })
+    }
+};
@@ -0,0 +1,80 @@
+// schema/openapi/paths/webhooks.js - Outbound webhooks and their delivery log
+
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('../../../config/webhooks');
+const { operation, jsonBody, idParam, queryParam, optionalString } = require('../helpers');
+
+const events = {
+    type: 'array',
+    items: { type: 'string', enum: Object.keys(WEBHOOK_EVENTS) },
+    description: 'Events to receive (default on create: all)'
+};
+
+const webhookId = idParam('id', 'Webhook id');
+
+module.exports = {
+    '/user/webhooks': {
+        get: operation({ summary: 'Webhooks of the user and the events they can subscribe to', tags: ['Webhooks'], auth: 'jwt' }),
+        post: operation({
+            summary: 'Add a webhook endpoint (the signing secret is only shown in this response)',
+            tags: ['Webhooks'],
+            auth: 'jwt',
+            body: jsonBody({
+                type: 'object',
+                required: ['url'],
+                properties: {
+                    url: { type: 'string', description: 'HTTPS endpoint' },
+                    secret: optionalString('Own signing secret (default: generated)'),
+                    events,
+                    description: optionalString()
+                }
+            }),
+            success: { status: 201, description: 'Webhook created' }
+        })
+    },
+    '/user/webhooks/{id}': {
+        put: operation({
+            summary: 'Update url, events, description or active flag - or rotate the secret',
+            tags: ['Webhooks'],
+            auth: 'jwt',
+            parameters: [webhookId],
+            body: jsonBody({
+                type: 'object',
+                properties: {
+                    url: { type: 'string' },
+                    events,
+                    description: optionalString(),
+                    isActive: { type: 'boolean' },
+                    secret: optionalString(),
+                    rotateSecret: { type: 'boolean' }
+                }
+            }),
+            errors: [404]
+        }),
+        delete: operation({ summary: 'Delete a webhook and its delivery log', tags: ['Webhooks'], auth: 'jwt', parameters: [webhookId], errors: [404] })
+    },
+    '/user/webhooks/{id}/test': {
+        post: operation({ summary: 'Send a webhook.test event', tags: ['Webhooks'], auth: 'jwt', parameters: [webhookId], errors: [404] })
+    },
+    '/user/webhooks/{id}/deliveries': {
+        get: operation({
+            summary: 'Delivery log, newest first',
+            tags: ['Webhooks'],
+            auth: 'jwt',
+            parameters: [
+                webhookId,
+                queryParam('status', 'Filter by status', { type: 'string', enum: DELIVERY_STATUSES }),
+                queryParam('limit', 'Default 50, at most 200', { type: 'integer', minimum: 1 })
+            ],
+            errors: [404]
+        })
+    },
+    '/user/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+        post: operation({
+            summary: 'Send a past delivery again',
+            tags: ['Webhooks'],
+            auth: 'jwt',
+            parameters: [webhookId, idParam('deliveryId', 'Delivery id')],
+            errors: [404]
+        })
+    }
+};
@@ -1,6 +1,5 @@
 // Enhanced sendToGemini.js - OpenAI GPT-4o-mini PRIMARY with GPT-5-nano Parallel Racing Fallback
-const axios = require('axios');
-const https = require('https');
+const { llmService, postWithRetry } = require('./services/llmService');
 
 // ⚡ FALLBACK CONFIGURATION
 const FALLBACK_CONFIG = {
@@ -28,50 +27,11 @@ const OPENAI_LIMITS = {
 // ✅ Last request timestamp for rate limiting
 let lastRequestTime = 0;
 
-// ✅ Keep-alive agent for resilient OpenAI calls
-const keepAliveAgent = new https.Agent({ keepAlive: true });
+// ✅ Stepped timeouts for resilient OpenAI calls (retry logic lives in services/llmService.js)
 const TRY_TIMEOUTS_MS = process.env.MSGLY_OPENAI_TIMEOUTS_MS
   ? process.env.MSGLY_OPENAI_TIMEOUTS_MS.split(',').map(s => parseInt(s.trim(), 10)).filter(Boolean)
   : [90000, 150000]; // 90s then 150s
 
-// ✅ Resilient OpenAI call with keep-alive + longer timeouts + smart retries
-async function callOpenAIWithResilience(url, body, headers) {
-  let lastErr;
-  for (let attempt = 0; attempt < TRY_TIMEOUTS_MS.length; attempt++) {
-    const timeout = TRY_TIMEOUTS_MS[attempt];
-    const started = Date.now();
-    try {
-      const res = await axios.post(url, body, {
-        headers, 
-        timeout,
-        httpAgent: keepAliveAgent, 
-        httpsAgent: keepAliveAgent,
-        maxBodyLength: Infinity, 
-        maxContentLength: Infinity,
-        validateStatus: s => (s >= 200 && s < 300) || s === 429
-      });
-      console.log('[OpenAI] ok', { ms: Date.now() - started, status: res.status });
-      return res;
-    } catch (err) {
-      const s = err.response?.status;
-      const isTimeout = err.code === 'ECONNABORTED' || /timeout/i.test(err.message || '');
-      console.error('[OpenAI] fail', {
-        attempt: attempt + 1,
-        ms: Date.now() - started,
-        isTimeout, status: s,
-        requestId: err.response?.headers?.['x-request-id']
-      });
-      lastErr = err;
-      if (isTimeout || s === 429 || (s >= 500 && s <= 599)) {
-        await new Promise(r => setTimeout(r, 500 + Math.random()*700));
-        continue;
-      }
-      break; // do not retry on non-429 4xx
-    }
-  }
-  throw lastErr;
-}
-
 // ✅ Rate limiting delay function
 async function enforceRateLimit() {
     const now = Date.now();
@@ -227,59 +187,43 @@ function estimateTokenCount(text) {
 
 // ⚡ GPT-4o-mini Function (PRIMARY MODEL - Fast & Efficient)
 async function callGPT5Mini({ systemPrompt, userPrompt, preprocessedHtml }) {
-    const apiKey = process.env.OPENAI_API_KEY;
     const startTime = Date.now();
     
     console.log('⚡ Sending request to GPT-4o-mini (PRIMARY)...');
     
     try {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
-            {
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt || '' },
-                    { role: 'user', content: userPrompt || '' },
-                    { role: 'user', content: preprocessedHtml || '' }
-                ],
-                response_format: { type: 'json_object' },
-                max_tokens: 16000,
-                temperature: 0.3
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 90000, // 90 seconds for mini
-                httpAgent: keepAliveAgent,
-                httpsAgent: keepAliveAgent
-            }
-        );
+        const result = await llmService.generate({
+            chain: [{ provider: 'openai', model: 'gpt-4o-mini' }],
+            messages: [
+                { role: 'system', content: systemPrompt || '' },
+                { role: 'user', content: userPrompt || '' },
+                { role: 'user', content: preprocessedHtml || '' }
+            ],
+            responseFormat: 'json',
+            maxOutputTokens: 16000,
+            temperature: 0.3,
+            timeoutMs: 90000 // 90 seconds for mini
+        });
         
         const processingTime = Date.now() - startTime;
         console.log(`⚡ GPT-4o-mini response received in ${processingTime}ms`);
-        console.log(`📊 Response status: ${response.status}`);
-        
-        // Extract response
-        const rawResponse = response.data.choices[0].message.content.trim();
         
-        // Extract token usage
+        // Map uniform provider usage to this module's token usage shape
         const tokenUsage = {
-            inputTokens: response.data.usage?.prompt_tokens || null,
-            outputTokens: response.data.usage?.completion_tokens || null,
-            totalTokens: response.data.usage?.total_tokens || null
+            inputTokens: result.tokenUsage.input_tokens || null,
+            outputTokens: result.tokenUsage.output_tokens || null,
+            totalTokens: result.tokenUsage.total_tokens || null
         };
         
         console.log(`📊 Mini Token Usage: Input=${tokenUsage.inputTokens}, Output=${tokenUsage.outputTokens}, Total=${tokenUsage.totalTokens}`);
         
         return {
-            rawResponse,
+            rawResponse: result.text,
             tokenUsage,
             processingTime,
-            model: 'gpt-4o-mini',
+            model: result.model,
             fallbackUsed: true,
-            apiRequestId: response.headers['x-request-id'] || null,
+            apiRequestId: result.requestId || null,
             responseStatus: 'success'
         };
         
@@ -332,7 +276,7 @@ async function sendToNano({ systemPrompt, userPrompt, preprocessedHtml }) {
     
     console.log('📤 Sending request to OpenAI GPT-5-nano Responses API...');
     
-    const response = await callOpenAIWithResilience(
+    const response = await postWithRetry(
         'https://api.openai.com/v1/responses',
         {
             model: 'gpt-5-nano',
@@ -347,9 +291,13 @@ async function sendToNano({ systemPrompt, userPrompt, preprocessedHtml }) {
             ]
         },
         {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'OpenAI-Beta': 'responses=v1'
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json',
+                'OpenAI-Beta': 'responses=v1'
+            },
+            timeouts: TRY_TIMEOUTS_MS,
+            label: 'OpenAI'
         }
     );
     
@@ -143,8 +143,14 @@ const gptService = require('./services/gptService');
 const { 
     handleGenerateMessage, 
     handleGenerateConnection, 
+    handleGenerateIntro,
     handleGenerateColdEmail 
 } = require('./controllers/messagesController');
+const {
+    handleGenerateInMail,
+    handleGeneratePostComment,
+    handleGenerateEventFollowUp
+} = require('./controllers/messageTypesController');
 
 // NEW: Import Chargebee service
 const { chargebeeService } = require('./services/chargebeeService');
@@ -155,11 +161,40 @@ const { sendWelcomeEmail, sendAdminNotification } = require('./mailer/mailer');
 // NEW: Import billing configuration
 const { CHARGEBEE_PLAN_MAPPING } = require('./config/billing');
 
+// 🌍 NEW: Output language option for /generate-unified
+const { getLanguageOptionError } = require('./config/languages');
+
+// 🎭 NEW: Tone presets + writing sample (saved on user_profiles, selectable per request)
+const { TONE_PRESETS, DEFAULT_TONE, getToneOptionError, getWritingSampleError } = require('./config/tones');
+
 // NEW: Import file upload controller
 const { handleFileUpload } = require('./controllers/file-upload-controller');
 
+// ⏳ NEW: Durable background jobs (target analysis, BrightData, email finder, campaigns)
+const jobQueue = require('./services/jobQueue');
+
+// 🔔 NEW: Outbound webhooks (message generated, email found/verified, profile analyzed, credits low)
+const webhookService = require('./services/webhookService');
+
+// 🔑 NEW: Personal API keys (usage cleanup)
+const apiKeyService = require('./services/apiKeyService');
+
+// 🔗 NEW: CRM export (registers the crm_sync job handler, sync log cleanup)
+const crmService = require('./services/crmService');
+
+// 📒 NEW: Credit ledger (registers the credit_reconciliation job handler, hourly reconciliation)
+const creditLedgerService = require('./services/creditLedgerService');
+
+// 🚦 NEW: Notification feed of usage budget alerts (hourly cleanup)
+const notificationService = require('./services/notificationService');
+
 require('dotenv').config();
 
+// 📘 NEW: OpenAPI document, schema-driven request validation and the standard error envelope
+const { getOpenApiDocument } = require('./schema/openapi');
+const { createRequestValidator } = require('./middleware/validation');
+const { normalizeErrorResponses, sendError } = require('./utils/apiErrors');
+
 // ENHANCED: Import USER PROFILE database functions + dual credit system + PENDING REGISTRATIONS + CANCELLATION MANAGEMENT + CONTEXT FUNCTIONS + LINKEDIN URL DECOUPLING
 const {
     pool,
@@ -205,7 +240,10 @@ const {
     getCurrentCredits,
     getTransactionHistory,
     cleanupExpiredHolds,
-    getOperationCost
+    getCreditBreakdown,
+    expireCreditPacks,
+    getOperationCost,
+    isCreditRefusal
 } = require('./credits');
 
 // STEP 2B: Import all utility functions from utils/helpers.js
@@ -233,6 +271,7 @@ const {
 const {
     initAuthMiddleware,
     authenticateToken,
+    authenticateApiKeyOrToken,
     requireFeatureAccess,
     requireAdmin,
     adminGuard
@@ -251,9 +290,6 @@ const ownerDashboardRoutes = require('./routes/ownerDashboardRoutes');
 // URL MIGRATION: Import URL migration routes
 const urlMigrationRoutes = require('./routes/urlMigrationRoutes');
 
-// NEW: RACE CONDITION FIX - Track active profile processing to prevent duplicates
-const activeProcessing = new Map();
-
 // NEW: Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -577,6 +613,116 @@ async function saveProfileToDB(linkedinUrl, rawJsonData, userId, tokenData = {})
     }
 }
 
+// ⏳ JOB QUEUE: The Gemini analysis runs as a target_profile_analysis job, so a restart does not lose it.
+// The request waits up to TARGET_ANALYSIS_WAIT_MS for the job and answers as before; slower analyses
+// return 202 with a jobId the client polls (GET /jobs/:id).
+const TARGET_ANALYSIS_WAIT_MS = parseInt(process.env.TARGET_ANALYSIS_WAIT_MS) || 60000;
+
+const targetAnalysisJobKey = (userId, cleanProfileUrl) => `target_analysis:${userId}:${cleanProfileUrl}`;
+
+// Job handler: Gemini -> target_profiles -> settle the credit hold created by the request
+async function runTargetProfileAnalysis(job) {
+    const { userId, profileUrl, html, holdId } = job.payload;
+    logger.custom('TARGET', `Analyzing ${profileUrl} (job ${job.id}, attempt ${job.attempts})`);
+
+    // A retry after the profile was saved only needs the credit settlement
+    let saveResult = null;
+    let tokenData = {};
+    if (job.attempts > 1) {
+        const existsCheck = await checkIfProfileExistsInDB(profileUrl);
+        if (existsCheck.exists) {
+            saveResult = { id: existsCheck.data.id, createdAt: existsCheck.data.analyzedAt };
+            tokenData = existsCheck.data.tokenUsage || {};
+        }
+    }
+
+    if (!saveResult) {
+        const geminiResult = await sendToGemini({
+            html: html,
+            url: profileUrl,
+            isUserProfile: false  // FALSE for target profiles
+        });
+
+        if (!geminiResult.success) {
+            throw new Error(geminiResult.userMessage || 'Failed to process target profile data with Gemini');
+        }
+        logger.success('Gemini processing successful for TARGET profile');
+
+        // COPY USER PROFILE PATTERN: Process the data first
+        const processedProfile = processGeminiData(geminiResult, profileUrl);
+        tokenData = geminiResult.tokenData || {};
+        saveResult = await saveProfileToDB(profileUrl, processedProfile.geminiRawData, userId, tokenData);
+
+        if (!saveResult.success) {
+            throw new Error('Failed to save analysis to database');
+        }
+    }
+
+    // SINGLE credit deduction - the hold was created by the request
+    const completionResult = await completeOperation(userId, holdId, {
+        profileUrl: profileUrl,
+        databaseId: saveResult.id,
+        analysisData: 'RAW_JSON_SAVED',
+        tokenUsage: tokenData,
+        jobId: job.id
+    });
+
+    if (!completionResult.success) {
+        throw jobQueue.permanentError(`Failed to process credits after successful analysis: ${completionResult.error}`);
+    }
+
+    logger.success(`TARGET profile saved: Database ID ${saveResult.id}`);
+    logger.custom('MONEY', `Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
+
+    webhookService.emit(userId, 'profile.analyzed', {
+        source: 'extension',
+        profileUrl: profileUrl,
+        profileId: saveResult.id
+    });
+
+    return {
+        profileUrl: profileUrl,
+        databaseId: saveResult.id,
+        analyzedAt: saveResult.createdAt,
+        tokenUsage: tokenData,
+        credits: {
+            charged: true,
+            deducted: completionResult.creditsDeducted,
+            newBalance: completionResult.newBalance,
+            renewableCredits: completionResult.renewableCredits,
+            payasyougoCredits: completionResult.payasyougoCredits,
+            transactionId: completionResult.transactionId
+        }
+    };
+}
+
+jobQueue.registerHandler('target_profile_analysis', {
+    run: runTargetProfileAnalysis,
+    onFailed: (job) => releaseCreditHold(job.payload.userId, job.payload.holdId, 'target_analysis_failed')
+});
+
+// Response while another request's analysis of the same profile is still running
+function sendAnalysisInProgress(res, cleanProfileUrl, jobId) {
+    return res.status(200).json({
+        success: true,
+        alreadyAnalyzed: true,
+        message: "ðŸ’¥ Boom! We're ahead of you! Profile locked and loaded. Step 2 awaits - **no cost to you!** ðŸ”¥",
+        data: {
+            profileUrl: cleanProfileUrl,
+            analyzedAt: new Date(),
+            id: 'processing',
+            jobId: jobId,
+            fullName: 'LinkedIn User',
+            headline: 'Professional',
+            currentCompany: 'Company'
+        },
+        credits: {
+            charged: false,
+            message: 'No credits charged - profile currently being analyzed'
+        }
+    });
+}
+
 // âœ… FIXED: DATABASE-First TARGET PROFILE handler with dual credit system (NO DOUBLE SPENDING)
 async function handleTargetProfileJSON(req, res) {
     logger.debug('handleTargetProfileJSON FUNCTION CALLED - START OF FUNCTION');
@@ -632,33 +778,14 @@ async function handleTargetProfileJSON(req, res) {
             });
         }
 
-        // STEP 1.5: RACE CONDITION FIX - Check if currently being processed
-        const requestKey = `${userId}_${cleanProfileUrl}`;
-        if (activeProcessing.has(requestKey)) {
-            logger.custom('RACE', 'Profile currently being processed by another request');
-            return res.status(200).json({
-                success: true,
-                alreadyAnalyzed: true,
-                message: "ðŸ’¥ Boom! We're ahead of you! Profile locked and loaded. Step 2 awaits - **no cost to you!** ðŸ”¥",
-                data: {
-                    profileUrl: cleanProfileUrl,
-                    analyzedAt: new Date(),
-                    id: 'processing',
-                    fullName: 'LinkedIn User',
-                    headline: 'Professional',
-                    currentCompany: 'Company'
-                },
-                credits: {
-                    charged: false,
-                    message: 'No credits charged - profile currently being analyzed'
-                }
-            });
+        // STEP 1.5: RACE CONDITION FIX - One active analysis job per user + profile (shared by all server processes)
+        const dedupeKey = targetAnalysisJobKey(userId, cleanProfileUrl);
+        const activeJob = await jobQueue.findActiveJob(dedupeKey);
+        if (activeJob) {
+            logger.custom('RACE', `Profile currently being processed by job ${activeJob.id}`);
+            return sendAnalysisInProgress(res, cleanProfileUrl, activeJob.id);
         }
 
-        // Mark as processing
-        activeProcessing.set(requestKey, Date.now());
-        logger.custom('RACE', `Marked profile as processing: ${requestKey}`);
-
         // STEP 2: NEW PROFILE - Create credit hold and analyze
         logger.custom('CREDIT', 'Creating credit hold for new profile analysis...');
         const holdResult = await createCreditHold(userId, 'target_analysis', {
@@ -667,10 +794,10 @@ async function handleTargetProfileJSON(req, res) {
         });
 
         if (!holdResult.success) {
-            if (holdResult.error === 'insufficient_credits') {
+            if (isCreditRefusal(holdResult.error)) {
                 return res.status(402).json({
                     success: false,
-                    error: 'insufficient_credits',
+                    error: holdResult.error,
                     userMessage: holdResult.userMessage,
                     currentCredits: holdResult.currentCredits,
                     requiredCredits: holdResult.requiredCredits
@@ -686,112 +813,74 @@ async function handleTargetProfileJSON(req, res) {
 
         holdId = holdResult.holdId;
         logger.success(`Credit hold created: ${holdId} for ${holdResult.amountHeld} credits`);
-        logger.info('Processing HTML with Gemini for NEW TARGET profile...');
-        
-        // Process HTML with Gemini
-        const geminiResult = await sendToGemini({
+
+        const { job, created } = await jobQueue.enqueue('target_profile_analysis', {
+            userId: userId,
+            profileUrl: cleanProfileUrl,
             html: html,
-            url: cleanProfileUrl,
-            isUserProfile: false  // FALSE for target profiles
-        });
-        
-        if (!geminiResult.success) {
-            logger.error('Gemini processing failed for TARGET profile:', geminiResult.userMessage);
-            
-            // Release hold on failure
-            await releaseCreditHold(userId, holdId, 'gemini_processing_failed');
-            
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to process target profile data with Gemini',
-                details: geminiResult.userMessage || 'Unknown error'
-            });
+            holdId: holdId
+        }, { userId, dedupeKey });
+
+        if (!created) {
+            // Another request enqueued the same profile a moment earlier
+            await releaseCreditHold(userId, holdId, 'duplicate_analysis');
+            return sendAnalysisInProgress(res, cleanProfileUrl, job.id);
         }
-        
-        logger.success('Gemini processing successful for TARGET profile');
-        logger.info('Saving analysis to database...');
-        logger.debug('About to call saveProfileToDB with:', {
-            cleanProfileUrlLength: cleanProfileUrl.length,
-            geminiResultRawResponseAvailable: !!geminiResult.rawResponse,
-            userId
-        });
-        
-        // COPY USER PROFILE PATTERN: Process the data first
-        const processedProfile = processGeminiData(geminiResult, cleanProfileUrl);
-        
-        // Save using the same pattern as user profile
-        const saveResult = await saveProfileToDB(
-            cleanProfileUrl, 
-            processedProfile.geminiRawData, // Use processed data like user profile
-            userId, 
-            geminiResult.tokenData || {}
-        );
-        
-        if (!saveResult.success) {
-            // Release hold on save failure
-            await releaseCreditHold(userId, holdId, 'database_save_failed');
-            
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to save analysis to database'
+        holdId = null; // Settled or released by the job from here on
+
+        logger.info(`Waiting up to ${TARGET_ANALYSIS_WAIT_MS}ms for analysis job ${job.id}...`);
+        const finishedJob = await jobQueue.waitForJob(job.id, TARGET_ANALYSIS_WAIT_MS);
+
+        if (finishedJob.status === 'completed') {
+            const result = finishedJob.result;
+            return res.json({
+                success: true,
+                alreadyAnalyzed: false,
+                message: 'Target profile analyzed and saved successfully',
+                data: {
+                    profileUrl: cleanProfileUrl,
+                    databaseId: result.databaseId,
+                    analyzedAt: result.analyzedAt,
+                    // Basic profile info for message generation
+                    fullName: 'LinkedIn User',
+                    headline: 'Professional',
+                    currentCompany: 'Company',
+                    experienceCount: 1,
+                    educationCount: 1,
+                    tokenUsage: result.tokenUsage,
+                    jobId: finishedJob.id
+                },
+                credits: result.credits
             });
         }
-        
-        // âœ… FIXED: STEP 4 - Complete operation (SINGLE credit deduction)
-        logger.custom('CREDIT', 'Completing operation with credit deduction...');
-        const completionResult = await completeOperation(userId, holdId, {
-            profileUrl: cleanProfileUrl,
-            databaseId: saveResult.id,
-            analysisData: 'RAW_JSON_SAVED',
-            tokenUsage: geminiResult.tokenData || {},
-            processingTime: 0
-        });
 
-        if (!completionResult.success) {
-            logger.error('Failed to complete operation:', completionResult.error);
+        if (finishedJob.status === 'failed' || finishedJob.status === 'cancelled') {
+            logger.error(`Target analysis job ${finishedJob.id} ${finishedJob.status}:`, finishedJob.error);
             return res.status(500).json({
                 success: false,
-                error: 'Failed to process credits after successful analysis'
+                error: 'Target profile processing failed',
+                details: finishedJob.error || 'Unknown error'
             });
         }
 
-        logger.success('TARGET profile saved to database successfully');
-        logger.info(`Analysis saved: Database ID ${saveResult.id}`);
-        logger.custom('MONEY', `Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
-        
-        // Extract basic profile info for response
-        const profileData = { name: 'LinkedIn User', headline: '', currentCompany: '' };
-        
-        res.json({
+        // Still queued / running (e.g. waiting for a retry) - the client polls the job
+        return res.status(202).json({
             success: true,
+            queued: true,
             alreadyAnalyzed: false,
-            message: 'Target profile analyzed and saved successfully',
+            message: 'Target profile analysis is still running',
             data: {
                 profileUrl: cleanProfileUrl,
-                databaseId: saveResult.id,
-                analyzedAt: saveResult.createdAt,
-                // Basic profile info for message generation
-                fullName: 'LinkedIn User',
-                headline: 'Professional',
-                currentCompany: 'Company',
-                experienceCount: 1,
-                educationCount: 1,
-                tokenUsage: geminiResult.tokenData || {}
-            },
-            credits: {
-                charged: true,
-                deducted: completionResult.creditsDeducted,
-                newBalance: completionResult.newBalance,
-                renewableCredits: completionResult.renewableCredits,
-                payasyougoCredits: completionResult.payasyougoCredits,
-                transactionId: completionResult.transactionId
+                jobId: finishedJob.id,
+                status: finishedJob.status,
+                statusUrl: `/jobs/${finishedJob.id}`
             }
         });
         
     } catch (error) {
         logger.error('DATABASE-First TARGET profile processing error:', error);
         
-        // Release hold on any error
+        // Release hold on any error before the job took it over
         if (holdId) {
             await releaseCreditHold(req.user.id, holdId, 'processing_error');
         }
@@ -801,14 +890,6 @@ async function handleTargetProfileJSON(req, res) {
             error: 'Target profile processing failed',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
-    } finally {
-        // RACE CONDITION FIX: Always cleanup processing map
-        if (req.body.profileUrl) {
-            const cleanProfileUrl = cleanLinkedInUrl(req.body.profileUrl);
-            const requestKey = `${req.user.id}_${cleanProfileUrl}`;
-            activeProcessing.delete(requestKey);
-            logger.custom('RACE', `Cleaned up processing map: ${requestKey}`);
-        }
     }
 }
 
@@ -1040,7 +1121,7 @@ const corsOptions = {
         return callback(null, true);
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'], // ðŸ”§ CORS FIX: Added PUT and DELETE methods
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
     credentials: true
 };
 
@@ -1135,6 +1216,12 @@ app.use((req, res, next) => {
     next();
 });
 
+// 📘 ERROR ENVELOPE: Every JSON error leaves as { success: false, error, code, details? }
+app.use(normalizeErrorResponses);
+
+// 📘 VALIDATION: Requests are checked against schema/openapi before any route handler runs
+app.use(createRequestValidator(getOpenApiDocument()));
+
 // STEP 2C: Mount static routes FIRST (before other routes)
 app.use('/', staticRoutes);
 
@@ -1365,6 +1452,33 @@ app.use('/', require('./routes/billingRoutes'));
 // NEW: Mount contexts routes
 app.use('/', require('./routes/contextsRoutes'));
 
+// 📦 BULK CAMPAIGNS: Mount campaign routes (CSV upload -> background generation)
+app.use('/', require('./routes/campaignRoutes'));
+
+// ⏳ JOB QUEUE: Mount background job status routes
+app.use('/', require('./routes/jobRoutes'));
+
+// 🔔 WEBHOOKS: Mount outbound webhook management routes
+app.use('/', require('./routes/webhookRoutes'));
+
+// 🔑 API KEYS: Mount personal API key management routes
+app.use('/', require('./routes/apiKeyRoutes'));
+
+// 🔗 CRM: Mount HubSpot / Salesforce export routes
+app.use('/', require('./routes/crmRoutes'));
+
+// 👥 TEAMS: Mount organization, member, invite and team message routes
+app.use('/', require('./routes/organizationRoutes'));
+
+// 🚦 USAGE BUDGETS: Mount spending limit and notification feed routes
+app.use('/', require('./routes/usageBudgetRoutes'));
+
+// 💸 REFUNDS: Mount user refund request routes (admin review lives in routes/adminRoutes.js)
+app.use('/', require('./routes/refundRoutes'));
+
+// 📘 OPENAPI: Mount the API description (GET /api/openapi.json)
+app.use('/', require('./routes/openapiRoutes'));
+
 // EMAIL FINDER PAGE: Mount email finder page routes
 app.use('/api/email-finder-page', require('./routes/emailFinderPage'));
 
@@ -1637,6 +1751,87 @@ app.put('/profile/personal-info', authenticateToken, async (req, res) => {
     }
 });
 
+// ==================== TONE ENDPOINTS ====================
+
+// 🎭 Get saved tone preset + writing sample (and the presets to choose from)
+app.get('/profile/tone', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT tone_preset, writing_sample FROM user_profiles WHERE user_id = $1
+        `, [req.user.id]);
+        
+        const row = result.rows[0] || {};
+        
+        res.json({
+            success: true,
+            data: {
+                tonePreset: row.tone_preset || DEFAULT_TONE,
+                writingSample: row.writing_sample || '',
+                presets: Object.entries(TONE_PRESETS).map(([key, preset]) => ({
+                    key,
+                    label: preset.label,
+                    description: preset.description
+                }))
+            }
+        });
+    } catch (error) {
+        logger.error('Load tone settings failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load tone settings'
+        });
+    }
+});
+
+// 🎭 Save tone preset and/or writing sample (empty writingSample clears it)
+app.put('/profile/tone', authenticateToken, async (req, res) => {
+    try {
+        const { tonePreset, writingSample } = req.body;
+        
+        // At least one field and a known preset: checked by the request schema (schema/openapi/paths/profile.js).
+        // The sample length is counted after trimming, which a schema can't express.
+        const validationError = getWritingSampleError(writingSample);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+        
+        // Only the fields that were sent are changed
+        const toneValue = tonePreset === undefined ? null : (tonePreset || DEFAULT_TONE);
+        const sampleValue = writingSample === undefined ? null : (writingSample || '').trim();
+        
+        const result = await pool.query(`
+            UPDATE user_profiles 
+            SET 
+                tone_preset = CASE WHEN $1::BOOLEAN THEN $2::VARCHAR ELSE tone_preset END,
+                writing_sample = CASE WHEN $3::BOOLEAN THEN NULLIF($4::TEXT, '') ELSE writing_sample END,
+                updated_at = NOW() 
+            WHERE user_id = $5
+        `, [tonePreset !== undefined, toneValue, writingSample !== undefined, sampleValue, req.user.id]);
+        
+        // If UPDATE didn't affect any rows, INSERT a new record
+        if (result.rowCount === 0) {
+            await pool.query(`
+                INSERT INTO user_profiles (user_id, tone_preset, writing_sample, created_at, updated_at)
+                VALUES ($1, $2, NULLIF($3::TEXT, ''), NOW(), NOW())
+            `, [req.user.id, toneValue, sampleValue]);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Tone settings updated successfully'
+        });
+    } catch (error) {
+        logger.error('Save tone settings failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save tone settings'
+        });
+    }
+});
+
 // ==================== MANUAL EDITING ENDPOINTS ====================
 
 // 1. Basic Information Updates
@@ -2161,6 +2356,15 @@ app.get('/credits/balance', authenticateToken, async (req, res) => {
             });
         }
 
+        // ⏳ Which credits expire when (rollover cap at the next reset, pay-as-you-go pack expiry dates)
+        const breakdown = await getCreditBreakdown(req.user.id);
+        if (!breakdown.success) {
+            return res.status(500).json({
+                success: false,
+                error: breakdown.error
+            });
+        }
+
         res.json({
             success: true,
             data: {
@@ -2168,6 +2372,11 @@ app.get('/credits/balance', authenticateToken, async (req, res) => {
                 renewableCredits: planResult.data.renewableCredits,
                 payasyougoCredits: planResult.data.payasyougoCredits,
                 planRenewableCredits: planResult.data.planRenewableCredits,
+                breakdown: {
+                    renewable: breakdown.renewable,
+                    payasyougo: breakdown.payasyougo,
+                    expiring: breakdown.expiring
+                },
                 userId: req.user.id
             }
         });
@@ -3106,27 +3315,136 @@ app.put('/messages/:id', authenticateToken, async (req, res) => {
 
 // ==================== UNIFIED GENERATION REAL GPT: CONNECTED TO EXISTING WORKING SYSTEM ====================
 
+// Message types /generate-unified can produce -> existing single-type handler
+const UNIFIED_HANDLERS = {
+    'linkedin-message': handleGenerateMessage,
+    'connection-request': handleGenerateConnection,
+    'intro-request': handleGenerateIntro, // 🤝 Needs mutualConnectionName
+    'cold-email': handleGenerateColdEmail,
+    'inmail': handleGenerateInMail,
+    'post-comment': handleGeneratePostComment, // ✉️ Optional postIndex (default: most recent post)
+    'event-followup': handleGenerateEventFollowUp // ✉️ Needs eventName
+};
+
+// Generate one unified message type through its handler (credits skipped - the unified hold covers them).
+// Never throws: failures come back as { type, success: false, error, details } so other types can still finish.
+async function generateUnifiedType(user, messageType, body) {
+    // Create mock request/response objects for message handlers
+    const mockReq = {
+        user: user,
+        body: body
+    };
+    
+    const mockRes = {
+        statusCode: 200,
+        responseData: null,
+        status: function(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json: function(data) {
+            this.responseData = data;
+            return this;
+        }
+    };
+    
+    try {
+        logger.info(`Generating real ${messageType} using GPT-5...`);
+        await UNIFIED_HANDLERS[messageType](mockReq, mockRes, true); // UNIFIED FIX: Skip credits
+        
+        // Extract generated message from response
+        if (mockRes.responseData && mockRes.responseData.success) {
+            logger.success(`Generated real ${messageType} successfully`);
+            const data = mockRes.responseData.data;
+            const generated = {
+                type: messageType,
+                success: true,
+                message: data.message, // UNIFIED FIX: Use consistent field name
+                messageLogId: data.messageLogId,
+                language: data.language,
+                tone: data.tone,
+                tokensUsed: mockRes.responseData.credits?.tokensUsed || 50
+            };
+            // 🤝 Intro requests come in two parts - Part B is the blurb the introducer forwards
+            if (data.partA !== undefined) {
+                generated.partA = data.partA;
+                generated.partB = data.partB;
+                generated.forwardableBlurb = data.forwardableBlurb;
+                generated.mutualConnectionName = data.mutualConnectionName;
+            }
+            // ✉️ InMail subject / body, the commented post, the followed-up event
+            if (data.subject !== undefined) {
+                generated.subject = data.subject;
+                generated.body = data.body;
+            }
+            if (data.post) generated.post = data.post;
+            if (data.event) generated.event = data.event;
+            return generated;
+        }
+        
+        logger.error(`Failed to generate ${messageType}: ${mockRes.responseData?.error || 'Unknown error'}`);
+        return {
+            type: messageType,
+            success: false,
+            error: mockRes.responseData?.error || 'Message generation failed',
+            details: mockRes.responseData?.details
+        };
+        
+    } catch (generationError) {
+        logger.error(`Error generating ${messageType}:`, generationError);
+        return {
+            type: messageType,
+            success: false,
+            error: 'Message generation failed',
+            details: process.env.NODE_ENV === 'development' ? generationError.message : undefined
+        };
+    }
+}
+
 // FIXED: Unified generation endpoint - now uses real GPT integration instead of mock data
-app.post('/generate-unified', authenticateToken, async (req, res) => {
+// ⚡ PARALLEL: Types are generated concurrently; the hold is settled only for the types that succeeded
+app.post('/generate-unified', authenticateApiKeyOrToken('messages:generate'), async (req, res) => {
     try {
         logger.custom('UNIFIED', '=== UNIFIED MESSAGE GENERATION - REAL GPT INTEGRATION ===');
         logger.info(`User ID: ${req.user.id}`);
         logger.info(`Target URL: ${req.body.targetProfileUrl}`);
         logger.info(`Message Types: ${JSON.stringify(req.body.messageTypes)}`);
         
-        const { targetProfileUrl, outreachContext, messageTypes } = req.body;
+        const { targetProfileUrl, outreachContext, messageTypes, language, tone, mutualConnectionName, postIndex, eventName, eventDate, eventNotes } = req.body;
+        
+        // Required fields, known and unique messageTypes: checked by the request schema (schema/openapi/paths/messages.js)
         
-        if (!targetProfileUrl || !outreachContext || !messageTypes || !Array.isArray(messageTypes)) {
+        // 🤝 Intro requests need the person who makes the introduction (GET /mutual-connections lists candidates)
+        if (messageTypes.includes('intro-request') && !mutualConnectionName) {
             return res.status(400).json({
                 success: false,
-                error: 'targetProfileUrl, outreachContext, and messageTypes array are required'
+                error: 'mutualConnectionName is required for intro-request'
             });
         }
         
-        if (messageTypes.length === 0) {
+        // ✉️ Event follow-ups need the meeting or event they follow up on
+        if (messageTypes.includes('event-followup') && !eventName) {
             return res.status(400).json({
                 success: false,
-                error: 'At least one message type must be selected'
+                error: 'eventName is required for event-followup'
+            });
+        }
+        
+        // 🌍 LANGUAGE: one language for every type ('auto' detects from the target profile)
+        const languageError = getLanguageOptionError(language);
+        if (languageError) {
+            return res.status(400).json({
+                success: false,
+                error: languageError
+            });
+        }
+        
+        // 🎭 TONE: one preset for every type (omitted = the user's saved tone)
+        const toneError = getToneOptionError(tone);
+        if (toneError) {
+            return res.status(400).json({
+                success: false,
+                error: toneError
             });
         }
         
@@ -3152,18 +3470,19 @@ app.post('/generate-unified', authenticateToken, async (req, res) => {
             });
         }
         
-        // Create credit hold
+        // Create credit hold (one unit per type, settled per successful type)
         const holdResult = await createCreditHold(req.user.id, 'unified_generation', {
             targetProfileUrl,
             messageTypes,
-            totalCost
+            totalCost,
+            quantity: messageTypes.length
         });
         
         if (!holdResult.success) {
-            if (holdResult.error === 'insufficient_credits') {
+            if (isCreditRefusal(holdResult.error)) {
                 return res.status(402).json({
                     success: false,
-                    error: 'insufficient_credits',
+                    error: holdResult.error,
                     userMessage: holdResult.userMessage,
                     currentCredits: holdResult.currentCredits,
                     requiredCredits: holdResult.requiredCredits
@@ -3180,77 +3499,47 @@ app.post('/generate-unified', authenticateToken, async (req, res) => {
         const holdId = holdResult.holdId;
         
         try {
-            // Generate messages using real GPT integration
-            const generatedMessages = [];
-            let totalTokensUsed = 0;
+            // Generate every type concurrently - one failure no longer discards the others
+            const results = await Promise.all(messageTypes.map(messageType => generateUnifiedType(req.user, messageType, {
+                targetProfileUrl: targetProfileUrl,
+                outreachContext: outreachContext,
+                mutualConnectionName: mutualConnectionName,
+                postIndex: postIndex,
+                eventName: eventName,
+                eventDate: eventDate,
+                eventNotes: eventNotes,
+                language: language,
+                tone: tone
+            })));
             
-            for (const messageType of messageTypes) {
-                logger.info(`Generating real ${messageType} using GPT-5...`);
-                
-                // Create mock request/response objects for message handlers
-                const mockReq = {
-                    user: req.user,
-                    body: {
-                        targetProfileUrl: targetProfileUrl,
-                        outreachContext: outreachContext
-                    }
-                };
-                
-                let mockRes = {
-                    statusCode: 200,
-                    responseData: null,
-                    status: function(code) {
-                        this.statusCode = code;
-                        return this;
-                    },
-                    json: function(data) {
-                        this.responseData = data;
-                        return this;
-                    }
-                };
+            const generatedMessages = results
+                .filter(result => result.success)
+                .map(({ success, ...message }) => message);
+            const errors = results
+                .filter(result => !result.success)
+                .map(({ success, ...failure }) => failure);
+            const totalTokensUsed = generatedMessages.reduce((sum, message) => sum + message.tokensUsed, 0);
+            
+            if (generatedMessages.length === 0) {
+                logger.error('Unified generation failed for every message type');
+                await releaseCreditHold(req.user.id, holdId, 'generation_error');
                 
-                // Route to appropriate message generation function
-                try {
-                    switch (messageType) {
-                        case 'linkedin-message':
-                            await handleGenerateMessage(mockReq, mockRes, true); // UNIFIED FIX: Skip credits
-                            break;
-                        case 'connection-request':
-                            await handleGenerateConnection(mockReq, mockRes, true); // UNIFIED FIX: Skip credits
-                            break;
-                        case 'cold-email':
-                            await handleGenerateColdEmail(mockReq, mockRes, true); // UNIFIED FIX: Skip credits
-                            break;
-                        default:
-                            throw new Error(`Unsupported message type: ${messageType}`);
-                    }
-                    
-                    // Extract generated message from response
-                    if (mockRes.responseData && mockRes.responseData.success) {
-                        generatedMessages.push({
-                            type: messageType,
-                            message: mockRes.responseData.data.message, // UNIFIED FIX: Use consistent field name
-                            tokensUsed: mockRes.responseData.credits?.tokensUsed || 50
-                        });
-                        
-                        totalTokensUsed += (mockRes.responseData.credits?.tokensUsed || 50);
-                        logger.success(`Generated real ${messageType} successfully`);
-                    } else {
-                        throw new Error(`Failed to generate ${messageType}: ${mockRes.responseData?.error || 'Unknown error'}`);
-                    }
-                    
-                } catch (generationError) {
-                    logger.error(`Error generating ${messageType}:`, generationError);
-                    throw new Error(`Failed to generate ${messageType}: ${generationError.message}`);
-                }
+                return res.status(500).json({
+                    success: false,
+                    error: 'Message generation failed',
+                    errors: errors
+                });
             }
             
-            // Complete operation and deduct credits
+            // Complete operation and deduct credits for the successful types only
             const completionResult = await completeOperation(req.user.id, holdId, {
                 targetProfileUrl,
                 messageTypes,
                 generatedCount: generatedMessages.length,
-                totalTokensUsed
+                failedTypes: errors.map(failure => failure.type),
+                settleAmount: holdResult.amountHeld * (generatedMessages.length / messageTypes.length),
+                totalTokensUsed,
+                messageLogIds: generatedMessages.map(message => message.messageLogId).filter(Boolean)
             });
             
             if (!completionResult.success) {
@@ -3261,12 +3550,16 @@ app.post('/generate-unified', authenticateToken, async (req, res) => {
                 });
             }
             
-            logger.success(`Unified generation completed: ${generatedMessages.length} real messages generated using GPT-5`);
+            logger.success(`Unified generation completed: ${generatedMessages.length}/${messageTypes.length} real messages generated using GPT-5`);
             logger.custom('MONEY', `Credits deducted: ${completionResult.creditsDeducted}, New balance: ${completionResult.newBalance}`);
             
             res.json({
                 success: true,
+                partial: errors.length > 0,
                 data: generatedMessages,
+                errors: errors,
+                requestedCount: messageTypes.length,
+                generatedCount: generatedMessages.length,
                 credits: {
                     deducted: completionResult.creditsDeducted,
                     newBalance: completionResult.newBalance,
@@ -3308,25 +3601,80 @@ setInterval(async () => {
     }
 }, 30 * 60 * 1000); // Run every 30 minutes
 
-// NEW: Cleanup expired processing entries (run periodically)
-setInterval(() => {
-    const now = Date.now();
-    const expireTime = 5 * 60 * 1000; // 5 minutes
-    
-    for (const [key, timestamp] of activeProcessing.entries()) {
-        if (now - timestamp > expireTime) {
-            activeProcessing.delete(key);
-            logger.custom('RACE', `Cleaned up stale processing entry: ${key}`);
-        }
+// ⏳ JOB QUEUE: Delete finished jobs past the retention window (run hourly)
+setInterval(async () => {
+    try {
+        await jobQueue.cleanupFinishedJobs();
+    } catch (error) {
+        logger.error('Error during job cleanup:', error);
     }
-}, 60 * 1000); // Run every minute
+}, 60 * 60 * 1000);
+
+// 🔔 WEBHOOKS: Delete old webhook delivery log rows (run hourly)
+setInterval(async () => {
+    try {
+        await webhookService.cleanupOldDeliveries();
+    } catch (error) {
+        logger.error('Error during webhook delivery cleanup:', error);
+    }
+}, 60 * 60 * 1000);
+
+// 🔑 API KEYS: Delete old daily API key usage rows (run hourly)
+setInterval(async () => {
+    try {
+        await apiKeyService.cleanupOldUsage();
+    } catch (error) {
+        logger.error('Error during API key usage cleanup:', error);
+    }
+}, 60 * 60 * 1000);
+
+// 🔗 CRM: Delete old CRM sync log rows (run hourly)
+setInterval(async () => {
+    try {
+        await crmService.cleanupOldSyncLogs();
+    } catch (error) {
+        logger.error('Error during CRM sync log cleanup:', error);
+    }
+}, 60 * 60 * 1000);
+
+// 📒 CREDIT LEDGER: Compare user balances with the ledger + delete old reconciliation runs (run hourly)
+setInterval(async () => {
+    try {
+        await creditLedgerService.queueReconciliation('schedule');
+        await creditLedgerService.cleanupOldRuns();
+    } catch (error) {
+        logger.error('Error during credit reconciliation scheduling:', error);
+    }
+}, 60 * 60 * 1000);
+
+// ⏳ CREDIT EXPIRY: Expire pay-as-you-go packs past their expiry date (run hourly)
+setInterval(async () => {
+    try {
+        await expireCreditPacks();
+    } catch (error) {
+        logger.error('Error during credit pack expiry:', error);
+    }
+}, 60 * 60 * 1000);
+
+// 🚦 USAGE BUDGETS: Delete notifications past the retention period (run hourly)
+setInterval(async () => {
+    try {
+        await notificationService.cleanupOldNotifications();
+    } catch (error) {
+        logger.error('Error during notification cleanup:', error);
+    }
+}, 60 * 60 * 1000);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    // Body parser errors (malformed JSON, body too large) carry their own 4xx status
+    if (error.status >= 400 && error.status < 500) {
+        logger.warn(`Rejected request ${req.method} ${req.path}: ${error.message}`);
+        return sendError(res, error.status, error.type === 'entity.parse.failed' ? 'Malformed JSON body' : error.message);
+    }
+
     logger.error('Unhandled Error:', error);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
+    sendError(res, 500, 'Internal server error', {
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
 });
@@ -3347,6 +3695,12 @@ app.use((req, res, next) => {
             'GET /messages (FIXED: Client-side authentication)',
             'GET /messages/history (FIXED: Now reads actual database values)',
             'PUT /messages/:id (NEW: Update message status and comments)',
+            'GET /messages/variants/:groupId (NEW: Variant drafts of one generation)',
+            'PUT /messages/variants/:groupId/select (NEW: Mark the chosen variant)',
+            'POST /generate-sequence (NEW: Multi-touch cadence generation)',
+            'GET /mutual-connections (NEW: Mutual connection picker for intro requests)',
+            'GET /messages/sequences/:sequenceId (NEW: Sequence schedule)',
+            'POST /messages/:id/reply-response (NEW: Respond to a pasted reply)',
             'GET /msgly-profile.html (NEW: Msgly Profile page)',
             'GET /msgly-profile (NEW: Msgly Profile page without .html)',
             'GET /upgrade (NEW: Upgrade page for existing users)',
@@ -3366,6 +3720,8 @@ app.use((req, res, next) => {
             'GET /traffic-light-status (ðŸ”§ LINKEDIN URL DECOUPLING STAGE 3: LinkedIn URL no longer required for GREEN status)',
             'GET /profile/personal-info (NEW: Get personal information)',
             'PUT /profile/personal-info (âœ… PERSONAL INFO SAVE FIX: Now handles missing user_profiles records)',
+            'GET /profile/tone (NEW: Saved tone preset, writing sample and available presets)',
+            'PUT /profile/tone (NEW: Save tone preset and/or writing sample)',
             'PUT /profile/basic-info (NEW: Update basic information)',
             'PUT /profile/about (NEW: Update about section)',
             'PUT /profile/experience (NEW: Update experience)',
@@ -3378,14 +3734,29 @@ app.use((req, res, next) => {
             'POST /generate-message (REFACTORED: Now in routes/messagesRoutes.js)',
             'POST /generate-connection (REFACTORED: Now in routes/messagesRoutes.js)',
             'POST /generate-intro (REFACTORED: Now in routes/messagesRoutes.js)',
+            'POST /generate-inmail, /generate-post-comment, /generate-event-followup (NEW: InMail, post comment, event follow-up)',
+            'GET /target-posts (NEW: Post picker for post comments)',
+            'POST /campaigns, GET /campaigns, GET /campaigns/:id (NEW: Bulk CSV campaigns)',
+            'GET /campaigns/:id/results.csv, POST /campaigns/:id/cancel (NEW: Campaign results and cancel)',
+            'GET /messages/export?format=csv|json|xlsx (NEW: Message history export with date, type, status and context filters)',
+            'GET /jobs, GET /jobs/:id, POST /jobs/:id/cancel (NEW: Background job status for polling)',
+            'GET/POST /user/webhooks, PUT/DELETE /user/webhooks/:id, POST /user/webhooks/:id/test, GET /user/webhooks/:id/deliveries, POST /user/webhooks/:id/deliveries/:deliveryId/redeliver (NEW: Outbound webhooks)',
+            'GET/POST /user/api-keys, DELETE /user/api-keys/:id, GET /user/api-keys/:id/usage (NEW: Personal API keys - send as X-API-Key or Bearer msgly_sk_...)',
+            'GET /user/crm, POST /user/crm/connections, PUT/DELETE /user/crm/connections/:id, POST /user/crm/connections/:id/sync, GET /user/crm/connections/:id/sync-log (NEW: HubSpot / Salesforce CRM export)',
+            'GET/POST/PUT /organization, GET /organization/members, PUT/DELETE /organization/members/:userId, GET/POST /organization/invites, DELETE /organization/invites/:id, POST /organization/invites/:id/accept, GET /organization/messages (NEW: Team workspaces with a shared credit pool)',
+            'GET/PUT /user/usage-budget, GET /user/notifications, POST /user/notifications/:id/read, POST /user/notifications/read-all (NEW: Spending limits and low-balance alerts)',
+            'GET/POST /refund-requests (NEW: Refund requests for charged messages and email searches)',
+            'GET /api/openapi.json (NEW: OpenAPI document of every route - requests are validated against it)',
             'POST /generate-unified (âœ… FIXED: Real GPT-5 integration - NO MORE MOCK DATA)',
+            'POST /generate-message/stream, /generate-connection/stream, /generate-intro/stream, /generate-cold-email/stream (NEW: SSE streaming)',
+            'POST /generate-unified/stream (NEW: SSE streaming, routes/messagesRoutes.js)',
             'GET /user/setup-status',
             'GET /user/initial-scraping-status',
             'GET /user/stats',
             'PUT /user/settings',
             'GET /packages',
             'GET /user/plan (NEW: Real plan data - NO MOCK!)',
-            'GET /credits/balance (NEW: Dual credit management)',
+            'GET /credits/balance (NEW: Dual credit management + expiry breakdown)',
             'GET /credits/history (NEW: Transaction history)',
             'GET /test-chargebee (NEW: Test Chargebee connection)',
             'POST /chargebee-webhook (BILLING REFACTOR: Now in routes/billingRoutes.js)',
@@ -3396,8 +3767,14 @@ app.use((req, res, next) => {
             'PUT /contexts/:id (NEW: Context management - Update context)',
             'DELETE /contexts/:id (NEW: Context management - Delete context)',
             'GET /contexts/limits (NEW: Context management - Get plan limits)',
+            'POST/DELETE /contexts/:id/share (NEW: Share a context with your team)',
             'GET /admin-dashboard (NEW: Admin dashboard for internal analytics)',
             'GET /api/admin/analytics (NEW: Admin analytics API endpoints)',
+            'GET /api/admin/prompts, GET /api/admin/prompts/:id, GET /api/admin/prompts/stats (NEW: Versioned prompt templates)',
+            'POST /api/admin/prompts, POST /api/admin/prompts/:id/activate (NEW: Add / activate prompt versions)',
+            'GET /api/admin/prompts/experiments, POST /api/admin/prompts/experiments, POST /api/admin/prompts/experiments/:id/stop (NEW: Prompt A/B experiments)',
+            'GET/POST /api/admin/credits/reconciliation, GET /api/admin/credits/drift, GET /api/admin/credits/users/:id, POST /api/admin/credits/users/:id/repair (NEW: Credit ledger reconciliation)',
+            'GET /api/admin/refund-requests, POST /api/admin/refund-requests/:id/approve, POST /api/admin/refund-requests/:id/reject (NEW: Refund request review)',
             'GET /admin-login (ðŸ”§ FIXED: Duo 2FA admin login page with ES Module fix + Railway Session Fix + Duo Railway Cookie Fix)',
             'POST /admin-initiate-duo (ðŸ”§ FIXED: Duo 2FA initiation with ES Module fix and crypto scope fix + Railway Session Fix + Duo Railway Cookie Fix)',
             'GET /admin-duo-callback (ðŸ”§ FIXED: Duo 2FA callback handler with ES Module fix + Railway Session Fix + Duo Railway Cookie Fix)',
@@ -3471,6 +3848,9 @@ const startServer = async () => {
             logger.error('Personal information features may not work properly');
         }
         
+        // ⏳ JOB QUEUE: Start background workers (jobs left by a previous process are picked up again)
+        jobQueue.start();
+        
         app.listen(PORT, '0.0.0.0', () => {
             logger.success('[ROCKET] Enhanced Msgly.AI Server - LINKEDIN URL DECOUPLING STAGE 3: Backend API Endpoints Updated');
             console.log(`[CHECK] Port: ${PORT}`);
@@ -3573,12 +3953,14 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('[STOP] Gracefully shutting down...');
+    jobQueue.stop();
     await pool.end();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('[STOP] Gracefully shutting down...');
+    jobQueue.stop();
     await pool.end();
     process.exit(0);
 });
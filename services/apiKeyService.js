@@ -0,0 +1,224 @@
+// services/apiKeyService.js - Personal API keys: minting, lookup, rate limiting and usage stats (config/apiKeys.js)
+// The plain key is returned once when it is created; api_keys only keeps its SHA-256 hash and a display prefix.
+// Rate limits are fixed one-minute windows kept on the api_keys row, so every server process shares them.
+
+const crypto = require('crypto');
+const { pool } = require('../utils/database');
+const { API_KEY_PREFIX, getApiKeySettings } = require('../config/apiKeys');
+
+class ApiKeyService {
+    hashKey(plainKey) {
+        return crypto.createHash('sha256').update(plainKey).digest('hex');
+    }
+
+    generateKey() {
+        return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    // Key from `X-API-Key` or an `Authorization: Bearer msgly_sk_...` header - null for JWTs and missing headers
+    getKeyFromRequest(req) {
+        const headerKey = req.headers['x-api-key'];
+        if (typeof headerKey === 'string' && headerKey.trim()) {
+            return headerKey.trim();
+        }
+
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        return token && token.startsWith(API_KEY_PREFIX) ? token : null;
+    }
+
+    async countActiveKeys(userId) {
+        const result = await pool.query(`
+            SELECT COUNT(*)::INTEGER AS count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL
+        `, [userId]);
+        return result.rows[0].count;
+    }
+
+    /**
+     * Mint a key
+     * @param {object} options - { name, scopes, rateLimitPerMinute, expiresInDays }
+     * @returns {Promise<object>} - { key: api_keys row, plainKey } - plainKey is never stored
+     */
+    async createKey(userId, { name, scopes, rateLimitPerMinute, expiresInDays = null }) {
+        const plainKey = this.generateKey();
+        const result = await pool.query(`
+            INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::INTEGER IS NULL THEN NULL ELSE NOW() + ($7::INTEGER * INTERVAL '1 day') END)
+            RETURNING *
+        `, [
+            userId,
+            name,
+            plainKey.substring(0, API_KEY_PREFIX.length + 6),
+            this.hashKey(plainKey),
+            JSON.stringify(scopes),
+            rateLimitPerMinute,
+            expiresInDays
+        ]);
+
+        console.log(`[API_KEYS] User ${userId} created key ${result.rows[0].id} "${name}" (${scopes.join(', ')}, ${rateLimitPerMinute}/min)`);
+        return { key: result.rows[0], plainKey };
+    }
+
+    async listKeys(userId) {
+        const result = await pool.query(`
+            SELECT * FROM api_keys WHERE user_id = $1 ORDER BY revoked_at IS NOT NULL, created_at DESC
+        `, [userId]);
+        return result.rows;
+    }
+
+    // Key of a user - null when it does not exist or belongs to someone else
+    async getKey(userId, keyId) {
+        const result = await pool.query('SELECT * FROM api_keys WHERE id = $1 AND user_id = $2', [keyId, userId]);
+        return result.rows[0] || null;
+    }
+
+    async revokeKey(userId, keyId) {
+        const result = await pool.query(`
+            UPDATE api_keys SET revoked_at = NOW()
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING *
+        `, [keyId, userId]);
+
+        if (result.rows.length > 0) {
+            console.log(`[API_KEYS] User ${userId} revoked key ${keyId}`);
+        }
+        return result.rows[0] || null;
+    }
+
+    // Usable key for a presented plain key - null when unknown, revoked or expired
+    async findActiveKey(plainKey) {
+        const result = await pool.query(`
+            SELECT * FROM api_keys
+            WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+        `, [this.hashKey(plainKey)]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Count one request against the key's current one-minute window
+     * @returns {Promise<object>} - { allowed, limit, remaining, resetAt }
+     */
+    async consumeRateLimit(key) {
+        const result = await pool.query(`
+            UPDATE api_keys
+            SET
+                rate_window_count = CASE
+                    WHEN rate_window_start = date_trunc('minute', NOW()) THEN rate_window_count + 1
+                    ELSE 1
+                END,
+                rate_window_start = date_trunc('minute', NOW()),
+                request_count = request_count + 1,
+                last_used_at = NOW()
+            WHERE id = $1
+            RETURNING rate_window_count, rate_window_start + INTERVAL '1 minute' AS reset_at
+        `, [key.id]);
+
+        const { rate_window_count: count, reset_at: resetAt } = result.rows[0];
+        const limit = key.rate_limit_per_minute;
+        return {
+            allowed: count <= limit,
+            limit,
+            remaining: Math.max(0, limit - count),
+            resetAt
+        };
+    }
+
+    // Add one request to today's usage row of the endpoint (fire-and-forget from the middleware)
+    async recordUsage(keyId, endpoint, statusCode) {
+        try {
+            await pool.query(`
+                INSERT INTO api_key_usage (api_key_id, usage_date, endpoint, request_count, error_count, rate_limited_count)
+                VALUES ($1, CURRENT_DATE, $2, 1, $3, $4)
+                ON CONFLICT (api_key_id, usage_date, endpoint) DO UPDATE SET
+                    request_count = api_key_usage.request_count + 1,
+                    error_count = api_key_usage.error_count + EXCLUDED.error_count,
+                    rate_limited_count = api_key_usage.rate_limited_count + EXCLUDED.rate_limited_count
+            `, [keyId, endpoint.substring(0, 150), statusCode >= 400 ? 1 : 0, statusCode === 429 ? 1 : 0]);
+        } catch (error) {
+            console.error(`[API_KEYS] Failed to record usage of key ${keyId}:`, error.message);
+        }
+    }
+
+    /**
+     * Usage of one key over the last `days` days
+     * @returns {Promise<object>} - { totals, daily: [{ date, requests, errors, rateLimited }], endpoints: [...] }
+     */
+    async getUsage(keyId, days) {
+        const result = await pool.query(`
+            SELECT to_char(usage_date, 'YYYY-MM-DD') AS usage_date, endpoint, request_count, error_count, rate_limited_count
+            FROM api_key_usage
+            WHERE api_key_id = $1 AND usage_date > CURRENT_DATE - $2::INTEGER
+            ORDER BY usage_date DESC, endpoint
+        `, [keyId, days]);
+
+        const totals = { requests: 0, errors: 0, rateLimited: 0 };
+        const daily = new Map();
+        const endpoints = new Map();
+
+        for (const row of result.rows) {
+            const date = row.usage_date;
+            const counts = { requests: row.request_count, errors: row.error_count, rateLimited: row.rate_limited_count };
+
+            for (const [map, mapKey] of [[daily, date], [endpoints, row.endpoint]]) {
+                const entry = map.get(mapKey) || { requests: 0, errors: 0, rateLimited: 0 };
+                entry.requests += counts.requests;
+                entry.errors += counts.errors;
+                entry.rateLimited += counts.rateLimited;
+                map.set(mapKey, entry);
+            }
+
+            totals.requests += counts.requests;
+            totals.errors += counts.errors;
+            totals.rateLimited += counts.rateLimited;
+        }
+
+        return {
+            days,
+            totals,
+            daily: [...daily.entries()].map(([date, counts]) => ({ date, ...counts })),
+            endpoints: [...endpoints.entries()]
+                .map(([endpoint, counts]) => ({ endpoint, ...counts }))
+                .sort((a, b) => b.requests - a.requests)
+        };
+    }
+
+    // Delete daily usage rows past the retention window
+    async cleanupOldUsage() {
+        const { usageRetentionDays } = getApiKeySettings();
+        const result = await pool.query(`
+            DELETE FROM api_key_usage WHERE usage_date < CURRENT_DATE - $1::INTEGER
+        `, [usageRetentionDays]);
+
+        if (result.rowCount > 0) {
+            console.log(`[API_KEYS] Deleted ${result.rowCount} usage rows older than ${usageRetentionDays} days`);
+        }
+        return result.rowCount;
+    }
+
+    // Public shape - the hash never leaves the server
+    formatKey(row) {
+        let status = 'active';
+        if (row.revoked_at) {
+            status = 'revoked';
+        } else if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+            status = 'expired';
+        }
+
+        return {
+            id: row.id,
+            name: row.name,
+            keyPrefix: row.key_prefix,
+            scopes: row.scopes,
+            rateLimitPerMinute: row.rate_limit_per_minute,
+            status,
+            requestCount: Number(row.request_count),
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at,
+            createdAt: row.created_at
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
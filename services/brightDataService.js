@@ -2,6 +2,7 @@
 // Handles LinkedIn profile analysis via BrightData API with polling mechanism
 
 const axios = require('axios');
+const { pool } = require('../utils/database');
 
 const BRIGHTDATA_API_TOKEN = process.env.BRIGHTDATA_API_TOKEN;
 const BRIGHTDATA_DATASET_ID = process.env.BRIGHTDATA_DATASET_ID || 'gd_lxdzkukqm5zf99fbf';
@@ -146,6 +147,7 @@ const formatProfileForGPT = (brightDataProfile) => {
             headline: profile.headline || profile.title || '',
             about: profile.about || profile.summary || '',
             location: profile.location || '',
+            countryCode: profile.country_code || '',
             currentPosition: profile.current_company || profile.company || '',
             experience: profile.experiences || profile.experience || [],
             education: profile.education || [],
@@ -166,9 +168,104 @@ const formatProfileForGPT = (brightDataProfile) => {
     }
 };
 
+/**
+ * Convert a BrightData profile into the target_profiles.data_json shape
+ * (data.profile + data.experience / education / activity ...) so gptService can use it like an
+ * extension-analyzed target - used by bulk campaigns
+ * @param {object} brightDataProfile - Raw profile from BrightData
+ * @returns {object} - { data: { profile, experience, education, ... } }
+ */
+const toTargetProfileData = (brightDataProfile) => {
+    const profile = Array.isArray(brightDataProfile) ? brightDataProfile[0] : brightDataProfile;
+
+    if (!profile) {
+        throw new Error('Empty profile data received from BrightData');
+    }
+
+    const currentCompany = profile.current_company?.name || profile.current_company_name ||
+        (typeof profile.current_company === 'string' ? profile.current_company : '');
+
+    // Own posts first (most recent first as returned), then other activity (likes, comments, shares)
+    const posts = (profile.posts || []).map(post => ({
+        type: 'Post',
+        content: post.title || post.text || '',
+        date: post.created_at || post.date || null,
+        link: post.link || null
+    }));
+    const activity = (profile.activity || []).map(act => ({
+        type: act.interaction || 'Activity',
+        content: act.title || '',
+        link: act.link || null
+    }));
+
+    return {
+        data: {
+            profile: {
+                name: profile.name || profile.full_name || [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+                firstName: profile.first_name || null,
+                headline: profile.headline || profile.position || '',
+                about: profile.about || profile.summary || '',
+                location: profile.location || profile.city || '',
+                countryCode: profile.country_code || '',
+                currentCompany: currentCompany,
+                currentJobTitle: profile.current_company?.title || ''
+            },
+            experience: (profile.experience || profile.experiences || []).map(exp => ({
+                title: exp.title || exp.position || '',
+                company: exp.company || exp.company_name || '',
+                duration: exp.duration || [exp.start_date, exp.end_date].filter(Boolean).join(' - '),
+                description: exp.description || ''
+            })),
+            education: (profile.education || []).map(edu => ({
+                school: edu.title || edu.school || edu.institution || '',
+                degree: edu.degree || '',
+                field: edu.field || ''
+            })),
+            skills: profile.skills || [],
+            awards: profile.honors_and_awards || profile.awards || [],
+            languages: profile.languages || [],
+            certifications: profile.certifications || [],
+            volunteer: profile.volunteer_experience || profile.volunteer || [],
+            projects: profile.projects || [],
+            publications: profile.publications || [],
+            activity: [...posts, ...activity]
+        }
+    };
+};
+
+/**
+ * Scrape a profile and store it in the per-user brightdata_profiles cache
+ * @param {number} userId
+ * @param {string} linkedinUrl - URL sent to BrightData (full URL)
+ * @param {string} cleanUrl - cache key (cleanLinkedInUrl)
+ * @returns {Promise<object>} - { profileData, profileId }
+ */
+const scrapeAndStoreProfile = async (userId, linkedinUrl, cleanUrl) => {
+    const { snapshotId, profileData } = await getLinkedInProfile(linkedinUrl);
+
+    const result = await pool.query(
+        `INSERT INTO brightdata_profiles (user_id, linkedin_url, profile_data, snapshot_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, linkedin_url) 
+         DO UPDATE SET 
+            profile_data = EXCLUDED.profile_data,
+            snapshot_id = EXCLUDED.snapshot_id,
+            updated_at = CURRENT_TIMESTAMP
+         RETURNING id`,
+        [userId, cleanUrl, JSON.stringify(profileData), snapshotId]
+    );
+
+    return {
+        profileData,
+        profileId: result.rows[0].id
+    };
+};
+
 module.exports = {
     getLinkedInProfile,
+    scrapeAndStoreProfile,
     formatProfileForGPT,
+    toTargetProfileData,
     triggerProfileScrape,
     pollForProfileData
 };
@@ -0,0 +1,555 @@
+// services/campaignService.js - Bulk campaigns: CSV of LinkedIn URLs -> messages for every target
+// A campaign is created with one credit hold (campaign_generation x units, see config/campaigns.js) and a
+// campaign_run job (services/jobQueue.js): every target is analyzed (cached target_profiles / brightdata_profiles,
+// else a BrightData scrape), the chosen message types are generated and logged to message_logs with campaign_id.
+// When the run ends the hold is settled for the work actually done. A run interrupted by a restart is retried
+// by the job queue and continues with the targets that are still pending.
+
+const { pool } = require('../utils/database');
+const { cleanLinkedInUrl, isValidLinkedInUrl } = require('../utils/helpers');
+const { toCsv } = require('../utils/csv');
+const {
+    releaseCreditHold,
+    completeOperation,
+    getOperationCost
+} = require('../credits');
+const gptService = require('./gptService');
+const brightDataService = require('./brightDataService');
+const messageGenerationService = require('./messageGenerationService');
+const jobQueue = require('./jobQueue');
+const webhookService = require('./webhookService');
+const {
+    CAMPAIGN_MESSAGE_TYPES,
+    URL_COLUMN_NAMES,
+    ANALYSIS_CREDIT_UNITS,
+    getCampaignLimits
+} = require('../config/campaigns');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const normalizeHeader = (cell) => (cell || '').toLowerCase().replace(/[\s_-]+/g, '');
+
+const campaignJobKey = (campaignId) => `campaign:${campaignId}`;
+
+class CampaignService {
+    /**
+     * Pick the LinkedIn URLs out of parsed CSV rows
+     * The URL column is found by header name (linkedin_url, profile url, ...) or, without a matching header,
+     * as the first column that contains a linkedin.com/in/ URL.
+     * @param {string[][]} rows - parseCsv() output
+     * @returns {object} - { targets: [{ rowNumber, linkedinUrl }], invalidRows, duplicateCount } or { error }
+     */
+    extractTargets(rows) {
+        if (!rows || rows.length === 0) {
+            return { error: 'The CSV file is empty' };
+        }
+
+        let urlColumn = rows[0].findIndex(cell => URL_COLUMN_NAMES.includes(normalizeHeader(cell)));
+        let firstDataRow = 1;
+        if (urlColumn === -1) {
+            urlColumn = rows[0].findIndex(cell => isValidLinkedInUrl(cell));
+            firstDataRow = 0;
+        }
+        if (urlColumn === -1) {
+            return { error: 'No LinkedIn URL column found. Add a "linkedin_url" header or put profile URLs in the first column.' };
+        }
+
+        const targets = [];
+        const invalidRows = [];
+        const seen = new Set();
+        let duplicateCount = 0;
+
+        for (let index = firstDataRow; index < rows.length; index++) {
+            const value = rows[index][urlColumn];
+            if (!isValidLinkedInUrl(value)) {
+                invalidRows.push(index + 1);
+                continue;
+            }
+
+            const linkedinUrl = cleanLinkedInUrl(value);
+            if (seen.has(linkedinUrl)) {
+                duplicateCount++;
+                continue;
+            }
+            seen.add(linkedinUrl);
+            targets.push({ rowNumber: index + 1, linkedinUrl });
+        }
+
+        if (targets.length === 0) {
+            return { error: 'No valid LinkedIn profile URLs found in the CSV file' };
+        }
+
+        return { targets, invalidRows, duplicateCount };
+    }
+
+    /**
+     * Credit units the campaign may use: one per message plus one per profile that has to be scraped
+     * @returns {Promise<object>} - { units, cachedCount, scrapeCount, messageCount }
+     */
+    async estimateCreditUnits(userId, targets, messageTypes) {
+        const urls = targets.map(target => target.linkedinUrl);
+        const cachedResult = await pool.query(`
+            SELECT COUNT(*) as count
+            FROM unnest($2::TEXT[]) AS url
+            WHERE EXISTS (SELECT 1 FROM target_profiles tp WHERE tp.linkedin_url = url)
+               OR EXISTS (SELECT 1 FROM brightdata_profiles bp WHERE bp.user_id = $1 AND bp.linkedin_url = url)
+        `, [userId, urls]);
+
+        const cachedCount = parseInt(cachedResult.rows[0].count);
+        const scrapeCount = targets.length - cachedCount;
+        const messageCount = targets.length * messageTypes.length;
+
+        return {
+            units: messageCount + scrapeCount * ANALYSIS_CREDIT_UNITS,
+            cachedCount,
+            scrapeCount,
+            messageCount
+        };
+    }
+
+    /**
+     * Store a campaign and its targets and enqueue its run (the credit hold is created by the caller)
+     * @returns {Promise<object>} - campaigns row
+     */
+    async createCampaign(userId, { name, contextId, contextText, messageTypes, language, tone, sourceFilename, targets, holdId, creditsHeld }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const campaignResult = await client.query(`
+                INSERT INTO campaigns (
+                    user_id, name, context_id, context_text, message_types, language, tone,
+                    source_filename, status, total_targets, hold_id, credits_held
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'queued', $9, $10, $11)
+                RETURNING *
+            `, [
+                userId,
+                name,
+                contextId || null,
+                contextText,
+                JSON.stringify(messageTypes),
+                language || null,
+                tone || null,
+                sourceFilename || null,
+                targets.length,
+                holdId,
+                creditsHeld
+            ]);
+
+            const campaign = campaignResult.rows[0];
+
+            await client.query(`
+                INSERT INTO campaign_targets (campaign_id, row_number, linkedin_url)
+                SELECT $1, target.row_number, target.linkedin_url
+                FROM unnest($2::INTEGER[], $3::TEXT[]) AS target(row_number, linkedin_url)
+            `, [
+                campaign.id,
+                targets.map(target => target.rowNumber),
+                targets.map(target => target.linkedinUrl)
+            ]);
+
+            // Same transaction: a campaign is never stored without the job that runs it
+            await jobQueue.enqueue('campaign_run', { campaignId: campaign.id }, {
+                userId,
+                dedupeKey: campaignJobKey(campaign.id),
+                client
+            });
+
+            await client.query('COMMIT');
+            console.log(`[CAMPAIGN] Created campaign ${campaign.id} "${name}" with ${targets.length} targets`);
+            return campaign;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async runCampaign(campaignId) {
+        const campaignResult = await pool.query(`
+            UPDATE campaigns
+            SET status = 'running', started_at = COALESCE(started_at, NOW())
+            WHERE id = $1 AND status = ANY($2::VARCHAR[])
+            RETURNING *
+        `, [campaignId, ACTIVE_STATUSES]);
+
+        if (campaignResult.rows.length === 0) {
+            // Cancelled before the run started (or while the worker was down) - settle the hold
+            await this.finishCampaign(campaignId);
+            return;
+        }
+
+        const campaign = campaignResult.rows[0];
+        console.log(`[CAMPAIGN] === RUNNING CAMPAIGN ${campaign.id} (${campaign.total_targets} targets) ===`);
+
+        // Targets that were mid-way when the process stopped start over
+        await pool.query(`
+            UPDATE campaign_targets SET status = 'pending' WHERE campaign_id = $1 AND status = 'processing'
+        `, [campaign.id]);
+
+        const userProfile = await messageGenerationService.loadUserProfile(campaign.user_id);
+        if (!userProfile) {
+            await this.finishCampaign(campaign.id, 'User profile not found. Please complete your profile setup first.');
+            return;
+        }
+
+        const worker = async () => {
+            while (true) {
+                const target = await this.claimNextTarget(campaign.id);
+                if (!target) return;
+                await this.processTarget(campaign, target, userProfile);
+            }
+        };
+
+        const { concurrency } = getCampaignLimits();
+        await Promise.all(Array.from({ length: Math.min(concurrency, campaign.total_targets) }, worker));
+
+        await this.finishCampaign(campaign.id);
+    }
+
+    // Next pending target - null when the campaign is done or no longer running (cancelled)
+    async claimNextTarget(campaignId) {
+        const result = await pool.query(`
+            UPDATE campaign_targets
+            SET status = 'processing'
+            WHERE id = (
+                SELECT ct.id
+                FROM campaign_targets ct
+                JOIN campaigns c ON c.id = ct.campaign_id
+                WHERE ct.campaign_id = $1 AND ct.status = 'pending' AND c.status = 'running'
+                ORDER BY ct.row_number
+                LIMIT 1
+                FOR UPDATE OF ct SKIP LOCKED
+            )
+            RETURNING *
+        `, [campaignId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Target profile for one campaign row - cached target_profiles / brightdata_profiles first, else a BrightData scrape
+     * @returns {Promise<object>} - { targetProfile, source: 'cache' | 'brightdata' }
+     */
+    async loadCampaignTarget(userId, linkedinUrl) {
+        const cachedTarget = await messageGenerationService.loadTargetProfile(linkedinUrl);
+        if (cachedTarget) {
+            return { targetProfile: cachedTarget, source: 'cache' };
+        }
+
+        const brightDataResult = await pool.query(
+            'SELECT profile_data FROM brightdata_profiles WHERE user_id = $1 AND linkedin_url = $2',
+            [userId, linkedinUrl]
+        );
+        if (brightDataResult.rows.length > 0) {
+            return {
+                targetProfile: { linkedin_url: linkedinUrl, data_json: brightDataService.toTargetProfileData(brightDataResult.rows[0].profile_data) },
+                source: 'cache'
+            };
+        }
+
+        // Same per-user cache as the web generator, so later generations for this target are free
+        const { profileData, profileId } = await brightDataService.scrapeAndStoreProfile(userId, `https://www.${linkedinUrl}`, linkedinUrl);
+        webhookService.emit(userId, 'profile.analyzed', {
+            source: 'campaign',
+            profileUrl: linkedinUrl,
+            profileId: profileId
+        });
+
+        return {
+            targetProfile: { linkedin_url: linkedinUrl, data_json: brightDataService.toTargetProfileData(profileData) },
+            source: 'brightdata'
+        };
+    }
+
+    async processTarget(campaign, target, userProfile) {
+        console.log(`[CAMPAIGN] Campaign ${campaign.id} row ${target.row_number}: ${target.linkedin_url}`);
+
+        let source = null;
+        let targetName = null;
+        let generated = 0;
+        const errors = [];
+
+        try {
+            const loaded = await this.loadCampaignTarget(campaign.user_id, target.linkedin_url);
+            source = loaded.source;
+            const metadata = gptService.extractTargetMetadata(loaded.targetProfile);
+            targetName = metadata.target_first_name;
+
+            for (const typeKey of campaign.message_types) {
+                const config = CAMPAIGN_MESSAGE_TYPES[typeKey];
+                const result = await gptService.generateLinkedInMessage(
+                    userProfile,
+                    loaded.targetProfile,
+                    campaign.context_text,
+                    config.messageType,
+                    { language: campaign.language, tone: campaign.tone }
+                );
+
+                if (!result.success) {
+                    errors.push(`${config.label}: ${result.userMessage || result.error}`);
+                    continue;
+                }
+
+                await messageGenerationService.logGeneratedMessage({
+                    userId: campaign.user_id,
+                    targetProfileUrl: target.linkedin_url,
+                    message: result.message,
+                    context: campaign.context_text,
+                    messageType: config.logType,
+                    gptResult: result,
+                    extraColumns: {
+                        campaign_id: campaign.id,
+                        campaign_target_id: target.id
+                    }
+                });
+                generated++;
+            }
+        } catch (error) {
+            console.error(`[CAMPAIGN] Campaign ${campaign.id} row ${target.row_number} failed:`, error.message);
+            errors.push(source ? error.message : `Profile analysis failed: ${error.message}`);
+        }
+
+        const succeeded = generated > 0;
+        await pool.query(`
+            UPDATE campaign_targets
+            SET
+                status = $2,
+                profile_source = $3,
+                target_name = $4,
+                messages_generated = $5,
+                error = $6,
+                completed_at = NOW()
+            WHERE id = $1
+        `, [target.id, succeeded ? 'completed' : 'failed', source, targetName, generated, errors.join('; ') || null]);
+
+        await pool.query(`
+            UPDATE campaigns
+            SET
+                processed_targets = processed_targets + 1,
+                succeeded_targets = succeeded_targets + $2,
+                failed_targets = failed_targets + $3
+            WHERE id = $1
+        `, [campaign.id, succeeded ? 1 : 0, succeeded ? 0 : 1]);
+    }
+
+    /**
+     * Settle the hold for the work done and close the campaign
+     * @param {string} failureReason - set when the campaign could not run at all
+     */
+    async finishCampaign(campaignId, failureReason = null) {
+        const campaignResult = await pool.query('SELECT * FROM campaigns WHERE id = $1', [campaignId]);
+        const campaign = campaignResult.rows[0];
+        if (!campaign || campaign.completed_at) {
+            return;
+        }
+
+        // Targets never started (cancelled campaign) are marked skipped
+        await pool.query(`
+            UPDATE campaign_targets SET status = 'skipped' WHERE campaign_id = $1 AND status IN ('pending', 'processing')
+        `, [campaignId]);
+
+        const usageResult = await pool.query(`
+            SELECT
+                COALESCE(SUM(messages_generated), 0) as messages,
+                COUNT(*) FILTER (WHERE profile_source = 'brightdata') as scrapes
+            FROM campaign_targets
+            WHERE campaign_id = $1
+        `, [campaignId]);
+        const usage = usageResult.rows[0];
+        const units = parseInt(usage.messages) + parseInt(usage.scrapes) * ANALYSIS_CREDIT_UNITS;
+        const settleAmount = units * getOperationCost('campaign_generation');
+
+        let creditsUsed = 0;
+        let error = failureReason;
+        if (campaign.hold_id) {
+            if (units > 0) {
+                const completionResult = await completeOperation(campaign.user_id, campaign.hold_id, {
+                    campaignId: campaign.id,
+                    messagesGenerated: parseInt(usage.messages),
+                    profilesScraped: parseInt(usage.scrapes),
+                    settleAmount: settleAmount
+                });
+                if (completionResult.success) {
+                    creditsUsed = completionResult.creditsDeducted;
+                    console.log(`[MONEY] Campaign ${campaign.id}: ${creditsUsed} credits deducted, new balance ${completionResult.newBalance}`);
+                } else {
+                    console.error(`[CAMPAIGN] Campaign ${campaign.id} credit settlement failed:`, completionResult.error);
+                    error = error || `Credits could not be settled: ${completionResult.error}`;
+                }
+            } else {
+                await releaseCreditHold(campaign.user_id, campaign.hold_id, failureReason ? 'campaign_failed' : 'campaign_nothing_generated');
+            }
+        }
+
+        const status = campaign.status === 'cancelled'
+            ? 'cancelled'
+            : (failureReason || parseInt(usage.messages) === 0 ? 'failed' : 'completed');
+
+        await pool.query(`
+            UPDATE campaigns
+            SET status = $2, credits_used = $3, error = $4, completed_at = NOW()
+            WHERE id = $1
+        `, [campaignId, status, creditsUsed, error || (status === 'failed' ? 'No messages could be generated' : null)]);
+
+        console.log(`[CAMPAIGN] Campaign ${campaignId} ${status}: ${usage.messages} messages, ${usage.scrapes} profiles scraped`);
+    }
+
+    /**
+     * Stop a queued or running campaign - targets in progress finish, the rest are skipped
+     * @returns {Promise<boolean>} - false when the campaign was not active
+     */
+    async cancelCampaign(userId, campaignId) {
+        const result = await pool.query(`
+            UPDATE campaigns SET status = 'cancelled'
+            WHERE id = $1 AND user_id = $2 AND status = ANY($3::VARCHAR[])
+            RETURNING id
+        `, [campaignId, userId, ACTIVE_STATUSES]);
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        // A running campaign settles when its workers stop; a queued run is dropped and settled now
+        const job = await jobQueue.findActiveJob(campaignJobKey(campaignId));
+        if (!job || !(job.status === 'running' || await jobQueue.cancelJob(userId, job.id))) {
+            await this.finishCampaign(campaignId);
+        }
+        return true;
+    }
+
+    async listCampaigns(userId) {
+        const result = await pool.query(`
+            SELECT *
+            FROM campaigns
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+        `, [userId]);
+        return result.rows.map(row => this.formatCampaign(row));
+    }
+
+    // Campaign with its targets - null when it does not belong to the user
+    async getCampaign(userId, campaignId) {
+        const campaignResult = await pool.query(
+            'SELECT * FROM campaigns WHERE id = $1 AND user_id = $2',
+            [campaignId, userId]
+        );
+        if (campaignResult.rows.length === 0) {
+            return null;
+        }
+
+        const targetsResult = await pool.query(`
+            SELECT id, row_number, linkedin_url, status, profile_source, target_name, messages_generated, error, completed_at
+            FROM campaign_targets
+            WHERE campaign_id = $1
+            ORDER BY row_number
+        `, [campaignId]);
+
+        return {
+            ...this.formatCampaign(campaignResult.rows[0]),
+            targets: targetsResult.rows.map(row => ({
+                id: row.id,
+                rowNumber: row.row_number,
+                linkedinUrl: row.linkedin_url,
+                status: row.status,
+                profileSource: row.profile_source,
+                targetName: row.target_name,
+                messagesGenerated: row.messages_generated,
+                error: row.error,
+                completedAt: row.completed_at
+            }))
+        };
+    }
+
+    /**
+     * Result CSV - one row per target, one column per message type (edited text when the user edited it)
+     * @returns {Promise<object>} - { filename, csv } or null when the campaign does not belong to the user
+     */
+    async buildResultsCsv(userId, campaignId) {
+        const campaign = await this.getCampaign(userId, campaignId);
+        if (!campaign) {
+            return null;
+        }
+
+        const messagesResult = await pool.query(`
+            SELECT campaign_target_id, message_type, COALESCE(edited_message, generated_message) as message
+            FROM message_logs
+            WHERE campaign_id = $1 AND user_id = $2
+            ORDER BY id
+        `, [campaignId, userId]);
+
+        const messagesByTarget = new Map();
+        for (const row of messagesResult.rows) {
+            if (!messagesByTarget.has(row.campaign_target_id)) {
+                messagesByTarget.set(row.campaign_target_id, {});
+            }
+            messagesByTarget.get(row.campaign_target_id)[row.message_type] = row.message;
+        }
+
+        const typeConfigs = campaign.messageTypes.map(key => CAMPAIGN_MESSAGE_TYPES[key]).filter(Boolean);
+        const rows = [[
+            'row', 'linkedin_url', 'status', 'target_first_name', 'profile_source', 'error',
+            ...typeConfigs.map(config => config.column)
+        ]];
+
+        for (const target of campaign.targets) {
+            const messages = messagesByTarget.get(target.id) || {};
+            rows.push([
+                target.rowNumber,
+                `https://www.${target.linkedinUrl}`,
+                target.status,
+                target.targetName,
+                target.profileSource,
+                target.error,
+                ...typeConfigs.map(config => messages[config.logType] || '')
+            ]);
+        }
+
+        const safeName = campaign.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'campaign';
+        return {
+            filename: `${safeName}-${campaign.id}-results.csv`,
+            csv: toCsv(rows)
+        };
+    }
+
+    formatCampaign(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            status: row.status,
+            contextId: row.context_id,
+            messageTypes: row.message_types,
+            language: row.language,
+            tone: row.tone,
+            sourceFilename: row.source_filename,
+            totalTargets: row.total_targets,
+            processedTargets: row.processed_targets,
+            succeededTargets: row.succeeded_targets,
+            failedTargets: row.failed_targets,
+            creditsHeld: row.credits_held !== null ? parseFloat(row.credits_held) : null,
+            creditsUsed: row.credits_used !== null ? parseFloat(row.credits_used) : null,
+            error: row.error,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at
+        };
+    }
+}
+
+const campaignService = new CampaignService();
+
+jobQueue.registerHandler('campaign_run', {
+    run: async (job) => {
+        await campaignService.runCampaign(job.payload.campaignId);
+        return { campaignId: job.payload.campaignId };
+    },
+    // Out of retries (or cancelled) - settle what was generated and close the campaign
+    onFailed: (job, error) => campaignService.finishCampaign(
+        job.payload.campaignId,
+        error.message === 'cancelled' ? null : `Campaign run failed: ${error.message}`
+    )
+});
+
+// Export singleton instance
+module.exports = campaignService;
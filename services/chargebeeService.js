@@ -81,6 +81,13 @@ const CHARGEBEE_PLAN_MAPPING = {
         billingModel: 'monthly',
         price: 3.99,
         displayName: 'Extra Context Slot'
+    },
+    // 👥 TEAM: Seat-based organization plan (quantity = seats)
+    'Team-Monthly-USD': {
+        planCode: 'team-monthly',
+        billingModel: 'monthly',
+        seatBased: true,
+        displayName: 'Team Monthly'
     }
 };
 
@@ -240,7 +247,7 @@ class ChargebeeService {
                 const checkoutParams = {
                     subscription_items: [{  // Use subscription_items for recurring subscriptions
                         item_price_id: options.planId,
-                        quantity: 1
+                        quantity: options.quantity || 1 // 👥 seats of a team plan
                     }],
                     customer: {
                         email: options.customerEmail,
@@ -0,0 +1,351 @@
+// services/creditLedgerService.js - Credit ledger balances, drift detection and repair
+// The ledger (credit_ledger_entries) is the record of every balance change; users.renewable_credits /
+// payasyougo_credits are the running balances the rest of the app reads. A credit_reconciliation job compares
+// the two for every user and stores the users whose columns drifted from their ledger balance.
+
+const { pool } = require('../utils/database');
+const jobQueue = require('./jobQueue');
+const { fromCents, toCents, lockBalances, readBalances, postLedgerTransaction } = require('../utils/creditLedger');
+const { alignCreditPacks } = require('../utils/creditPacks');
+const { USER_ACCOUNTS, getLedgerSettings } = require('../config/creditLedger');
+
+const RECONCILIATION_DEDUPE_KEY = 'credit_reconciliation';
+
+// Users whose columns differ from their ledger balances ($1 = one user or NULL for all)
+const DRIFT_QUERY = `
+    WITH ledger AS (
+        SELECT
+            user_id,
+            COALESCE(SUM(amount) FILTER (WHERE account = 'user:renewable'), 0) as renewable,
+            COALESCE(SUM(amount) FILTER (WHERE account = 'user:payasyougo'), 0) as payasyougo
+        FROM credit_ledger_entries
+        WHERE ($1::INTEGER IS NULL OR user_id = $1::INTEGER)
+        GROUP BY user_id
+    )
+    SELECT
+        u.id as user_id,
+        u.email,
+        COALESCE(u.renewable_credits, 0)::DECIMAL(12,2) as renewable_credits,
+        COALESCE(u.payasyougo_credits, 0)::DECIMAL(12,2) as payasyougo_credits,
+        COALESCE(l.renewable, 0)::DECIMAL(12,2) as ledger_renewable,
+        COALESCE(l.payasyougo, 0)::DECIMAL(12,2) as ledger_payasyougo,
+        COUNT(*) OVER () as drift_count
+    FROM users u
+    LEFT JOIN ledger l ON l.user_id = u.id
+    WHERE ($1::INTEGER IS NULL OR u.id = $1::INTEGER)
+      AND (
+          COALESCE(u.renewable_credits, 0)::DECIMAL(12,2) <> COALESCE(l.renewable, 0)
+          OR COALESCE(u.payasyougo_credits, 0)::DECIMAL(12,2) <> COALESCE(l.payasyougo, 0)
+      )
+    ORDER BY u.id
+    LIMIT $2
+`;
+
+class CreditLedgerService {
+    // Ledger balances of one user as a users-shaped row ({ renewable_credits, payasyougo_credits })
+    async getLedgerBalances(userId, db = pool) {
+        const result = await db.query(`
+            SELECT
+                COALESCE(SUM(amount) FILTER (WHERE account = 'user:renewable'), 0)::DECIMAL(12,2) as renewable_credits,
+                COALESCE(SUM(amount) FILTER (WHERE account = 'user:payasyougo'), 0)::DECIMAL(12,2) as payasyougo_credits
+            FROM credit_ledger_entries
+            WHERE user_id = $1
+        `, [userId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Users whose balances drifted from the ledger
+     * @param {number|null} userId - one user, or null for everyone
+     * @returns {Promise<object>} - { driftCount, drifts } - drifts capped at limit, driftCount is the full count
+     */
+    async findDrifts({ userId = null, limit = getLedgerSettings().maxReportedDrifts } = {}) {
+        const result = await pool.query(DRIFT_QUERY, [userId, limit]);
+        return {
+            driftCount: result.rows.length > 0 ? parseInt(result.rows[0].drift_count, 10) : 0,
+            drifts: result.rows.map(row => this.formatDrift(row))
+        };
+    }
+
+    // Transactions whose entries don't sum to zero - postLedgerTransaction never writes one, so any is a bug
+    async countUnbalancedTransactions() {
+        const result = await pool.query(`
+            SELECT COUNT(*) as count FROM (
+                SELECT transaction_id
+                FROM credit_ledger_entries
+                GROUP BY transaction_id
+                HAVING SUM(amount) <> 0
+            ) unbalanced
+        `);
+        return parseInt(result.rows[0].count, 10);
+    }
+
+    // Full drift report across all users
+    async buildReport() {
+        const usersResult = await pool.query('SELECT COUNT(*) as count FROM users');
+        const { driftCount, drifts } = await this.findDrifts();
+        return {
+            usersChecked: parseInt(usersResult.rows[0].count, 10),
+            driftCount,
+            unbalancedTransactions: await this.countUnbalancedTransactions(),
+            drifts
+        };
+    }
+
+    /**
+     * Queue a reconciliation run (one active run at a time)
+     * @param {string} trigger - 'schedule' or 'admin'
+     * @returns {Promise<object>} - { job, created }
+     */
+    async queueReconciliation(trigger = 'schedule') {
+        return await jobQueue.enqueue('credit_reconciliation', { trigger }, {
+            dedupeKey: RECONCILIATION_DEDUPE_KEY
+        });
+    }
+
+    // credit_reconciliation job: compare every user with the ledger and store the result as a run
+    async reconcile(job) {
+        const runResult = await pool.query(`
+            INSERT INTO credit_reconciliation_runs (job_id)
+            VALUES ($1)
+            ON CONFLICT (job_id) DO UPDATE SET status = 'running', error = NULL, started_at = NOW(), finished_at = NULL
+            RETURNING id
+        `, [job.id]);
+        const runId = runResult.rows[0].id;
+
+        const report = await this.buildReport();
+
+        await pool.query(`
+            UPDATE credit_reconciliation_runs
+            SET status = 'completed', users_checked = $2, drift_count = $3, unbalanced_transactions = $4,
+                drifts = $5, finished_at = NOW()
+            WHERE id = $1
+        `, [runId, report.usersChecked, report.driftCount, report.unbalancedTransactions, JSON.stringify(report.drifts)]);
+
+        if (report.driftCount > 0 || report.unbalancedTransactions > 0) {
+            console.warn(`[LEDGER] Reconciliation run ${runId}: ${report.driftCount} of ${report.usersChecked} users drifted from the ledger, ${report.unbalancedTransactions} unbalanced transactions`);
+        } else {
+            console.log(`[LEDGER] Reconciliation run ${runId}: ${report.usersChecked} users match the ledger`);
+        }
+
+        return {
+            runId,
+            usersChecked: report.usersChecked,
+            driftCount: report.driftCount,
+            unbalancedTransactions: report.unbalancedTransactions
+        };
+    }
+
+    // Out of retries or cancelled - a run left running is closed as failed
+    async markReconciliationFailed(job, reason) {
+        await pool.query(`
+            UPDATE credit_reconciliation_runs
+            SET status = 'failed', error = $2, finished_at = NOW()
+            WHERE job_id = $1 AND status = 'running'
+        `, [job.id, reason]);
+        console.warn(`[LEDGER] Reconciliation job ${job.id} failed for good: ${reason}`);
+    }
+
+    async listRuns({ limit = 20 } = {}) {
+        const result = await pool.query(`
+            SELECT * FROM credit_reconciliation_runs
+            ORDER BY started_at DESC
+            LIMIT $1
+        `, [limit]);
+        return result.rows;
+    }
+
+    /**
+     * One user's balances (columns vs ledger) and latest ledger transactions
+     * @returns {Promise<object|null>} - { user, balances, transactions } or null when the user doesn't exist
+     */
+    async getUserLedger(userId, { limit = 50 } = {}) {
+        const userResult = await pool.query(`
+            SELECT
+                id, email, plan_code,
+                COALESCE(renewable_credits, 0)::DECIMAL(12,2) as renewable_credits,
+                COALESCE(payasyougo_credits, 0)::DECIMAL(12,2) as payasyougo_credits
+            FROM users
+            WHERE id = $1
+        `, [userId]);
+        const user = userResult.rows[0];
+        if (!user) return null;
+
+        const ledgerBalances = await this.getLedgerBalances(userId);
+        const transactionsResult = await pool.query(`
+            SELECT
+                t.*,
+                json_agg(json_build_object('account', e.account, 'amount', e.amount) ORDER BY e.id) as entries
+            FROM credit_ledger_transactions t
+            JOIN credit_ledger_entries e ON e.transaction_id = t.id
+            WHERE t.user_id = $1
+            GROUP BY t.id
+            ORDER BY t.created_at DESC, t.id DESC
+            LIMIT $2
+        `, [userId, limit]);
+
+        return {
+            user: { id: user.id, email: user.email, planCode: user.plan_code },
+            balances: this.compareBalances(user, ledgerBalances),
+            transactions: transactionsResult.rows.map(row => this.formatTransaction(row))
+        };
+    }
+
+    /**
+     * Make one user's columns and ledger agree again
+     * @param {string} source - 'ledger': set the columns to the ledger balances (and the credit packs to match);
+     *   'users': post a reconciliation transaction so the ledger matches the columns
+     * @returns {Promise<object|null>} - { repaired, before, after } or null when the user doesn't exist
+     */
+    async repairUser(userId, { source, reason = null, adminEmail = null }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Every ledger writer locks the user's row first, so the ledger can't move while it is held
+            const current = await lockBalances(client, userId);
+            if (!current) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const ledgerBalances = await this.getLedgerBalances(userId, client);
+            const before = this.compareBalances(current, ledgerBalances);
+            if (!before.drifted) {
+                await client.query('ROLLBACK');
+                return { repaired: false, before, after: before };
+            }
+
+            let after;
+            if (source === 'ledger') {
+                const result = await client.query(`
+                    UPDATE users
+                    SET renewable_credits = $2::DECIMAL(12,2),
+                        payasyougo_credits = $3::DECIMAL(12,2),
+                        credits_remaining = $2::DECIMAL(12,2) + $3::DECIMAL(12,2),
+                        updated_at = NOW()
+                    WHERE id = $1
+                    RETURNING
+                        COALESCE(renewable_credits, 0)::DECIMAL(12,2) as renewable_credits,
+                        COALESCE(payasyougo_credits, 0)::DECIMAL(12,2) as payasyougo_credits
+                `, [userId, ledgerBalances.renewable_credits, ledgerBalances.payasyougo_credits]);
+                // The packs must add up to the new balance, or the next pack-based spend or expiry drifts again
+                await alignCreditPacks(client, userId, ledgerBalances.payasyougo_credits, {
+                    source: 'reconciliation',
+                    reference: adminEmail ? `repair:${adminEmail}` : null
+                });
+                after = this.compareBalances(result.rows[0], ledgerBalances);
+            } else {
+                const columns = readBalances(current);
+                const ledger = readBalances(ledgerBalances);
+                const entries = [];
+                for (const account of Object.keys(USER_ACCOUNTS)) {
+                    const cents = columns[account] - ledger[account];
+                    if (cents === 0) continue;
+                    entries.push({ account, amount: fromCents(cents) }, { account: 'system:adjustments', amount: fromCents(-cents) });
+                }
+                await postLedgerTransaction(client, userId, {
+                    type: 'reconciliation',
+                    description: reason || 'Ledger aligned with the account balance',
+                    metadata: { source, adminEmail, before: { users: before.users, ledger: before.ledger } },
+                    entries
+                });
+                after = this.compareBalances(current, await this.getLedgerBalances(userId, client));
+            }
+
+            await client.query('COMMIT');
+            console.log(`[LEDGER] Repaired credit drift of user ${userId} from the ${source === 'ledger' ? 'ledger' : 'users columns'}${adminEmail ? ` (by ${adminEmail})` : ''}`);
+            return { repaired: true, before, after };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Delete reconciliation runs past the retention window
+    async cleanupOldRuns() {
+        const { runRetentionDays } = getLedgerSettings();
+        const result = await pool.query(`
+            DELETE FROM credit_reconciliation_runs
+            WHERE status <> 'running' AND started_at < NOW() - ($1 * INTERVAL '1 day')
+        `, [runRetentionDays]);
+
+        if (result.rowCount > 0) {
+            console.log(`[LEDGER] Deleted ${result.rowCount} credit reconciliation runs older than ${runRetentionDays} days`);
+        }
+        return result.rowCount;
+    }
+
+    // { users, ledger, difference, drifted } - difference is users minus ledger
+    compareBalances(usersRow, ledgerRow) {
+        const users = readBalances(usersRow);
+        const ledger = readBalances(ledgerRow);
+        const shape = (balances) => ({
+            renewable: parseFloat(fromCents(balances['user:renewable'])),
+            payasyougo: parseFloat(fromCents(balances['user:payasyougo'])),
+            total: parseFloat(fromCents(balances['user:renewable'] + balances['user:payasyougo']))
+        });
+        const difference = Object.fromEntries(Object.keys(USER_ACCOUNTS).map(account => [account, users[account] - ledger[account]]));
+
+        return {
+            users: shape(users),
+            ledger: shape(ledger),
+            difference: shape(difference),
+            drifted: Object.values(difference).some(cents => cents !== 0)
+        };
+    }
+
+    formatDrift(row) {
+        return {
+            userId: row.user_id,
+            email: row.email,
+            ...this.compareBalances(row, {
+                renewable_credits: row.ledger_renewable,
+                payasyougo_credits: row.ledger_payasyougo
+            })
+        };
+    }
+
+    formatTransaction(row) {
+        return {
+            id: Number(row.id),
+            type: row.transaction_type,
+            reference: row.reference,
+            description: row.description,
+            metadata: row.metadata,
+            organizationId: row.organization_id || null, // 👥 team pool transactions
+            entries: row.entries.map(entry => ({ account: entry.account, amount: toCents(entry.amount) / 100 })),
+            createdAt: row.created_at
+        };
+    }
+
+    formatRun(row) {
+        return {
+            id: row.id,
+            jobId: row.job_id,
+            status: row.status,
+            usersChecked: row.users_checked,
+            driftCount: row.drift_count,
+            unbalancedTransactions: row.unbalanced_transactions,
+            drifts: row.drifts,
+            error: row.error,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
+        };
+    }
+}
+
+const creditLedgerService = new CreditLedgerService();
+
+jobQueue.registerHandler('credit_reconciliation', {
+    run: (job) => creditLedgerService.reconcile(job),
+    onFailed: (job, error) => creditLedgerService.markReconciliationFailed(
+        job,
+        error.message === 'cancelled' ? 'Reconciliation cancelled' : error.message
+    )
+});
+
+// Export singleton instance
+module.exports = creditLedgerService;
@@ -0,0 +1,613 @@
+// services/crmService.js - CRM export: pushes the Messages tracker to HubSpot / Salesforce (config/crm.js)
+// Each target becomes a contact (HubSpot contact / Salesforce lead, fields per the connection's field mapping) and
+// each message adds activities to it (HubSpot notes / Salesforce tasks): generated, sent and replied.
+// The CRM id of everything pushed is kept in crm_sync_records, so a run only creates what is new and a retried
+// crm_sync job picks up where the last attempt stopped. Every run is written to crm_sync_log.
+//   - A record the CRM rejects (HTTP 400, duplicate rules, ...) is logged and skipped - the run ends 'partial'.
+//   - 401/403 (bad token, missing permission) fail the run for good; rate limits, 5xx and network errors retry it.
+//   - The instance URL is chosen by the user, so it is checked again on every run and only reached through the
+//     public-only agents of webhookService. The env base URL override is the operator's and is used as it is.
+
+const axios = require('axios');
+const { pool } = require('../utils/database');
+const { extractTargetSummary } = require('../utils/helpers');
+const jobQueue = require('./jobQueue');
+const webhookService = require('./webhookService');
+const {
+    CRM_PROVIDERS,
+    DEFAULT_FIELD_MAPPINGS,
+    getCrmSettings,
+    getProviderBaseUrl
+} = require('../config/crm');
+
+// Bad token or missing permission - retrying cannot help
+const isAuthError = (error) => [401, 403].includes(error.response?.status);
+
+// The instance URL resolves to a private address (webhookService.publicOnlyRequestOptions) - retrying cannot help
+const isRefusedAddressError = (error) => error.code === 'EPRIVATEADDRESS';
+
+// Rate limits, CRM outages and network errors - the job is retried
+const isTransientError = (error) => !isRefusedAddressError(error) && (!error.response || error.response.status === 429 || error.response.status >= 500);
+
+// HubSpot answers { message }, Salesforce [{ message, errorCode }]
+const describeRequestError = (error) => {
+    if (!error.response) {
+        return error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+    const data = error.response.data;
+    const detail = Array.isArray(data)
+        ? data.map(item => item.errorCode ? `${item.errorCode}: ${item.message}` : item.message).join('; ')
+        : (data && data.message) || (typeof data === 'string' ? data.substring(0, 200) : '');
+    return `HTTP ${error.response.status}${detail ? ` - ${detail}` : ''}`;
+};
+
+const toDateOnly = (value) => new Date(value).toISOString().substring(0, 10);
+
+// Target of a message row -> contact fields (the captured profile wins over what was saved with the message)
+const buildContact = (row) => {
+    const summary = extractTargetSummary(row.profile_data);
+    const fullName = summary.fullName || row.target_first_name || '';
+    const title = summary.headline || row.target_title || null;
+    const company = summary.company || row.target_company || null;
+
+    const nameParts = fullName.split(/\s+/).filter(Boolean);
+    return {
+        firstName: nameParts[0] || null,
+        lastName: nameParts.slice(1).join(' ') || null,
+        fullName: fullName || null,
+        title,
+        company,
+        linkedinUrl: row.target_profile_url,
+        // Only emails this user looked up (email_requests) and that passed verification
+        email: row.email_status === 'verified' ? row.email_found : null
+    };
+};
+
+// Activities of one message, in the order they happened
+const buildActivities = (row, contact) => {
+    const text = row.edited_message || row.generated_message || '';
+    const messageType = (row.message_type || 'message').replace(/_/g, ' ');
+    const target = contact.fullName || 'Target';
+
+    const activities = [{
+        kind: 'generated',
+        subject: `Msgly: ${messageType} generated for ${target}`,
+        body: text,
+        date: row.created_at
+    }];
+
+    if (row.sent_status === 'yes') {
+        activities.push({
+            kind: 'sent',
+            subject: `Msgly: ${messageType} sent to ${target} on LinkedIn`,
+            body: text,
+            date: row.sent_date || row.created_at
+        });
+    }
+    if (row.reply_status === 'yes') {
+        activities.push({
+            kind: 'replied',
+            subject: `Msgly: ${target} replied`,
+            body: row.reply_text ? `${row.reply_text}\n\nIn reply to:\n${text}` : `In reply to:\n${text}`,
+            date: row.reply_date || row.sent_date || row.created_at
+        });
+    }
+
+    return activities;
+};
+
+// Contact fields -> CRM properties per the field mapping (empty values are left out, so they never blank a CRM field)
+const mapContact = (contact, fieldMapping) => {
+    const properties = {};
+    for (const [field, property] of Object.entries(fieldMapping)) {
+        if (property && contact[field]) {
+            properties[property] = contact[field];
+        }
+    }
+    return properties;
+};
+
+// HubSpot CRM v3 - contacts + notes associated to them
+const hubspotAdapter = {
+    async upsertContact(client, externalId, properties) {
+        if (externalId) {
+            try {
+                await client.patch(`/crm/v3/objects/contacts/${externalId}`, { properties });
+                return externalId;
+            } catch (error) {
+                // Deleted in HubSpot since the last sync - create it again
+                if (error.response?.status !== 404) throw error;
+            }
+        }
+
+        try {
+            const response = await client.post('/crm/v3/objects/contacts', { properties });
+            return String(response.data.id);
+        } catch (error) {
+            // A contact with this email exists already: "Contact already exists. Existing ID: 123"
+            const existing = error.response?.status === 409 && String(error.response.data?.message || '').match(/Existing ID:\s*(\d+)/);
+            if (!existing) throw error;
+
+            await client.patch(`/crm/v3/objects/contacts/${existing[1]}`, { properties });
+            return existing[1];
+        }
+    },
+
+    async createActivity(client, contactId, activity) {
+        const response = await client.post('/crm/v3/objects/notes', {
+            properties: {
+                hs_timestamp: new Date(activity.date).toISOString(),
+                hs_note_body: `${activity.subject}\n\n${activity.body}`
+            },
+            associations: [{
+                to: { id: contactId },
+                // Note to contact
+                types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 202 }]
+            }]
+        });
+        return String(response.data.id);
+    }
+};
+
+// Salesforce REST API - leads + completed tasks on them
+const salesforceAdapter = {
+    // Required on a lead - filled in when the mapping or the target leaves them empty
+    requiredProperties: { LastName: '[not provided]', Company: '[not provided]' },
+
+    sobjectsPath() {
+        return `/services/data/${getCrmSettings().salesforceApiVersion}/sobjects`;
+    },
+
+    async upsertContact(client, externalId, properties) {
+        const lead = { ...this.requiredProperties, ...properties };
+
+        if (externalId) {
+            try {
+                await client.patch(`${this.sobjectsPath()}/Lead/${externalId}`, lead);
+                return externalId;
+            } catch (error) {
+                // Deleted or converted since the last sync - create it again
+                if (error.response?.status !== 404) throw error;
+            }
+        }
+
+        const response = await client.post(`${this.sobjectsPath()}/Lead`, lead);
+        return String(response.data.id);
+    },
+
+    async createActivity(client, contactId, activity) {
+        const response = await client.post(`${this.sobjectsPath()}/Task`, {
+            WhoId: contactId,
+            Subject: activity.subject.substring(0, 255),
+            Description: activity.body.substring(0, 32000),
+            Status: 'Completed',
+            ActivityDate: toDateOnly(activity.date)
+        });
+        return String(response.data.id);
+    }
+};
+
+const PROVIDER_ADAPTERS = {
+    hubspot: hubspotAdapter,
+    salesforce: salesforceAdapter
+};
+
+// Message rows still missing a contact or an activity in the CRM (or the given messages, pushed again)
+const UNSYNCED_MESSAGE_CONDITION = `
+    NOT EXISTS (
+        SELECT 1 FROM crm_sync_records r
+        WHERE r.connection_id = $3 AND r.record_type = 'contact' AND r.local_key = ml.target_profile_url
+    )
+    OR ($4::BOOLEAN AND (
+        NOT EXISTS (
+            SELECT 1 FROM crm_sync_records r
+            WHERE r.connection_id = $3 AND r.record_type = 'activity' AND r.local_key = ml.id || ':generated'
+        )
+        OR (ml.sent_status = 'yes' AND NOT EXISTS (
+            SELECT 1 FROM crm_sync_records r
+            WHERE r.connection_id = $3 AND r.record_type = 'activity' AND r.local_key = ml.id || ':sent'
+        ))
+        OR (ml.reply_status = 'yes' AND NOT EXISTS (
+            SELECT 1 FROM crm_sync_records r
+            WHERE r.connection_id = $3 AND r.record_type = 'activity' AND r.local_key = ml.id || ':replied'
+        ))
+    ))
+`;
+
+class CrmService {
+    // Validate an access token - returns an error message or null
+    getAccessTokenError(accessToken) {
+        if (typeof accessToken !== 'string' || accessToken.trim().length < 10 || accessToken.length > 4000) {
+            return 'accessToken must be between 10 and 4000 characters';
+        }
+        return null;
+    }
+
+    // Validate the instance URL of a provider - returns an error message or null
+    getInstanceUrlError(provider, instanceUrl) {
+        const config = CRM_PROVIDERS[provider];
+        if (instanceUrl === undefined || instanceUrl === null || instanceUrl === '') {
+            return config.requiresInstanceUrl && !process.env[config.baseUrlEnv]
+                ? `instanceUrl is required for ${config.label} (e.g. https://yourcompany.my.salesforce.com)`
+                : null;
+        }
+        if (!config.requiresInstanceUrl) {
+            return `instanceUrl is not used for ${config.label}`;
+        }
+
+        const urlError = webhookService.getUrlError(instanceUrl);
+        return urlError ? urlError.replace(/^url/, 'instanceUrl') : null;
+    }
+
+    async listConnections(userId) {
+        const result = await pool.query(`
+            SELECT * FROM crm_connections WHERE user_id = $1 ORDER BY created_at
+        `, [userId]);
+        return result.rows;
+    }
+
+    // Connection of a user - null when it does not exist or belongs to someone else
+    async getConnection(userId, connectionId) {
+        const result = await pool.query('SELECT * FROM crm_connections WHERE id = $1 AND user_id = $2', [connectionId, userId]);
+        return result.rows[0] || null;
+    }
+
+    async getConnectionByProvider(userId, provider) {
+        const result = await pool.query('SELECT * FROM crm_connections WHERE user_id = $1 AND provider = $2', [userId, provider]);
+        return result.rows[0] || null;
+    }
+
+    async createConnection(userId, { provider, accessToken, instanceUrl, fieldMapping, syncActivities = true }) {
+        const result = await pool.query(`
+            INSERT INTO crm_connections (user_id, provider, access_token, instance_url, field_mapping, sync_activities)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            userId,
+            provider,
+            accessToken.trim(),
+            instanceUrl ? instanceUrl.trim().replace(/\/+$/, '') : null,
+            JSON.stringify(fieldMapping || DEFAULT_FIELD_MAPPINGS[provider]),
+            syncActivities
+        ]);
+
+        console.log(`[CRM] User ${userId} connected ${provider} (connection ${result.rows[0].id})`);
+        return result.rows[0];
+    }
+
+    /**
+     * Update a connection - only the given fields change
+     * @param {object} updates - { accessToken, instanceUrl, fieldMapping, syncActivities, isActive }
+     */
+    async updateConnection(userId, connectionId, updates) {
+        const columns = {};
+        if (updates.accessToken !== undefined) columns.access_token = updates.accessToken.trim();
+        if (updates.instanceUrl !== undefined) columns.instance_url = updates.instanceUrl ? updates.instanceUrl.trim().replace(/\/+$/, '') : null;
+        if (updates.fieldMapping !== undefined) columns.field_mapping = JSON.stringify(updates.fieldMapping);
+        if (updates.syncActivities !== undefined) columns.sync_activities = updates.syncActivities;
+        if (updates.isActive !== undefined) columns.is_active = updates.isActive;
+
+        const names = Object.keys(columns);
+        const assignments = names.map((name, index) => `${name} = $${index + 3}`);
+
+        const result = await pool.query(`
+            UPDATE crm_connections
+            SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+            WHERE id = $1 AND user_id = $2
+            RETURNING *
+        `, [connectionId, userId, ...Object.values(columns)]);
+
+        return result.rows[0] || null;
+    }
+
+    // Deleting a connection deletes its sync records and log - the CRM keeps what was pushed
+    async deleteConnection(userId, connectionId) {
+        const result = await pool.query('DELETE FROM crm_connections WHERE id = $1 AND user_id = $2', [connectionId, userId]);
+        if (result.rowCount > 0) {
+            console.log(`[CRM] User ${userId} deleted connection ${connectionId}`);
+        }
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Queue a crm_sync run (one active run per connection)
+     * @param {Array<number>|null} messageIds - push these messages again; null = everything not pushed yet
+     * @returns {Promise<object>} - { job, created }
+     */
+    async queueSync(userId, connection, { messageIds = null } = {}) {
+        return await jobQueue.enqueue('crm_sync', { connectionId: connection.id, messageIds }, {
+            userId,
+            dedupeKey: `crm_sync:${connection.id}`
+        });
+    }
+
+    async listSyncLog(userId, connectionId, { status = null, limit = 50 } = {}) {
+        const result = await pool.query(`
+            SELECT *
+            FROM crm_sync_log
+            WHERE connection_id = $1 AND user_id = $2
+              AND ($3::VARCHAR IS NULL OR status = $3::VARCHAR)
+            ORDER BY started_at DESC
+            LIMIT $4
+        `, [connectionId, userId, status, limit]);
+        return result.rows;
+    }
+
+    // Messages of the user with the target's profile and the emails this user looked up
+    async loadMessages(connection, { messageIds = null, limit }) {
+        const result = await pool.query(`
+            SELECT
+                ml.id,
+                ml.target_first_name,
+                ml.target_title,
+                ml.target_company,
+                ml.target_profile_url,
+                ml.generated_message,
+                ml.edited_message,
+                ml.message_type,
+                ml.sent_status,
+                ml.reply_status,
+                ml.sent_date,
+                ml.reply_date,
+                ml.created_at,
+                (
+                    SELECT r.reply_text FROM message_logs r
+                    WHERE r.parent_message_id = ml.id AND r.reply_text IS NOT NULL
+                    ORDER BY r.created_at
+                    LIMIT 1
+                ) as reply_text,
+                tp.data_json as profile_data,
+                CASE WHEN er.user_id IS NOT NULL THEN tp.email_found ELSE NULL END as email_found,
+                CASE WHEN er.user_id IS NOT NULL THEN tp.email_status ELSE NULL END as email_status
+            FROM message_logs ml
+            LEFT JOIN target_profiles tp ON tp.linkedin_url = ml.target_profile_url
+            LEFT JOIN email_requests er ON er.linkedin_url = ml.target_profile_url AND er.user_id = ml.user_id
+            WHERE ml.user_id = $1
+              AND ml.target_profile_url IS NOT NULL
+              AND ($2::INTEGER[] IS NULL OR ml.id = ANY($2::INTEGER[]))
+              AND ($2::INTEGER[] IS NOT NULL OR ${UNSYNCED_MESSAGE_CONDITION})
+            ORDER BY ml.created_at, ml.id
+            LIMIT $5
+        `, [connection.user_id, messageIds, connection.id, connection.sync_activities, limit]);
+        return result.rows;
+    }
+
+    // 'contact:<linkedinUrl>' / 'activity:<messageId>:<kind>' -> CRM id
+    async loadSyncRecords(connectionId) {
+        const result = await pool.query(`
+            SELECT record_type, local_key, external_id FROM crm_sync_records WHERE connection_id = $1
+        `, [connectionId]);
+        return new Map(result.rows.map(row => [`${row.record_type}:${row.local_key}`, row.external_id]));
+    }
+
+    async saveSyncRecord(connectionId, recordType, localKey, externalId) {
+        await pool.query(`
+            INSERT INTO crm_sync_records (connection_id, record_type, local_key, external_id)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (connection_id, record_type, local_key)
+            DO UPDATE SET external_id = EXCLUDED.external_id, synced_at = NOW()
+        `, [connectionId, recordType, localKey, externalId]);
+    }
+
+    createClient(connection) {
+        const baseURL = getProviderBaseUrl(connection.provider, connection.instance_url);
+        const userChosenHost = !process.env[CRM_PROVIDERS[connection.provider].baseUrlEnv] && !!connection.instance_url;
+
+        return axios.create({
+            baseURL,
+            timeout: getCrmSettings().timeoutMs,
+            maxRedirects: 0,
+            ...(userChosenHost ? webhookService.publicOnlyRequestOptions() : {}),
+            headers: {
+                Authorization: `Bearer ${connection.access_token}`,
+                'Content-Type': 'application/json',
+                'User-Agent': 'Msgly-CRM/1.0'
+            }
+        });
+    }
+
+    // crm_sync job: push what is not in the CRM yet - throws on auth / transient errors (see top of file)
+    async sync(job) {
+        const { connectionId, messageIds = null } = job.payload;
+        const result = await pool.query('SELECT * FROM crm_connections WHERE id = $1', [connectionId]);
+        const connection = result.rows[0];
+
+        if (!connection || !connection.is_active) {
+            // Deleted or paused since the run was queued
+            return { connectionId, skipped: true };
+        }
+
+        const settings = getCrmSettings();
+        const adapter = PROVIDER_ADAPTERS[connection.provider];
+        const label = CRM_PROVIDERS[connection.provider].label;
+        const syncLog = await this.startSyncLog(connection, job.id);
+        const stats = { messages: 0, contacts: 0, activities: 0, failures: 0, errors: [] };
+
+        // A rejected record is logged and skipped; auth and transient errors stop the run
+        const recordFailure = (error, what) => {
+            if (isAuthError(error) || isTransientError(error)) throw error;
+            stats.failures++;
+            if (stats.errors.length < settings.maxLoggedErrors) {
+                stats.errors.push({ record: what, error: describeRequestError(error) });
+            }
+        };
+
+        try {
+            // Checked when it was saved too - the rules may have changed since
+            const instanceUrlError = connection.instance_url ? this.getInstanceUrlError(connection.provider, connection.instance_url) : null;
+            if (instanceUrlError) {
+                const refused = new Error(instanceUrlError);
+                refused.code = 'EPRIVATEADDRESS';
+                throw refused;
+            }
+
+            const rows = await this.loadMessages(connection, { messageIds, limit: settings.maxMessagesPerSync });
+            const syncRecords = await this.loadSyncRecords(connection.id);
+            const client = this.createClient(connection);
+            const pushedContacts = new Map();
+            stats.messages = rows.length;
+
+            for (const row of rows) {
+                const contact = buildContact(row);
+                let contactId = pushedContacts.get(row.target_profile_url);
+
+                if (!contactId) {
+                    const properties = mapContact(contact, connection.field_mapping);
+                    try {
+                        contactId = await adapter.upsertContact(client, syncRecords.get(`contact:${row.target_profile_url}`), properties);
+                    } catch (error) {
+                        recordFailure(error, `contact ${row.target_profile_url}`);
+                        continue;
+                    }
+                    await this.saveSyncRecord(connection.id, 'contact', row.target_profile_url, contactId);
+                    pushedContacts.set(row.target_profile_url, contactId);
+                    stats.contacts++;
+                }
+
+                if (!connection.sync_activities) continue;
+
+                for (const activity of buildActivities(row, contact)) {
+                    const localKey = `${row.id}:${activity.kind}`;
+                    if (syncRecords.has(`activity:${localKey}`)) continue;
+
+                    try {
+                        const activityId = await adapter.createActivity(client, contactId, activity);
+                        await this.saveSyncRecord(connection.id, 'activity', localKey, activityId);
+                        stats.activities++;
+                    } catch (error) {
+                        recordFailure(error, `message ${row.id} ${activity.kind}`);
+                    }
+                }
+            }
+        } catch (error) {
+            const reason = error.response || error.request ? describeRequestError(error) : error.message;
+            stats.errors.push({ record: null, error: reason });
+            await this.finishSyncLog(syncLog.id, connection.id, 'failed', stats);
+
+            if (isAuthError(error)) {
+                throw jobQueue.permanentError(`${label} rejected the access token (${reason})`);
+            }
+            if (isRefusedAddressError(error)) {
+                throw jobQueue.permanentError(`Refused to reach the ${label} instance URL: ${reason}`);
+            }
+            throw new Error(`${label} sync stopped: ${reason}`);
+        }
+
+        const status = stats.failures === 0 ? 'completed' : (stats.contacts + stats.activities > 0 ? 'partial' : 'failed');
+        await this.finishSyncLog(syncLog.id, connection.id, status, stats);
+
+        console.log(`[CRM] Connection ${connection.id} (${connection.provider}) synced: ${stats.contacts} contacts, ${stats.activities} activities, ${stats.failures} failures`);
+        return {
+            connectionId: connection.id,
+            syncLogId: syncLog.id,
+            status,
+            messages: stats.messages,
+            contactsSynced: stats.contacts,
+            activitiesSynced: stats.activities,
+            failures: stats.failures
+        };
+    }
+
+    // One log row per job - a retried job reopens it
+    async startSyncLog(connection, jobId) {
+        const result = await pool.query(`
+            INSERT INTO crm_sync_log (connection_id, user_id, job_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (job_id) DO UPDATE SET status = 'running', finished_at = NULL
+            RETURNING *
+        `, [connection.id, connection.user_id, jobId]);
+        return result.rows[0];
+    }
+
+    // Counts add up over the attempts of one job
+    async finishSyncLog(syncLogId, connectionId, status, stats) {
+        await pool.query(`
+            UPDATE crm_sync_log
+            SET
+                status = $2::VARCHAR,
+                messages_total = GREATEST(messages_total, $3),
+                contacts_synced = contacts_synced + $4,
+                activities_synced = activities_synced + $5,
+                failures = failures + $6,
+                errors = errors || $7::jsonb,
+                finished_at = NOW()
+            WHERE id = $1
+        `, [syncLogId, status, stats.messages, stats.contacts, stats.activities, stats.failures, JSON.stringify(stats.errors)]);
+
+        await pool.query(`
+            UPDATE crm_connections
+            SET last_sync_at = NOW(), last_sync_status = $2
+            WHERE id = $1
+        `, [connectionId, status]);
+    }
+
+    // Out of retries or cancelled - a log row left running is closed as failed
+    async markSyncFailed(job, reason) {
+        await pool.query(`
+            UPDATE crm_sync_log
+            SET status = 'failed', finished_at = NOW(), errors = errors || $2::jsonb
+            WHERE job_id = $1 AND status = 'running'
+        `, [job.id, JSON.stringify([{ record: null, error: reason }])]);
+        console.warn(`[CRM] Sync job ${job.id} of connection ${job.payload.connectionId} failed for good: ${reason}`);
+    }
+
+    // Delete sync log rows past the retention window
+    async cleanupOldSyncLogs() {
+        const { syncLogRetentionDays } = getCrmSettings();
+        const result = await pool.query(`
+            DELETE FROM crm_sync_log
+            WHERE status <> 'running' AND started_at < NOW() - ($1 * INTERVAL '1 day')
+        `, [syncLogRetentionDays]);
+
+        if (result.rowCount > 0) {
+            console.log(`[CRM] Deleted ${result.rowCount} CRM sync log rows older than ${syncLogRetentionDays} days`);
+        }
+        return result.rowCount;
+    }
+
+    // Public shape - the access token is never returned, only its last characters
+    formatConnection(row) {
+        return {
+            id: row.id,
+            provider: row.provider,
+            providerLabel: CRM_PROVIDERS[row.provider].label,
+            instanceUrl: row.instance_url,
+            fieldMapping: row.field_mapping,
+            syncActivities: row.sync_activities,
+            isActive: row.is_active,
+            tokenPreview: `...${row.access_token.slice(-4)}`,
+            lastSyncAt: row.last_sync_at,
+            lastSyncStatus: row.last_sync_status,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    formatSyncLog(row) {
+        return {
+            id: row.id,
+            jobId: row.job_id,
+            status: row.status,
+            messagesTotal: row.messages_total,
+            contactsSynced: row.contacts_synced,
+            activitiesSynced: row.activities_synced,
+            failures: row.failures,
+            errors: row.errors,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
+        };
+    }
+}
+
+const crmService = new CrmService();
+
+jobQueue.registerHandler('crm_sync', {
+    run: (job) => crmService.sync(job),
+    onFailed: (job, error) => crmService.markSyncFailed(
+        job,
+        error.message === 'cancelled' ? 'Sync cancelled' : error.message
+    )
+});
+
+// Export singleton instance
+module.exports = crmService;
@@ -31,66 +31,65 @@ CHANGELOG - services/gptService.js:
 15. ✅ DYNAMIC CHARACTER LIMITS: LinkedIn message 170-270 chars, Cold Email 400-550 chars with AI optimization
 16. ✅ COLD EMAIL FORMAT: Added "Subject: / Body:" output format with blank line separator (labels don't count toward limit)
 17. ✅ COLD EMAIL GREETING: Added required "Hi [TARGET_FIRSTNAME]," greeting to match LinkedIn message
+18. 🔌 PROVIDER LAYER: OpenAI call + Gemini fallback replaced by services/llmService.js fallback chain (LLM_MESSAGE_CHAIN)
+19. 📡 STREAMING: All generators accept { onToken, signal } options - when onToken is set the provider chain streams deltas
+20. ✅ INTRO PARTS: Intro requests now return parsed partA / partB alongside the raw message
+21. 🔀 VARIANTS: generateVariants() returns N distinct drafts - each draft is steered to a different angle (VARIANT_ANGLES)
+22. 🔗 SEQUENCES: generateSequence() writes multi-touch cadences step by step, each step sees the earlier steps
+23. 💬 REPLY RESPONSE: New reply_response mode - answers the target's pasted reply (objections, meeting times, polite close)
+24. 📝 PROMPT TEMPLATES: System/user prompts moved out of buildPrompt into versioned templates (prompts/ + prompt_templates table)
+    - buildPrompt is async and renders the active template; metadata.prompt_version / prompt_template_id record the exact version used
+25. 🧪 PROMPT EXPERIMENTS: buildPrompt picks arm A/B while an experiment runs (metadata.prompt_experiment_id / prompt_experiment_arm)
+26. ✅ OUTPUT VALIDATION: Every message is checked against config/messageRules.js (length, greeting, sign-off, emojis, hashtags, single line)
+    - Repairable violations are fixed in code, the rest trigger up to MESSAGE_VALIDATION_RETRIES regenerations; result.validation is stored in data_json
+27. 🌍 LANGUAGE: options.language ('auto' or en/de/fr/es/pt) on every generator - auto detects from the target's about text / location
+    - Non-English runs add a LANGUAGE section overriding "English only" with per-language character limits (prompts/languageInstruction.js)
+28. 🎭 TONE: options.tone picks a preset (config/tones.js), else the user's saved user_profiles.tone_preset - non-default presets add a TONE section
+    - A saved user_profiles.writing_sample adds a WRITING SAMPLE section so messages match the sender's voice
+29. ✉️ NEW MESSAGE TYPES: inmail (Subject/Body, returns subject + body), post_comment (comments on one post from the
+    target's activity - POST section) and event_followup (follow-up after a meeting or event - EVENT section)
 */
 
 // server/services/gptService.js - GPT-5 Integration Service with Rich Profile Data & Comprehensive Debugging - FULL DATA VERSION
-const axios = require('axios');
+const { llmService } = require('./llmService');
+const { getFallbackChain } = require('../config/llm');
+const promptRegistry = require('./promptRegistry');
+const messageValidator = require('./messageValidator');
+const { getValidationRetries, getMessageRules } = require('../config/messageRules');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../config/languages');
+const { buildLanguageInstruction } = require('../prompts/languageInstruction');
+const { DEFAULT_TONE, resolveTone } = require('../config/tones');
+const { buildToneInstruction, buildWritingSampleSection } = require('../prompts/toneInstruction');
 
-class GPTService {
-    constructor() {
-        // Primary: OpenAI GPT-5 config
-        this.apiKey = process.env.OPENAI_API_KEY;
-        this.baseURL = 'https://api.openai.com/v1';
-        this.model = process.env.OPENAI_MODEL || 'gpt-5.1';
-        
-        // Insurance: Gemini fallback config
-        this.geminiApiKey = process.env.GOOGLE_AI_API_KEY;
-        this.geminiModel = process.env.GOOGLE_AI_MODEL || 'gemini-2.5-pro';
-        this.geminiBaseURL = 'https://generativelanguage.googleapis.com/v1beta';
-        
-        if (!this.apiKey) {
-            console.error('[ERROR] OPENAI_API_KEY not found in environment variables');
-        }
-        if (!this.geminiApiKey) {
-            console.error('[ERROR] GOOGLE_AI_API_KEY not found in environment variables');
-        }
-    }
+// Angles used to make variant drafts genuinely different (key is stored in message_logs.variant_angle)
+const VARIANT_ANGLES = [
+    { key: 'shared_background', instruction: 'Lead with something the sender and target have in common (shared employer, school, industry, location or skill).' },
+    { key: 'recent_role', instruction: "Lead with the target's current role, recent move or a specific responsibility they own." },
+    { key: 'achievement', instruction: 'Lead with a concrete achievement, award, project or publication from the target profile.' },
+    { key: 'company_context', instruction: "Lead with the target's company - its product, market or a challenge typical for their team." },
+    { key: 'value_first', instruction: "Lead with the specific value the sender's context offers the target, then tie it to one profile detail." }
+];
 
-    // Insurance fallback: Gemini API call method
-    async callGeminiAPI(systemPrompt, userPrompt) {
-        const combinedPrompt = `${systemPrompt}\n\n${userPrompt}`;
-        
-        const response = await axios.post(
-            `${this.geminiBaseURL}/models/${this.geminiModel}:generateContent`,
-            {
-                contents: [
-                    {
-                        parts: [
-                            {
-                                text: combinedPrompt
-                            }
-                        ]
-                    }
-                ],
-                generationConfig: {
-                    maxOutputTokens: 1000,
-                    temperature: 0.7
-                }
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-goog-api-key': this.geminiApiKey
-                },
-                timeout: 120000
-            }
-        );
-        
-        return response;
+const MAX_VARIANTS = VARIANT_ANGLES.length;
+
+// Goals for answering a target's reply ('auto' lets the model read the reply and pick)
+const REPLY_GOALS = {
+    auto: 'Read their reply and pick the right move: answer questions, handle objections, propose a meeting if they show interest, or close politely if they declined.',
+    book_meeting: 'Move the conversation to a short call or meeting and propose concrete time options.',
+    answer_objection: 'Address their concern or objection directly and honestly, then offer one low-friction next step.',
+    answer_question: 'Answer their question clearly and briefly, then offer one low-friction next step.',
+    close_politely: 'Thank them, accept their answer gracefully and leave the door open without pushing.'
+};
+
+class GPTService {
+    // Provider fallback chain (LLM_MESSAGE_CHAIN) - resolved per call so env changes apply without code edits
+    get fallbackChain() {
+        return getFallbackChain('LLM_MESSAGE_CHAIN');
     }
 
     // Build the complete prompt for LinkedIn message generation with debugging
-    buildPrompt(userProfile, targetProfile, context, messageType) {
+    // promptTemplate overrides the active template for the message type (see services/promptRegistry.js)
+    async buildPrompt(userProfile, targetProfile, context, messageType, promptTemplate = null) {
         console.log('[GPT] === BUILDING PROMPT FOR GPT-5 ===');
         console.log(`[GPT] Message Type: ${messageType}`);
         
@@ -106,185 +105,18 @@ class GPTService {
         console.log('[DEBUG] Target profile preview (first 200 chars):', targetProfileText.substring(0, 200) + '...');
         console.log('[DEBUG] Context preview (first 100 chars):', context?.substring(0, 100) + '...');
         
-        // Select prompt template based on message type
-        let systemPrompt;
-        
-        switch (messageType) {
-            case 'connection_request':
-                systemPrompt = `[MODE: CONNECTION_REQUEST]
-I send you:
-My LinkedIn profile (USER PROFILE)
-My Target's LinkedIn profile (TARGET PROFILE)
-The CONTEXT (business or conversational goal)
-Please build the most personalized LinkedIn connection request note.
-**Rules:**
-* Absolute maximum: **150 characters**.
-* Always start with: **"Hi [TARGET_FIRSTNAME],"**
-* Always end with sender's first name (e.g., "â€¦ Thanks, Ziv").
-* Must reference at least **1 detail from USER PROFILE** and **1 detail from TARGET PROFILE**.
-* You may use more than one detail from each profile if relevant and it improves personalization.
-* You may use details from the TARGET PROFILE "About" section **only if they are unique, personal, or add value**; skip generic/vague phrases.
-* Must end with a **clear CTA relevant to CONTEXT** (even short, like "Would love to connect").
-* Integrate CONTEXT naturally â€" frame it around the benefit or shared value for the target.
-* Keep tone **friendly, approachable, natural** (not salesy).
-* Language must be **English only, simple, natural, and human-like** (not formal, academic, or marketing-style).
-**Restrictions:**
-* Do **NOT** use emojis.
-* Do **NOT** use hashtags.
-* Do **NOT** use quotation marks unless quoting an exact profile title.
-* Do **NOT** use unusual punctuation (e.g., "!!!", "??", "--", "~~").
-* Do **NOT** use bullet points or lists.
-* Do **NOT** use line breaks â€" message must be one single line.
-* Do **NOT** generate multiple options â€" only one single message.
-* Do **NOT** exceed the character limit.
-* Do **NOT** output explanations, reasoning, or meta-text â€" only the message itself.
-* Do **NOT** use generic AI-sounding phrases.
-* Do **NOT** invent details â€" only use what exists in USER PROFILE, TARGET PROFILE, or CONTEXT.`;
-                break;
-                
-            case 'intro_request':
-                systemPrompt = `[MODE: INTRO_REQUEST]
-
-You are an AI LinkedIn Outreach Assistant.
-
-Inputs:
-1. USER PROFILE â€" sender's LinkedIn profile (experience, headline, skills, education, etc.)
-2. TARGET PROFILE â€" recipient's LinkedIn profile (experience, headline, skills, education, etc.)
-3. CONTEXT â€" the business or conversational goal.
-4. MUTUAL CONNECTION â€" the LinkedIn profile of the shared connection who could make the intro.
-
-Task:
-- Generate ONE LinkedIn intro request consisting of two short parts:
-  Part A: The message you would send to the mutual connection asking for an introduction. â‰¤150 characters.
-  Part B: The short message the mutual connection could forward to the target. â‰¤220 characters.
-- Combined total must never exceed 370 characters.
-
-Message rules:
-â€¢ Both parts must always start with: "Hi [FIRSTNAME],"
-â€¢ Part A must end with sender's first name AND include a call-to-action asking for the introduction (e.g., "Could you introduce us? Thanks, Ziv").
-â€¢ Part B must end with sender's first name AND include a call-to-action for connection (e.g., "Would love to connect. Thanks, Ziv").
-â€¢ Use at least 1 detail from USER PROFILE and 1 from TARGET PROFILE in Part B.
-â€¢ Integrate CONTEXT naturally; do not restate it literally.
-â€¢ Keep it friendly, professional, approachable â€" avoid email or sales tone.
-â€¢ No offers, links, or additional calls-to-action beyond the required ones.
-â€¢ Do not phrase Part A or Part B as a question (except for the CTAs).
-â€¢ Avoid generic phrases; avoid relying only on job titles or company names.
-â€¢ Avoid exaggerated adjectives.
-â€¢ No emojis, hashtags, line breaks, or special symbols.
-â€¢ If insufficient data â€" still produce polite, general LinkedIn-style messages within limits with required CTAs.
-â€¢ Output format:
-  Part A: [intro request to mutual connection]
-  Part B: [forwardable message to target]
-â€¢ Output only the two message texts â€" no explanations, no labels, no JSON.`;
-                break;
-
-            case 'cold_email':
-                systemPrompt = `[MODE: COLD_EMAIL]
-I send you:
-1. My LinkedIn profile (USER PROFILE)
-2. My Target's LinkedIn profile (TARGET PROFILE)
-3. The CONTEXT (business or conversational goal)
-Please build the most **personalized cold email**.
-**Rules:**
-* Character budget: **400-550 characters** (subject + body content only, excluding format labels).
-* ABSOLUTE MAXIMUM: **550 characters** - NEVER exceed this limit.
-* Optimize for brevity: Use only the characters needed for a complete, compelling message.
-* Aim for 400-500 characters for most cases.
-* Use 500-550 characters ONLY when additional context genuinely adds value.
-* A tight, effective 420-character email beats a padded 550-character one.
-* Include a short SUBJECT line — must be relevant to CONTEXT, interesting, natural, never salesy or spammy.
-* Email body must start with: **"Hi [TARGET_FIRSTNAME],"**
-* Email body must start with an **ICEBREAKER**: a friendly, natural fact from the TARGET PROFILE, recent activity, or a relevant topical comment. It must never feel pushy, rude, or offensive.
-* Output format must be:
-  Subject: [your subject line]
-  
-  Body: [your email body starting with "Hi [TARGET_FIRSTNAME],"]
-* Include one blank line between "Subject:" and "Body:" for clear separation.
-* The labels "Subject:" and "Body:" and the blank line are formatting only and do NOT count toward your 550-character budget.
-* Always begin with a natural ice-breaker line based on the target’s most recent and relevant context. It must feel authentic and specific, never generic like “Hope you’re well.”
-* If the target’s most recent role started within the last 3 months → congratulate naturally on the new role (e.g., “Congrats on your new role at [COMPANY]!”). The model may rephrase, but must keep it clear and friendly.
-* If they were recently promoted → acknowledge the promotion briefly and positively.
-* If they’ve been in their current role or company for multiple years → recognize the milestone naturally (e.g., “Impressive to see your [X]-year journey at [COMPANY]!”).
-* If their profile highlights a unique achievement (e.g., award, major project, publication) → you may open by mentioning it, but keep it concise and personal.
-* If their “About” section includes a clear personal passion or interest (only if unique and specific, not generic) → you may use it for a warm, authentic opening.
-* Must reference at least **1 detail from USER PROFILE** and **1 detail from TARGET PROFILE**.
-* You may use more than one detail from each profile if relevant and it improves personalization.
-* Must end with sender's first name (e.g., "... Thanks, Ziv").
-* Must end with a **clear CTA relevant to CONTEXT** (e.g., suggest a quick call, invite to try the tool, offer to send more info). The CTA must always be explicit and unambiguous — clearly telling the target what to do next.
-* Integrate CONTEXT naturally — frame it around the benefit or shared value for the target.
-* Focus mainly on the TARGET PROFILE — not the sender.
-* Highlight relevant common ground if it exists; skip it if not useful.
-* Even within the character limit, all sentences must remain clear and complete. Do not cut words or leave unfinished phrases; avoid shorthand that could confuse the reader.
-* **Language must be English only, simple, natural, and human-like (not formal, academic, or marketing-style).**
-**Restrictions:**
-* Do **NOT** use emojis.
-* Do **NOT** use hashtags.
-* Do **NOT** use quotation marks unless quoting an exact profile title.
-* Do **NOT** use unusual punctuation (e.g., "!!!", "??", "--", "~~").
-* Do **NOT** use bullet points or lists.
-* Do **NOT** use line breaks — email must be a single compact block (subject + body).
-* Do **NOT** generate multiple options — only one single cold email.
-* Do **NOT** exceed the character limit.
-* Do **NOT** output explanations, reasoning, or meta-text — only the cold email itself.
-* Do **NOT** use generic AI-sounding phrases.
-* Do **NOT** invent details — only use what exists in USER PROFILE, TARGET PROFILE, or CONTEXT.`;
-                break;
-                
-            default: // 'inbox_message'
-                systemPrompt = `[MODE: INBOX_MESSAGE]
-I send you:
-1. My LinkedIn profile (USER PROFILE)
-2. My Target's LinkedIn profile (TARGET PROFILE)
-3. The CONTEXT (business or conversational goal)
-Please build the most **personalized LinkedIn inbox message**.
-**Rules:**
-* Character budget: **170-270 characters**.
-* ABSOLUTE MAXIMUM: **270 characters** - NEVER exceed this limit.
-* Optimize for brevity: Use only the characters needed for a complete, compelling message.
-* Aim for 200-250 characters for most cases.
-* Use 250-270 characters ONLY when additional context genuinely adds value.
-* A tight, effective 200-character message beats a padded 270-character one.
-* Always start with: **"Hi [TARGET_FIRSTNAME],"**
-* Always end with sender's first name (e.g., "... Thanks, Ziv").
-* Must reference at least **1 detail from USER PROFILE** and **1 detail from TARGET PROFILE**.
-* You may use **more than one detail** from each profile if relevant and it improves personalization.
-* Always begin with a natural ice-breaker line based on the target’s most recent and relevant context. It must feel authentic and specific, never generic like “Hope you’re well.”
-* If the target’s most recent role started within the last 3 months → congratulate naturally on the new role (e.g., “Congrats on your new role at [COMPANY]!”). The model may rephrase, but must keep it clear and friendly.
-* If they were recently promoted → acknowledge the promotion briefly and positively.
-* If they’ve been in their current role or company for multiple years → recognize the milestone naturally (e.g., “Impressive to see your [X]-year journey at [COMPANY]!”).
-* If their profile highlights a unique achievement (e.g., award, major project, publication) → you may open by mentioning it, but keep it concise and personal.
-* If their “About” section includes a clear personal passion or interest (only if unique and specific, not generic) → you may use it for a warm, authentic opening.
-* Must end with a **clear CTA relevant to CONTEXT** (e.g., ask a question, invite to connect, suggest a quick chat).
-* The CTA must always be explicit and unambiguous — clearly telling the target what to do next (e.g., try the tool via link, connect, schedule a chat, or share feedback).
-* Integrate CONTEXT naturally — frame it around the benefit or shared value for the target.
-* Focus mainly on the TARGET PROFILE — not the sender.
-* Highlight relevant common ground if it exists; skip it if not useful.
-* Even within the character limit, all sentences must remain clear and complete. Do not cut words or leave unfinished phrases; avoid shorthand that could confuse the reader.
-* **Language must be English only, simple, natural, and human-like (not formal, academic, or marketing-style).**
-**Restrictions:**
-* Do **NOT** use emojis.
-* Do **NOT** use hashtags.
-* Do **NOT** use quotation marks unless quoting an exact profile title.
-* Do **NOT** use unusual punctuation (e.g., "!!!", "??", "--", "~~").
-* Do **NOT** use bullet points or lists.
-* Do **NOT** use line breaks — message must be one single line.
-* Do **NOT** generate multiple options — only one single message.
-* Do **NOT** exceed the character limit.
-* Do **NOT** output explanations, reasoning, or meta-text — only the message itself.
-* Do **NOT** use generic AI-sounding phrases.
-* Do **NOT** invent details — only use what exists in USER PROFILE, TARGET PROFILE, or CONTEXT.`;
-        }
+        // Active versioned template for this message type (prompt_templates, built-in prompts/ as fallback)
+        // or an A/B arm when a prompt experiment is running for the type
+        const template = promptTemplate || await promptRegistry.selectTemplate(messageType);
+        console.log(`[GPT] Prompt template: ${template.messageType}/${template.version}${template.id ? ` (id ${template.id})` : ' (built-in)'}${template.experimentId ? ` - experiment ${template.experimentId} arm ${template.experimentArm}` : ''}`);
 
-        const userPrompt = `USER PROFILE:
-${userProfileText}
-
-TARGET PROFILE:
-${targetProfileText}
-
-CONTEXT:
-${context}
-
-Generate the ${messageType === 'connection_request' ? 'connection request' : messageType === 'intro_request' ? 'intro request' : messageType === 'cold_email' ? 'cold email' : 'LinkedIn inbox message'} now:`;
+        const placeholderValues = {
+            user_profile: userProfileText,
+            target_profile: targetProfileText,
+            context: context
+        };
+        const systemPrompt = promptRegistry.render(template.systemPrompt, placeholderValues);
+        const userPrompt = promptRegistry.render(template.userPrompt, placeholderValues);
 
         console.log('[DEBUG] Final system prompt length:', systemPrompt.length);
         console.log('[DEBUG] Final user prompt length:', userPrompt.length);
@@ -292,7 +124,8 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
 
         return {
             systemPrompt,
-            userPrompt
+            userPrompt,
+            template
         };
     }
 
@@ -779,14 +612,14 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
         }
     }
 
-    // Main function to generate LinkedIn message with comprehensive debugging + Gemini insurance
-    async generateLinkedInMessage(userProfile, targetProfile, context, messageType = 'inbox_message') {
+    // Main function to generate LinkedIn message with comprehensive debugging + provider chain insurance
+    // options.onToken switches to streaming mode; options.signal aborts the provider call (client disconnect)
+    async generateLinkedInMessage(userProfile, targetProfile, context, messageType = 'inbox_message', options = {}) {
         const startTime = Date.now();
         
         try {
             console.log('[GPT] === STARTING MESSAGE GENERATION ===');
-            console.log(`[GPT] Primary model: ${this.model}`);
-            console.log(`[GPT] Insurance model: ${this.geminiModel}`);
+            console.log('[GPT] Provider chain:', this.fallbackChain.map(step => step.model ? `${step.provider}:${step.model}` : step.provider).join(' -> '));
             console.log(`[GPT] Message type: ${messageType}`);
             
             // COMPREHENSIVE DEBUGGING - Check all 3 data points
@@ -808,103 +641,104 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
             console.log('[DEBUG]    - Context length:', context?.length || 0);
             console.log('[DEBUG]    - Context type:', typeof context);
             
-            if (!this.apiKey) {
-                throw new Error('OpenAI API key not configured');
-            }
-
             // Build the prompt with debugging
-            const { systemPrompt, userPrompt } = this.buildPrompt(userProfile, targetProfile, context, messageType);
+            const prompt = await this.buildPrompt(userProfile, targetProfile, context, messageType, options.promptTemplate);
+            const systemPrompt = prompt.systemPrompt;
+            // Output language - explicit, or detected from the target profile (resolved by the caller for replies)
+            const language = options.resolvedLanguage || this.resolveGenerationLanguage(options.language, targetProfile);
+            console.log(`[GPT] Language: ${language.code} (${language.source})`);
+
+            const promptSections = [prompt.userPrompt];
+            if (language.code !== DEFAULT_LANGUAGE) promptSections.push(buildLanguageInstruction(language.code, messageType));
+            // Tone preset - from the request, else the user's saved default
+            const tone = resolveTone(options.tone, userProfile?.tone_preset);
+            const writingSample = (userProfile?.writing_sample || '').trim();
+            console.log(`[GPT] Tone: ${tone.key} (${tone.source})${writingSample ? ' + writing sample' : ''}`);
+            if (tone.key !== DEFAULT_TONE) promptSections.push(buildToneInstruction(tone.key));
+            if (writingSample) promptSections.push(buildWritingSampleSection(writingSample));
+            if (options.variant) promptSections.push(this.buildVariantInstruction(options.variant));
+            if (options.sequence) promptSections.push(this.buildSequenceInstruction(options.sequence));
+            if (options.conversation) promptSections.push(this.buildConversationSection(options.conversation));
+            if (options.post) promptSections.push(this.buildPostSection(options.post));
+            if (options.event) promptSections.push(this.buildEventSection(options.event));
+            const userPrompt = promptSections.join('\n\n');
             
-            console.log('[GPT] === CALLING PRIMARY API (GPT-5) ===');
+            console.log('[GPT] === CALLING LLM PROVIDER CHAIN ===');
             console.log('[GPT] Final request details:');
             console.log('[GPT] - System prompt length:', systemPrompt.length);
             console.log('[GPT] - User prompt length:', userPrompt.length);
             console.log('[GPT] - Total input length:', systemPrompt.length + userPrompt.length);
             
-            // Insurance policy: Try GPT-5 first, fallback to Gemini if needed
-            let response;
-            let modelUsed = this.model;
-            let fallbackTriggered = false;
-            let primaryError = null;
-            
-            try {
-                // PRIMARY: Try GPT-5 first
-                response = await axios.post(`${this.baseURL}/chat/completions`, {
-                    model: this.model,
-                    messages: [
-                        {
-                            role: "system",
-                            content: systemPrompt
-                        },
-                        {
-                            role: "user", 
-                            content: userPrompt
-                        }
-                    ]
-                }, {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 120000 // 2 minutes timeout for GPT-5
-                });
-                
-                console.log('[SUCCESS] GPT-5 API call successful');
-                
-            } catch (error) {
-                console.log('[WARNING] GPT-5 failed, activating Gemini insurance...');
-                console.log('[WARNING] GPT-5 error:', error.message);
-                primaryError = error.message;
-                fallbackTriggered = true;
-                
+            // Provider chain handles primary call + insurance fallbacks (see config/llm.js)
+            const llmRequest = {
+                systemPrompt,
+                userPrompt,
+                chain: this.fallbackChain
+            };
+            let llmResult = options.onToken
+                ? await llmService.stream(llmRequest, { onToken: options.onToken, signal: options.signal })
+                : await llmService.generate(llmRequest);
+
+            // Deterministic rule check - repair in code where possible, otherwise regenerate with the violations listed
+            const ruleNames = this.getRuleNames(userProfile, targetProfile);
+            let enforced = messageValidator.enforce(llmResult.text, messageType, ruleNames, language.code);
+            const validationAttempts = [this.summarizeValidation(1, enforced)];
+            const tokenUsage = { ...llmResult.tokenUsage };
+
+            // Streamed tokens are already on the client's screen - streaming only gets the code repairs
+            const maxRetries = options.onToken ? 0 : getValidationRetries();
+            while (!enforced.valid && validationAttempts.length <= maxRetries) {
+                console.log(`[VALIDATOR] Rules failed (${enforced.failures.map(failure => failure.rule).join(', ')}) - regenerating (retry ${validationAttempts.length}/${maxRetries})`);
+
+                let retryResult;
                 try {
-                    // INSURANCE: Fallback to Gemini 2.5 Pro
-                    console.log('[GEMINI] Calling Gemini API as fallback...');
-                    response = await this.callGeminiAPI(systemPrompt, userPrompt);
-                    modelUsed = this.geminiModel;
-                    console.log('[SUCCESS] Gemini insurance fallback successful');
-                    
-                } catch (geminiError) {
-                    console.error('[ERROR] Both GPT-5 and Gemini failed');
-                    console.error('[ERROR] Gemini error:', geminiError.message);
-                    throw new Error(`Primary (${this.model}): ${error.message} | Insurance (${this.geminiModel}): ${geminiError.message}`);
+                    retryResult = await llmService.generate({
+                        ...llmRequest,
+                        userPrompt: [userPrompt, messageValidator.buildRetryInstruction(enforced.failures, enforced.message)].join('\n\n')
+                    });
+                } catch (retryError) {
+                    console.error('[VALIDATOR] Regeneration failed, keeping previous draft:', retryError.message);
+                    break;
                 }
-            }
 
-            const endTime = Date.now();
-            const latencyMs = endTime - startTime;
+                tokenUsage.input_tokens = (tokenUsage.input_tokens || 0) + (retryResult.tokenUsage.input_tokens || 0);
+                tokenUsage.output_tokens = (tokenUsage.output_tokens || 0) + (retryResult.tokenUsage.output_tokens || 0);
+                tokenUsage.total_tokens = (tokenUsage.total_tokens || 0) + (retryResult.tokenUsage.total_tokens || 0);
 
-            // Extract message based on model used
-            let generatedMessage;
-            let tokenUsage;
-            
-            if (modelUsed.includes('gemini')) {
-                // Gemini response structure
-                console.log('[DEBUG] Processing Gemini response structure');
-                generatedMessage = response.data.candidates[0].content.parts[0].text.trim();
-                tokenUsage = {
-                    input_tokens: response.data.usageMetadata?.promptTokenCount || 0,
-                    output_tokens: response.data.usageMetadata?.candidatesTokenCount || 0,
-                    total_tokens: response.data.usageMetadata?.totalTokenCount || 0
-                };
-            } else {
-                // OpenAI response structure
-                console.log('[DEBUG] Processing OpenAI response structure');
-                generatedMessage = response.data.choices[0].message.content.trim();
-                tokenUsage = {
-                    input_tokens: response.data.usage.prompt_tokens,
-                    output_tokens: response.data.usage.completion_tokens,
-                    total_tokens: response.data.usage.total_tokens
-                };
+                const retryEnforced = messageValidator.enforce(retryResult.text, messageType, ruleNames, language.code);
+                validationAttempts.push(this.summarizeValidation(validationAttempts.length + 1, retryEnforced));
+
+                // Keep the earlier draft if the regeneration broke more rules
+                if (retryEnforced.failures.length <= enforced.failures.length) {
+                    enforced = retryEnforced;
+                    llmResult = retryResult;
+                }
             }
 
+            const validation = {
+                valid: enforced.valid,
+                failedRules: enforced.failures.map(failure => failure.rule),
+                failures: enforced.failures,
+                initialFailedRules: validationAttempts[0].failedRules,
+                repairedRules: enforced.repairedRules,
+                retries: validationAttempts.length - 1,
+                attempts: validationAttempts
+            };
+            console.log(`[VALIDATOR] ${validation.valid ? '✅ All rules passed' : `❌ Still failing: ${validation.failedRules.join(', ')}`} (first draft: ${validation.initialFailedRules.join(', ') || 'clean'}, retries: ${validation.retries})`);
+
+            const modelUsed = llmResult.model;
+            const fallbackTriggered = llmResult.fallbackTriggered;
+            const primaryError = llmResult.primaryError;
+            const generatedMessage = enforced.message;
+            const latencyMs = Date.now() - startTime;
+
             console.log('[SUCCESS] === MESSAGE GENERATION SUCCESSFUL ===');
             console.log(`[GPT] Model used: ${modelUsed}${fallbackTriggered ? ' (ðŸ›¡ï¸ INSURANCE ACTIVATED)' : ''}`);
             console.log(`[GPT] Latency: ${latencyMs}ms`);
             console.log(`[GPT] Token usage: ${tokenUsage.input_tokens} input, ${tokenUsage.output_tokens} output, ${tokenUsage.total_tokens} total`);
             console.log(`[GPT] Generated message: "${generatedMessage}"`);
             console.log(`[GPT] Message length: ${generatedMessage.length} characters`);
-            console.log(`[GPT] Message within limit: ${generatedMessage.length <= (messageType === 'connection_request' ? 150 : messageType === 'intro_request' ? 370 : messageType === 'cold_email' ? 550 : 270) ? '✅' : '❌'}`);
+            console.log(`[GPT] Message within limit: ${validation.failedRules.includes('max_length') ? '❌' : '✅'} (max ${getMessageRules(messageType, language.code).maxLength} for ${language.code})`);
 
             // Extract target metadata
             const targetMetadata = this.extractTargetMetadata(targetProfile);
@@ -923,23 +757,38 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
             return {
                 success: true,
                 message: generatedMessage,
+                ...(messageType === 'intro_request' ? this.parseIntroParts(generatedMessage) : {}),
+                ...(messageType === 'inmail' ? this.parseSubjectBody(generatedMessage) : {}),
                 tokenUsage: tokenUsage,
+                validation: validation,
                 metadata: {
                     model_name: modelUsed,
-                    primary_model: this.model,
+                    primary_model: llmResult.primaryModel,
+                    provider: llmResult.provider,
                     fallback_triggered: fallbackTriggered,
                     primary_error: primaryError,
-                    prompt_version: messageType === 'connection_request' ? 'connection_request_v3_sender_name_full_data' : messageType === 'cold_email' ? 'cold_email_v2_dynamic_400_550_with_format' : 'inbox_message_v5_dynamic_170_270',
+                    prompt_version: prompt.template.version,
+                    prompt_template_id: prompt.template.id,
+                    prompt_experiment_id: prompt.template.experimentId || null,
+                    prompt_experiment_arm: prompt.template.experimentArm || null,
+                    language: language.code,
+                    language_source: language.source,
+                    tone: tone.key,
+                    tone_source: tone.source,
+                    writing_sample_used: Boolean(writingSample),
                     latency_ms: latencyMs,
                     ...targetMetadata
                 },
                 rawResponse: {
-                    id: modelUsed.includes('gemini') ? 'gemini-generated-' + Date.now() : response.data.id,
-                    object: modelUsed.includes('gemini') ? 'gemini.generation' : response.data.object,
-                    created: modelUsed.includes('gemini') ? Math.floor(Date.now() / 1000) : response.data.created,
+                    id: llmResult.requestId || `${llmResult.provider}-generated-${Date.now()}`,
+                    object: `${llmResult.provider}.generation`,
+                    created: Math.floor(Date.now() / 1000),
                     model: modelUsed,
-                    choices: modelUsed.includes('gemini') ? [{message: {content: generatedMessage}}] : response.data.choices,
-                    usage: tokenUsage
+                    provider: llmResult.provider,
+                    choices: [{ message: { content: generatedMessage } }],
+                    attempts: llmResult.attempts,
+                    usage: tokenUsage,
+                    validation: validation
                 }
             };
 
@@ -957,6 +806,7 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
 
             return {
                 success: false,
+                aborted: error.code === 'ABORTED',
                 error: error.message,
                 errorCode: error.response?.status || 'unknown',
                 latencyMs: latencyMs,
@@ -966,13 +816,13 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
     }
 
     // COMPLETED: Connection Request Generation (follows exact same pattern as LinkedIn message)
-    async generateLinkedInConnection(userProfile, targetProfile, context) {
+    async generateLinkedInConnection(userProfile, targetProfile, context, options = {}) {
         console.log('[GPT] === STARTING CONNECTION REQUEST GENERATION ===');
-        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'connection_request');
+        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'connection_request', options);
     }
 
     // NEW: Intro Request Generation (follows exact same pattern as LinkedIn message)
-    async generateIntroRequest(userProfile, targetProfile, context, mutualConnectionName = null) {
+    async generateIntroRequest(userProfile, targetProfile, context, mutualConnectionName = null, options = {}) {
         console.log('[GPT] === STARTING INTRO REQUEST GENERATION ===');
         console.log(`[GPT] Mutual connection: ${mutualConnectionName || 'Unknown'}`);
         
@@ -981,13 +831,251 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
             `${context} [Mutual connection: ${mutualConnectionName}]` : 
             context;
         
-        return await this.generateLinkedInMessage(userProfile, targetProfile, enhancedContext, 'intro_request');
+        return await this.generateLinkedInMessage(userProfile, targetProfile, enhancedContext, 'intro_request', options);
+    }
+
+    // 🌍 Target profile fields used for language auto-detection
+    getLanguageSignals(targetProfile) {
+        if (!targetProfile || !targetProfile.data_json) {
+            return {};
+        }
+
+        try {
+            const profile = typeof targetProfile.data_json === 'string' ? JSON.parse(targetProfile.data_json) : targetProfile.data_json;
+            const dataSection = profile.data || profile;
+            const profileInfo = dataSection.profile || profile.profile || dataSection;
+            return {
+                about: profileInfo.about || profileInfo.summary || '',
+                location: profileInfo.location || '',
+                countryCode: profileInfo.countryCode || profileInfo.country_code || ''
+            };
+        } catch (error) {
+            console.log('[GPT] Could not read language signals from target profile:', error.message);
+            return {};
+        }
+    }
+
+    // Resolve options.language ('auto' / code) - unsupported codes fall back to auto-detection
+    resolveGenerationLanguage(requested, targetProfile) {
+        const resolved = resolveLanguage(requested, this.getLanguageSignals(targetProfile));
+        if (resolved.error) {
+            console.log(`[GPT] ${resolved.error} - auto-detecting instead`);
+            return resolveLanguage('auto', this.getLanguageSignals(targetProfile));
+        }
+        return resolved;
+    }
+
+    // Names the validator checks greetings / sign-offs against
+    getRuleNames(userProfile, targetProfile) {
+        return {
+            targetFirstName: this.extractTargetMetadata(targetProfile).target_first_name,
+            senderFirstName: userProfile?.full_name || null
+        };
+    }
+
+    // Compact per-attempt record stored in data_json.validation.attempts
+    summarizeValidation(attempt, enforced) {
+        return {
+            attempt,
+            valid: enforced.valid,
+            failedRules: enforced.initialFailures.map(failure => failure.rule),
+            repairedRules: enforced.repairedRules
+        };
+    }
+
+    // Split "Part A: ... / Part B: ..." intro output into its two messages
+    parseIntroParts(text) {
+        const match = (text || '').match(/Part A:\s*([\s\S]*?)\s*Part B:\s*([\s\S]*)$/i);
+        if (!match) {
+            return { partA: '', partB: (text || '').trim() };
+        }
+        return { partA: match[1].trim(), partB: match[2].trim() };
+    }
+
+    // Split "Subject: ... / Body: ..." output (InMail) into its two fields
+    parseSubjectBody(text) {
+        const match = (text || '').match(/^Subject:[ \t]*(.+?)[ \t]*\n\s*Body:\s*([\s\S]+)$/i);
+        if (!match) {
+            return { subject: '', body: (text || '').trim() };
+        }
+        return { subject: match[1].trim(), body: match[2].trim() };
     }
 
     // NEW: Cold Email Generation (follows exact same pattern as LinkedIn message)
-    async generateColdEmail(userProfile, targetProfile, context) {
+    async generateColdEmail(userProfile, targetProfile, context, options = {}) {
         console.log('[GPT] === STARTING COLD EMAIL GENERATION ===');
-        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'cold_email');
+        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'cold_email', options);
+    }
+
+    // ✉️ NEW: LinkedIn InMail (Subject/Body, longer than an inbox message)
+    async generateInMail(userProfile, targetProfile, context, options = {}) {
+        console.log('[GPT] === STARTING INMAIL GENERATION ===');
+        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'inmail', options);
+    }
+
+    // ✉️ NEW: Comment on one of the target's posts (post from getTargetPosts)
+    async generatePostComment(userProfile, targetProfile, context, post, options = {}) {
+        console.log('[GPT] === STARTING POST COMMENT GENERATION ===');
+        console.log(`[GPT] Post #${post.index} (${post.content.length} chars)`);
+        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'post_comment', { ...options, post });
+    }
+
+    // ✉️ NEW: Follow-up after a meeting or event - event: { name, date, notes }
+    async generateEventFollowUp(userProfile, targetProfile, context, event, options = {}) {
+        console.log('[GPT] === STARTING EVENT FOLLOW-UP GENERATION ===');
+        console.log(`[GPT] Event: ${event.name}${event.date ? ` (${event.date})` : ''}`);
+        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'event_followup', { ...options, event });
+    }
+
+    // Posts from the target profile's activity array, most recent first (as scraped) - only entries with text
+    getTargetPosts(targetProfile) {
+        if (!targetProfile || !targetProfile.data_json) {
+            return [];
+        }
+
+        try {
+            const profile = typeof targetProfile.data_json === 'string' ? JSON.parse(targetProfile.data_json) : targetProfile.data_json;
+            const dataSection = profile.data || profile;
+            const profileInfo = dataSection.profile || profile.profile || dataSection;
+            const activity = dataSection.activity || profileInfo.activity || [];
+            if (!Array.isArray(activity)) return [];
+
+            return activity
+                .map((act, index) => ({
+                    index,
+                    type: act.type || act.interaction || null,
+                    content: (act.content || act.text || act.description || act.title || '').trim(),
+                    date: act.date || act.posted || act.time || null,
+                    url: act.link || act.url || null
+                }))
+                .filter(post => post.content);
+        } catch (error) {
+            console.log('[GPT] Could not read posts from target profile:', error.message);
+            return [];
+        }
+    }
+
+    // POST section for post_comment - the one post the comment answers
+    buildPostSection(post) {
+        return `POST (${post.type || 'post'}${post.date ? `, ${post.date}` : ''}):
+"${post.content}"
+Comment on this post only - other activity in the TARGET PROFILE is background.`;
+    }
+
+    // EVENT section for event_followup - where the sender and target met
+    buildEventSection(event) {
+        const lines = [`Name: ${event.name}`];
+        if (event.date) lines.push(`Date: ${event.date}`);
+        if (event.notes) lines.push(`Notes from our conversation: ${event.notes}`);
+        return `EVENT:
+${lines.join('\n')}`;
+    }
+
+    // Extra prompt section that steers one variant draft towards its angle
+    buildVariantInstruction(variant) {
+        return `VARIANT ANGLE (draft ${variant.index + 1} of ${variant.total}):
+${variant.angle.instruction}
+Other drafts cover the other angles, so build this one around its own angle and its own profile details.`;
+    }
+
+    // Extra prompt section that places one sequence step after the touches already written
+    buildSequenceInstruction(sequence) {
+        const previous = sequence.previousSteps.length > 0
+            ? sequence.previousSteps.map(step => `- Day ${step.dayOffset} (${step.label}): "${step.message}"`).join('\n')
+            : '- None, this is the first touch.';
+
+        return `SEQUENCE CONTEXT (step ${sequence.stepNumber} of ${sequence.totalSteps}, day ${sequence.dayOffset} - ${sequence.label}):
+This message is one touch in a multi-step sequence to the same person. Earlier touches:
+${previous}
+${sequence.guidance}
+Keep the same sender voice and reason for reaching out as the earlier touches, but do not repeat their opener, wording or profile details.`;
+    }
+
+    // Conversation section for reply_response - the original touch, their reply and the goal
+    buildConversationSection(conversation) {
+        const goal = REPLY_GOALS[conversation.goal] || REPLY_GOALS.auto;
+        const availability = conversation.availability
+            ? `\n\nMY AVAILABILITY:\n${conversation.availability}`
+            : '';
+
+        return `CONVERSATION SO FAR:
+ME (original ${conversation.originalChannel || 'message'}): "${conversation.originalMessage}"
+THEM (reply): "${conversation.replyText}"
+
+RESPONSE GOAL:
+${goal}${availability}`;
+    }
+
+    // 💬 NEW: Response to a target's reply (uses the stored profile + original context)
+    // conversation: { originalMessage, originalChannel, replyText, goal, availability }
+    async generateReplyResponse(userProfile, targetProfile, context, conversation, options = {}) {
+        console.log('[GPT] === STARTING REPLY RESPONSE GENERATION ===');
+        console.log(`[GPT] Reply goal: ${conversation.goal || 'auto'}`);
+
+        // Answer in the language they replied in - falls back to the target profile when the reply is too short to tell
+        const replyLanguage = resolveLanguage(options.language, { about: conversation.replyText });
+        const resolvedLanguage = replyLanguage.source === 'default'
+            ? this.resolveGenerationLanguage(options.language, targetProfile)
+            : { ...replyLanguage, source: replyLanguage.source === 'about' ? 'reply' : replyLanguage.source };
+
+        return await this.generateLinkedInMessage(userProfile, targetProfile, context, 'reply_response', { ...options, conversation, resolvedLanguage });
+    }
+
+    // 🔗 NEW: Generate a cadence step by step (sequential - every step is written knowing the previous ones)
+    // steps: [{ type, messageType, label, guidance, dayOffset }] - stops at the first failed step
+    async generateSequence(userProfile, targetProfile, context, steps, options = {}) {
+        console.log(`[GPT] === STARTING ${steps.length}-STEP SEQUENCE GENERATION ===`);
+        const results = [];
+
+        for (let index = 0; index < steps.length; index++) {
+            const step = steps[index];
+            const result = await this.generateLinkedInMessage(userProfile, targetProfile, context, step.messageType, {
+                ...options,
+                sequence: {
+                    stepNumber: index + 1,
+                    totalSteps: steps.length,
+                    dayOffset: step.dayOffset,
+                    label: step.label,
+                    guidance: step.guidance,
+                    previousSteps: results.map((previous, previousIndex) => ({
+                        dayOffset: steps[previousIndex].dayOffset,
+                        label: steps[previousIndex].label,
+                        message: previous.message
+                    }))
+                }
+            });
+
+            if (!result.success) {
+                console.error(`[GPT] Sequence step ${index + 1} (${step.label}) failed: ${result.error}`);
+                return { success: false, failedStep: index + 1, error: result.error, userMessage: result.userMessage, steps: results };
+            }
+
+            results.push(result);
+        }
+
+        return { success: true, steps: results };
+    }
+
+    // 🔀 NEW: Generate N distinct drafts in parallel (one provider call per angle)
+    async generateVariants(userProfile, targetProfile, context, messageType = 'inbox_message', count = 2, options = {}) {
+        const total = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_VARIANTS);
+        console.log(`[GPT] === STARTING ${total} VARIANT GENERATION (${messageType}) ===`);
+
+        // All drafts of one generation share a prompt version (one A/B arm per generation, not per draft)
+        const promptTemplate = await promptRegistry.selectTemplate(messageType);
+
+        const results = await Promise.all(
+            VARIANT_ANGLES.slice(0, total).map((angle, index) =>
+                this.generateLinkedInMessage(userProfile, targetProfile, context, messageType, {
+                    ...options,
+                    variant: { index, total, angle },
+                    promptTemplate
+                }).then(result => ({ ...result, variantIndex: index, variantAngle: angle.key }))
+            )
+        );
+
+        console.log(`[GPT] Variants generated: ${results.filter(r => r.success).length}/${total}`);
+        return results;
     }
 
     // Convert API errors to user-friendly messages
@@ -1022,3 +1110,6 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
 
 // Export singleton instance
 module.exports = new GPTService();
+module.exports.VARIANT_ANGLES = VARIANT_ANGLES;
+module.exports.MAX_VARIANTS = MAX_VARIANTS;
+module.exports.REPLY_GOALS = REPLY_GOALS;
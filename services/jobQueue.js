@@ -0,0 +1,368 @@
+// services/jobQueue.js - Durable background jobs in Postgres (jobs table)
+// Work that used to run inline in HTTP requests (BrightData polling, email search + verification, Gemini
+// analysis, bulk campaigns) is enqueued here and picked up by workers in any server process.
+//   - Claiming uses FOR UPDATE SKIP LOCKED, so several processes can share the queue.
+//   - A claimed job is invisible until locked_until (visibility timeout); heartbeats renew the lock while the
+//     handler runs. If the process dies the lock expires and another worker retries the job.
+//   - A handler that throws is retried with exponential backoff until max_attempts (config/jobs.js).
+//     Throw jobQueue.permanentError(message) for failures a retry cannot fix.
+//   - onFailed(job, error) runs once when a job fails for good or is cancelled (e.g. to release a credit hold).
+
+const os = require('os');
+const crypto = require('crypto');
+const { pool } = require('../utils/database');
+const {
+    ACTIVE_JOB_STATUSES,
+    getJobQueueSettings,
+    getJobTypeConfig
+} = require('../config/jobs');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JobQueue {
+    constructor() {
+        // jobType -> { run(job), onFailed(job, error) }
+        this.handlers = new Map();
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.running = false;
+        this.activeJobs = 0;
+        this.pollTimer = null;
+    }
+
+    /**
+     * Register the handler of a job type (config/jobs.js)
+     * @param {string} jobType
+     * @param {object} handler - { run: async (job) => result, onFailed: async (job, error) => {} }
+     */
+    registerHandler(jobType, handler) {
+        if (!getJobTypeConfig(jobType)) {
+            throw new Error(`Unknown job type: ${jobType}`);
+        }
+        this.handlers.set(jobType, handler);
+    }
+
+    // Error that fails the job without further retries
+    permanentError(message) {
+        const error = new Error(message);
+        error.permanent = true;
+        return error;
+    }
+
+    /**
+     * Add a job to the queue
+     * With a dedupeKey, an active (queued/running) job with the same key is returned instead of a new one.
+     * @param {object} options - { userId, dedupeKey, runAt, client } - client: enqueue inside the caller's transaction
+     * @returns {Promise<object>} - { job, created }
+     */
+    async enqueue(jobType, payload = {}, { userId = null, dedupeKey = null, runAt = null, client = null } = {}) {
+        const config = getJobTypeConfig(jobType);
+        if (!config) {
+            throw new Error(`Unknown job type: ${jobType}`);
+        }
+
+        const db = client || pool;
+        const result = await db.query(`
+            INSERT INTO jobs (user_id, job_type, payload, dedupe_key, max_attempts, run_at)
+            VALUES ($1, $2, $3, $4::VARCHAR, $5, COALESCE($6::TIMESTAMP, NOW()))
+            ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running')
+            DO NOTHING
+            RETURNING *
+        `, [userId, jobType, JSON.stringify(payload), dedupeKey, config.maxAttempts, runAt]);
+
+        if (result.rows.length > 0) {
+            console.log(`[JOBS] Enqueued ${jobType} job ${result.rows[0].id}${dedupeKey ? ` (${dedupeKey})` : ''}`);
+            return { job: result.rows[0], created: true };
+        }
+
+        const existing = await this.findActiveJob(dedupeKey, db);
+        console.log(`[JOBS] ${jobType} already queued as job ${existing?.id} (${dedupeKey})`);
+        return { job: existing, created: false };
+    }
+
+    async findActiveJob(dedupeKey, db = pool) {
+        const result = await db.query(`
+            SELECT * FROM jobs WHERE dedupe_key = $1 AND status = ANY($2::VARCHAR[])
+        `, [dedupeKey, ACTIVE_JOB_STATUSES]);
+        return result.rows[0] || null;
+    }
+
+    // Start polling for jobs (no-op when JOB_WORKERS_ENABLED=false)
+    start() {
+        const settings = getJobQueueSettings();
+        if (!settings.enabled) {
+            console.log('[JOBS] Workers disabled (JOB_WORKERS_ENABLED=false) - jobs are only enqueued');
+            return;
+        }
+        if (this.running) return;
+
+        this.running = true;
+        console.log(`[JOBS] Worker ${this.workerId} started: ${settings.concurrency} slots, types: ${[...this.handlers.keys()].join(', ')}`);
+        this.schedulePoll(0);
+    }
+
+    // Stop claiming new jobs - jobs in progress finish, or are retried elsewhere once their lock expires
+    stop() {
+        this.running = false;
+        clearTimeout(this.pollTimer);
+    }
+
+    schedulePoll(delayMs) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.poll(), delayMs);
+    }
+
+    async poll() {
+        if (!this.running) return;
+        const settings = getJobQueueSettings();
+
+        try {
+            await this.failAbandonedJobs();
+
+            while (this.running && this.activeJobs < settings.concurrency) {
+                const job = await this.claimNextJob();
+                if (!job) break;
+
+                this.activeJobs++;
+                this.processJob(job).finally(() => {
+                    this.activeJobs--;
+                    // A slot freed up - look for more work right away
+                    if (this.running) this.schedulePoll(0);
+                });
+            }
+        } catch (error) {
+            console.error('[JOBS] Poll error:', error.message);
+        }
+
+        if (this.running) {
+            this.schedulePoll(settings.pollIntervalMs);
+        }
+    }
+
+    // Visibility timeout per type as JSON for the claim query
+    getVisibilityTimeouts() {
+        const timeouts = {};
+        for (const jobType of this.handlers.keys()) {
+            timeouts[jobType] = getJobTypeConfig(jobType).visibilityTimeoutSec;
+        }
+        return timeouts;
+    }
+
+    // Next due job: queued and due, or running with an expired lock (its worker died)
+    async claimNextJob() {
+        if (this.handlers.size === 0) return null;
+
+        const result = await pool.query(`
+            UPDATE jobs
+            SET
+                status = 'running',
+                attempts = attempts + 1,
+                locked_by = $1,
+                locked_until = NOW() + (($2::jsonb ->> job_type)::INTEGER * INTERVAL '1 second'),
+                started_at = COALESCE(started_at, NOW()),
+                updated_at = NOW()
+            WHERE id = (
+                SELECT id
+                FROM jobs
+                WHERE job_type = ANY($3::VARCHAR[])
+                  AND (
+                      (status = 'queued' AND run_at <= NOW())
+                      OR (status = 'running' AND locked_until < NOW() AND attempts < max_attempts)
+                  )
+                ORDER BY run_at, id
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [this.workerId, JSON.stringify(this.getVisibilityTimeouts()), [...this.handlers.keys()]]);
+
+        return result.rows[0] || null;
+    }
+
+    // Jobs whose worker died on the last attempt are failed here (nobody else will pick them up)
+    async failAbandonedJobs() {
+        const result = await pool.query(`
+            UPDATE jobs
+            SET
+                status = 'failed',
+                error = COALESCE(error || ' - ', '') || 'Worker stopped responding on the last attempt',
+                locked_by = NULL,
+                locked_until = NULL,
+                completed_at = NOW(),
+                updated_at = NOW()
+            WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts
+              AND job_type = ANY($1::VARCHAR[])
+            RETURNING *
+        `, [[...this.handlers.keys()]]);
+
+        for (const job of result.rows) {
+            console.error(`[JOBS] ${job.job_type} job ${job.id} abandoned after ${job.attempts} attempts`);
+            await this.runFailureHook(job, new Error(job.error));
+        }
+    }
+
+    async processJob(job) {
+        const handler = this.handlers.get(job.job_type);
+        const config = getJobTypeConfig(job.job_type);
+        console.log(`[JOBS] Running ${job.job_type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        // Renew the lock at a third of the visibility timeout
+        const heartbeat = setInterval(() => {
+            pool.query(`
+                UPDATE jobs
+                SET locked_until = NOW() + ($3 * INTERVAL '1 second'), updated_at = NOW()
+                WHERE id = $1 AND locked_by = $2 AND status = 'running'
+            `, [job.id, this.workerId, config.visibilityTimeoutSec])
+                .catch(error => console.error(`[JOBS] Heartbeat failed for job ${job.id}:`, error.message));
+        }, Math.max(1000, (config.visibilityTimeoutSec * 1000) / 3));
+
+        try {
+            const result = await handler.run(job);
+            await pool.query(`
+                UPDATE jobs
+                SET status = 'completed', result = $3, error = NULL, locked_by = NULL, locked_until = NULL,
+                    completed_at = NOW(), updated_at = NOW()
+                WHERE id = $1 AND locked_by = $2
+            `, [job.id, this.workerId, JSON.stringify(result === undefined ? null : result)]);
+            console.log(`[JOBS] ${job.job_type} job ${job.id} completed`);
+        } catch (error) {
+            await this.handleJobError(job, error);
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    async handleJobError(job, error) {
+        const config = getJobTypeConfig(job.job_type);
+        const settings = getJobQueueSettings();
+        const retry = !error.permanent && job.attempts < job.max_attempts;
+
+        if (retry) {
+            const backoffSec = Math.min(config.backoffBaseSec * Math.pow(2, job.attempts - 1), settings.maxBackoffSec);
+            await pool.query(`
+                UPDATE jobs
+                SET status = 'queued', error = $3, run_at = NOW() + ($4 * INTERVAL '1 second'),
+                    locked_by = NULL, locked_until = NULL, updated_at = NOW()
+                WHERE id = $1 AND locked_by = $2
+            `, [job.id, this.workerId, error.message, backoffSec]);
+            console.warn(`[JOBS] ${job.job_type} job ${job.id} failed (attempt ${job.attempts}), retrying in ${backoffSec}s:`, error.message);
+            return;
+        }
+
+        const result = await pool.query(`
+            UPDATE jobs
+            SET status = 'failed', error = $3, locked_by = NULL, locked_until = NULL,
+                completed_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND locked_by = $2
+            RETURNING *
+        `, [job.id, this.workerId, error.message]);
+        console.error(`[JOBS] ${job.job_type} job ${job.id} failed after ${job.attempts} attempt(s):`, error.message);
+
+        if (result.rows.length > 0) {
+            await this.runFailureHook(result.rows[0], error);
+        }
+    }
+
+    async runFailureHook(job, error) {
+        const handler = this.handlers.get(job.job_type);
+        if (!handler || !handler.onFailed) return;
+
+        try {
+            await handler.onFailed(job, error);
+        } catch (hookError) {
+            console.error(`[JOBS] onFailed hook of job ${job.id} failed:`, hookError.message);
+        }
+    }
+
+    /**
+     * Cancel a queued job (running jobs finish their current attempt)
+     * @returns {Promise<boolean>} - false when the job is not queued or not the user's
+     */
+    async cancelJob(userId, jobId) {
+        const result = await pool.query(`
+            UPDATE jobs
+            SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND user_id = $2 AND status = 'queued'
+            RETURNING *
+        `, [jobId, userId]);
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        console.log(`[JOBS] ${result.rows[0].job_type} job ${jobId} cancelled by user ${userId}`);
+        await this.runFailureHook(result.rows[0], new Error('cancelled'));
+        return true;
+    }
+
+    // Job of a user - null when it does not exist or belongs to someone else
+    async getJob(userId, jobId) {
+        const result = await pool.query('SELECT * FROM jobs WHERE id = $1 AND user_id = $2', [jobId, userId]);
+        return result.rows[0] || null;
+    }
+
+    async listJobs(userId, { status = null, jobType = null, jobTypes = null, limit = 50 } = {}) {
+        const result = await pool.query(`
+            SELECT *
+            FROM jobs
+            WHERE user_id = $1
+              AND ($2::VARCHAR IS NULL OR status = $2::VARCHAR)
+              AND ($3::VARCHAR IS NULL OR job_type = $3::VARCHAR)
+              AND ($5::VARCHAR[] IS NULL OR job_type = ANY($5::VARCHAR[]))
+            ORDER BY created_at DESC
+            LIMIT $4
+        `, [userId, status, jobType, limit, jobTypes]);
+        return result.rows;
+    }
+
+    /**
+     * Wait until a job finishes - lets a request keep its synchronous response when the job is quick
+     * @returns {Promise<object>} - the job row (still active when the timeout passed)
+     */
+    async waitForJob(jobId, timeoutMs, intervalMs = 1000) {
+        const deadline = Date.now() + timeoutMs;
+        while (true) {
+            const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+            const job = result.rows[0];
+            if (!job || TERMINAL_STATUSES.includes(job.status) || Date.now() >= deadline) {
+                return job || null;
+            }
+            await sleep(intervalMs);
+        }
+    }
+
+    // Delete finished jobs past the retention window
+    async cleanupFinishedJobs() {
+        const { retentionDays } = getJobQueueSettings();
+        const result = await pool.query(`
+            DELETE FROM jobs
+            WHERE status = ANY($1::VARCHAR[]) AND completed_at < NOW() - ($2 * INTERVAL '1 day')
+        `, [TERMINAL_STATUSES, retentionDays]);
+
+        if (result.rowCount > 0) {
+            console.log(`[JOBS] Deleted ${result.rowCount} finished jobs older than ${retentionDays} days`);
+        }
+        return result.rowCount;
+    }
+
+    // Public shape for the status endpoints - payload stays server-side (it can hold captured HTML)
+    formatJob(job) {
+        return {
+            id: job.id,
+            type: job.job_type,
+            status: job.status,
+            attempts: job.attempts,
+            maxAttempts: job.max_attempts,
+            result: job.result,
+            error: job.error,
+            nextRunAt: job.status === 'queued' ? job.run_at : null,
+            createdAt: job.created_at,
+            startedAt: job.started_at,
+            completedAt: job.completed_at
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
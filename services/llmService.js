@@ -0,0 +1,589 @@
+// services/llmService.js - Pluggable LLM Provider Layer
+// One abstraction for OpenAI, Gemini, Anthropic-compatible and local OpenAI-compatible endpoints.
+// Handles the fallback chain, per-provider timeouts/retries and uniform token + latency reporting
+// so gptService, webMessageGPTService and sendToGemini no longer carry their own API plumbing.
+// STREAMING: stream() pushes text deltas through onToken (SSE from every provider); falls back to the
+// next provider only while nothing has been emitted yet.
+
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const { getProviderConfigs, getFallbackChain } = require('../config/llm');
+
+// Shared keep-alive agents for all provider calls (http for local servers, https for hosted APIs)
+const keepAliveHttpAgent = new http.Agent({ keepAlive: true });
+const keepAliveAgent = new https.Agent({ keepAlive: true });
+
+// HTTP statuses worth retrying / falling back on
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+function isTransientError(error) {
+    const status = error?.response?.status || error?.status;
+    const isTimeout = error?.code === 'ECONNABORTED' || /timeout/i.test(error?.message || '');
+    return isTimeout || TRANSIENT_STATUSES.includes(status) || error?.transient === true;
+}
+
+// Collapse an OpenAI-style messages array into system + user text for providers without multi-message input
+function flattenMessages({ systemPrompt, userPrompt, messages }) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return { systemPrompt, userPrompt };
+    }
+    return {
+        systemPrompt: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n'),
+        userPrompt: messages.filter(m => m.role !== 'system').map(m => m.content).join('\n\n')
+    };
+}
+
+function emptyUsage() {
+    return { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+}
+
+/**
+ * POST with stepped timeouts and retries on timeouts, 429 and 5xx (never on other 4xx).
+ * @param {string} url - Endpoint URL
+ * @param {object} body - JSON body
+ * @param {object} options - { headers, timeouts: number[], label }
+ * @returns {Promise<object>} - axios response
+ */
+async function postWithRetry(url, body, { headers = {}, timeouts = [120000], label = 'LLM' } = {}) {
+    let lastErr;
+
+    for (let attempt = 0; attempt < timeouts.length; attempt++) {
+        const timeout = timeouts[attempt];
+        const started = Date.now();
+
+        try {
+            const res = await axios.post(url, body, {
+                headers,
+                timeout,
+                httpAgent: keepAliveHttpAgent,
+                httpsAgent: keepAliveAgent,
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity
+            });
+            console.log(`[${label}] ok`, { ms: Date.now() - started, status: res.status });
+            return res;
+        } catch (err) {
+            const status = err.response?.status;
+            console.error(`[${label}] fail`, {
+                attempt: attempt + 1,
+                ms: Date.now() - started,
+                isTimeout: err.code === 'ECONNABORTED' || /timeout/i.test(err.message || ''),
+                status,
+                requestId: err.response?.headers?.['x-request-id']
+            });
+            lastErr = err;
+
+            if (isTransientError(err) && attempt < timeouts.length - 1) {
+                await new Promise(r => setTimeout(r, 500 + Math.random() * 700));
+                continue;
+            }
+            break; // do not retry on non-429 4xx
+        }
+    }
+
+    throw lastErr;
+}
+
+// ==================== PROVIDER ADAPTERS ====================
+// Each adapter turns a uniform request into the provider wire format and back.
+
+const adapters = {
+    // OpenAI chat completions - also used for local OpenAI-compatible servers
+    openai: {
+        buildRequest(config, { systemPrompt, userPrompt, messages, model, maxOutputTokens, temperature, responseFormat, stream }) {
+            const body = {
+                model,
+                messages: messages || [
+                    { role: 'system', content: systemPrompt || '' },
+                    { role: 'user', content: userPrompt || '' }
+                ]
+            };
+            if (maxOutputTokens) body.max_tokens = maxOutputTokens;
+            if (temperature !== undefined && temperature !== null) body.temperature = temperature;
+            if (responseFormat === 'json') body.response_format = { type: 'json_object' };
+            if (stream) {
+                body.stream = true;
+                body.stream_options = { include_usage: true };
+            }
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+
+            return { url: `${config.baseURL}/chat/completions`, body, headers };
+        },
+        parseResponse(response) {
+            const data = response.data || {};
+            return {
+                text: (data.choices?.[0]?.message?.content || '').trim(),
+                tokenUsage: {
+                    input_tokens: data.usage?.prompt_tokens || 0,
+                    output_tokens: data.usage?.completion_tokens || 0,
+                    total_tokens: data.usage?.total_tokens || 0
+                },
+                requestId: data.id || response.headers?.['x-request-id'] || null
+            };
+        },
+        // One "data:" payload of a streamed completion - returns the text delta
+        parseStreamEvent(event, state) {
+            if (event.id) state.requestId = event.id;
+            if (event.usage) {
+                state.tokenUsage = {
+                    input_tokens: event.usage.prompt_tokens || 0,
+                    output_tokens: event.usage.completion_tokens || 0,
+                    total_tokens: event.usage.total_tokens || 0
+                };
+            }
+            return event.choices?.[0]?.delta?.content || '';
+        }
+    },
+
+    gemini: {
+        buildRequest(config, request) {
+            const { model, maxOutputTokens, temperature, responseFormat, stream } = request;
+            const { systemPrompt, userPrompt } = flattenMessages(request);
+            const generationConfig = {
+                maxOutputTokens: maxOutputTokens || 1000,
+                temperature: temperature ?? 0.7
+            };
+            if (responseFormat === 'json') generationConfig.responseMimeType = 'application/json';
+
+            return {
+                url: stream
+                    ? `${config.baseURL}/models/${model}:streamGenerateContent?alt=sse`
+                    : `${config.baseURL}/models/${model}:generateContent`,
+                body: {
+                    contents: [{ parts: [{ text: `${systemPrompt || ''}\n\n${userPrompt || ''}` }] }],
+                    generationConfig
+                },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-goog-api-key': config.apiKey
+                }
+            };
+        },
+        parseResponse(response) {
+            const data = response.data || {};
+            const parts = data.candidates?.[0]?.content?.parts || [];
+            return {
+                text: parts.map(part => part.text || '').join('').trim(),
+                tokenUsage: {
+                    input_tokens: data.usageMetadata?.promptTokenCount || 0,
+                    output_tokens: data.usageMetadata?.candidatesTokenCount || 0,
+                    total_tokens: data.usageMetadata?.totalTokenCount || 0
+                },
+                requestId: data.responseId || null
+            };
+        },
+        parseStreamEvent(event, state) {
+            if (event.responseId) state.requestId = event.responseId;
+            if (event.usageMetadata) {
+                state.tokenUsage = {
+                    input_tokens: event.usageMetadata.promptTokenCount || 0,
+                    output_tokens: event.usageMetadata.candidatesTokenCount || 0,
+                    total_tokens: event.usageMetadata.totalTokenCount || 0
+                };
+            }
+            const parts = event.candidates?.[0]?.content?.parts || [];
+            return parts.map(part => part.text || '').join('');
+        }
+    },
+
+    // Anthropic Messages API (and compatible gateways)
+    anthropic: {
+        buildRequest(config, request) {
+            const { model, maxOutputTokens, temperature, stream } = request;
+            const { systemPrompt, userPrompt } = flattenMessages(request);
+            const body = {
+                model,
+                system: systemPrompt || '',
+                messages: [{ role: 'user', content: userPrompt || '' }],
+                max_tokens: maxOutputTokens || 1000
+            };
+            if (temperature !== undefined && temperature !== null) body.temperature = temperature;
+            if (stream) body.stream = true;
+
+            return {
+                url: `${config.baseURL}/messages`,
+                body,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': config.apiKey,
+                    'anthropic-version': config.apiVersion
+                }
+            };
+        },
+        parseResponse(response) {
+            const data = response.data || {};
+            const inputTokens = data.usage?.input_tokens || 0;
+            const outputTokens = data.usage?.output_tokens || 0;
+            return {
+                text: (data.content || [])
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join('')
+                    .trim(),
+                tokenUsage: {
+                    input_tokens: inputTokens,
+                    output_tokens: outputTokens,
+                    total_tokens: inputTokens + outputTokens
+                },
+                requestId: data.id || null
+            };
+        },
+        parseStreamEvent(event, state) {
+            switch (event.type) {
+                case 'message_start':
+                    state.requestId = event.message?.id || state.requestId;
+                    state.tokenUsage.input_tokens = event.message?.usage?.input_tokens || 0;
+                    break;
+                case 'message_delta':
+                    state.tokenUsage.output_tokens = event.usage?.output_tokens || state.tokenUsage.output_tokens;
+                    break;
+                case 'content_block_delta':
+                    return event.delta?.type === 'text_delta' ? (event.delta.text || '') : '';
+                case 'error':
+                    throw new Error(event.error?.message || 'Anthropic stream error');
+            }
+            state.tokenUsage.total_tokens = state.tokenUsage.input_tokens + state.tokenUsage.output_tokens;
+            return '';
+        }
+    }
+};
+
+// Read a provider SSE response body line by line, handing each JSON "data:" payload to onEvent
+function readEventStream(stream, onEvent, signal) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (error) {
+                stream.destroy();
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+            onEvent(JSON.parse(payload));
+        };
+
+        const onAbort = () => finish(createAbortError());
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        stream.setEncoding('utf8');
+        stream.on('data', (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            try {
+                lines.forEach(handleLine);
+            } catch (error) {
+                finish(error);
+            }
+        });
+        stream.on('end', () => {
+            try {
+                handleLine(buffer);
+                finish();
+            } catch (error) {
+                finish(error);
+            }
+        });
+        stream.on('error', (error) => finish(error));
+        stream.on('close', () => finish(signal?.aborted ? createAbortError() : null));
+    });
+}
+
+function createAbortError() {
+    const error = new Error('Generation aborted by client');
+    error.code = 'ABORTED';
+    return error;
+}
+
+class LLMService {
+    /**
+     * Resolve a chain into concrete, callable steps (skips providers without credentials)
+     * @param {Array|string} chain - Parsed chain, or the name of a chain in config/llm.js
+     * @returns {object} - { steps, skipped }
+     */
+    resolveChain(chain = 'LLM_MESSAGE_CHAIN') {
+        const providers = getProviderConfigs();
+        const entries = Array.isArray(chain) ? chain : getFallbackChain(chain);
+        const steps = [];
+        const skipped = [];
+
+        for (const entry of entries) {
+            const normalized = typeof entry === 'string' ? { provider: entry, model: null } : entry;
+            const config = providers[normalized.provider];
+
+            if (!config) {
+                skipped.push({ provider: normalized.provider, reason: 'unknown_provider' });
+                continue;
+            }
+            if (config.requiresApiKey && !config.apiKey) {
+                skipped.push({ provider: normalized.provider, reason: 'missing_api_key' });
+                continue;
+            }
+            if (config.enabled === false) {
+                skipped.push({ provider: normalized.provider, reason: 'not_configured' });
+                continue;
+            }
+
+            steps.push({
+                provider: normalized.provider,
+                model: normalized.model || config.defaultModel,
+                config
+            });
+        }
+
+        return { steps, skipped };
+    }
+
+    /**
+     * Call a single provider once (with its configured retries)
+     * @returns {Promise<object>} - { text, tokenUsage, requestId, latencyMs }
+     */
+    async callProvider(step, request) {
+        const adapter = adapters[step.config.type];
+        const timeoutMs = request.timeoutMs || step.config.timeoutMs;
+        const timeouts = Array(1 + (step.config.retries || 0)).fill(timeoutMs);
+        const { url, body, headers } = adapter.buildRequest(step.config, { ...request, model: step.model });
+
+        const startTime = Date.now();
+        const response = await postWithRetry(url, body, {
+            headers,
+            timeouts,
+            label: `LLM:${step.provider}`
+        });
+        const parsed = adapter.parseResponse(response);
+
+        if (!parsed.text) {
+            const emptyError = new Error(`${step.provider} returned an empty response`);
+            emptyError.transient = true;
+            throw emptyError;
+        }
+
+        return { ...parsed, latencyMs: Date.now() - startTime };
+    }
+
+    /**
+     * Generate text through the fallback chain
+     * @param {object} request - { systemPrompt, userPrompt, messages, chain, maxOutputTokens, temperature, responseFormat, timeoutMs }
+     * @returns {Promise<object>} - { text, provider, model, tokenUsage, latencyMs, fallbackTriggered, primaryError, attempts, requestId }
+     * @throws {Error} - when every provider in the chain fails; error.attempts holds per-provider details
+     */
+    async generate(request) {
+        const startTime = Date.now();
+        const { steps, skipped } = this.resolveChain(request.chain);
+
+        if (skipped.length > 0) {
+            console.log('[LLM] Skipped providers:', skipped);
+        }
+
+        if (steps.length === 0) {
+            const error = new Error('No LLM provider configured for this chain');
+            error.attempts = skipped;
+            throw error;
+        }
+
+        const attempts = [];
+        let lastError = null;
+
+        for (const step of steps) {
+            try {
+                console.log(`[LLM] Calling ${step.provider} (${step.model})...`);
+                const result = await this.callProvider(step, request);
+
+                attempts.push({
+                    provider: step.provider,
+                    model: step.model,
+                    success: true,
+                    latency_ms: result.latencyMs
+                });
+
+                console.log(`[LLM] ✅ ${step.provider} (${step.model}) succeeded in ${result.latencyMs}ms - ${result.tokenUsage.total_tokens} tokens`);
+
+                return {
+                    text: result.text,
+                    provider: step.provider,
+                    model: step.model,
+                    primaryModel: steps[0].model,
+                    tokenUsage: result.tokenUsage || emptyUsage(),
+                    latencyMs: Date.now() - startTime,
+                    fallbackTriggered: attempts.length > 1,
+                    primaryError: attempts.length > 1 ? attempts[0].error : null,
+                    attempts,
+                    requestId: result.requestId
+                };
+            } catch (error) {
+                console.log(`[LLM] ⚠️ ${step.provider} (${step.model}) failed: ${error.message}`);
+                attempts.push({
+                    provider: step.provider,
+                    model: step.model,
+                    success: false,
+                    status: error.response?.status || null,
+                    error: error.message
+                });
+                lastError = error;
+            }
+        }
+
+        const summary = attempts.map(a => `${a.provider} (${a.model}): ${a.error}`).join(' | ');
+        const error = new Error(summary);
+        error.attempts = attempts;
+        error.response = lastError?.response;
+        error.code = lastError?.code;
+        throw error;
+    }
+
+    /**
+     * Call a single provider in streaming mode (no retries - a retry could duplicate emitted text)
+     * @returns {Promise<object>} - { text, tokenUsage, requestId, latencyMs, emitted }
+     */
+    async callProviderStream(step, request, { onToken, signal } = {}) {
+        const adapter = adapters[step.config.type];
+        const { url, body, headers } = adapter.buildRequest(step.config, { ...request, model: step.model, stream: true });
+        const state = { text: '', tokenUsage: emptyUsage(), requestId: null, emitted: 0 };
+
+        const startTime = Date.now();
+        try {
+            const response = await axios.post(url, body, {
+                headers,
+                timeout: request.timeoutMs || step.config.timeoutMs,
+                responseType: 'stream',
+                signal,
+                httpAgent: keepAliveHttpAgent,
+                httpsAgent: keepAliveAgent
+            });
+            state.requestId = response.headers?.['x-request-id'] || null;
+
+            await readEventStream(response.data, (event) => {
+                const delta = adapter.parseStreamEvent(event, state);
+                if (delta) {
+                    state.text += delta;
+                    state.emitted++;
+                    if (onToken) onToken(delta);
+                }
+            }, signal);
+        } catch (error) {
+            // Error bodies arrive as unread streams - drop them so callers can safely log error.response.data
+            if (error.response?.data?.pipe) {
+                error.response.data.destroy();
+                error.response.data = null;
+            }
+            error.emitted = state.emitted;
+            throw signal?.aborted ? Object.assign(createAbortError(), { emitted: state.emitted }) : error;
+        }
+
+        if (!state.text.trim()) {
+            const emptyError = new Error(`${step.provider} returned an empty response`);
+            emptyError.transient = true;
+            emptyError.emitted = 0;
+            throw emptyError;
+        }
+
+        return {
+            text: state.text.trim(),
+            tokenUsage: state.tokenUsage,
+            requestId: state.requestId,
+            latencyMs: Date.now() - startTime
+        };
+    }
+
+    /**
+     * Stream text through the fallback chain. Falls back only while no text has reached the caller.
+     * @param {object} request - Same as generate()
+     * @param {object} options - { onToken(delta), signal: AbortSignal }
+     * @returns {Promise<object>} - Same shape as generate()
+     * @throws {Error} - error.code === 'ABORTED' when the signal fires
+     */
+    async stream(request, { onToken, signal } = {}) {
+        const startTime = Date.now();
+        const { steps, skipped } = this.resolveChain(request.chain);
+
+        if (skipped.length > 0) {
+            console.log('[LLM] Skipped providers:', skipped);
+        }
+
+        if (steps.length === 0) {
+            const error = new Error('No LLM provider configured for this chain');
+            error.attempts = skipped;
+            throw error;
+        }
+
+        const attempts = [];
+        let lastError = null;
+
+        for (const step of steps) {
+            try {
+                console.log(`[LLM] Streaming from ${step.provider} (${step.model})...`);
+                const result = await this.callProviderStream(step, request, { onToken, signal });
+
+                attempts.push({
+                    provider: step.provider,
+                    model: step.model,
+                    success: true,
+                    latency_ms: result.latencyMs
+                });
+
+                console.log(`[LLM] ✅ ${step.provider} (${step.model}) stream finished in ${result.latencyMs}ms - ${result.tokenUsage.total_tokens} tokens`);
+
+                return {
+                    text: result.text,
+                    provider: step.provider,
+                    model: step.model,
+                    primaryModel: steps[0].model,
+                    tokenUsage: result.tokenUsage,
+                    latencyMs: Date.now() - startTime,
+                    fallbackTriggered: attempts.length > 1,
+                    primaryError: attempts.length > 1 ? attempts[0].error : null,
+                    attempts,
+                    requestId: result.requestId
+                };
+            } catch (error) {
+                if (error.code === 'ABORTED') {
+                    console.log(`[LLM] ⏹️ ${step.provider} (${step.model}) stream aborted by client`);
+                    throw error;
+                }
+
+                console.log(`[LLM] ⚠️ ${step.provider} (${step.model}) stream failed: ${error.message}`);
+                attempts.push({
+                    provider: step.provider,
+                    model: step.model,
+                    success: false,
+                    status: error.response?.status || null,
+                    error: error.message
+                });
+                lastError = error;
+
+                // Text already reached the client - switching providers would splice two different messages
+                if (error.emitted > 0) break;
+            }
+        }
+
+        const summary = attempts.map(a => `${a.provider} (${a.model}): ${a.error}`).join(' | ');
+        const error = new Error(summary);
+        error.attempts = attempts;
+        error.response = lastError?.response;
+        error.code = lastError?.code;
+        throw error;
+    }
+}
+
+const llmService = new LLMService();
+
+module.exports = {
+    LLMService,
+    llmService,
+    postWithRetry,
+    isTransientError
+};
@@ -0,0 +1,171 @@
+// services/messageExportService.js - Message history export (GET /messages/export) as CSV, JSON or XLSX
+// One row per message_logs row with the target's profile fields (target_profiles) and the email data this user
+// looked up (email_requests) - the same visibility rule as GET /messages/history.
+
+const { pool } = require('../utils/database');
+const { extractTargetSummary } = require('../utils/helpers');
+const { toCsv } = require('../utils/csv');
+const { toXlsx } = require('../utils/xlsx');
+const { EXPORT_FORMATS, getExportSettings } = require('../config/messageExport');
+
+// Column order of every format
+const EXPORT_COLUMNS = [
+    'id', 'created_at', 'message_type', 'language',
+    'target_first_name', 'target_last_name', 'target_full_name', 'target_title', 'target_company', 'linkedin_url',
+    'message', 'generated_message', 'edited_message', 'edited_at', 'context',
+    'sent_status', 'sent_date', 'reply_status', 'reply_date', 'comments',
+    'email', 'email_status', 'email_verified_at',
+    'campaign_id', 'campaign_name', 'sequence_id', 'sequence_step', 'parent_message_id', 'reply_text'
+];
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+class MessageExportService {
+    /**
+     * Messages of the user matching the filters, newest first
+     * @param {object} filters - { from, to, messageTypes, sentStatus, replyStatus, context } (config/messageExport.js resolveExportRequest)
+     * @returns {Promise<object>} - { rows, truncated }
+     */
+    async loadMessages(userId, { from = null, to = null, messageTypes = null, sentStatus = null, replyStatus = null, context = null } = {}) {
+        const { maxRows } = getExportSettings();
+        const result = await pool.query(`
+            SELECT
+                ml.id,
+                ml.created_at,
+                ml.message_type,
+                ml.language,
+                ml.target_first_name,
+                ml.target_title,
+                ml.target_company,
+                ml.target_profile_url,
+                ml.generated_message,
+                ml.edited_message,
+                ml.edited_at,
+                ml.context_text,
+                COALESCE(ml.sent_status, 'pending') as sent_status,
+                ml.sent_date,
+                COALESCE(ml.reply_status, 'pending') as reply_status,
+                ml.reply_date,
+                ml.comments,
+                ml.campaign_id,
+                c.name as campaign_name,
+                ml.sequence_id,
+                ml.sequence_step,
+                ml.parent_message_id,
+                ml.reply_text,
+                tp.data_json as profile_data,
+                -- Only emails THIS user requested
+                CASE WHEN er.user_id IS NOT NULL THEN tp.email_found ELSE NULL END as email_found,
+                CASE WHEN er.user_id IS NOT NULL THEN tp.email_status ELSE NULL END as email_status,
+                CASE WHEN er.user_id IS NOT NULL THEN tp.email_verified_at ELSE NULL END as email_verified_at
+            FROM message_logs ml
+            LEFT JOIN target_profiles tp ON tp.linkedin_url = ml.target_profile_url
+            LEFT JOIN email_requests er ON er.linkedin_url = ml.target_profile_url AND er.user_id = ml.user_id
+            LEFT JOIN campaigns c ON c.id = ml.campaign_id
+            WHERE ml.user_id = $1
+              AND ($2::TIMESTAMP IS NULL OR ml.created_at >= $2::TIMESTAMP)
+              AND ($3::TIMESTAMP IS NULL OR ml.created_at < $3::TIMESTAMP)
+              AND ($4::VARCHAR[] IS NULL OR ml.message_type = ANY($4::VARCHAR[]))
+              AND ($5::VARCHAR IS NULL OR COALESCE(ml.sent_status, 'pending') = $5::VARCHAR)
+              AND ($6::VARCHAR IS NULL OR COALESCE(ml.reply_status, 'pending') = $6::VARCHAR)
+              AND ($7::TEXT IS NULL OR ml.context_text ILIKE '%' || $7::TEXT || '%')
+            ORDER BY ml.created_at DESC, ml.id DESC
+            LIMIT $8
+        `, [
+            userId,
+            from,
+            to,
+            messageTypes,
+            sentStatus,
+            replyStatus,
+            context ? escapeLike(context) : null,
+            maxRows + 1
+        ]);
+
+        return {
+            rows: result.rows.slice(0, maxRows),
+            truncated: result.rows.length > maxRows
+        };
+    }
+
+    // One export record per message, keyed by EXPORT_COLUMNS
+    toRecord(row) {
+        const summary = extractTargetSummary(row.profile_data);
+        const fullName = summary.fullName || row.target_first_name || null;
+        const nameParts = (fullName || '').split(/\s+/).filter(Boolean);
+
+        return {
+            id: row.id,
+            created_at: row.created_at,
+            message_type: row.message_type,
+            language: row.language,
+            target_first_name: nameParts[0] || null,
+            target_last_name: nameParts.slice(1).join(' ') || null,
+            target_full_name: fullName,
+            target_title: summary.headline || row.target_title,
+            target_company: summary.company || row.target_company,
+            linkedin_url: row.target_profile_url,
+            message: row.edited_message || row.generated_message,
+            generated_message: row.generated_message,
+            edited_message: row.edited_message,
+            edited_at: row.edited_at,
+            context: row.context_text,
+            sent_status: row.sent_status,
+            sent_date: row.sent_date,
+            reply_status: row.reply_status,
+            reply_date: row.reply_date,
+            comments: row.comments,
+            email: row.email_found,
+            email_status: row.email_status,
+            email_verified_at: row.email_verified_at,
+            campaign_id: row.campaign_id,
+            campaign_name: row.campaign_name,
+            sequence_id: row.sequence_id,
+            sequence_step: row.sequence_step,
+            parent_message_id: row.parent_message_id,
+            reply_text: row.reply_text
+        };
+    }
+
+    /**
+     * Build the export file
+     * @param {string} format - key of EXPORT_FORMATS
+     * @param {object} filters - see loadMessages; echoed in the JSON export
+     * @returns {Promise<object>} - { filename, contentType, body, count, truncated }
+     */
+    async buildExport(userId, format, filters = {}) {
+        const { rows, truncated } = await this.loadMessages(userId, filters);
+        const records = rows.map(row => this.toRecord(row));
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        const exportedAt = new Date();
+
+        let body;
+        if (format === 'json') {
+            body = JSON.stringify({ exportedAt, filters, count: records.length, truncated, messages: records }, null, 2);
+        } else {
+            const table = [
+                EXPORT_COLUMNS,
+                ...records.map(record => EXPORT_COLUMNS.map(column => {
+                    const value = record[column];
+                    return value instanceof Date ? value.toISOString() : value;
+                }))
+            ];
+            // BOM so Excel opens the CSV as UTF-8
+            body = format === 'csv' ? '\uFEFF' + toCsv(table) : toXlsx(table, { sheetName: 'Messages' });
+        }
+
+        console.log(`[EXPORT] User ${userId} exported ${records.length} messages as ${format}${truncated ? ' (truncated)' : ''}`);
+        return {
+            filename: `msgly-messages-${exportedAt.toISOString().substring(0, 10)}.${extension}`,
+            contentType,
+            body,
+            count: records.length,
+            truncated
+        };
+    }
+}
+
+const messageExportService = new MessageExportService();
+
+// Export singleton instance
+module.exports = messageExportService;
@@ -0,0 +1,210 @@
+// services/messageGenerationService.js - Shared data access for message generation handlers
+// Loads the sender + target profiles the same way controllers/messagesController.js does and writes
+// generated messages to message_logs (+ the message.generated webhook). Used by the streaming, sequence and follow-up flows.
+
+const { pool } = require('../utils/database');
+const { cleanLinkedInUrl } = require('../utils/helpers');
+const webhookService = require('./webhookService');
+
+class MessageGenerationService {
+    // Sender profile columns used by gptService.formatUserProfile
+    async loadUserProfile(userId) {
+        const result = await pool.query(`
+            SELECT
+                gemini_raw_data,
+                full_name,
+                headline,
+                current_job_title,
+                current_company,
+                location,
+                experience,
+                education,
+                skills,
+                about,
+                tone_preset,
+                writing_sample
+            FROM user_profiles
+            WHERE user_id = $1
+        `, [userId]);
+
+        return result.rows[0] || null;
+    }
+
+    // Target profile by cleaned or raw URL (newest first)
+    async loadTargetProfile(targetProfileUrl) {
+        const cleanTargetUrl = cleanLinkedInUrl(targetProfileUrl);
+        const result = await pool.query(`
+            SELECT
+                id,
+                data_json,
+                linkedin_url
+            FROM target_profiles
+            WHERE linkedin_url = $1 OR linkedin_url = $2
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [cleanTargetUrl, targetProfileUrl]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Load both profiles needed for generation
+     * @returns {Promise<object>} - { userProfile, targetProfile, cleanTargetUrl } or { error, reason }
+     */
+    async loadGenerationProfiles(userId, targetProfileUrl) {
+        const userProfile = await this.loadUserProfile(userId);
+        if (!userProfile) {
+            return {
+                error: 'User profile not found. Please complete your profile setup first.',
+                reason: 'user_profile_not_found'
+            };
+        }
+
+        const targetProfile = await this.loadTargetProfile(targetProfileUrl);
+        if (!targetProfile) {
+            return {
+                error: 'Target profile not found. Please analyze the target profile first.',
+                reason: 'target_profile_not_found'
+            };
+        }
+
+        return {
+            userProfile,
+            targetProfile,
+            cleanTargetUrl: cleanLinkedInUrl(targetProfileUrl)
+        };
+    }
+
+    /**
+     * Mutual connections listed on a target profile, for the intro request picker
+     * Handles arrays (strings or { name, url, headline } objects), LinkedIn's
+     * "Jane Doe, John Smith and 12 other mutual connections" text and plain counts.
+     * @param {object|string} profileData - target_profiles.data_json or BrightData profile_data
+     * @returns {object} - { connections: [{ name, profileUrl, headline }], totalCount }
+     */
+    extractMutualConnections(profileData) {
+        let profile = profileData;
+        try {
+            if (typeof profile === 'string') profile = JSON.parse(profile);
+        } catch (error) {
+            console.log('[INTRO] Could not parse profile data for mutual connections:', error.message);
+            return { connections: [], totalCount: 0 };
+        }
+        if (!profile || typeof profile !== 'object') {
+            return { connections: [], totalCount: 0 };
+        }
+
+        const dataSection = profile.data || profile;
+        const profileInfo = dataSection.profile || profile.profile || dataSection;
+        const raw = profileInfo.mutualConnections ?? dataSection.mutualConnections ??
+            profile.mutual_connections ?? dataSection.mutual_connections ?? null;
+
+        if (Array.isArray(raw)) {
+            const connections = raw
+                .map(entry => typeof entry === 'string'
+                    ? { name: entry.trim(), profileUrl: null, headline: null }
+                    : {
+                        name: (entry?.name || entry?.fullName || entry?.full_name || '').trim(),
+                        profileUrl: entry?.profileUrl || entry?.url || entry?.link || entry?.linkedin_url || null,
+                        headline: entry?.headline || entry?.title || entry?.subtitle || null
+                    })
+                .filter(connection => connection.name);
+            return { connections, totalCount: connections.length };
+        }
+
+        if (typeof raw === 'number') {
+            return { connections: [], totalCount: raw };
+        }
+
+        if (typeof raw === 'string' && raw.trim()) {
+            const text = raw.replace(/\s+/g, ' ').trim();
+            // "12 mutual connections" - count only
+            if (/^\d[\d,.]*\s*\+?\s*mutual/i.test(text) || /^\d[\d,.]*$/.test(text)) {
+                return { connections: [], totalCount: parseInt(text.replace(/[^\d]/g, ''), 10) || 0 };
+            }
+
+            const others = text.match(/and (\d[\d,]*) other mutual connections?/i);
+            const namesPart = text
+                .replace(/,? and \d[\d,]* other mutual connections?.*$/i, '')
+                .replace(/ (?:is|are) (?:a )?mutual connections?.*$/i, '')
+                .replace(/ mutual connections?.*$/i, '');
+            const names = namesPart
+                .split(/,| and /)
+                .map(name => name.trim())
+                .filter(Boolean);
+            const connections = names.map(name => ({ name, profileUrl: null, headline: null }));
+            const otherCount = others ? parseInt(others[1].replace(/,/g, ''), 10) : 0;
+            return { connections, totalCount: connections.length + otherCount };
+        }
+
+        return { connections: [], totalCount: 0 };
+    }
+
+    /**
+     * Insert one generated message into message_logs
+     * @param {object} entry - { userId, targetProfileUrl, message, context, messageType, gptResult, dataJson, extraColumns }
+     *   extraColumns: additional message_logs columns (e.g. { sequence_id: 'seq_...' })
+     * @returns {Promise<number>} - message_logs.id
+     */
+    async logGeneratedMessage({ userId, targetProfileUrl, message, context, messageType, gptResult, dataJson, extraColumns = {} }) {
+        const metadata = gptResult.metadata || {};
+        const tokenUsage = gptResult.tokenUsage || {};
+
+        // Rule check results always sit at data_json.validation, also when the caller wraps rawResponse
+        let payload = dataJson !== undefined ? dataJson : gptResult.rawResponse;
+        if (gptResult.validation && payload && typeof payload === 'object' && !payload.validation) {
+            payload = { ...payload, validation: gptResult.validation };
+        }
+
+        const columns = {
+            user_id: userId,
+            target_profile_url: cleanLinkedInUrl(targetProfileUrl),
+            generated_message: message,
+            context_text: context,
+            message_type: messageType,
+            // FIXED: Truncate metadata to prevent VARCHAR(50) errors
+            target_first_name: (metadata.target_first_name || '').substring(0, 45),
+            target_title: (metadata.target_title || '').substring(0, 45),
+            target_company: (metadata.target_company || '').substring(0, 45),
+            model_name: metadata.model_name,
+            prompt_version: metadata.prompt_version,
+            prompt_template_id: metadata.prompt_template_id,
+            prompt_experiment_id: metadata.prompt_experiment_id,
+            prompt_experiment_arm: metadata.prompt_experiment_arm,
+            language: metadata.language,
+            tone: metadata.tone,
+            input_tokens: tokenUsage.input_tokens,
+            output_tokens: tokenUsage.output_tokens,
+            total_tokens: tokenUsage.total_tokens,
+            latency_ms: metadata.latency_ms,
+            data_json: JSON.stringify(payload),
+            ...extraColumns
+        };
+
+        const names = Object.keys(columns);
+        const placeholders = names.map((_, index) => `$${index + 1}`);
+
+        const result = await pool.query(`
+            INSERT INTO message_logs (${names.join(', ')}, created_at)
+            VALUES (${placeholders.join(', ')}, NOW())
+            RETURNING id
+        `, Object.values(columns));
+        const messageLogId = result.rows[0].id;
+
+        webhookService.emit(userId, 'message.generated', {
+            source: columns.campaign_id ? 'campaign' : 'extension',
+            messageId: messageLogId,
+            messageType: messageType,
+            targetProfileUrl: columns.target_profile_url,
+            message: message,
+            language: columns.language || null,
+            tone: columns.tone || null,
+            campaignId: columns.campaign_id || null
+        });
+
+        return messageLogId;
+    }
+}
+
+// Export singleton instance
+module.exports = new MessageGenerationService();
@@ -0,0 +1,246 @@
+// services/messageValidator.js - Deterministic post-generation checks for generated messages
+// The prompts ask for character limits, "Hi [FIRSTNAME]," greetings, sender sign-offs, no emojis / hashtags and
+// single-line output; the model does not always comply. validate() reports every broken rule, repair() fixes the
+// ones that are safe to fix in code (config/messageRules.js REPAIRABLE_RULES) and enforce() does both.
+// Anything still failing after enforce() is left to gptService, which regenerates with the violations listed.
+
+const { getMessageRules, REPAIRABLE_RULES } = require('../config/messageRules');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+const EMOJI_STRIP_PATTERN = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{20E3}\u{1F3FB}-\u{1F3FF}]/gu;
+const HASHTAG_PATTERN = /(^|\s)#([\p{L}\p{N}_]+)/u;
+const HASHTAG_STRIP_PATTERN = /(^|\s)#([\p{L}\p{N}_]+)/gu;
+const PLACEHOLDER_PATTERN = /\[(?:TARGET_)?FIRST_?NAME\]|\[(?:COMPANY|NAME|YOUR[ _]NAME|SENDER[ _]NAME|X)\]/i;
+const WRAPPING_QUOTES_PATTERN = /^["\u201C\u201D]([\s\S]*)["\u201C\u201D]$/;
+const SUBJECT_BODY_PATTERN = /^Subject:[ \t]*(.+?)[ \t]*\n\s*Body:\s*([\s\S]+)$/i;
+const INTRO_PARTS_PATTERN = /Part A:\s*([\s\S]*?)\s*Part B:\s*([\s\S]*)$/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const firstWord = (name) => (name || '').trim().split(/\s+/)[0] || null;
+
+// Greeting words accepted for a language ("Hi" is always fine)
+const greetingWords = (language) => {
+    const words = SUPPORTED_LANGUAGES[language]?.greetings || [];
+    return [...new Set([...words, 'Hi'])];
+};
+
+class MessageValidator {
+    /**
+     * Split a message into the parts the rules apply to
+     * @returns {object} - { segments, length, assemble } or { error, rule }
+     */
+    parse(text, rules) {
+        if (rules.format === 'subject_body') {
+            const match = text.match(SUBJECT_BODY_PATTERN);
+            if (!match) {
+                return { rule: 'subject_body_format', error: 'Expected "Subject: ..." followed by "Body: ..."' };
+            }
+            const subject = match[1].trim();
+            const body = match[2].trim();
+            return {
+                subject,
+                // Labels and the separator line do not count toward the limit
+                length: subject.length + body.length,
+                segments: [{ key: 'body', label: 'Body', text: body, greetingTarget: true }],
+                assemble: (segments) => `Subject: ${subject}\n\nBody: ${segments.body}`
+            };
+        }
+
+        if (rules.format === 'intro_parts') {
+            const match = text.match(INTRO_PARTS_PATTERN);
+            if (!match || !match[1].trim() || !match[2].trim()) {
+                return { rule: 'intro_parts_format', error: 'Expected "Part A: ..." followed by "Part B: ..."' };
+            }
+            const partA = match[1].trim();
+            const partB = match[2].trim();
+            return {
+                length: partA.length + partB.length,
+                // Part A goes to the mutual connection - only Part B must greet the target by name
+                segments: [
+                    { key: 'partA', label: 'Part A', text: partA, greetingTarget: false },
+                    { key: 'partB', label: 'Part B', text: partB, greetingTarget: true }
+                ],
+                assemble: (segments) => `Part A: ${segments.partA}\nPart B: ${segments.partB}`
+            };
+        }
+
+        return {
+            length: text.length,
+            segments: [{ key: 'message', label: 'Message', text, greetingTarget: true }],
+            assemble: (segments) => segments.message
+        };
+    }
+
+    /**
+     * Check a generated message against its message-type rules
+     * @param {object} names - { targetFirstName, senderFirstName } (greeting / sign-off checks are skipped when unknown)
+     * @param {string} language - output language (scales length limits, selects accepted greetings)
+     * @returns {object} - { valid, failures: [{ rule, detail }] }
+     */
+    validate(message, messageType, names = {}, language = DEFAULT_LANGUAGE) {
+        const rules = getMessageRules(messageType, language);
+        const failures = [];
+        const fail = (rule, detail) => {
+            const existing = failures.find(failure => failure.rule === rule);
+            if (existing) {
+                existing.detail = `${existing.detail}; ${detail}`;
+            } else {
+                failures.push({ rule, detail });
+            }
+        };
+
+        const text = (message || '').trim();
+        if (!text) {
+            fail('not_empty', 'Message is empty');
+            return { valid: false, failures };
+        }
+
+        if (WRAPPING_QUOTES_PATTERN.test(text)) fail('no_wrapping_quotes', 'Message is wrapped in quotation marks');
+        if (EMOJI_PATTERN.test(text)) fail('no_emojis', 'Message contains emojis');
+        if (HASHTAG_PATTERN.test(text)) fail('no_hashtags', 'Message contains hashtags');
+        if (PLACEHOLDER_PATTERN.test(text)) fail('no_placeholders', `Unfilled placeholder ${text.match(PLACEHOLDER_PATTERN)[0]}`);
+
+        const parsed = this.parse(text.replace(WRAPPING_QUOTES_PATTERN, '$1').trim(), rules);
+        if (parsed.error) {
+            fail(parsed.rule, parsed.error);
+            return { valid: false, failures };
+        }
+
+        if (parsed.length > rules.maxLength) {
+            fail('max_length', `${parsed.length} characters (max ${rules.maxLength})`);
+        }
+
+        if (rules.subjectMaxLength && parsed.subject && parsed.subject.length > rules.subjectMaxLength) {
+            fail('subject_max_length', `Subject: ${parsed.subject.length} characters (max ${rules.subjectMaxLength})`);
+        }
+
+        const targetFirstName = firstWord(names.targetFirstName);
+        const senderFirstName = firstWord(names.senderFirstName);
+
+        for (const segment of parsed.segments) {
+            const partRules = rules.parts?.[segment.key];
+            if (partRules?.maxLength && segment.text.length > partRules.maxLength) {
+                fail('part_max_length', `${segment.label}: ${segment.text.length} characters (max ${partRules.maxLength})`);
+            }
+
+            if (rules.singleLine && /\n/.test(segment.text)) {
+                fail('single_line', `${segment.label} contains line breaks`);
+            }
+
+            if (rules.greeting) {
+                const greetings = greetingWords(language);
+                const greetingPattern = `^(?:${greetings.map(escapeRegExp).join('|')})\\s+`;
+                const greeting = segment.greetingTarget && targetFirstName
+                    ? new RegExp(`${greetingPattern}${escapeRegExp(targetFirstName)}\\s*,`, 'iu')
+                    : new RegExp(`${greetingPattern}[^,\\n]{1,60},`, 'iu');
+                if (!greeting.test(segment.text)) {
+                    fail('greeting', `${segment.label} must start with "${greetings[0]} ${segment.greetingTarget && targetFirstName ? targetFirstName : '[FIRSTNAME]'},"`);
+                }
+            }
+
+            if (rules.signOff && senderFirstName) {
+                const ending = segment.text.replace(/[\s.!]+$/, '');
+                if (!new RegExp(`(^|[\\s,])${escapeRegExp(senderFirstName)}$`, 'i').test(ending)) {
+                    fail('sign_off', `${segment.label} must end with the sender's first name (${senderFirstName})`);
+                }
+            }
+        }
+
+        return { valid: failures.length === 0, failures };
+    }
+
+    /**
+     * Fix the repairable rules in code
+     * @param {string[]} ruleKeys - failing rules to repair (non-repairable keys are ignored)
+     * @returns {string} - repaired message
+     */
+    repair(message, messageType, ruleKeys, names = {}, language = DEFAULT_LANGUAGE) {
+        const rules = getMessageRules(messageType, language);
+        const repairs = new Set(ruleKeys.filter(rule => REPAIRABLE_RULES.includes(rule)));
+        let text = (message || '').trim();
+
+        if (repairs.has('no_wrapping_quotes')) {
+            text = text.replace(WRAPPING_QUOTES_PATTERN, '$1').trim();
+        }
+
+        if (repairs.has('no_emojis')) {
+            text = text.replace(EMOJI_STRIP_PATTERN, '');
+        }
+
+        if (repairs.has('no_hashtags')) {
+            text = text.replace(HASHTAG_STRIP_PATTERN, '$1$2');
+        }
+
+        if (repairs.has('no_placeholders') && names.targetFirstName) {
+            const targetFirstName = firstWord(names.targetFirstName);
+            // In intro requests [FIRSTNAME] may mean the mutual connection - only the explicit target token is safe there
+            text = text.replace(rules.format === 'intro_parts' ? /\[TARGET_FIRST_?NAME\]/gi : /\[(?:TARGET_)?FIRST_?NAME\]/gi, targetFirstName);
+        }
+
+        if (repairs.has('single_line')) {
+            const parsed = this.parse(text, rules);
+            if (!parsed.error) {
+                const segments = {};
+                for (const segment of parsed.segments) {
+                    segments[segment.key] = segment.text.replace(/\s*\n+\s*/g, ' ');
+                }
+                text = parsed.assemble(segments);
+            }
+        }
+
+        // Removed characters leave double spaces / spaces before punctuation behind
+        return text
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/[ \t]+([,.!?])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Validate, repair what can be repaired and validate again
+     * @returns {object} - { message, valid, failures, initialFailures, repairedRules }
+     */
+    enforce(message, messageType, names = {}, language = DEFAULT_LANGUAGE) {
+        const initial = this.validate(message, messageType, names, language);
+        if (initial.valid) {
+            return { message, valid: true, failures: [], initialFailures: [], repairedRules: [] };
+        }
+
+        const repairable = initial.failures
+            .map(failure => failure.rule)
+            .filter(rule => REPAIRABLE_RULES.includes(rule));
+
+        if (repairable.length === 0) {
+            return { message, valid: false, failures: initial.failures, initialFailures: initial.failures, repairedRules: [] };
+        }
+
+        const repairedMessage = this.repair(message, messageType, repairable, names, language);
+        const final = this.validate(repairedMessage, messageType, names, language);
+        const stillFailing = new Set(final.failures.map(failure => failure.rule));
+
+        return {
+            message: repairedMessage,
+            valid: final.valid,
+            failures: final.failures,
+            initialFailures: initial.failures,
+            // Includes rules fixed as a side effect (e.g. a greeting that only failed because of a placeholder)
+            repairedRules: initial.failures.map(failure => failure.rule).filter(rule => !stillFailing.has(rule))
+        };
+    }
+
+    // Extra user-prompt section for a regeneration after a rule violation
+    buildRetryInstruction(failures, previousMessage) {
+        return `RULE VIOLATIONS:
+Your previous draft broke these rules:
+${failures.map(failure => `- ${failure.rule}: ${failure.detail}`).join('\n')}
+
+Previous draft:
+${previousMessage}
+
+Rewrite it so it follows every rule. Output only the corrected message.`;
+    }
+}
+
+// Export singleton instance
+module.exports = new MessageValidator();
@@ -0,0 +1,108 @@
+// services/notificationService.js - In-app notification feed (GET /user/notifications)
+// Rows are written by services/usageBudgetService.js alerts and services/refundService.js decisions, and deleted hourly once past the retention period.
+
+const { pool } = require('../utils/database');
+const { getUsageBudgetSettings } = require('../config/usageBudgets');
+
+class NotificationService {
+    /**
+     * Add a notification to the user's feed
+     * @param {object} notification - { type, title, message, data, dedupeKey }
+     *   dedupeKey: a second notification with the same key is dropped (once-per-period alerts)
+     * @returns {Promise<object|null>} - the notification, or null when dedupeKey was already used
+     */
+    async createNotification(userId, { type, title, message, data = {}, dedupeKey = null }) {
+        const result = await pool.query(`
+            INSERT INTO notifications (user_id, type, title, message, data, dedupe_key)
+            VALUES ($1, $2, $3, $4, $5, $6::VARCHAR)
+            ON CONFLICT (user_id, dedupe_key) DO NOTHING
+            RETURNING *
+        `, [userId, type, title, message, JSON.stringify(data), dedupeKey]);
+
+        if (result.rows.length === 0) return null;
+        console.log(`[NOTIFICATIONS] ${type} for user ${userId}`);
+        return result.rows[0];
+    }
+
+    async markEmailed(notificationId) {
+        await pool.query('UPDATE notifications SET emailed_at = NOW() WHERE id = $1', [notificationId]);
+    }
+
+    /**
+     * The user's feed, newest first
+     * @returns {Promise<object>} - { notifications, total, unread }
+     */
+    async listNotifications(userId, { unreadOnly = false, limit, offset = 0 }) {
+        const unreadFilter = unreadOnly ? 'AND read_at IS NULL' : '';
+        const [listResult, countResult] = await Promise.all([
+            pool.query(`
+                SELECT * FROM notifications
+                WHERE user_id = $1 ${unreadFilter}
+                ORDER BY created_at DESC, id DESC
+                LIMIT $2 OFFSET $3
+            `, [userId, limit, offset]),
+            pool.query(`
+                SELECT
+                    COUNT(*) FILTER (WHERE ${unreadOnly ? 'read_at IS NULL' : 'TRUE'})::INTEGER as total,
+                    COUNT(*) FILTER (WHERE read_at IS NULL)::INTEGER as unread
+                FROM notifications
+                WHERE user_id = $1
+            `, [userId])
+        ]);
+
+        return {
+            notifications: listResult.rows,
+            total: countResult.rows[0].total,
+            unread: countResult.rows[0].unread
+        };
+    }
+
+    // null when the notification isn't the user's
+    async markRead(userId, notificationId) {
+        const result = await pool.query(`
+            UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+            WHERE id = $1 AND user_id = $2
+            RETURNING *
+        `, [notificationId, userId]);
+        return result.rows[0] || null;
+    }
+
+    async markAllRead(userId) {
+        const result = await pool.query(`
+            UPDATE notifications SET read_at = NOW()
+            WHERE user_id = $1 AND read_at IS NULL
+        `, [userId]);
+        return result.rowCount;
+    }
+
+    // Hourly: drop notifications past the retention period
+    async cleanupOldNotifications() {
+        const { notificationRetentionDays } = getUsageBudgetSettings();
+        const result = await pool.query(`
+            DELETE FROM notifications
+            WHERE created_at < NOW() - ($1::INTEGER * INTERVAL '1 day')
+        `, [notificationRetentionDays]);
+
+        if (result.rowCount > 0) {
+            console.log(`[NOTIFICATIONS] Deleted ${result.rowCount} notification(s) older than ${notificationRetentionDays} days`);
+        }
+        return result.rowCount;
+    }
+
+    formatNotification(notification) {
+        return {
+            id: notification.id,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            data: notification.data || {},
+            read: notification.read_at !== null,
+            readAt: notification.read_at,
+            emailedAt: notification.emailed_at,
+            createdAt: notification.created_at
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new NotificationService();
@@ -0,0 +1,700 @@
+// services/organizationService.js - Team workspaces: organizations, members, invites, the shared credit pool,
+// shared contexts and the team Messages view (config/organizations.js)
+// The pool (organizations.credits) is granted by the seat-based Chargebee plan (controllers/billingController.js)
+// and spent by credits.js holds that carry the organization_id. Every pool change is posted to the credit ledger.
+
+const { pool } = require('../utils/database');
+const { lockPool, recordPoolChange } = require('../utils/creditLedger');
+const { calculateRenewal } = require('../config/billing');
+const { extractTargetSummary } = require('../utils/helpers');
+const { getOrganizationSettings } = require('../config/organizations');
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Pool credits a member held or spent this calendar month ($1 = organization, $2 = user)
+const MEMBER_SPEND_QUERY = `
+    SELECT COALESCE(SUM(-amount), 0)::DECIMAL(12,2) as spent
+    FROM credits_transactions
+    WHERE organization_id = $1 AND user_id = $2
+      AND status IN ('held', 'completed')
+      AND created_at >= date_trunc('month', NOW())
+`;
+
+// Pool credits the organization's members hold right now ($1 = organization)
+const POOL_HELD_QUERY = `
+    SELECT COALESCE(SUM(-amount), 0)::DECIMAL(12,2) as held
+    FROM credits_transactions
+    WHERE organization_id = $1 AND status = 'held'
+`;
+
+class OrganizationService {
+    // The user's organization with their role - null when they are in none
+    async getMembership(userId, db = pool) {
+        const result = await db.query(`
+            SELECT o.*, m.role, m.monthly_credit_cap, m.joined_at
+            FROM organization_members m
+            JOIN organizations o ON o.id = m.organization_id
+            WHERE m.user_id = $1
+        `, [userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * The pool a user's holds draw from - null when they are in no organization or its subscription isn't active
+     * @returns {Promise<object|null>} - { organizationId, credits, role, monthlyCreditCap, spentThisMonth }
+     */
+    async getActivePool(userId) {
+        const membership = await this.getMembership(userId);
+        if (!membership || membership.subscription_status !== 'active') return null;
+
+        return {
+            organizationId: membership.id,
+            credits: parseFloat(membership.credits) || 0,
+            role: membership.role,
+            monthlyCreditCap: membership.monthly_credit_cap === null ? null : parseFloat(membership.monthly_credit_cap),
+            spentThisMonth: await this.getMemberSpend(membership.id, userId)
+        };
+    }
+
+    /**
+     * getActivePool under the organization's row lock, for credits.js createHold - credits are what is left of the
+     * pool after the open holds, so members holding at the same time take turns and can't overdraw it or their cap
+     * @param {object} client - client of the transaction that inserts the hold
+     * @returns {Promise<object|null>} - as getActivePool; null when the user's membership changed meanwhile
+     */
+    async lockActivePool(client, organizationId, userId) {
+        const lockedPool = await lockPool(client, organizationId);
+        const membership = await this.getMembership(userId, client);
+        if (!lockedPool || !membership || membership.id !== organizationId || membership.subscription_status !== 'active') return null;
+
+        const held = await client.query(POOL_HELD_QUERY, [organizationId]);
+        return {
+            organizationId,
+            credits: parseFloat(((parseFloat(lockedPool.credits) || 0) - (parseFloat(held.rows[0].held) || 0)).toFixed(2)),
+            role: membership.role,
+            monthlyCreditCap: membership.monthly_credit_cap === null ? null : parseFloat(membership.monthly_credit_cap),
+            spentThisMonth: await this.getMemberSpend(organizationId, userId, client)
+        };
+    }
+
+    async getMemberSpend(organizationId, userId, db = pool) {
+        const result = await db.query(MEMBER_SPEND_QUERY, [organizationId, userId]);
+        return parseFloat(result.rows[0].spent) || 0;
+    }
+
+    /**
+     * Create an organization with the user as its owner (no subscription yet - seats are bought at checkout)
+     * @returns {Promise<object>} - { organization } or { error, status }
+     */
+    async createOrganization(userId, name) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const orgResult = await client.query(`
+                INSERT INTO organizations (name, owner_user_id)
+                VALUES ($1, $2)
+                RETURNING *
+            `, [name, userId]);
+            const organization = orgResult.rows[0];
+
+            await client.query(`
+                INSERT INTO organization_members (organization_id, user_id, role)
+                VALUES ($1, $2, 'owner')
+            `, [organization.id, userId]);
+
+            await client.query('COMMIT');
+            console.log(`[TEAMS] User ${userId} created organization ${organization.id} "${name}"`);
+            return { organization: { ...organization, role: 'owner' } };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                return { error: 'You are already in an organization', status: 409 };
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async renameOrganization(organizationId, name) {
+        const result = await pool.query(`
+            UPDATE organizations SET name = $2, updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [organizationId, name]);
+        return result.rows[0] || null;
+    }
+
+    // Members with what each spent from the pool this month (owner first, then by join date)
+    async listMembers(organizationId) {
+        const result = await pool.query(`
+            SELECT
+                m.*,
+                u.email,
+                u.display_name,
+                COALESCE(s.spent, 0)::DECIMAL(12,2) as spent_this_month
+            FROM organization_members m
+            JOIN users u ON u.id = m.user_id
+            LEFT JOIN (
+                SELECT user_id, SUM(-amount) as spent
+                FROM credits_transactions
+                WHERE organization_id = $1
+                  AND status IN ('held', 'completed')
+                  AND created_at >= date_trunc('month', NOW())
+                GROUP BY user_id
+            ) s ON s.user_id = m.user_id
+            WHERE m.organization_id = $1
+            ORDER BY m.role = 'owner' DESC, m.joined_at ASC
+        `, [organizationId]);
+        return result.rows;
+    }
+
+    async getMember(organizationId, userId) {
+        const result = await pool.query(`
+            SELECT m.*, u.email, u.display_name
+            FROM organization_members m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.organization_id = $1 AND m.user_id = $2
+        `, [organizationId, userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Change a member's role and / or monthly cap
+     * @param {object} changes - { role, monthlyCreditCap } - omitted keys are kept (monthlyCreditCap null = no cap)
+     */
+    async updateMember(organizationId, userId, changes) {
+        const result = await pool.query(`
+            UPDATE organization_members
+            SET
+                role = COALESCE($3::VARCHAR, role),
+                monthly_credit_cap = CASE WHEN $4::BOOLEAN THEN $5::DECIMAL(12,2) ELSE monthly_credit_cap END,
+                updated_at = NOW()
+            WHERE organization_id = $1 AND user_id = $2
+            RETURNING *
+        `, [
+            organizationId,
+            userId,
+            changes.role || null,
+            changes.monthlyCreditCap !== undefined,
+            changes.monthlyCreditCap === undefined ? null : changes.monthlyCreditCap
+        ]);
+        return result.rows[0] || null;
+    }
+
+    // Remove a member - their shared contexts go back to being private
+    async removeMember(organizationId, userId) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                DELETE FROM organization_members
+                WHERE organization_id = $1 AND user_id = $2 AND role <> 'owner'
+                RETURNING *
+            `, [organizationId, userId]);
+
+            if (result.rows.length > 0) {
+                await client.query(`
+                    UPDATE saved_contexts SET organization_id = NULL, shared_at = NULL
+                    WHERE organization_id = $1 AND user_id = $2
+                `, [organizationId, userId]);
+            }
+
+            await client.query('COMMIT');
+            if (result.rows.length > 0) {
+                console.log(`[TEAMS] User ${userId} left organization ${organizationId}`);
+            }
+            return result.rows[0] || null;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Seats taken by members and pending invites
+    async countSeatsUsed(organizationId, db = pool) {
+        const result = await db.query(`
+            SELECT
+                (SELECT COUNT(*) FROM organization_members WHERE organization_id = $1)::INTEGER as members,
+                (SELECT COUNT(*) FROM organization_invites
+                 WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW())::INTEGER as invites
+        `, [organizationId]);
+        return result.rows[0].members + result.rows[0].invites;
+    }
+
+    /**
+     * Invite someone by email - every member and pending invite takes a seat
+     * @returns {Promise<object>} - { invite } or { error, status }
+     */
+    async createInvite(organizationId, invitedBy, { email, role }) {
+        const { inviteExpiryDays } = getOrganizationSettings();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const orgResult = await client.query('SELECT seats FROM organizations WHERE id = $1 FOR UPDATE', [organizationId]);
+            const seatsUsed = await this.countSeatsUsed(organizationId, client);
+            if (seatsUsed >= orgResult.rows[0].seats) {
+                await client.query('ROLLBACK');
+                return { error: `All ${orgResult.rows[0].seats} seats are taken. Add seats to your team plan to invite more people.`, status: 400 };
+            }
+
+            const memberResult = await client.query(`
+                SELECT 1 FROM organization_members m JOIN users u ON u.id = m.user_id
+                WHERE m.organization_id = $1 AND LOWER(u.email) = LOWER($2)
+            `, [organizationId, email]);
+            if (memberResult.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return { error: `${email} is already a member`, status: 409 };
+            }
+
+            // Expired invites don't hold the address
+            await client.query(`
+                UPDATE organization_invites SET revoked_at = NOW()
+                WHERE organization_id = $1 AND LOWER(email) = LOWER($2)
+                  AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()
+            `, [organizationId, email]);
+
+            const result = await client.query(`
+                INSERT INTO organization_invites (organization_id, email, role, invited_by, expires_at)
+                VALUES ($1, $2, $3, $4, NOW() + ($5::INTEGER * INTERVAL '1 day'))
+                RETURNING *
+            `, [organizationId, email, role, invitedBy, inviteExpiryDays]);
+
+            await client.query('COMMIT');
+            console.log(`[TEAMS] User ${invitedBy} invited ${email} to organization ${organizationId} as ${role}`);
+            return { invite: result.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                return { error: `${email} already has a pending invite`, status: 409 };
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async listInvites(organizationId) {
+        const result = await pool.query(`
+            SELECT * FROM organization_invites
+            WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+            ORDER BY created_at DESC
+        `, [organizationId]);
+        return result.rows;
+    }
+
+    async revokeInvite(organizationId, inviteId) {
+        const result = await pool.query(`
+            UPDATE organization_invites SET revoked_at = NOW()
+            WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+            RETURNING *
+        `, [inviteId, organizationId]);
+        return result.rows[0] || null;
+    }
+
+    // Pending invites addressed to an email, with the inviting organization's name
+    async listInvitesForEmail(email) {
+        const result = await pool.query(`
+            SELECT i.*, o.name as organization_name
+            FROM organization_invites i
+            JOIN organizations o ON o.id = i.organization_id
+            WHERE LOWER(i.email) = LOWER($1) AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+            ORDER BY i.created_at DESC
+        `, [email]);
+        return result.rows;
+    }
+
+    /**
+     * Accept an invite addressed to the user's email
+     * @returns {Promise<object>} - { organization } or { error, status }
+     */
+    async acceptInvite(user, inviteId) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const inviteResult = await client.query(`
+                SELECT * FROM organization_invites
+                WHERE id = $1 AND LOWER(email) = LOWER($2)
+                  AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+                FOR UPDATE
+            `, [inviteId, user.email]);
+            const invite = inviteResult.rows[0];
+            if (!invite) {
+                await client.query('ROLLBACK');
+                return { error: 'Invite not found or expired', status: 404 };
+            }
+
+            // The invite already holds its seat - only members count here
+            const orgResult = await client.query('SELECT * FROM organizations WHERE id = $1 FOR UPDATE', [invite.organization_id]);
+            const organization = orgResult.rows[0];
+            const membersResult = await client.query(
+                'SELECT COUNT(*)::INTEGER as count FROM organization_members WHERE organization_id = $1',
+                [organization.id]
+            );
+            if (membersResult.rows[0].count >= organization.seats) {
+                await client.query('ROLLBACK');
+                return { error: 'This team has no free seat left. Ask an admin to add seats.', status: 400 };
+            }
+
+            await client.query(`
+                INSERT INTO organization_members (organization_id, user_id, role, invited_by)
+                VALUES ($1, $2, $3, $4)
+            `, [organization.id, user.id, invite.role, invite.invited_by]);
+
+            await client.query('UPDATE organization_invites SET accepted_at = NOW() WHERE id = $1', [invite.id]);
+
+            await client.query('COMMIT');
+            console.log(`[TEAMS] User ${user.id} joined organization ${organization.id} as ${invite.role}`);
+            return { organization: { ...organization, role: invite.role, monthly_credit_cap: null } };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                return { error: 'You are already in an organization. Leave it before joining another.', status: 409 };
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ==================== SEAT-BASED SUBSCRIPTION ====================
+
+    async getBySubscriptionId(subscriptionId) {
+        const result = await pool.query('SELECT * FROM organizations WHERE chargebee_subscription_id = $1', [subscriptionId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Team plan bought: activate the owner's organization (created if they have none) and fill the pool
+     * @param {object} owner - users row of the Chargebee customer
+     * @param {object} plan - { planCode, creditsPerSeat } (config/billing.js seatBased plan)
+     * @param {object} subscription - { id, seats, nextBillingDate }
+     * @returns {Promise<object|null>} - the organization, or null when the owner is a member of someone else's team
+     */
+    async activateSubscription(owner, plan, subscription) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const membership = await this.getMembership(owner.id, client);
+            if (membership && membership.role !== 'owner') {
+                await client.query('ROLLBACK');
+                console.error(`[TEAMS] User ${owner.id} bought a team plan but is a member of organization ${membership.id}`);
+                return null;
+            }
+
+            let organizationId = membership && membership.id;
+            if (!organizationId) {
+                const orgResult = await client.query(`
+                    INSERT INTO organizations (name, owner_user_id) VALUES ($1, $2) RETURNING id
+                `, [`${owner.display_name || owner.email.split('@')[0]}'s team`, owner.id]);
+                organizationId = orgResult.rows[0].id;
+                await client.query(`
+                    INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, 'owner')
+                `, [organizationId, owner.id]);
+            }
+
+            const before = await lockPool(client, organizationId);
+            const allowance = subscription.seats * plan.creditsPerSeat;
+            const result = await client.query(`
+                UPDATE organizations
+                SET
+                    plan_code = $2,
+                    seats = $3,
+                    credits = $4::DECIMAL(12,2),
+                    chargebee_subscription_id = $5,
+                    subscription_status = 'active',
+                    next_billing_date = $6,
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [organizationId, plan.planCode, subscription.seats, allowance, subscription.id, subscription.nextBillingDate]);
+
+            await recordPoolChange(client, organizationId, owner.id, before, result.rows[0], {
+                type: 'plan_grant',
+                reference: subscription.id,
+                description: `Team plan: ${subscription.seats} seats`,
+                metadata: { planCode: plan.planCode, seats: subscription.seats, creditsPerSeat: plan.creditsPerSeat }
+            });
+
+            await client.query('COMMIT');
+            console.log(`[TEAMS] Organization ${organizationId} activated with ${subscription.seats} seats (${allowance} pool credits)`);
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Renewal invoice paid: reset the pool to seats x creditsPerSeat (+ the plan's rollover)
+     * @param {object} subscription - { id, seats, nextBillingDate, invoiceId }
+     */
+    async renewPool(organization, plan, subscription) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const before = await lockPool(client, organization.id);
+            const renewal = calculateRenewal(plan.planCode, subscription.seats * plan.creditsPerSeat, before.credits);
+            const result = await client.query(`
+                UPDATE organizations
+                SET
+                    seats = $2,
+                    credits = $3::DECIMAL(12,2),
+                    subscription_status = 'active',
+                    next_billing_date = $4,
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [organization.id, subscription.seats, renewal.renewableCredits, subscription.nextBillingDate]);
+
+            await recordPoolChange(client, organization.id, organization.owner_user_id, before, result.rows[0], {
+                type: 'renewal',
+                reference: subscription.invoiceId,
+                description: `Team plan renewal: ${subscription.seats} seats`,
+                metadata: { planCode: plan.planCode, seats: subscription.seats, carriedOver: renewal.carriedOver, expired: renewal.expired },
+                carriedOver: renewal.carriedOver
+            });
+
+            await client.query('COMMIT');
+            console.log(`[TEAMS] Organization ${organization.id} pool renewed: ${renewal.renewableCredits} credits`);
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Seats changed mid-cycle: added seats bring their credits now, removed seats take effect at the renewal
+    async updateSeats(organization, plan, seats) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const before = await lockPool(client, organization.id);
+            const addedSeats = Math.max(0, seats - organization.seats);
+            const result = await client.query(`
+                UPDATE organizations
+                SET seats = $2, credits = credits + $3::DECIMAL(12,2), updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [organization.id, seats, addedSeats * plan.creditsPerSeat]);
+
+            // The pool isn't reset - everything in it carries over
+            await recordPoolChange(client, organization.id, organization.owner_user_id, before, result.rows[0], {
+                type: 'plan_grant',
+                reference: organization.chargebee_subscription_id,
+                description: `Team plan: ${addedSeats} seats added`,
+                metadata: { planCode: plan.planCode, seats, addedSeats },
+                carriedOver: before.credits
+            });
+
+            await client.query('COMMIT');
+            console.log(`[TEAMS] Organization ${organization.id} now has ${seats} seats`);
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Subscription ended: members spend their own credits again (the pool is kept for a re-subscription)
+    async cancelSubscription(organization) {
+        const result = await pool.query(`
+            UPDATE organizations SET subscription_status = 'cancelled', updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [organization.id]);
+        console.log(`[TEAMS] Organization ${organization.id} subscription cancelled`);
+        return result.rows[0];
+    }
+
+    // ==================== SHARED CONTEXTS ====================
+
+    // Contexts other members shared with the organization
+    async listSharedContexts(organizationId, userId) {
+        const result = await pool.query(`
+            SELECT
+                sc.id, sc.context_name, sc.context_text, sc.created_at, sc.updated_at, sc.shared_at,
+                sc.user_id as shared_by_user_id,
+                COALESCE(u.display_name, u.email) as shared_by
+            FROM saved_contexts sc
+            JOIN users u ON u.id = sc.user_id
+            WHERE sc.organization_id = $1 AND sc.user_id <> $2
+            ORDER BY sc.shared_at DESC
+        `, [organizationId, userId]);
+        return result.rows;
+    }
+
+    async shareContext(organizationId, userId, contextId) {
+        const result = await pool.query(`
+            UPDATE saved_contexts
+            SET organization_id = $1, shared_at = COALESCE(shared_at, NOW())
+            WHERE id = $2 AND user_id = $3
+            RETURNING id, context_name, context_text, created_at, updated_at, shared_at
+        `, [organizationId, contextId, userId]);
+        return result.rows[0] || null;
+    }
+
+    // The context's author can always unshare; canManage (owner / admin) can unshare anyone's
+    async unshareContext(organizationId, userId, contextId, canManage) {
+        const result = await pool.query(`
+            UPDATE saved_contexts
+            SET organization_id = NULL, shared_at = NULL
+            WHERE id = $1 AND organization_id = $2 AND (user_id = $3 OR $4::BOOLEAN)
+            RETURNING id, context_name, context_text, created_at, updated_at
+        `, [contextId, organizationId, userId, canManage]);
+        return result.rows[0] || null;
+    }
+
+    // ==================== TEAM MESSAGES ====================
+
+    /**
+     * Messages of the organization's current members, newest first
+     * @param {object} options - { memberId, filters (config/messageExport.js resolveMessageFilters), limit, offset }
+     * @returns {Promise<object>} - { messages, total }
+     */
+    async listTeamMessages(organizationId, { memberId = null, filters = {}, limit, offset = 0 }) {
+        const { from = null, to = null, messageTypes = null, sentStatus = null, replyStatus = null, context = null } = filters;
+        const result = await pool.query(`
+            SELECT
+                ml.id,
+                ml.user_id,
+                COALESCE(u.display_name, u.email) as author,
+                ml.created_at,
+                ml.message_type,
+                ml.language,
+                ml.target_first_name,
+                ml.target_title,
+                ml.target_company,
+                ml.target_profile_url,
+                ml.generated_message,
+                ml.edited_message,
+                ml.context_text,
+                COALESCE(ml.sent_status, 'pending') as sent_status,
+                ml.sent_date,
+                COALESCE(ml.reply_status, 'pending') as reply_status,
+                ml.reply_date,
+                ml.campaign_id,
+                c.name as campaign_name,
+                ml.sequence_id,
+                ml.sequence_step,
+                tp.data_json as profile_data,
+                COUNT(*) OVER () as total_count
+            FROM message_logs ml
+            JOIN organization_members m ON m.user_id = ml.user_id AND m.organization_id = $1
+            JOIN users u ON u.id = ml.user_id
+            LEFT JOIN target_profiles tp ON tp.linkedin_url = ml.target_profile_url
+            LEFT JOIN campaigns c ON c.id = ml.campaign_id
+            WHERE ($2::INTEGER IS NULL OR ml.user_id = $2::INTEGER)
+              AND ($3::TIMESTAMP IS NULL OR ml.created_at >= $3::TIMESTAMP)
+              AND ($4::TIMESTAMP IS NULL OR ml.created_at < $4::TIMESTAMP)
+              AND ($5::VARCHAR[] IS NULL OR ml.message_type = ANY($5::VARCHAR[]))
+              AND ($6::VARCHAR IS NULL OR COALESCE(ml.sent_status, 'pending') = $6::VARCHAR)
+              AND ($7::VARCHAR IS NULL OR COALESCE(ml.reply_status, 'pending') = $7::VARCHAR)
+              AND ($8::TEXT IS NULL OR ml.context_text ILIKE '%' || $8::TEXT || '%')
+            ORDER BY ml.created_at DESC, ml.id DESC
+            LIMIT $9 OFFSET $10
+        `, [
+            organizationId,
+            memberId,
+            from,
+            to,
+            messageTypes,
+            sentStatus,
+            replyStatus,
+            context ? escapeLike(context) : null,
+            limit,
+            offset
+        ]);
+
+        return {
+            messages: result.rows.map(row => this.formatTeamMessage(row)),
+            total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+        };
+    }
+
+    // Emails found for targets stay private to the member who looked them up
+    formatTeamMessage(row) {
+        const summary = extractTargetSummary(row.profile_data);
+        return {
+            id: row.id,
+            author: { userId: row.user_id, name: row.author },
+            createdAt: row.created_at,
+            messageType: row.message_type,
+            language: row.language || 'en',
+            targetProfile: {
+                fullName: summary.fullName || row.target_first_name || null,
+                role: summary.headline || row.target_title,
+                company: summary.company || row.target_company,
+                linkedinUrl: row.target_profile_url
+            },
+            message: row.edited_message || row.generated_message || '',
+            context: row.context_text,
+            sent: row.sent_status,
+            sentDate: row.sent_date,
+            gotReply: row.reply_status,
+            replyDate: row.reply_date,
+            campaign: row.campaign_id ? { id: row.campaign_id, name: row.campaign_name } : null,
+            sequence: row.sequence_id ? { id: row.sequence_id, step: row.sequence_step } : null
+        };
+    }
+
+    // ==================== FORMATTING ====================
+
+    formatOrganization(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            ownerUserId: row.owner_user_id,
+            planCode: row.plan_code,
+            seats: row.seats,
+            poolCredits: parseFloat(row.credits) || 0,
+            subscriptionStatus: row.subscription_status,
+            nextBillingDate: row.next_billing_date,
+            createdAt: row.created_at
+        };
+    }
+
+    formatMember(row) {
+        return {
+            userId: row.user_id,
+            email: row.email,
+            name: row.display_name,
+            role: row.role,
+            monthlyCreditCap: row.monthly_credit_cap === null ? null : parseFloat(row.monthly_credit_cap),
+            spentThisMonth: row.spent_this_month === undefined ? undefined : parseFloat(row.spent_this_month) || 0,
+            joinedAt: row.joined_at
+        };
+    }
+
+    formatInvite(row) {
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            organizationName: row.organization_name,
+            email: row.email,
+            role: row.role,
+            expiresAt: row.expires_at,
+            createdAt: row.created_at
+        };
+    }
+}
+
+const organizationService = new OrganizationService();
+
+// Export singleton instance
+module.exports = organizationService;
@@ -0,0 +1,242 @@
+// services/promptExperimentService.js - Prompt A/B experiments
+// An experiment sends traffic_percent of a message type's generations to a variant prompt (arm B) and the rest
+// to the prompt that was active when it started (arm A). Arms are compared on reply rate (replies / sent messages)
+// with a two-proportion z-test; sent rate and edit rate are reported alongside.
+
+const { pool } = require('../utils/database');
+const promptRegistry = require('./promptRegistry');
+
+const MIN_SENT_PER_ARM = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation, error < 1.5e-7)
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-proportion z-test on reply rate (B vs A)
+const compareReplyRates = (armA, armB) => {
+    if (armA.sent < MIN_SENT_PER_ARM || armB.sent < MIN_SENT_PER_ARM) {
+        return {
+            indicator: 'insufficient_data',
+            significant: false,
+            winner: null,
+            zScore: null,
+            pValue: null,
+            confidence: null,
+            minSentPerArm: MIN_SENT_PER_ARM
+        };
+    }
+
+    const rateA = armA.replied / armA.sent;
+    const rateB = armB.replied / armB.sent;
+    const pooled = (armA.replied + armB.replied) / (armA.sent + armB.sent);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / armA.sent + 1 / armB.sent));
+
+    const zScore = standardError > 0 ? (rateB - rateA) / standardError : 0;
+    const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+    const significant = pValue < SIGNIFICANCE_LEVEL;
+
+    return {
+        indicator: significant ? 'significant' : 'not_significant',
+        significant,
+        winner: significant ? (zScore > 0 ? 'B' : 'A') : null,
+        zScore: parseFloat(zScore.toFixed(3)),
+        pValue: parseFloat(pValue.toFixed(4)),
+        confidence: parseFloat(((1 - pValue) * 100).toFixed(1)),
+        minSentPerArm: MIN_SENT_PER_ARM
+    };
+};
+
+const rate = (count, total) => total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0;
+
+// Experiment row (joined with both template versions) -> API object
+const toExperiment = (row) => ({
+    id: row.id,
+    name: row.name,
+    messageType: row.message_type,
+    trafficPercent: row.traffic_percent,
+    status: row.status,
+    control: { templateId: row.control_template_id, version: row.control_version },
+    variant: { templateId: row.variant_template_id, version: row.variant_version },
+    createdBy: row.created_by,
+    startedAt: row.started_at,
+    endedAt: row.ended_at
+});
+
+const EXPERIMENT_SELECT = `
+    SELECT
+        e.*,
+        control.version as control_version,
+        variant.version as variant_version
+    FROM prompt_experiments e
+    JOIN prompt_templates control ON control.id = e.control_template_id
+    JOIN prompt_templates variant ON variant.id = e.variant_template_id
+`;
+
+class PromptExperimentService {
+    async listExperiments(status = null) {
+        const result = await pool.query(`
+            ${EXPERIMENT_SELECT}
+            WHERE ($1::VARCHAR IS NULL OR e.status = $1::VARCHAR)
+            ORDER BY e.started_at DESC
+        `, [status]);
+        return result.rows.map(toExperiment);
+    }
+
+    async getExperiment(id) {
+        const result = await pool.query(`${EXPERIMENT_SELECT} WHERE e.id = $1`, [id]);
+        return result.rows[0] ? toExperiment(result.rows[0]) : null;
+    }
+
+    /**
+     * Start an experiment: arm A = currently active template, arm B = variantTemplateId
+     * @returns {Promise<object>} - { experiment } or { error, status }
+     */
+    async createExperiment({ name, variantTemplateId, trafficPercent = 50, createdBy = null }) {
+        const percent = parseInt(trafficPercent, 10);
+        if (!Number.isInteger(percent) || percent < 1 || percent > 99) {
+            return { error: 'trafficPercent must be a whole number between 1 and 99', status: 400 };
+        }
+
+        const variant = await promptRegistry.getTemplateById(parseInt(variantTemplateId) || 0);
+        if (!variant) {
+            return { error: 'Variant prompt template not found', status: 404 };
+        }
+
+        const control = await promptRegistry.getActiveTemplate(variant.messageType);
+        if (!control.id) {
+            return { error: `No active ${variant.messageType} template in the database to use as control`, status: 409 };
+        }
+        if (control.id === variant.id) {
+            return { error: 'Variant template is already the active version - pick a different version for arm B', status: 400 };
+        }
+
+        try {
+            const result = await pool.query(`
+                INSERT INTO prompt_experiments (name, message_type, control_template_id, variant_template_id, traffic_percent, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id
+            `, [
+                name || `${control.version} vs ${variant.version}`,
+                variant.messageType,
+                control.id,
+                variant.id,
+                percent,
+                createdBy
+            ]);
+
+            promptRegistry.clearCache();
+            console.log(`[EXPERIMENT] Started ${variant.messageType} experiment ${result.rows[0].id}: A=${control.version}, B=${variant.version} (${percent}% to B)`);
+
+            return { experiment: await this.getExperiment(result.rows[0].id) };
+
+        } catch (error) {
+            // idx_prompt_experiments_running - one running experiment per message type
+            if (error.code === '23505') {
+                return { error: `An experiment is already running for ${variant.messageType}`, status: 409 };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Stop a running experiment, optionally rolling out the winning arm ('A' keeps the control active)
+     * @returns {Promise<object>} - { experiment, rolledOut } or { error, status }
+     */
+    async stopExperiment(id, rollOut = null) {
+        if (rollOut && rollOut !== 'A' && rollOut !== 'B') {
+            return { error: "rollOut must be 'A' or 'B'", status: 400 };
+        }
+
+        const result = await pool.query(`
+            UPDATE prompt_experiments
+            SET status = 'stopped', ended_at = NOW()
+            WHERE id = $1 AND status = 'running'
+            RETURNING control_template_id, variant_template_id
+        `, [id]);
+
+        if (result.rows.length === 0) {
+            return { error: 'Running experiment not found', status: 404 };
+        }
+
+        promptRegistry.clearCache();
+
+        let rolledOut = null;
+        if (rollOut) {
+            const templateId = rollOut === 'B' ? result.rows[0].variant_template_id : result.rows[0].control_template_id;
+            const activation = await promptRegistry.activateTemplate(templateId);
+            rolledOut = activation.template ? activation.template.version : null;
+        }
+
+        console.log(`[EXPERIMENT] Stopped experiment ${id}${rolledOut ? ` - rolled out ${rolledOut}` : ''}`);
+
+        return { experiment: await this.getExperiment(id), rolledOut };
+    }
+
+    /**
+     * Per-arm results for experiments that ran during the date range (all of each experiment's messages count)
+     * @returns {Promise<Array>} - experiments with arms { A, B } and a significance indicator
+     */
+    async getExperimentResults(dateRange) {
+        const experimentsResult = await pool.query(`
+            ${EXPERIMENT_SELECT}
+            WHERE e.started_at <= $2 AND (e.ended_at IS NULL OR e.ended_at >= $1)
+            ORDER BY e.started_at DESC
+        `, [dateRange.start, dateRange.end]);
+
+        if (experimentsResult.rows.length === 0) {
+            return [];
+        }
+
+        const experiments = experimentsResult.rows.map(toExperiment);
+
+        const armsResult = await pool.query(`
+            SELECT
+                prompt_experiment_id,
+                prompt_experiment_arm,
+                COUNT(*) as messages,
+                COUNT(*) FILTER (WHERE sent_status = 'yes') as sent,
+                COUNT(*) FILTER (WHERE sent_status = 'yes' AND reply_status = 'yes') as replied,
+                COUNT(*) FILTER (WHERE COALESCE(edit_count, 0) > 0) as edited
+            FROM message_logs
+            WHERE prompt_experiment_id = ANY($1::INTEGER[])
+            GROUP BY prompt_experiment_id, prompt_experiment_arm
+        `, [experiments.map(experiment => experiment.id)]);
+
+        return experiments.map(experiment => {
+            const arms = {};
+
+            for (const arm of ['A', 'B']) {
+                const row = armsResult.rows.find(r => r.prompt_experiment_id === experiment.id && r.prompt_experiment_arm === arm);
+                const messages = parseInt(row?.messages || 0);
+                const sent = parseInt(row?.sent || 0);
+                const replied = parseInt(row?.replied || 0);
+                const edited = parseInt(row?.edited || 0);
+
+                arms[arm] = {
+                    version: arm === 'A' ? experiment.control.version : experiment.variant.version,
+                    messages,
+                    sent,
+                    replied,
+                    edited,
+                    sentRate: rate(sent, messages),
+                    replyRate: rate(replied, sent),
+                    editRate: rate(edited, messages)
+                };
+            }
+
+            return {
+                ...experiment,
+                arms,
+                significance: compareReplyRates(arms.A, arms.B)
+            };
+        });
+    }
+}
+
+// Export singleton instance
+module.exports = new PromptExperimentService();
@@ -0,0 +1,287 @@
+// services/promptRegistry.js - Versioned prompt templates (prompt_templates table)
+// One active version per message type is used for generation; built-ins from prompts/ are the fallback
+// when the database has no active row (or is unreachable). Template rows are immutable - a change is a new
+// version, so message_logs.prompt_template_id always points at the exact text a message was generated with.
+// While a prompt experiment runs for a type, selectTemplate() splits traffic between its control (A) and variant (B).
+
+const { pool } = require('../utils/database');
+const { BUILTIN_PROMPTS, PROMPT_PLACEHOLDERS } = require('../prompts');
+
+const CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_MESSAGE_TYPE = 'inbox_message';
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,254}$/i;
+
+// Database row -> template object used by gptService
+const toTemplate = (row) => ({
+    id: row.id,
+    messageType: row.message_type,
+    version: row.version,
+    description: row.description,
+    systemPrompt: row.system_prompt,
+    userPrompt: row.user_prompt,
+    isActive: row.is_active,
+    isBuiltin: row.is_builtin,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    activatedAt: row.activated_at
+});
+
+class PromptRegistry {
+    constructor() {
+        // messageType -> { template, expiresAt }
+        this.activeCache = new Map();
+        // messageType -> { experiment, expiresAt } (experiment is null when none is running)
+        this.experimentCache = new Map();
+    }
+
+    get messageTypes() {
+        return Object.keys(BUILTIN_PROMPTS);
+    }
+
+    // Types without their own template (e.g. follow-ups) use the inbox message prompt
+    resolveMessageType(messageType) {
+        return BUILTIN_PROMPTS[messageType] ? messageType : DEFAULT_MESSAGE_TYPE;
+    }
+
+    getBuiltinTemplate(messageType) {
+        const builtin = BUILTIN_PROMPTS[this.resolveMessageType(messageType)];
+        return {
+            id: null,
+            messageType: builtin.messageType,
+            version: builtin.version,
+            description: builtin.description,
+            systemPrompt: builtin.systemPrompt,
+            userPrompt: builtin.userPrompt,
+            isActive: true,
+            isBuiltin: true
+        };
+    }
+
+    /**
+     * Active template for a message type (cached for CACHE_TTL_MS)
+     * @returns {Promise<object>} - template; id is null when the built-in fallback was used
+     */
+    async getActiveTemplate(messageType) {
+        const type = this.resolveMessageType(messageType);
+        const cached = this.activeCache.get(type);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.template;
+        }
+
+        try {
+            const result = await pool.query(`
+                SELECT * FROM prompt_templates
+                WHERE message_type = $1 AND is_active = true
+                LIMIT 1
+            `, [type]);
+
+            const template = result.rows[0] ? toTemplate(result.rows[0]) : this.getBuiltinTemplate(type);
+            this.activeCache.set(type, { template, expiresAt: Date.now() + CACHE_TTL_MS });
+            return template;
+
+        } catch (error) {
+            console.error(`[PROMPTS] Failed to load active ${type} template, using built-in:`, error.message);
+            return this.getBuiltinTemplate(type);
+        }
+    }
+
+    /**
+     * Running A/B experiment for a message type (cached for CACHE_TTL_MS)
+     * @returns {Promise<object|null>} - { id, name, trafficPercent, control, variant } or null
+     */
+    async getRunningExperiment(messageType) {
+        const type = this.resolveMessageType(messageType);
+        const cached = this.experimentCache.get(type);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.experiment;
+        }
+
+        try {
+            const result = await pool.query(`
+                SELECT
+                    e.id,
+                    e.name,
+                    e.traffic_percent,
+                    to_json(control.*) as control,
+                    to_json(variant.*) as variant
+                FROM prompt_experiments e
+                JOIN prompt_templates control ON control.id = e.control_template_id
+                JOIN prompt_templates variant ON variant.id = e.variant_template_id
+                WHERE e.message_type = $1 AND e.status = 'running'
+                LIMIT 1
+            `, [type]);
+
+            const row = result.rows[0];
+            const experiment = row ? {
+                id: row.id,
+                name: row.name,
+                trafficPercent: row.traffic_percent,
+                control: toTemplate(row.control),
+                variant: toTemplate(row.variant)
+            } : null;
+
+            this.experimentCache.set(type, { experiment, expiresAt: Date.now() + CACHE_TTL_MS });
+            return experiment;
+
+        } catch (error) {
+            console.error(`[PROMPTS] Failed to load running ${type} experiment:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Template to generate with - the active version, or a random arm while an experiment is running
+     * @returns {Promise<object>} - template + experimentId / experimentArm (null outside experiments)
+     */
+    async selectTemplate(messageType) {
+        const experiment = await this.getRunningExperiment(messageType);
+
+        if (experiment) {
+            const arm = Math.random() * 100 < experiment.trafficPercent ? 'B' : 'A';
+            return {
+                ...(arm === 'B' ? experiment.variant : experiment.control),
+                experimentId: experiment.id,
+                experimentArm: arm
+            };
+        }
+
+        const template = await this.getActiveTemplate(messageType);
+        return { ...template, experimentId: null, experimentArm: null };
+    }
+
+    async getTemplateById(id) {
+        const result = await pool.query('SELECT * FROM prompt_templates WHERE id = $1', [id]);
+        return result.rows[0] ? toTemplate(result.rows[0]) : null;
+    }
+
+    async listTemplates(messageType = null) {
+        const result = await pool.query(`
+            SELECT * FROM prompt_templates
+            WHERE ($1::VARCHAR IS NULL OR message_type = $1::VARCHAR)
+            ORDER BY message_type ASC, created_at DESC
+        `, [messageType]);
+        return result.rows.map(toTemplate);
+    }
+
+    // Replace {{placeholder}} tokens - unknown placeholders are left as-is
+    render(text, values) {
+        return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (token, key) => (
+            key in values ? String(values[key] ?? '') : token
+        ));
+    }
+
+    /**
+     * Validate a new template before it is stored
+     * @returns {string|null} - error message or null when valid
+     */
+    validateTemplate({ messageType, version, systemPrompt, userPrompt }) {
+        if (!BUILTIN_PROMPTS[messageType]) {
+            return `Invalid messageType. Use one of: ${this.messageTypes.join(', ')}`;
+        }
+        if (!version || !VERSION_PATTERN.test(version)) {
+            return 'version is required (letters, numbers, "_", "-" and "." only)';
+        }
+        if (!systemPrompt || typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+            return 'systemPrompt is required';
+        }
+        if (!userPrompt || typeof userPrompt !== 'string' || !userPrompt.trim()) {
+            return 'userPrompt is required';
+        }
+
+        const combined = `${systemPrompt}\n${userPrompt}`;
+        const missing = PROMPT_PLACEHOLDERS.filter(name => !new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(combined));
+        if (missing.length > 0) {
+            return `Template must contain the placeholders: ${missing.map(name => `{{${name}}}`).join(', ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Store a new template version (optionally activating it)
+     * @returns {Promise<object>} - { template } or { error, status }
+     */
+    async createTemplate({ messageType, version, description, systemPrompt, userPrompt, activate = false, createdBy = null }) {
+        const validationError = this.validateTemplate({ messageType, version, systemPrompt, userPrompt });
+        if (validationError) {
+            return { error: validationError, status: 400 };
+        }
+
+        const result = await pool.query(`
+            INSERT INTO prompt_templates (message_type, version, description, system_prompt, user_prompt, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (message_type, version) DO NOTHING
+            RETURNING *
+        `, [messageType, version, description || null, systemPrompt, userPrompt, createdBy]);
+
+        if (result.rows.length === 0) {
+            return { error: `Version ${version} already exists for ${messageType}`, status: 409 };
+        }
+
+        console.log(`[PROMPTS] Created ${messageType} template ${version} (id ${result.rows[0].id})`);
+
+        if (activate) {
+            return this.activateTemplate(result.rows[0].id);
+        }
+
+        return { template: toTemplate(result.rows[0]) };
+    }
+
+    /**
+     * Make a template the active version for its message type
+     * @returns {Promise<object>} - { template, previousVersion } or { error, status }
+     */
+    async activateTemplate(id) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const target = await client.query('SELECT * FROM prompt_templates WHERE id = $1 FOR UPDATE', [id]);
+            if (target.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return { error: 'Prompt template not found', status: 404 };
+            }
+
+            const messageType = target.rows[0].message_type;
+
+            const previous = await client.query(`
+                UPDATE prompt_templates
+                SET is_active = false
+                WHERE message_type = $1 AND is_active = true AND id <> $2
+                RETURNING version
+            `, [messageType, id]);
+
+            const activated = await client.query(`
+                UPDATE prompt_templates
+                SET is_active = true, activated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [id]);
+
+            await client.query('COMMIT');
+
+            this.activeCache.delete(messageType);
+            console.log(`[PROMPTS] Activated ${messageType} template ${activated.rows[0].version} (id ${id})`);
+
+            return {
+                template: toTemplate(activated.rows[0]),
+                previousVersion: previous.rows[0]?.version || null
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    clearCache() {
+        this.activeCache.clear();
+        this.experimentCache.clear();
+    }
+}
+
+// Export singleton instance
+module.exports = new PromptRegistry();
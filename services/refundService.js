@@ -0,0 +1,355 @@
+// services/refundService.js - Refund requests for charged operations (config/refunds.js)
+// Users flag a message_logs or email_finder_searches row they were charged for; admins approve or reject it from the
+// admin dashboard. Approval credits the charge back through credits.js refundCredits, so the refund is on the ledger.
+
+const { pool } = require('../utils/database');
+const { refundCredits } = require('../credits');
+const notificationService = require('./notificationService');
+const { REFUND_SOURCES, REFUND_REASONS, getRefundSettings } = require('../config/refunds');
+const { ANALYSIS_CREDIT_UNITS } = require('../config/campaigns');
+
+// The completed charge of a flagged row, found through what the operation recorded in operation_result:
+// its message_logs id(s), variant group, sequence or campaign. units: how many rows shared the charge.
+const MESSAGE_CHARGE_MATCHES = `
+    ct.operation_result->>'messageLogId' = ml.id::TEXT
+    OR ct.operation_result->'messageLogIds' @> to_jsonb(ml.id)
+    OR (ml.generation_group_id IS NOT NULL AND ct.operation_result->>'generationGroupId' = ml.generation_group_id)
+    OR (ml.sequence_id IS NOT NULL AND ct.operation_result->>'sequenceId' = ml.sequence_id)
+    OR (ml.campaign_id IS NOT NULL AND ct.operation_result->>'campaignId' = ml.campaign_id::TEXT)
+`;
+
+// The flagged row, only when it is the user's, with its charge (null columns when none was settled)
+const SOURCE_QUERIES = {
+    message: `
+        SELECT ml.id, ml.user_id, ml.created_at, charge.*
+        FROM message_logs ml
+        LEFT JOIN LATERAL (
+            SELECT
+                ct.id as credits_transaction_id,
+                ct.organization_id,
+                (-ct.amount)::DECIMAL(10,2) as charged,
+                CASE
+                    WHEN ct.operation_result->>'messageLogId' = ml.id::TEXT THEN 1
+                    WHEN ct.operation_result->'messageLogIds' @> to_jsonb(ml.id)
+                        THEN jsonb_array_length(ct.operation_result->'messageLogIds')
+                    WHEN ct.operation_result->>'campaignId' IS NOT NULL
+                        THEN COALESCE((ct.operation_result->>'messagesGenerated')::NUMERIC, 0)
+                            + COALESCE((ct.operation_result->>'profilesScraped')::NUMERIC, 0) * $3
+                    WHEN ct.operation_result->>'generationGroupId' IS NOT NULL
+                        THEN (SELECT COUNT(*) FROM message_logs grouped WHERE grouped.user_id = ml.user_id AND grouped.generation_group_id = ml.generation_group_id)
+                    ELSE (SELECT COUNT(*) FROM message_logs grouped WHERE grouped.user_id = ml.user_id AND grouped.sequence_id = ml.sequence_id)
+                END as units
+            FROM credits_transactions ct
+            WHERE ct.user_id = ml.user_id
+              AND ct.status = 'completed'
+              AND ct.amount < 0
+              AND (${MESSAGE_CHARGE_MATCHES})
+            ORDER BY ct.completed_at DESC
+            LIMIT 1
+        ) charge ON TRUE
+        WHERE ml.id = $1 AND ml.user_id = $2
+    `,
+    // Email Finder Page searches record no searchId on their charge yet, so they come back uncharged
+    email_search: `
+        SELECT efs.id, efs.user_id, efs.created_at, charge.*
+        FROM email_finder_searches efs
+        LEFT JOIN LATERAL (
+            SELECT ct.id as credits_transaction_id, ct.organization_id, (-ct.amount)::DECIMAL(10,2) as charged, 1 as units
+            FROM credits_transactions ct
+            WHERE ct.user_id = efs.user_id
+              AND ct.status = 'completed'
+              AND ct.amount < 0
+              AND ct.operation_result->>'searchId' = efs.id::TEXT
+            ORDER BY ct.completed_at DESC
+            LIMIT 1
+        ) charge ON TRUE
+        WHERE efs.id = $1 AND efs.user_id = $2
+    `
+};
+
+// What the flagged row was, for the admin list - the row may have been deleted since
+const SOURCE_SUMMARY = `
+    CASE rr.source_type
+        WHEN 'message' THEN (SELECT COALESCE(ml.target_name, 'Unknown') || ': ' || LEFT(COALESCE(ml.generated_message, ''), 200) FROM message_logs ml WHERE ml.id = rr.source_id)
+        WHEN 'email_search' THEN (SELECT COALESCE(efs.email, 'no email found') || ' - ' || efs.linkedin_url FROM email_finder_searches efs WHERE efs.id = rr.source_id)
+    END
+`;
+
+const toAmount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class RefundService {
+    /**
+     * The flagged row with what was actually settled for it
+     * @returns {Promise<object|null>} - the row with credits_transaction_id and credits (its share of the charge, 0 when
+     *   no settled charge was found), or null when it isn't the user's
+     */
+    async getSource(userId, sourceType, sourceId) {
+        const params = sourceType === 'message' ? [sourceId, userId, ANALYSIS_CREDIT_UNITS] : [sourceId, userId];
+        const result = await pool.query(SOURCE_QUERIES[sourceType], params);
+        const source = result.rows[0];
+        if (!source) return null;
+
+        const charged = parseFloat(source.charged) || 0;
+        const units = Math.max(parseFloat(source.units) || 1, 1);
+        return { ...source, credits: Math.round((charged / units) * 100) / 100 };
+    }
+
+    /**
+     * Flag a charged row for review
+     * @param {object} request - resolveRefundRequest output
+     * @returns {Promise<object>} - { refundRequest } or { error, status }
+     */
+    async createRequest(userId, { sourceType, sourceId, reason, note }) {
+        const source = await this.getSource(userId, sourceType, sourceId);
+        if (!source) {
+            return { error: `${REFUND_SOURCES[sourceType].label} not found`, status: 404 };
+        }
+
+        const credits = source.credits;
+        if (!source.credits_transaction_id || !(credits > 0)) {
+            return { error: 'No credits were charged for it', status: 400 };
+        }
+
+        const { requestWindowDays } = getRefundSettings();
+        if (new Date(source.created_at).getTime() < Date.now() - requestWindowDays * 24 * 60 * 60 * 1000) {
+            return { error: `Refunds can only be requested within ${requestWindowDays} days of the charge`, status: 400 };
+        }
+
+        try {
+            const result = await pool.query(`
+                INSERT INTO refund_requests (
+                    user_id, source_type, source_id, reason, note, credits_charged, credits_transaction_id, organization_id
+                )
+                VALUES ($1, $2, $3, $4, $5, $6::DECIMAL(10,2), $7, $8)
+                RETURNING *
+            `, [userId, sourceType, sourceId, reason, note, credits, source.credits_transaction_id, source.organization_id]);
+
+            console.log(`[REFUNDS] User ${userId} requested a refund of ${credits} credits for ${sourceType} ${sourceId} (${reason})`);
+            return { refundRequest: result.rows[0] };
+        } catch (error) {
+            if (error.code === '23505') {
+                return { error: 'A refund was already requested for it', status: 409 };
+            }
+            throw error;
+        }
+    }
+
+    async listForUser(userId) {
+        const result = await pool.query(`
+            SELECT * FROM refund_requests
+            WHERE user_id = $1
+            ORDER BY created_at DESC, id DESC
+        `, [userId]);
+        return result.rows;
+    }
+
+    /**
+     * Requests for the admin dashboard, oldest pending first
+     * @returns {Promise<object>} - { requests, total }
+     */
+    async listForAdmin({ status = null, limit, offset = 0 }) {
+        const [listResult, countResult] = await Promise.all([
+            pool.query(`
+                SELECT rr.*, u.email as user_email, ${SOURCE_SUMMARY} as source_summary
+                FROM refund_requests rr
+                JOIN users u ON u.id = rr.user_id
+                WHERE ($1::VARCHAR IS NULL OR rr.status = $1::VARCHAR)
+                ORDER BY (rr.status = 'pending') DESC, rr.created_at ASC, rr.id ASC
+                LIMIT $2 OFFSET $3
+            `, [status, limit, offset]),
+            pool.query(`
+                SELECT COUNT(*)::INTEGER as total
+                FROM refund_requests
+                WHERE ($1::VARCHAR IS NULL OR status = $1::VARCHAR)
+            `, [status])
+        ]);
+
+        return { requests: listResult.rows, total: countResult.rows[0].total };
+    }
+
+    async getRequest(requestId) {
+        const result = await pool.query(`
+            SELECT rr.*, u.email as user_email
+            FROM refund_requests rr
+            JOIN users u ON u.id = rr.user_id
+            WHERE rr.id = $1
+        `, [requestId]);
+        return result.rows[0] || null;
+    }
+
+    // Lock the request for the rest of the transaction - a concurrent approve / reject waits, then sees the decision
+    async lockRequest(client, requestId) {
+        const result = await client.query(`
+            SELECT rr.*, u.email as user_email
+            FROM refund_requests rr
+            JOIN users u ON u.id = rr.user_id
+            WHERE rr.id = $1
+            FOR UPDATE OF rr
+        `, [requestId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Approve a pending request and credit the balance that paid back (the team pool when it was a pool charge)
+     * @param {object} decision - { amount, note, adminEmail }
+     * @returns {Promise<object>} - { refundRequest, refund } or { error, status }
+     */
+    async approve(requestId, { amount, note, adminEmail }) {
+        const client = await pool.connect();
+        let request;
+        let refund;
+        let approved;
+        try {
+            await client.query('BEGIN');
+
+            request = await this.lockRequest(client, requestId);
+            if (!request || request.status !== 'pending') {
+                await client.query('ROLLBACK');
+                return request
+                    ? { error: `Refund request was already ${request.status}`, status: 409 }
+                    : { error: 'Refund request not found', status: 404 };
+            }
+
+            // Same transaction as the status change below - the request is approved and credited, or neither
+            refund = await refundCredits(client, request.user_id, amount, {
+                reference: `refund_request:${request.id}`,
+                organizationId: request.organization_id,
+                description: `Refund of ${REFUND_SOURCES[request.source_type].label.toLowerCase()} #${request.source_id}`,
+                metadata: {
+                    refundRequestId: request.id,
+                    sourceType: request.source_type,
+                    sourceId: request.source_id,
+                    reason: request.reason,
+                    approvedBy: adminEmail
+                }
+            });
+            if (!refund.success) {
+                throw new Error(`Failed to credit refund request ${request.id}: ${refund.error}`);
+            }
+
+            const result = await client.query(`
+                UPDATE refund_requests SET
+                    status = 'approved',
+                    credits_refunded = $2::DECIMAL(10,2),
+                    admin_note = $3,
+                    reviewed_by = $4,
+                    reviewed_at = NOW(),
+                    ledger_transaction_id = $5,
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [request.id, amount, note, adminEmail, refund.ledgerTransactionId]);
+            approved = { ...result.rows[0], user_email: request.user_email };
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`[REFUNDS] ${adminEmail} approved refund request ${request.id}: ${amount} credits to ${request.organization_id ? `the pool of organization ${request.organization_id} for user` : 'user'} ${request.user_id}`);
+
+        await this.notifyDecision(approved);
+        return { refundRequest: approved, refund };
+    }
+
+    /**
+     * Reject a pending request
+     * @returns {Promise<object>} - { refundRequest } or { error, status }
+     */
+    async reject(requestId, { note, adminEmail }) {
+        const client = await pool.connect();
+        let rejected;
+        try {
+            await client.query('BEGIN');
+
+            const request = await this.lockRequest(client, requestId);
+            if (!request || request.status !== 'pending') {
+                await client.query('ROLLBACK');
+                return request
+                    ? { error: `Refund request was already ${request.status}`, status: 409 }
+                    : { error: 'Refund request not found', status: 404 };
+            }
+
+            const result = await client.query(`
+                UPDATE refund_requests SET
+                    status = 'rejected',
+                    admin_note = $2,
+                    reviewed_by = $3,
+                    reviewed_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [request.id, note, adminEmail]);
+            rejected = { ...result.rows[0], user_email: request.user_email };
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`[REFUNDS] ${adminEmail} rejected refund request ${rejected.id} of user ${rejected.user_id}`);
+
+        await this.notifyDecision(rejected);
+        return { refundRequest: rejected };
+    }
+
+    // Tell the user in their feed - failures are logged, never thrown (the decision is already saved)
+    async notifyDecision(request) {
+        const label = REFUND_SOURCES[request.source_type].label.toLowerCase();
+        const approved = request.status === 'approved';
+
+        try {
+            await notificationService.createNotification(request.user_id, {
+                type: approved ? 'refund_approved' : 'refund_rejected',
+                title: approved ? 'Refund approved' : 'Refund request rejected',
+                message: approved
+                    ? `${toAmount(request.credits_refunded)} credits for your ${label} #${request.source_id} were added back to ${request.organization_id ? "your team's credit pool" : 'your balance'}.${request.admin_note ? ` ${request.admin_note}` : ''}`
+                    : `Your refund request for ${label} #${request.source_id} was rejected.${request.admin_note ? ` ${request.admin_note}` : ''}`,
+                data: {
+                    refundRequestId: request.id,
+                    sourceType: request.source_type,
+                    sourceId: request.source_id,
+                    creditsRefunded: toAmount(request.credits_refunded)
+                },
+                dedupeKey: `refund_request:${request.id}`
+            });
+        } catch (error) {
+            console.error(`[REFUNDS] Failed to notify user ${request.user_id} of refund request ${request.id}:`, error.message);
+        }
+    }
+
+    formatRequest(request) {
+        const reasons = REFUND_REASONS[request.source_type] || {};
+        return {
+            id: request.id,
+            sourceType: request.source_type,
+            sourceId: request.source_id,
+            reason: request.reason,
+            reasonDescription: reasons[request.reason] || null,
+            note: request.note,
+            status: request.status,
+            creditsCharged: toAmount(request.credits_charged),
+            creditsRefunded: toAmount(request.credits_refunded),
+            refundedToTeamPool: request.organization_id !== null && request.organization_id !== undefined,
+            adminNote: request.admin_note,
+            reviewedAt: request.reviewed_at,
+            createdAt: request.created_at,
+            ...(request.user_email !== undefined && {
+                userId: request.user_id,
+                userEmail: request.user_email,
+                reviewedBy: request.reviewed_by,
+                ledgerTransactionId: request.ledger_transaction_id,
+                sourceSummary: request.source_summary
+            })
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new RefundService();
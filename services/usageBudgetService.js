@@ -0,0 +1,195 @@
+// services/usageBudgetService.js - Per-user spending limits and low-balance alerts (config/usageBudgets.js)
+// credits.js asks checkHold before every hold and reports holds and deductions back, so the alerts fire on the
+// operation that crosses a threshold. Alerts land in the notification feed and, if the user wants, in their inbox.
+
+const { pool } = require('../utils/database');
+const { sendUsageAlertEmail } = require('../mailer/mailer');
+const notificationService = require('./notificationService');
+const { BUDGET_PERIODS, getUsageBudgetSettings, getDefaultBudget } = require('../config/usageBudgets');
+
+// Credits the user held or spent since the start of the day / month - held holds count, and credits.js createHold
+// checks and inserts under the user's row lock, so parallel holds can't overshoot a limit.
+// Team pool holds count too: the limit is the user's, wherever the credits come from.
+const SPEND_QUERY = `
+    SELECT
+        COALESCE(SUM(-amount) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0)::DECIMAL(12,2) as daily,
+        COALESCE(SUM(-amount), 0)::DECIMAL(12,2) as monthly,
+        to_char(NOW(), 'YYYY-MM-DD') as daily_key,
+        to_char(NOW(), 'YYYY-MM') as monthly_key
+    FROM credits_transactions
+    WHERE user_id = $1
+      AND status IN ('held', 'completed')
+      AND amount < 0
+      AND created_at >= date_trunc('month', NOW())
+`;
+
+const LIMIT_FIELDS = {
+    daily: 'dailyLimit',
+    monthly: 'monthlyLimit'
+};
+
+const toAmount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class UsageBudgetService {
+    // The user's budget - the defaults when they never saved one
+    async getBudget(userId, db = pool) {
+        const result = await db.query('SELECT * FROM usage_budgets WHERE user_id = $1', [userId]);
+        if (result.rows.length === 0) return getDefaultBudget();
+
+        const row = result.rows[0];
+        return {
+            dailyLimit: toAmount(row.daily_limit),
+            monthlyLimit: toAmount(row.monthly_limit),
+            lowBalanceThreshold: toAmount(row.low_balance_threshold),
+            emailAlerts: row.email_alerts
+        };
+    }
+
+    async saveBudget(userId, budget) {
+        await pool.query(`
+            INSERT INTO usage_budgets (user_id, daily_limit, monthly_limit, low_balance_threshold, email_alerts)
+            VALUES ($1, $2::DECIMAL(12,2), $3::DECIMAL(12,2), $4::DECIMAL(12,2), $5)
+            ON CONFLICT (user_id) DO UPDATE SET
+                daily_limit = EXCLUDED.daily_limit,
+                monthly_limit = EXCLUDED.monthly_limit,
+                low_balance_threshold = EXCLUDED.low_balance_threshold,
+                email_alerts = EXCLUDED.email_alerts,
+                updated_at = NOW()
+        `, [userId, budget.dailyLimit, budget.monthlyLimit, budget.lowBalanceThreshold, budget.emailAlerts]);
+
+        console.log(`[BUDGETS] User ${userId} saved budget: daily ${budget.dailyLimit}, monthly ${budget.monthlyLimit}, low balance ${budget.lowBalanceThreshold}`);
+        return budget;
+    }
+
+    /**
+     * Spend of the current day and month
+     * @returns {Promise<object>} - { daily, monthly, keys: { daily: 'YYYY-MM-DD', monthly: 'YYYY-MM' } }
+     */
+    async getSpend(userId, db = pool) {
+        const result = await db.query(SPEND_QUERY, [userId]);
+        const row = result.rows[0];
+        return {
+            daily: parseFloat(row.daily) || 0,
+            monthly: parseFloat(row.monthly) || 0,
+            keys: { daily: row.daily_key, monthly: row.monthly_key }
+        };
+    }
+
+    /**
+     * Check a hold of requiredCredits against the user's limits (credits.js createHold)
+     * @param {object} db - the client of the hold's transaction, which holds the user's row lock
+     * @returns {Promise<object>} - { budget, spend, exceeded } - exceeded: { period, limit, spent } of the first limit
+     *   the hold would go past, or null
+     */
+    async checkHold(userId, requiredCredits, db = pool) {
+        const budget = await this.getBudget(userId, db);
+        if (budget.dailyLimit === null && budget.monthlyLimit === null) {
+            return { budget, spend: null, exceeded: null };
+        }
+
+        const spend = await this.getSpend(userId, db);
+        for (const period of Object.keys(BUDGET_PERIODS)) {
+            const limit = budget[LIMIT_FIELDS[period]];
+            if (limit !== null && parseFloat((spend[period] + requiredCredits).toFixed(2)) > limit) {
+                return { budget, spend, exceeded: { period, limit, spent: spend[period] } };
+            }
+        }
+        return { budget, spend, exceeded: null };
+    }
+
+    // A hold was refused - tell the user once per period
+    async notifyLimitReached(userId, { budget, spend, exceeded }, requiredCredits) {
+        const { period, limit, spent } = exceeded;
+        await this.notify(userId, budget, {
+            type: 'budget_reached',
+            title: `${period === 'daily' ? 'Daily' : 'Monthly'} spending limit reached`,
+            message: `You have used ${spent} of your ${limit} credit ${period} limit, so an operation needing ${requiredCredits} credits was blocked. Raise the limit or wait for the next ${BUDGET_PERIODS[period]}.`,
+            data: { period, limit, spent, requiredCredits },
+            dedupeKey: `budget_reached:${period}:${spend.keys[period]}`
+        });
+    }
+
+    // A hold was created - warn once per period when it took the spend past warningPercent of a limit
+    async notifyIfNearLimit(userId, { budget, spend }, heldCredits) {
+        if (!spend) return;
+
+        const { warningPercent } = getUsageBudgetSettings();
+        for (const period of Object.keys(BUDGET_PERIODS)) {
+            const limit = budget[LIMIT_FIELDS[period]];
+            if (limit === null || limit === 0) continue;
+
+            const warnAt = limit * warningPercent / 100;
+            const spentAfter = parseFloat((spend[period] + heldCredits).toFixed(2));
+            if (spend[period] < warnAt && spentAfter >= warnAt) {
+                await this.notify(userId, budget, {
+                    type: 'budget_warning',
+                    title: `${warningPercent}% of your ${period} spending limit used`,
+                    message: `You have used ${spentAfter} of your ${limit} credit ${period} limit. Operations are blocked once it is reached.`,
+                    data: { period, limit, spent: spentAfter, warningPercent },
+                    dedupeKey: `budget_warning:${period}:${spend.keys[period]}`
+                });
+            }
+        }
+    }
+
+    // A deduction was made - alert when it took the balance from >= the user's threshold to below it
+    async notifyIfBalanceLow(userId, previousBalance, newBalance) {
+        try {
+            const budget = await this.getBudget(userId);
+            const threshold = budget.lowBalanceThreshold;
+            if (threshold === null || !(previousBalance >= threshold && newBalance < threshold)) return;
+
+            await this.notify(userId, budget, {
+                type: 'low_balance',
+                title: 'Your credit balance is running low',
+                message: `You have ${newBalance} credits left, below your alert threshold of ${threshold}. Top up or upgrade your plan to keep generating.`,
+                data: { balance: newBalance, threshold }
+            });
+        } catch (error) {
+            console.error(`[BUDGETS] Failed to check the low balance alert of user ${userId}:`, error.message);
+        }
+    }
+
+    // Add to the feed and email it - failures are logged, never thrown (alerts must not break an operation)
+    async notify(userId, budget, notification) {
+        try {
+            const created = await notificationService.createNotification(userId, notification);
+            if (!created || !budget.emailAlerts) return created;
+
+            const userResult = await pool.query('SELECT email, display_name FROM users WHERE id = $1', [userId]);
+            const user = userResult.rows[0];
+            if (!user) return created;
+
+            const emailResult = await sendUsageAlertEmail({
+                toEmail: user.email,
+                toName: user.display_name,
+                userId,
+                title: notification.title,
+                message: notification.message
+            });
+            if (emailResult.ok) {
+                await notificationService.markEmailed(created.id);
+            }
+            return created;
+        } catch (error) {
+            console.error(`[BUDGETS] Failed to send ${notification.type} alert to user ${userId}:`, error.message);
+            return null;
+        }
+    }
+
+    formatBudget(budget, spend) {
+        return {
+            dailyLimit: budget.dailyLimit,
+            monthlyLimit: budget.monthlyLimit,
+            lowBalanceThreshold: budget.lowBalanceThreshold,
+            emailAlerts: budget.emailAlerts,
+            spentToday: spend.daily,
+            spentThisMonth: spend.monthly,
+            remainingToday: budget.dailyLimit === null ? null : Math.max(0, parseFloat((budget.dailyLimit - spend.daily).toFixed(2))),
+            remainingThisMonth: budget.monthlyLimit === null ? null : Math.max(0, parseFloat((budget.monthlyLimit - spend.monthly).toFixed(2)))
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new UsageBudgetService();
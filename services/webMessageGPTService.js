@@ -1,26 +1,27 @@
 // webMessageGPTService.js - GPT Service for Web-Based Message Generation (BrightData profiles)
 // Separate service from gptService.js - handles message generation for web interface using BrightData profile format
 
-const axios = require('axios');
+const { llmService } = require('./llmService');
+const { getFallbackChain } = require('../config/llm');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../config/languages');
+const { buildLanguageInstruction } = require('../prompts/languageInstruction');
+const { BUILTIN_PROMPTS } = require('../prompts');
+
+// Web message types -> gptService / config/messageRules.js message types
+const RULE_TYPES = {
+    linkedin_message: 'inbox_message',
+    connection_request: 'connection_request',
+    cold_email: 'cold_email',
+    intro_request: 'intro_request'
+};
 
 class WebMessageGPTService {
-    constructor() {
-        // Primary: OpenAI GPT-5 config
-        this.apiKey = process.env.OPENAI_API_KEY;
-        this.baseURL = 'https://api.openai.com/v1';
-        this.model = process.env.OPENAI_MODEL || 'gpt-5';
-        
-        // Insurance: Gemini fallback config
-        this.geminiApiKey = process.env.GOOGLE_AI_API_KEY;
-        this.geminiModel = process.env.GOOGLE_AI_MODEL || 'gemini-2.5-pro';
-        this.geminiBaseURL = 'https://generativelanguage.googleapis.com/v1beta';
-        
-        if (!this.apiKey) {
-            console.error('[WEB-GPT] ERROR: OPENAI_API_KEY not found');
-        }
-        if (!this.geminiApiKey) {
-            console.error('[WEB-GPT] ERROR: GOOGLE_AI_API_KEY not found');
-        }
+    /**
+     * Provider fallback chain for web generation (LLM_WEB_MESSAGE_CHAIN, see config/llm.js)
+     * @returns {Array} - [{provider, model}]
+     */
+    get fallbackChain() {
+        return getFallbackChain('LLM_WEB_MESSAGE_CHAIN');
     }
 
     /**
@@ -213,6 +214,11 @@ Please build the most **personalized cold email**.
 * Do **NOT** use generic AI-sounding phrases.
 * Do **NOT** invent details — only use what exists in USER PROFILE, TARGET PROFILE, or CONTEXT.`;
                 break;
+
+            case 'intro_request':
+                // 🤝 Same two-part prompt as the extension flow (Part A to the introducer, Part B forwardable)
+                systemPrompt = BUILTIN_PROMPTS.intro_request.systemPrompt;
+                break;
                 
             default: // 'linkedin_message'
                 systemPrompt = `[MODE: INBOX_MESSAGE]
@@ -268,49 +274,22 @@ ${targetProfileText}
 CONTEXT:
 ${context || 'Professional networking'}
 
-Generate the ${messageType === 'connection_request' ? 'connection request' : messageType === 'cold_email' ? 'cold email' : 'LinkedIn inbox message'} now:`;
+Generate the ${messageType === 'connection_request' ? 'connection request' : messageType === 'cold_email' ? 'cold email' : messageType === 'intro_request' ? 'intro request' : 'LinkedIn inbox message'} now:`;
 
         return { systemPrompt, userPrompt };
     }
 
     /**
-     * Call Gemini API as fallback
-     */
-    async callGeminiAPI(systemPrompt, userPrompt) {
-        const combinedPrompt = `${systemPrompt}\n\n${userPrompt}`;
-        
-        const response = await axios.post(
-            `${this.geminiBaseURL}/models/${this.geminiModel}:generateContent`,
-            {
-                contents: [{
-                    parts: [{ text: combinedPrompt }]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 1000,
-                    temperature: 0.7
-                }
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-goog-api-key': this.geminiApiKey
-                },
-                timeout: 120000
-            }
-        );
-        
-        return response;
-    }
-
-    /**
-     * Generate message using GPT-5 (with Gemini fallback)
+     * Generate message through the LLM provider chain
      * @param {object} userProfile - User's profile from database
      * @param {object} targetProfile - BrightData formatted profile
      * @param {string} context - User's custom context
      * @param {string} messageType - Type of message
-     * @returns {Promise<object>} - {message, model_used, token_usage}
+     * @param {object} options - { language: 'auto' (default) or a config/languages.js code, mutualConnectionName (intro_request) }
+     * @returns {Promise<object>} - {message, model_used, provider, token_usage, latency_ms, fallback_triggered, language}
+     *   intro_request adds {partA, partB, forwardableBlurb}
      */
-    async generateMessage(userProfile, targetProfile, context, messageType) {
+    async generateMessage(userProfile, targetProfile, context, messageType, options = {}) {
         const startTime = Date.now();
         
         try {
@@ -318,78 +297,42 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
             console.log(`[WEB-GPT] Message type: ${messageType}`);
             console.log(`[WEB-GPT] Target: ${targetProfile.fullName}`);
             
-            if (!this.apiKey) {
-                throw new Error('OpenAI API key not configured');
-            }
-
+            const language = this.resolveGenerationLanguage(options.language, targetProfile);
+            console.log(`[WEB-GPT] Language: ${language.code} (${language.source})`);
+            
+            // Intro requests carry the introducer in the context, like gptService.generateIntroRequest
+            const promptContext = messageType === 'intro_request' && options.mutualConnectionName
+                ? `${context || 'Professional networking'} [Mutual connection: ${options.mutualConnectionName}]`
+                : context;
+            
             // Build prompt
-            const { systemPrompt, userPrompt } = this.buildPrompt(
+            const prompt = this.buildPrompt(
                 userProfile, 
                 targetProfile, 
-                context, 
+                promptContext, 
                 messageType
             );
+            const systemPrompt = prompt.systemPrompt;
+            const userPrompt = language.code === DEFAULT_LANGUAGE
+                ? prompt.userPrompt
+                : `${prompt.userPrompt}\n\n${buildLanguageInstruction(language.code, RULE_TYPES[messageType] || 'inbox_message')}`;
             
             console.log('[WEB-GPT] Prompt lengths:', {
                 system: systemPrompt.length,
                 user: userPrompt.length
             });
             
-            // Try GPT-5 first
-            let response;
-            let modelUsed = this.model;
-            let fallbackTriggered = false;
-            
-            try {
-                console.log('[WEB-GPT] Calling GPT-5...');
-                response = await axios.post(
-                    `${this.baseURL}/chat/completions`,
-                    {
-                        model: this.model,
-                        messages: [
-                            { role: "system", content: systemPrompt },
-                            { role: "user", content: userPrompt }
-                        ]
-                    },
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${this.apiKey}`,
-                            'Content-Type': 'application/json'
-                        },
-                        timeout: 120000
-                    }
-                );
-                
-                console.log('[WEB-GPT] ✅ GPT-5 successful');
-                
-            } catch (error) {
-                console.log('[WEB-GPT] ⚠️ GPT-5 failed, trying Gemini...');
-                fallbackTriggered = true;
-                
-                response = await this.callGeminiAPI(systemPrompt, userPrompt);
-                modelUsed = this.geminiModel;
-                console.log('[WEB-GPT] ✅ Gemini fallback successful');
-            }
+            // Provider chain handles primary call + fallbacks
+            const llmResult = await llmService.generate({
+                systemPrompt,
+                userPrompt,
+                chain: this.fallbackChain
+            });
 
-            // Extract message based on model
-            let generatedMessage;
-            let tokenUsage;
-            
-            if (modelUsed.includes('gemini')) {
-                generatedMessage = response.data.candidates[0].content.parts[0].text.trim();
-                tokenUsage = {
-                    input_tokens: response.data.usageMetadata?.promptTokenCount || 0,
-                    output_tokens: response.data.usageMetadata?.candidatesTokenCount || 0,
-                    total_tokens: response.data.usageMetadata?.totalTokenCount || 0
-                };
-            } else {
-                generatedMessage = response.data.choices[0].message.content.trim();
-                tokenUsage = {
-                    input_tokens: response.data.usage.prompt_tokens,
-                    output_tokens: response.data.usage.completion_tokens,
-                    total_tokens: response.data.usage.total_tokens
-                };
-            }
+            const generatedMessage = llmResult.text;
+            const tokenUsage = llmResult.tokenUsage;
+            const modelUsed = llmResult.model;
+            const fallbackTriggered = llmResult.fallbackTriggered;
 
             const latencyMs = Date.now() - startTime;
             
@@ -401,10 +344,14 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
             
             return {
                 message: generatedMessage,
+                ...(messageType === 'intro_request' ? this.parseIntroParts(generatedMessage) : {}),
                 model_used: modelUsed,
+                provider: llmResult.provider,
                 token_usage: tokenUsage,
                 latency_ms: latencyMs,
-                fallback_triggered: fallbackTriggered
+                fallback_triggered: fallbackTriggered,
+                language: language.code,
+                language_source: language.source
             };
             
         } catch (error) {
@@ -412,6 +359,38 @@ Generate the ${messageType === 'connection_request' ? 'connection request' : mes
             throw new Error(`Message generation failed: ${error.message}`);
         }
     }
+
+    /**
+     * Split "Part A: ... Part B: ..." intro output - Part B is the blurb the introducer forwards
+     * @param {string} text - generated intro request
+     * @returns {object} - {partA, partB, forwardableBlurb}
+     */
+    parseIntroParts(text) {
+        const match = (text || '').match(/Part A:\s*([\s\S]*?)\s*Part B:\s*([\s\S]*)$/i);
+        const partA = match ? match[1].trim() : '';
+        const partB = match ? match[2].trim() : (text || '').trim();
+        return { partA, partB, forwardableBlurb: partB };
+    }
+
+    /**
+     * Resolve options.language against the BrightData profile (unsupported codes fall back to auto-detection)
+     * @param {string} requested - language code, 'auto' or empty
+     * @param {object} targetProfile - BrightData formatted profile
+     * @returns {object} - { code, source }
+     */
+    resolveGenerationLanguage(requested, targetProfile) {
+        const signals = {
+            about: targetProfile.about || '',
+            location: targetProfile.location || '',
+            countryCode: targetProfile.countryCode || ''
+        };
+        const resolved = resolveLanguage(requested, signals);
+        if (resolved.error) {
+            console.log(`[WEB-GPT] ${resolved.error} - auto-detecting instead`);
+            return resolveLanguage('auto', signals);
+        }
+        return resolved;
+    }
 }
 
 module.exports = new WebMessageGPTService();
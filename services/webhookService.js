@@ -0,0 +1,502 @@
+// services/webhookService.js - Outbound webhooks: user endpoints notified when things happen (config/webhooks.js)
+// emit() records one webhook_deliveries row per subscribed endpoint and enqueues a webhook_delivery job for it.
+// The job POSTs the signed payload; non-2xx responses and network errors are retried with backoff by the
+// job queue, and every attempt is written back to the delivery row (the delivery log shown to the user).
+// emit() never throws - a broken endpoint or a database hiccup must not fail the generation that triggered it.
+// SSRF: the hostname is checked when the webhook is saved and again on delivery, and the delivery agents check the
+// addresses it resolves to, so a public name pointing at a private address (or rebinding to one) is refused.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { pool } = require('../utils/database');
+const jobQueue = require('./jobQueue');
+const {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    getWebhookSettings
+} = require('../config/webhooks');
+
+// Hostnames that would make the server call itself or its private network
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal'];
+
+const isPrivateAddress = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (BLOCKED_HOSTNAMES.includes(host) || host.endsWith('.localhost') || host.endsWith('.internal')) {
+        return true;
+    }
+
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 198 && (b === 18 || b === 19)) ||
+            a >= 224;
+    }
+
+    if (net.isIPv6(host)) {
+        return host === '::' || host === '::1' || host.startsWith('fc') || host.startsWith('fd') ||
+            host.startsWith('fe80') || host.startsWith('ff') || host.startsWith('::ffff:');
+    }
+
+    return false;
+};
+
+// dns.lookup that fails with EPRIVATEADDRESS when the host resolves to a private address - checked on every
+// connection, so the address that is checked is the one connected to
+const publicOnlyLookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const privateAddress = addresses.find(entry => isPrivateAddress(entry.address));
+        if (privateAddress) {
+            const refused = new Error(`${hostname} resolves to the private address ${privateAddress.address}`);
+            refused.code = 'EPRIVATEADDRESS';
+            return callback(refused);
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const deliveryHttpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const deliveryHttpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+class WebhookService {
+    // axios options for requests to user-chosen hosts (deliveries, CRM instance URLs): connections to hosts that
+    // resolve to private addresses fail with code EPRIVATEADDRESS. An environment proxy would resolve the host
+    // itself, past the lookup check, so none is used.
+    publicOnlyRequestOptions() {
+        return {
+            httpAgent: deliveryHttpAgent,
+            httpsAgent: deliveryHttpsAgent,
+            proxy: false
+        };
+    }
+
+    // Validate an endpoint URL - returns an error message or null
+    getUrlError(url) {
+        if (!url || typeof url !== 'string') {
+            return 'url is required';
+        }
+        if (url.length > 2000) {
+            return 'url must be at most 2000 characters';
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url.trim());
+        } catch (error) {
+            return 'url must be a valid URL';
+        }
+
+        const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+        if (!allowedProtocols.includes(parsed.protocol)) {
+            return process.env.NODE_ENV === 'production' ? 'url must use https' : 'url must use http or https';
+        }
+        if (parsed.username || parsed.password) {
+            return 'url must not contain credentials';
+        }
+        if (isPrivateAddress(parsed.hostname)) {
+            return 'url must point to a public host';
+        }
+
+        return null;
+    }
+
+    // Validate a user-chosen signing secret - returns an error message or null
+    getSecretError(secret) {
+        if (typeof secret !== 'string' || secret.length < 16 || secret.length > 100) {
+            return 'secret must be between 16 and 100 characters';
+        }
+        return null;
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Signature headers of one request
+     * The receiver recomputes HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and compares it with X-Msgly-Signature.
+     */
+    sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+        const signature = crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return { timestamp, signature: `sha256=${signature}` };
+    }
+
+    async countWebhooks(userId) {
+        const result = await pool.query('SELECT COUNT(*)::INTEGER AS count FROM webhooks WHERE user_id = $1', [userId]);
+        return result.rows[0].count;
+    }
+
+    async listWebhooks(userId) {
+        const result = await pool.query(`
+            SELECT * FROM webhooks WHERE user_id = $1 ORDER BY created_at
+        `, [userId]);
+        return result.rows;
+    }
+
+    // Webhook of a user - null when it does not exist or belongs to someone else
+    async getWebhook(userId, webhookId) {
+        const result = await pool.query('SELECT * FROM webhooks WHERE id = $1 AND user_id = $2', [webhookId, userId]);
+        return result.rows[0] || null;
+    }
+
+    async createWebhook(userId, { url, secret, events, description }) {
+        const result = await pool.query(`
+            INSERT INTO webhooks (user_id, url, secret, events, description)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [userId, url.trim(), secret || this.generateSecret(), JSON.stringify(events), description || null]);
+
+        console.log(`[WEBHOOKS] User ${userId} added webhook ${result.rows[0].id}: ${url} (${events.join(', ')})`);
+        return result.rows[0];
+    }
+
+    /**
+     * Update a webhook - only the given fields change
+     * @param {object} updates - { url, secret, events, description, isActive }
+     */
+    async updateWebhook(userId, webhookId, updates) {
+        const columns = {};
+        if (updates.url !== undefined) columns.url = updates.url.trim();
+        if (updates.secret !== undefined) columns.secret = updates.secret;
+        if (updates.events !== undefined) columns.events = JSON.stringify(updates.events);
+        if (updates.description !== undefined) columns.description = updates.description || null;
+        if (updates.isActive !== undefined) columns.is_active = updates.isActive;
+
+        const names = Object.keys(columns);
+        const assignments = names.map((name, index) => `${name} = $${index + 3}`);
+
+        const result = await pool.query(`
+            UPDATE webhooks
+            SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+            WHERE id = $1 AND user_id = $2
+            RETURNING *
+        `, [webhookId, userId, ...Object.values(columns)]);
+
+        return result.rows[0] || null;
+    }
+
+    // Deleting a webhook deletes its delivery log; queued deliveries find no webhook and are skipped
+    async deleteWebhook(userId, webhookId) {
+        const result = await pool.query('DELETE FROM webhooks WHERE id = $1 AND user_id = $2', [webhookId, userId]);
+        if (result.rowCount > 0) {
+            console.log(`[WEBHOOKS] User ${userId} deleted webhook ${webhookId}`);
+        }
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Notify every active endpoint of the user that subscribed to the event
+     * @param {number} userId
+     * @param {string} eventType - key of WEBHOOK_EVENTS
+     * @param {object} data - event body (kept small: ids, URLs, the generated text)
+     * @returns {Promise<number>} - number of deliveries queued
+     */
+    async emit(userId, eventType, data = {}) {
+        try {
+            if (!userId || !WEBHOOK_EVENTS[eventType]) {
+                return 0;
+            }
+
+            const result = await pool.query(`
+                SELECT id FROM webhooks
+                WHERE user_id = $1 AND is_active = TRUE AND events ? $2::TEXT
+            `, [userId, eventType]);
+
+            if (result.rows.length === 0) {
+                return 0;
+            }
+
+            const event = this.buildEvent(eventType, data);
+            for (const webhook of result.rows) {
+                await this.queueDelivery(userId, webhook.id, event);
+            }
+
+            console.log(`[WEBHOOKS] ${eventType} for user ${userId} queued to ${result.rows.length} endpoint(s)`);
+            return result.rows.length;
+        } catch (error) {
+            console.error(`[WEBHOOKS] Failed to emit ${eventType} for user ${userId}:`, error.message);
+            return 0;
+        }
+    }
+
+    // credits.low only fires on the deduction that crosses the threshold, not on every one below it
+    async emitIfCreditsLow(userId, previousBalance, newBalance) {
+        const { lowCreditsThreshold } = getWebhookSettings();
+        if (previousBalance >= lowCreditsThreshold && newBalance < lowCreditsThreshold) {
+            return await this.emit(userId, 'credits.low', {
+                balance: newBalance,
+                threshold: lowCreditsThreshold
+            });
+        }
+        return 0;
+    }
+
+    buildEvent(eventType, data) {
+        return {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type: eventType,
+            createdAt: new Date().toISOString(),
+            data
+        };
+    }
+
+    async queueDelivery(userId, webhookId, event) {
+        const result = await pool.query(`
+            INSERT INTO webhook_deliveries (webhook_id, user_id, event_id, event_type, payload)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [webhookId, userId, event.id, event.type, JSON.stringify(event)]);
+        const delivery = result.rows[0];
+
+        const { job } = await jobQueue.enqueue('webhook_delivery', { deliveryId: delivery.id }, {
+            userId,
+            dedupeKey: `webhook_delivery:${delivery.id}`
+        });
+
+        return { delivery, job };
+    }
+
+    // Send a webhook.test event to one endpoint, whatever it subscribed to
+    async sendTestEvent(userId, webhook) {
+        const event = this.buildEvent(TEST_EVENT, {
+            webhookId: webhook.id,
+            message: 'Test event from Msgly - your endpoint is reachable'
+        });
+        return await this.queueDelivery(userId, webhook.id, event);
+    }
+
+    // Queue a past delivery again (same event id, so receivers can dedupe)
+    async redeliver(userId, webhookId, deliveryId) {
+        const result = await pool.query(`
+            SELECT payload FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2 AND user_id = $3
+        `, [deliveryId, webhookId, userId]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+        return await this.queueDelivery(userId, webhookId, result.rows[0].payload);
+    }
+
+    async listDeliveries(userId, webhookId, { status = null, limit = 50 } = {}) {
+        const result = await pool.query(`
+            SELECT *
+            FROM webhook_deliveries
+            WHERE webhook_id = $1 AND user_id = $2
+              AND ($3::VARCHAR IS NULL OR status = $3::VARCHAR)
+            ORDER BY created_at DESC
+            LIMIT $4
+        `, [webhookId, userId, status, limit]);
+        return result.rows;
+    }
+
+    // webhook_delivery job: one POST attempt - throws on failure so the job queue retries it
+    async deliver(job) {
+        const { deliveryId } = job.payload;
+        const result = await pool.query(`
+            SELECT d.*, w.url, w.secret, w.is_active
+            FROM webhook_deliveries d
+            JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.id = $1
+        `, [deliveryId]);
+        const delivery = result.rows[0];
+
+        if (!delivery) {
+            // Webhook deleted since the event was queued
+            return { deliveryId, skipped: true };
+        }
+        if (!delivery.is_active && delivery.event_type !== TEST_EVENT) {
+            await this.recordAttempt(deliveryId, { status: 'failed', error: 'Webhook disabled before delivery' });
+            return { deliveryId, skipped: true };
+        }
+
+        // Saved before the URL check existed, or the rules changed since - never worth retrying
+        const urlError = this.getUrlError(delivery.url);
+        if (urlError) {
+            await this.recordAttempt(deliveryId, { status: 'failed', error: `Refused: ${urlError}` });
+            return { deliveryId, skipped: true };
+        }
+
+        const settings = getWebhookSettings();
+        const body = JSON.stringify(delivery.payload);
+        const { timestamp, signature } = this.sign(delivery.secret, body);
+        const startTime = Date.now();
+
+        let response;
+        try {
+            response = await axios.post(delivery.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Msgly-Webhooks/1.0',
+                    'X-Msgly-Event': delivery.event_type,
+                    'X-Msgly-Delivery': delivery.event_id,
+                    'X-Msgly-Timestamp': String(timestamp),
+                    'X-Msgly-Signature': signature
+                },
+                timeout: settings.timeoutMs,
+                maxRedirects: 0,
+                ...this.publicOnlyRequestOptions(),
+                // Send the exact string that was signed
+                transformRequest: [(data) => data],
+                // Read the body as text, whatever the endpoint returns
+                transformResponse: [(data) => data],
+                validateStatus: () => true
+            });
+        } catch (error) {
+            if (error.code === 'EPRIVATEADDRESS') {
+                await this.recordAttempt(deliveryId, {
+                    status: 'failed',
+                    error: 'Refused: url must point to a public host',
+                    durationMs: Date.now() - startTime
+                });
+                console.warn(`[WEBHOOKS] Delivery ${deliveryId} refused: ${error.message}`);
+                return { deliveryId, skipped: true };
+            }
+
+            await this.recordAttempt(deliveryId, {
+                status: 'pending',
+                error: error.code ? `${error.code}: ${error.message}` : error.message,
+                durationMs: Date.now() - startTime
+            });
+            throw new Error(`Webhook request failed: ${error.message}`);
+        }
+
+        const durationMs = Date.now() - startTime;
+
+        if (response.status >= 200 && response.status < 300) {
+            await this.recordAttempt(deliveryId, {
+                status: 'delivered',
+                responseStatus: response.status,
+                responseBody: typeof response.data === 'string'
+                    ? response.data.substring(0, settings.maxResponseBodyChars)
+                    : null,
+                durationMs
+            });
+            console.log(`[WEBHOOKS] Delivery ${deliveryId} (${delivery.event_type}) -> ${response.status} in ${durationMs}ms`);
+            return { deliveryId, responseStatus: response.status };
+        }
+
+        // The body of a failed response is not kept - only the status is shown in the delivery log
+        await this.recordAttempt(deliveryId, {
+            status: 'pending',
+            responseStatus: response.status,
+            error: `Endpoint responded with HTTP ${response.status}`,
+            durationMs
+        });
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+    }
+
+    // Write one attempt to the delivery log and the webhook's last delivery status
+    async recordAttempt(deliveryId, { status, responseStatus = null, responseBody = null, error = null, durationMs = null }) {
+        const result = await pool.query(`
+            UPDATE webhook_deliveries
+            SET
+                status = $2::VARCHAR,
+                attempts = attempts + 1,
+                response_status = $3,
+                response_body = $4,
+                error = $5,
+                duration_ms = $6,
+                last_attempt_at = NOW(),
+                delivered_at = CASE WHEN $2::VARCHAR = 'delivered' THEN NOW() ELSE delivered_at END
+            WHERE id = $1
+            RETURNING webhook_id
+        `, [deliveryId, status, responseStatus, responseBody, error, durationMs]);
+
+        if (result.rows.length > 0) {
+            await pool.query(`
+                UPDATE webhooks
+                SET last_delivery_at = NOW(), last_delivery_status = $2
+                WHERE id = $1
+            `, [result.rows[0].webhook_id, status === 'delivered' ? 'delivered' : 'failed']);
+        }
+    }
+
+    // Out of retries - the delivery stays in the log as failed
+    async markDeliveryFailed(deliveryId, reason) {
+        await pool.query(`
+            UPDATE webhook_deliveries
+            SET status = 'failed', error = COALESCE(error, $2)
+            WHERE id = $1 AND status = 'pending'
+        `, [deliveryId, reason]);
+        console.warn(`[WEBHOOKS] Delivery ${deliveryId} failed for good: ${reason}`);
+    }
+
+    // Delete delivery log rows past the retention window
+    async cleanupOldDeliveries() {
+        const { deliveryRetentionDays } = getWebhookSettings();
+        const result = await pool.query(`
+            DELETE FROM webhook_deliveries
+            WHERE status <> 'pending' AND created_at < NOW() - ($1 * INTERVAL '1 day')
+        `, [deliveryRetentionDays]);
+
+        if (result.rowCount > 0) {
+            console.log(`[WEBHOOKS] Deleted ${result.rowCount} webhook deliveries older than ${deliveryRetentionDays} days`);
+        }
+        return result.rowCount;
+    }
+
+    // Public shape - the secret is only returned in full when it is created or rotated
+    formatWebhook(row) {
+        return {
+            id: row.id,
+            url: row.url,
+            events: row.events,
+            description: row.description,
+            isActive: row.is_active,
+            secretPreview: `${row.secret.substring(0, 6)}...${row.secret.slice(-4)}`,
+            lastDeliveryAt: row.last_delivery_at,
+            lastDeliveryStatus: row.last_delivery_status,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    formatDelivery(row) {
+        return {
+            id: row.id,
+            eventId: row.event_id,
+            eventType: row.event_type,
+            status: row.status,
+            attempts: row.attempts,
+            responseStatus: row.response_status,
+            responseBody: row.response_body,
+            error: row.error,
+            durationMs: row.duration_ms,
+            payload: row.payload,
+            createdAt: row.created_at,
+            lastAttemptAt: row.last_attempt_at,
+            deliveredAt: row.delivered_at
+        };
+    }
+}
+
+const webhookService = new WebhookService();
+
+jobQueue.registerHandler('webhook_delivery', {
+    run: (job) => webhookService.deliver(job),
+    onFailed: (job, error) => webhookService.markDeliveryFailed(
+        job.payload.deliveryId,
+        error.message === 'cancelled' ? 'Delivery cancelled' : error.message
+    )
+});
+
+// Export singleton instance
+module.exports = webhookService;
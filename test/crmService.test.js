@@ -0,0 +1,293 @@
+// test/crmService.test.js - CRM export against the local HubSpot / Salesforce mock (test/helpers/crmMockServer.js)
+// The API base URLs point at the mock through HUBSPOT_API_BASE_URL / SALESFORCE_API_BASE_URL (config/crm.js); the
+// tables crmService uses are kept in memory (test/helpers/fakeCrmDatabase.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../utils/database');
+const crmService = require('../services/crmService');
+const { DEFAULT_FIELD_MAPPINGS } = require('../config/crm');
+const { startCrmMockServer } = require('./helpers/crmMockServer');
+const { installFakeCrmDatabase } = require('./helpers/fakeCrmDatabase');
+
+const JANE_URL = 'https://www.linkedin.com/in/jane-doe';
+const JOHN_URL = 'https://www.linkedin.com/in/john-smith';
+
+const buildConnection = (provider, overrides = {}) => ({
+    id: 1,
+    user_id: 7,
+    provider,
+    access_token: `${provider}-test-token`,
+    instance_url: null,
+    field_mapping: DEFAULT_FIELD_MAPPINGS[provider],
+    sync_activities: true,
+    is_active: true,
+    ...overrides
+});
+
+// Jane: a sent and replied connection request + a generated message; John: one generated message
+const buildMessages = () => {
+    const base = {
+        target_title: null,
+        target_company: null,
+        edited_message: null,
+        sent_status: 'no',
+        reply_status: 'no',
+        sent_date: null,
+        reply_date: null,
+        reply_text: null,
+        profile_data: null,
+        email_found: null,
+        email_status: null,
+        created_at: new Date('2026-10-01T09:00:00Z')
+    };
+    return [
+        {
+            ...base,
+            id: 11,
+            target_first_name: 'Jane Doe',
+            target_title: 'CTO',
+            target_company: 'Acme',
+            target_profile_url: JANE_URL,
+            generated_message: 'Hi Jane, would love to connect.',
+            message_type: 'connection_request',
+            sent_status: 'yes',
+            sent_date: new Date('2026-10-02T09:00:00Z'),
+            reply_status: 'yes',
+            reply_date: new Date('2026-10-03T09:00:00Z'),
+            reply_text: 'Thanks, happy to connect!',
+            email_found: 'jane@acme.com',
+            email_status: 'verified'
+        },
+        {
+            ...base,
+            id: 12,
+            target_first_name: 'Jane Doe',
+            target_title: 'CTO',
+            target_company: 'Acme',
+            target_profile_url: JANE_URL,
+            generated_message: 'Following up on my note.',
+            message_type: 'inbox_message'
+        },
+        {
+            ...base,
+            id: 13,
+            target_first_name: 'John Smith',
+            target_profile_url: JOHN_URL,
+            generated_message: 'Hi John!',
+            message_type: 'connection_request',
+            email_found: 'john@example.com',
+            email_status: 'unverified'
+        }
+    ];
+};
+
+const buildJob = (overrides = {}) => ({ id: 501, attempts: 1, payload: { connectionId: 1 }, ...overrides });
+
+const requestsTo = (mock, method, pattern) => mock.requests.filter(request => request.method === method && pattern.test(request.path));
+
+describe('crmService.sync', () => {
+    let mock;
+    let db;
+    const originalQuery = pool.query;
+
+    before(async () => {
+        mock = await startCrmMockServer();
+    });
+
+    after(async () => {
+        pool.query = originalQuery;
+        delete process.env.HUBSPOT_API_BASE_URL;
+        delete process.env.SALESFORCE_API_BASE_URL;
+        await mock.close();
+    });
+
+    beforeEach(() => {
+        mock.requests.length = 0;
+        process.env.HUBSPOT_API_BASE_URL = mock.url;
+        process.env.SALESFORCE_API_BASE_URL = mock.url;
+    });
+
+    describe('HubSpot', () => {
+        beforeEach(() => {
+            db = installFakeCrmDatabase(pool, { connection: buildConnection('hubspot'), messages: buildMessages() });
+        });
+
+        it('creates a contact per target and a note per activity', async () => {
+            const result = await crmService.sync(buildJob());
+
+            assert.equal(result.status, 'completed');
+            assert.equal(result.contactsSynced, 2);
+            assert.equal(result.activitiesSynced, 5);
+
+            const contacts = requestsTo(mock, 'POST', /^\/crm\/v3\/objects\/contacts$/);
+            assert.equal(contacts.length, 2);
+            assert.deepEqual(contacts[0].body.properties, {
+                firstname: 'Jane',
+                lastname: 'Doe',
+                jobtitle: 'CTO',
+                company: 'Acme',
+                website: JANE_URL,
+                email: 'jane@acme.com'
+            });
+            // Unverified emails are not exported
+            assert.equal(contacts[1].body.properties.email, undefined);
+            assert.equal(contacts[0].headers.authorization, 'Bearer hubspot-test-token');
+
+            const notes = requestsTo(mock, 'POST', /^\/crm\/v3\/objects\/notes$/);
+            assert.equal(notes.length, 5);
+            const janeId = db.syncRecords.find(record => record.local_key === JANE_URL).external_id;
+            assert.equal(notes[0].body.associations[0].to.id, janeId);
+            assert.match(notes[2].body.properties.hs_note_body, /Jane Doe replied[\s\S]*Thanks, happy to connect!/);
+
+            assert.deepEqual(
+                db.syncRecords.map(record => `${record.record_type}:${record.local_key}`).sort(),
+                [`contact:${JANE_URL}`, `contact:${JOHN_URL}`, 'activity:11:generated', 'activity:11:replied', 'activity:11:sent', 'activity:12:generated', 'activity:13:generated'].sort()
+            );
+        });
+
+        it('updates contacts that were pushed before and only adds missing activities', async () => {
+            await crmService.sync(buildJob());
+            mock.requests.length = 0;
+
+            db.messages[1].sent_status = 'yes';
+            db.messages[1].sent_date = new Date('2026-10-04T09:00:00Z');
+            const result = await crmService.sync(buildJob({ id: 502 }));
+
+            const janeId = db.syncRecords.find(record => record.local_key === JANE_URL).external_id;
+            assert.equal(requestsTo(mock, 'POST', /^\/crm\/v3\/objects\/contacts$/).length, 0);
+            assert.equal(requestsTo(mock, 'PATCH', new RegExp(`^/crm/v3/objects/contacts/${janeId}$`)).length, 1);
+            assert.equal(requestsTo(mock, 'POST', /^\/crm\/v3\/objects\/notes$/).length, 1);
+            assert.equal(result.activitiesSynced, 1);
+            assert.ok(db.syncRecords.some(record => record.local_key === '12:sent'));
+        });
+
+        it('updates the existing HubSpot contact when the email is taken', async () => {
+            mock.failNext('POST', /^\/crm\/v3\/objects\/contacts$/, 409, { message: 'Contact already exists. Existing ID: 999' });
+
+            await crmService.sync(buildJob());
+
+            assert.equal(requestsTo(mock, 'PATCH', /^\/crm\/v3\/objects\/contacts\/999$/).length, 1);
+            assert.equal(db.syncRecords.find(record => record.local_key === JANE_URL).external_id, '999');
+        });
+
+        it('fails the run for good on 401 / 403', async () => {
+            for (const status of [401, 403]) {
+                db = installFakeCrmDatabase(pool, { connection: buildConnection('hubspot'), messages: buildMessages() });
+                mock.failNext('POST', /^\/crm\/v3\/objects\/contacts$/, status, { message: 'Authentication credentials not found' });
+
+                await assert.rejects(crmService.sync(buildJob()), (error) => {
+                    assert.equal(error.permanent, true);
+                    assert.match(error.message, new RegExp(`HubSpot rejected the access token \\(HTTP ${status}`));
+                    return true;
+                });
+
+                assert.equal(db.syncLogs.length, 1);
+                assert.equal(db.syncLogs[0].status, 'failed');
+                assert.match(db.syncLogs[0].errors[0].error, new RegExp(`HTTP ${status}`));
+                assert.equal(db.syncRecords.length, 0);
+                assert.equal(db.connection.last_sync_status, 'failed');
+            }
+        });
+
+        it('retries on 5xx and the retry picks up where the failed attempt stopped', async () => {
+            mock.failNext('POST', /^\/crm\/v3\/objects\/notes$/, 503, { message: 'Service unavailable' });
+
+            await assert.rejects(crmService.sync(buildJob()), (error) => {
+                assert.notEqual(error.permanent, true);
+                assert.match(error.message, /HubSpot sync stopped: HTTP 503/);
+                return true;
+            });
+            assert.equal(db.syncLogs[0].status, 'failed');
+            assert.equal(db.syncLogs[0].contacts_synced, 1);
+            assert.equal(db.syncLogs[0].activities_synced, 0);
+
+            const result = await crmService.sync(buildJob({ attempts: 2 }));
+
+            assert.equal(result.status, 'completed');
+            // One log row per job, reopened by the retry - counts add up over the attempts
+            assert.equal(db.syncLogs.length, 1);
+            assert.equal(db.syncLogs[0].status, 'completed');
+            assert.equal(db.syncLogs[0].activities_synced, 5);
+            assert.equal(db.syncLogs[0].errors.length, 1);
+            assert.equal(requestsTo(mock, 'POST', /^\/crm\/v3\/objects\/contacts$/).length, 2);
+            assert.equal(db.syncRecords.filter(record => record.record_type === 'activity').length, 5);
+        });
+
+        it('logs a record the CRM rejects and ends the run partial', async () => {
+            mock.failNext('POST', /^\/crm\/v3\/objects\/contacts$/, 400, { message: 'Property values were not valid' });
+
+            const result = await crmService.sync(buildJob());
+
+            assert.equal(result.status, 'partial');
+            assert.equal(result.failures, 1);
+            assert.equal(db.syncLogs[0].status, 'partial');
+            assert.equal(db.syncLogs[0].failures, 1);
+            assert.deepEqual(db.syncLogs[0].errors, [{ record: `contact ${JANE_URL}`, error: 'HTTP 400 - Property values were not valid' }]);
+            assert.equal(db.connection.last_sync_status, 'partial');
+        });
+    });
+
+    describe('Salesforce', () => {
+        beforeEach(() => {
+            db = installFakeCrmDatabase(pool, {
+                connection: buildConnection('salesforce', { instance_url: 'https://acme.my.salesforce.com' }),
+                messages: buildMessages()
+            });
+        });
+
+        it('creates a lead per target and a completed task per activity', async () => {
+            const result = await crmService.sync(buildJob());
+
+            assert.equal(result.status, 'completed');
+            const leads = requestsTo(mock, 'POST', /\/sobjects\/Lead$/);
+            assert.equal(leads.length, 2);
+            assert.deepEqual(leads[0].body, {
+                FirstName: 'Jane',
+                LastName: 'Doe',
+                Title: 'CTO',
+                Company: 'Acme',
+                Website: JANE_URL,
+                Email: 'jane@acme.com'
+            });
+            // Required lead fields are filled in when the target leaves them empty
+            assert.equal(leads[1].body.Company, '[not provided]');
+
+            const tasks = requestsTo(mock, 'POST', /\/sobjects\/Task$/);
+            assert.equal(tasks.length, 5);
+            const janeId = db.syncRecords.find(record => record.local_key === JANE_URL).external_id;
+            assert.equal(tasks[0].body.WhoId, janeId);
+            assert.equal(tasks[0].body.Status, 'Completed');
+            assert.equal(tasks[0].body.ActivityDate, '2026-10-01');
+            assert.equal(db.syncLogs[0].activities_synced, 5);
+        });
+
+        it('fails the run for good on 401', async () => {
+            mock.failNext('POST', /\/sobjects\/Lead$/, 401, [{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+
+            await assert.rejects(crmService.sync(buildJob()), (error) => {
+                assert.equal(error.permanent, true);
+                assert.match(error.message, /INVALID_SESSION_ID/);
+                return true;
+            });
+            assert.equal(db.syncLogs[0].status, 'failed');
+        });
+
+        it('only reaches a user-chosen instance URL that resolves to a public address', async () => {
+            delete process.env.SALESFORCE_API_BASE_URL;
+            const port = new URL(mock.url).port;
+            const connection = buildConnection('salesforce', { instance_url: `http://localhost:${port}` });
+
+            await assert.rejects(
+                crmService.createClient(connection).post('/services/data/v59.0/sobjects/Lead', {}),
+                (error) => error.code === 'EPRIVATEADDRESS'
+            );
+
+            db = installFakeCrmDatabase(pool, { connection, messages: buildMessages() });
+            await assert.rejects(crmService.sync(buildJob()), (error) => error.permanent === true && /Refused/.test(error.message));
+            assert.equal(db.syncLogs[0].status, 'failed');
+            assert.equal(mock.requests.length, 0);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+// test/helpers/crmMockServer.js - Local HubSpot / Salesforce API for the CRM export tests
+// Answers the endpoints services/crmService.js calls (HubSpot CRM v3 contacts + notes, Salesforce Lead + Task
+// sobjects) and records every request. failNext() answers the next matching request with an error instead.
+
+const http = require('http');
+
+const SALESFORCE_SOBJECTS = /^\/services\/data\/v[\d.]+\/sobjects/;
+
+// [method, path pattern, handler(match, body, nextId) -> [status, data]]
+const ROUTES = [
+    ['POST', /^\/crm\/v3\/objects\/contacts$/, (match, body, nextId) => [201, { id: String(nextId()), properties: body.properties }]],
+    ['PATCH', /^\/crm\/v3\/objects\/contacts\/(\d+)$/, (match, body) => [200, { id: match[1], properties: body.properties }]],
+    ['POST', /^\/crm\/v3\/objects\/notes$/, (match, body, nextId) => [201, { id: String(nextId()), properties: body.properties }]],
+    ['POST', new RegExp(`${SALESFORCE_SOBJECTS.source}/Lead$`), (match, body, nextId) => [201, { id: `00Q${nextId()}`, success: true, errors: [] }]],
+    ['PATCH', new RegExp(`${SALESFORCE_SOBJECTS.source}/Lead/(\\w+)$`), () => [204, undefined]],
+    ['POST', new RegExp(`${SALESFORCE_SOBJECTS.source}/Task$`), (match, body, nextId) => [201, { id: `00T${nextId()}`, success: true, errors: [] }]]
+];
+
+/**
+ * Start the mock on a free local port
+ * @returns {Promise<object>} - { url, requests, failNext(method, pattern, status, data), close() }
+ */
+const startCrmMockServer = async () => {
+    const requests = [];
+    const failures = [];
+    let lastId = 100;
+    const nextId = () => ++lastId;
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+            const reply = (status, data) => {
+                res.writeHead(status, data === undefined ? {} : { 'Content-Type': 'application/json' });
+                res.end(data === undefined ? undefined : JSON.stringify(data));
+            };
+
+            const failureIndex = failures.findIndex(failure => failure.method === req.method && failure.pattern.test(req.url));
+            if (failureIndex !== -1) {
+                const [failure] = failures.splice(failureIndex, 1);
+                return reply(failure.status, failure.data);
+            }
+
+            for (const [method, pattern, handler] of ROUTES) {
+                const match = req.method === method && req.url.match(pattern);
+                if (match) return reply(...handler(match, body, nextId));
+            }
+            reply(404, { message: `No mock for ${req.method} ${req.url}` });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        failNext(method, pattern, status, data = { message: `HTTP ${status}` }) {
+            failures.push({ method, pattern, status, data });
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+};
+
+module.exports = { startCrmMockServer };
@@ -0,0 +1,107 @@
+// test/helpers/fakeCrmDatabase.js - In-memory stand-in for the tables services/crmService.js reads and writes
+// (crm_connections, message_logs, crm_sync_records, crm_sync_log), installed over pool.query of utils/database.
+// Each query is recognised by its table and answered the way Postgres would for crmService's SQL.
+
+const hasRecord = (db, recordType, localKey) => db.syncRecords.some(record => (
+    record.connection_id === db.connection.id && record.record_type === recordType && record.local_key === localKey
+));
+
+// UNSYNCED_MESSAGE_CONDITION of crmService: no contact yet, or an activity of the message is missing
+const isUnsynced = (db, message) => {
+    if (!hasRecord(db, 'contact', message.target_profile_url)) return true;
+    if (!db.connection.sync_activities) return false;
+    const kinds = ['generated', ...(message.sent_status === 'yes' ? ['sent'] : []), ...(message.reply_status === 'yes' ? ['replied'] : [])];
+    return kinds.some(kind => !hasRecord(db, 'activity', `${message.id}:${kind}`));
+};
+
+/**
+ * Replace pool.query with the in-memory tables
+ * @param {object} pool - the pool of utils/database
+ * @param {object} data - { connection, messages } - a crm_connections row and message rows as loadMessages returns them
+ * @returns {object} - { connection, messages, syncRecords, syncLogs } (inspect them after a run)
+ */
+const installFakeCrmDatabase = (pool, { connection, messages }) => {
+    const db = { connection, messages, syncRecords: [], syncLogs: [] };
+
+    pool.query = async (sql, params = []) => {
+        if (/FROM crm_connections WHERE id = \$1/.test(sql)) {
+            return { rows: db.connection && db.connection.id === params[0] ? [db.connection] : [] };
+        }
+
+        if (/INSERT INTO crm_sync_log/.test(sql)) {
+            const [connectionId, userId, jobId] = params;
+            let log = db.syncLogs.find(row => row.job_id === jobId);
+            if (log) {
+                Object.assign(log, { status: 'running', finished_at: null });
+            } else {
+                log = {
+                    id: db.syncLogs.length + 1,
+                    connection_id: connectionId,
+                    user_id: userId,
+                    job_id: jobId,
+                    status: 'running',
+                    messages_total: 0,
+                    contacts_synced: 0,
+                    activities_synced: 0,
+                    failures: 0,
+                    errors: [],
+                    started_at: new Date(),
+                    finished_at: null
+                };
+                db.syncLogs.push(log);
+            }
+            return { rows: [{ ...log }] };
+        }
+
+        if (/UPDATE crm_sync_log/.test(sql)) {
+            const [syncLogId, status, messages, contacts, activities, failures, errors] = params;
+            const log = db.syncLogs.find(row => row.id === syncLogId);
+            Object.assign(log, {
+                status,
+                messages_total: Math.max(log.messages_total, messages),
+                contacts_synced: log.contacts_synced + contacts,
+                activities_synced: log.activities_synced + activities,
+                failures: log.failures + failures,
+                errors: [...log.errors, ...JSON.parse(errors)],
+                finished_at: new Date()
+            });
+            return { rows: [], rowCount: 1 };
+        }
+
+        if (/UPDATE crm_connections/.test(sql)) {
+            Object.assign(db.connection, { last_sync_at: new Date(), last_sync_status: params[1] });
+            return { rows: [], rowCount: 1 };
+        }
+
+        if (/FROM message_logs ml/.test(sql)) {
+            const [, messageIds, , , limit] = params;
+            const rows = messageIds
+                ? db.messages.filter(message => messageIds.includes(message.id))
+                : db.messages.filter(message => isUnsynced(db, message));
+            return { rows: rows.slice(0, limit) };
+        }
+
+        if (/SELECT record_type, local_key, external_id FROM crm_sync_records/.test(sql)) {
+            return { rows: db.syncRecords.filter(record => record.connection_id === params[0]) };
+        }
+
+        if (/INSERT INTO crm_sync_records/.test(sql)) {
+            const [connectionId, recordType, localKey, externalId] = params;
+            const existing = db.syncRecords.find(record => (
+                record.connection_id === connectionId && record.record_type === recordType && record.local_key === localKey
+            ));
+            if (existing) {
+                existing.external_id = externalId;
+            } else {
+                db.syncRecords.push({ connection_id: connectionId, record_type: recordType, local_key: localKey, external_id: externalId });
+            }
+            return { rows: [], rowCount: 1 };
+        }
+
+        throw new Error(`Unexpected query in the CRM tests: ${sql.trim().split('\n')[0]}`);
+    };
+
+    return db;
+};
+
+module.exports = { installFakeCrmDatabase };
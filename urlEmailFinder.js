@@ -10,6 +10,7 @@ const { createCreditHold, completeOperation, releaseCreditHold, checkUserCredits
 const logger = require('./utils/logger');
 const axios = require('axios');
 const { verifyEmailForUrlFinder } = require('./urlEmailVerifier');
+const webhookService = require('./services/webhookService');
 const { cleanLinkedInUrl } = require('./utils/helpers'); // âœ… ADDED: Import URL cleaning function
 
 class EmailFinderForPage {
@@ -212,7 +213,7 @@ class EmailFinderForPage {
                 return {
                     success: false,
                     error: 'credit_hold_failed',
-                    message: 'Failed to reserve credits for search'
+                    message: holdResult.userMessage || 'Failed to reserve credits for search'
                 };
             }
 
@@ -306,6 +307,15 @@ class EmailFinderForPage {
 
             // Trigger email verification in background (if email was found)
             if (completeData.email) {
+                webhookService.emit(userId, 'email.found', {
+                    source: 'email_finder_page',
+                    linkedinUrl: cleanLinkedInUrl(linkedinUrl),
+                    email: completeData.email,
+                    fullName: completeData.fullName,
+                    jobTitle: completeData.jobTitle,
+                    company: completeData.company
+                });
+
                 logger.info('[EMAIL_FINDER_PAGE] 🔍 Triggering background email verification...');
                 // Don't await - let it run in background
                 verifyEmailForUrlFinder(completeData.email, userId, linkedinUrl)
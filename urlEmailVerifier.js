@@ -8,6 +8,7 @@
 const { pool } = require('./utils/database');
 const logger = require('./utils/logger');
 const axios = require('axios');
+const webhookService = require('./services/webhookService');
 
 class UrlEmailVerifier {
     constructor() {
@@ -81,6 +82,14 @@ class UrlEmailVerifier {
             await this.updateVerificationStatus(email, userId, linkedinUrl, status, reason);
             
             logger.success(`[URL_EMAIL_VERIFIER] ✅ Verification complete: ${email} -> ${status}`);
+
+            webhookService.emit(userId, 'email.verified', {
+                source: 'email_finder_page',
+                linkedinUrl: linkedinUrl,
+                email: email,
+                status: status,
+                reason: reason
+            });
             
             return {
                 success: true,
@@ -0,0 +1,85 @@
+// utils/apiErrors.js - One error envelope for every JSON API response with status >= 400
+// Shape: { success: false, error: <human readable message>, code: <machine readable code>, details?: ... }
+// Older handlers send { success: false, error } with a message, or { error: 'snake_code', message }.
+// normalizeErrorResponses fills in whatever is missing, so those keep working unchanged
+// for the extension and the pages, and every client can still branch on `code`.
+
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    402: 'insufficient_credits',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'service_unavailable'
+};
+
+const DEFAULT_MESSAGES = {
+    400: 'Bad request',
+    401: 'Authentication required',
+    402: 'Insufficient credits',
+    403: 'Access denied',
+    404: 'Not found',
+    409: 'Conflict',
+    413: 'Request body too large',
+    429: 'Too many requests',
+    500: 'Internal server error',
+    503: 'Service unavailable'
+};
+
+const SNAKE_CODE = /^[a-z]+(_[a-z0-9]+)*$/;
+
+const codeForStatus = (status) => ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+/**
+ * Send an error in the standard envelope
+ * @param {object} options - { code: overrides the status default, details: extra data (validation errors, dev message) }
+ */
+const sendError = (res, status, message, { code, details } = {}) => {
+    return res.status(status).json({
+        success: false,
+        error: message || DEFAULT_MESSAGES[status] || 'Request failed',
+        code: code || codeForStatus(status),
+        details
+    });
+};
+
+// Complete an error body: success: false, a message in `error` and a `code` - never overwrites what a handler set
+const toErrorEnvelope = (status, body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return {
+            success: false,
+            error: typeof body === 'string' && body ? body : (DEFAULT_MESSAGES[status] || 'Request failed'),
+            code: codeForStatus(status)
+        };
+    }
+
+    const envelope = { ...body, success: false };
+    if (!envelope.error) {
+        envelope.error = envelope.message || DEFAULT_MESSAGES[status] || 'Request failed';
+    }
+    if (!envelope.code) {
+        // { error: 'insufficient_credits' } style bodies already carry a code
+        envelope.code = typeof envelope.error === 'string' && SNAKE_CODE.test(envelope.error)
+            ? envelope.error
+            : codeForStatus(status);
+    }
+    return envelope;
+};
+
+// Middleware - wraps res.json so error bodies from any handler leave in the envelope
+const normalizeErrorResponses = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode >= 400 ? toErrorEnvelope(res.statusCode, body) : body);
+    next();
+};
+
+module.exports = {
+    ERROR_CODES,
+    sendError,
+    toErrorEnvelope,
+    normalizeErrorResponses
+};
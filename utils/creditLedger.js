@@ -0,0 +1,237 @@
+// utils/creditLedger.js - Posting to the credit ledger (credit_ledger_transactions + credit_ledger_entries)
+// Used wherever users.renewable_credits / payasyougo_credits change: lock the user's row, change it, then post
+// the difference in the same database transaction. Takes the pool or a client so utils/database.js can use it too.
+// Pay-as-you-go changes also keep credit_packs in step (utils/creditPacks.js).
+// 👥 Team pools (organizations.credits) are posted the same way with lockPool / recordPoolChange.
+
+const {
+    USER_ACCOUNTS,
+    TEAM_ACCOUNTS,
+    RENEWABLE_ACCOUNTS,
+    LEDGER_ACCOUNTS,
+    LEDGER_TRANSACTION_TYPES
+} = require('../config/creditLedger');
+const { addCreditPack, consumeCreditPacks } = require('./creditPacks');
+
+// Amounts are handled in whole cents so entries always sum to exactly zero
+const toCents = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? Math.round(number * 100) : 0;
+};
+
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// { 'user:renewable': cents, 'user:payasyougo': cents } of a row with renewable_credits / payasyougo_credits
+// (or { 'team:pool': cents } of an organizations row with accounts = TEAM_ACCOUNTS)
+const readBalances = (row, accounts = USER_ACCOUNTS) => Object.fromEntries(
+    Object.entries(accounts).map(([account, column]) => [account, toCents(row?.[column])])
+);
+
+/**
+ * Lock the user's row for the rest of the transaction and read the balances
+ * @returns {Promise<object|null>} - { renewable_credits, payasyougo_credits } or null when the user doesn't exist
+ */
+const lockBalances = async (db, userId) => {
+    const result = await db.query(`
+        SELECT
+            COALESCE(renewable_credits, 0)::DECIMAL(10,2) as renewable_credits,
+            COALESCE(payasyougo_credits, 0)::DECIMAL(10,2) as payasyougo_credits
+        FROM users
+        WHERE id = $1
+        FOR UPDATE
+    `, [userId]);
+    return result.rows[0] || null;
+};
+
+/**
+ * 👥 Lock an organization's row for the rest of the transaction and read its pool
+ * @returns {Promise<object|null>} - { credits } or null when the organization doesn't exist
+ */
+const lockPool = async (db, organizationId) => {
+    const result = await db.query(`
+        SELECT credits::DECIMAL(12,2) as credits
+        FROM organizations
+        WHERE id = $1
+        FOR UPDATE
+    `, [organizationId]);
+    return result.rows[0] || null;
+};
+
+/**
+ * Post one balanced transaction
+ * @param {object} db - pool or client (use the client of the transaction that changed the balances)
+ * @param {object} transaction - { type, reference, description, metadata, organizationId, entries: [{ account, amount }] }
+ *   amounts in credits; positive adds to the account. Zero entries are dropped, the rest must sum to zero.
+ *   organizationId: set on team pool transactions
+ * @returns {Promise<object>} - the credit_ledger_transactions row with its entries
+ */
+const postLedgerTransaction = async (db, userId, { type, reference = null, description = null, metadata = {}, organizationId = null, entries }) => {
+    if (!LEDGER_TRANSACTION_TYPES[type]) {
+        throw new Error(`Unknown ledger transaction type: ${type}`);
+    }
+
+    const postings = entries
+        .map(entry => ({ account: entry.account, cents: toCents(entry.amount) }))
+        .filter(entry => entry.cents !== 0);
+
+    const unknownAccount = postings.find(entry => !LEDGER_ACCOUNTS.includes(entry.account));
+    if (unknownAccount) {
+        throw new Error(`Unknown ledger account: ${unknownAccount.account}`);
+    }
+    if (postings.length < 2) {
+        throw new Error('A ledger transaction needs at least two non-zero entries');
+    }
+    const total = postings.reduce((sum, entry) => sum + entry.cents, 0);
+    if (total !== 0) {
+        throw new Error(`Ledger transaction does not balance (off by ${fromCents(total)})`);
+    }
+
+    const transactionResult = await db.query(`
+        INSERT INTO credit_ledger_transactions (user_id, transaction_type, reference, description, metadata, organization_id)
+        VALUES ($1, $2, $3::VARCHAR, $4::TEXT, $5, $6::INTEGER)
+        RETURNING *
+    `, [userId, type, reference, description, JSON.stringify(metadata), organizationId]);
+    const ledgerTransaction = transactionResult.rows[0];
+
+    const values = [];
+    const placeholders = postings.map((entry, index) => {
+        values.push(ledgerTransaction.id, userId, entry.account, fromCents(entry.cents));
+        const base = index * 4;
+        return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}::DECIMAL(12,2))`;
+    });
+    const entryResult = await db.query(`
+        INSERT INTO credit_ledger_entries (transaction_id, user_id, account, amount)
+        VALUES ${placeholders.join(', ')}
+        RETURNING *
+    `, values);
+
+    return { ...ledgerTransaction, entries: entryResult.rows };
+};
+
+// Entries moving each account from its before to its after balance (cents), against the type's system account
+const balanceEntries = (config, beforeBalances, afterBalances, carriedOver) => {
+    const entries = [];
+    const post = (account, cents, counterAccount = config.counterAccount) => {
+        if (cents === 0) return;
+        entries.push({ account, amount: fromCents(cents) }, { account: counterAccount, amount: fromCents(-cents) });
+    };
+
+    for (const account of Object.keys(beforeBalances)) {
+        if (RENEWABLE_ACCOUNTS.includes(account) && config.resetsRenewable && beforeBalances[account] !== afterBalances[account]) {
+            // The old allowance expires (except what rolls over), the new one is granted
+            const carriedCents = Math.min(toCents(carriedOver), beforeBalances[account]);
+            post(account, -(beforeBalances[account] - carriedCents), 'system:expired');
+            post(account, afterBalances[account] - carriedCents);
+        } else {
+            post(account, afterBalances[account] - beforeBalances[account]);
+        }
+    }
+
+    return entries;
+};
+
+/**
+ * Post the difference between two balance snapshots of a user
+ * @param {object} before - row with renewable_credits / payasyougo_credits before the change (lockBalances)
+ * @param {object} after - the same after the change (RETURNING of the UPDATE)
+ * @param {object} options - { type, reference, description, metadata, carriedOver, pack }
+ *   type: key of LEDGER_TRANSACTION_TYPES
+ *   carriedOver: renewable credits kept by a reset (rollover) - they don't expire
+ *   pack: { planCode, expiresAt } of pay-as-you-go credits added by this change (expiry defaults to the plan's policy)
+ * @returns {Promise<object|null>} - the posted transaction, or null when nothing changed
+ */
+const recordBalanceChange = async (db, userId, before, after, { type, reference = null, description = null, metadata = {}, carriedOver = 0, pack = {} }) => {
+    const config = LEDGER_TRANSACTION_TYPES[type];
+    if (!config) {
+        throw new Error(`Unknown ledger transaction type: ${type}`);
+    }
+
+    const beforeBalances = readBalances(before);
+    const afterBalances = readBalances(after);
+    const entries = balanceEntries(config, beforeBalances, afterBalances, carriedOver);
+
+    if (entries.length === 0) return null;
+    const ledgerTransaction = await postLedgerTransaction(db, userId, { type, reference, description, metadata, entries });
+
+    const payasyougoCents = afterBalances['user:payasyougo'] - beforeBalances['user:payasyougo'];
+    if (payasyougoCents > 0 && !config.packsHandled) {
+        await addCreditPack(db, userId, {
+            credits: fromCents(payasyougoCents),
+            source: type,
+            planCode: pack.planCode || null,
+            reference,
+            ledgerTransactionId: ledgerTransaction.id,
+            expiresAt: pack.expiresAt
+        });
+    } else if (payasyougoCents < 0 && !config.packsHandled) {
+        await consumeCreditPacks(db, userId, -payasyougoCents / 100);
+    }
+
+    return ledgerTransaction;
+};
+
+/**
+ * 👥 Post the difference between two snapshots of a team pool
+ * @param {number} userId - member who spent, or the owner for grants and renewals
+ * @param {object} before - { credits } before the change (lockPool)
+ * @param {object} after - { credits } after the change
+ * @param {object} options - { type, reference, description, metadata, carriedOver }
+ * @returns {Promise<object|null>} - the posted transaction, or null when nothing changed
+ */
+const recordPoolChange = async (db, organizationId, userId, before, after, { type, reference = null, description = null, metadata = {}, carriedOver = 0 }) => {
+    const config = LEDGER_TRANSACTION_TYPES[type];
+    if (!config) {
+        throw new Error(`Unknown ledger transaction type: ${type}`);
+    }
+
+    const entries = balanceEntries(config, readBalances(before, TEAM_ACCOUNTS), readBalances(after, TEAM_ACCOUNTS), carriedOver);
+    if (entries.length === 0) return null;
+
+    return postLedgerTransaction(db, userId, { type, reference, description, metadata, organizationId, entries });
+};
+
+/**
+ * Change a user's balances and post the ledger transaction atomically (for callers without a transaction of their own)
+ * @param {object} pool - pg pool
+ * @param {object} posting - recordBalanceChange options
+ * @param {function} update - async (client, before) => row with the balances after the change, or null to roll back
+ * @returns {Promise<object|null>} - { before, after, ledgerTransaction } or null when update returned null
+ */
+const withBalanceChange = async (pool, userId, posting, update) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const before = await lockBalances(client, userId);
+        if (!before) {
+            throw new Error('User not found');
+        }
+
+        const after = await update(client, before);
+        if (!after) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const ledgerTransaction = await recordBalanceChange(client, userId, before, after, posting);
+        await client.query('COMMIT');
+        return { before, after, ledgerTransaction };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    toCents,
+    fromCents,
+    readBalances,
+    lockBalances,
+    lockPool,
+    postLedgerTransaction,
+    recordBalanceChange,
+    recordPoolChange,
+    withBalanceChange
+};
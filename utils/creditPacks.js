@@ -0,0 +1,103 @@
+// utils/creditPacks.js - Pay-as-you-go credit packs (credit_packs)
+// users.payasyougo_credits is split into packs so each purchase keeps its own expiry. Spending takes from the
+// soonest-expiring pack first (packs without an expiry last, oldest first). Called from utils/creditLedger.js
+// recordBalanceChange, inside the transaction that changed the balance.
+
+const { getPackExpiry } = require('../config/billing');
+
+/**
+ * Record new pay-as-you-go credits as a pack
+ * @param {object} pack - { credits, source, planCode, reference, ledgerTransactionId, expiresAt }
+ *   expiresAt defaults to the plan's payasyougoExpiryDays (config/billing.js)
+ */
+const addCreditPack = async (db, userId, { credits, source, planCode = null, reference = null, ledgerTransactionId = null, expiresAt }) => {
+    const result = await db.query(`
+        INSERT INTO credit_packs (
+            user_id, source, plan_code, reference, ledger_transaction_id,
+            credits_total, credits_remaining, expires_at
+        ) VALUES ($1, $2, $3::VARCHAR, $4::VARCHAR, $5, $6::DECIMAL(12,2), $6::DECIMAL(12,2), $7::TIMESTAMP)
+        RETURNING *
+    `, [
+        userId,
+        source,
+        planCode,
+        reference,
+        ledgerTransactionId,
+        credits,
+        expiresAt === undefined ? getPackExpiry(planCode) : expiresAt
+    ]);
+    return result.rows[0];
+};
+
+/**
+ * Take spent pay-as-you-go credits out of the user's packs, soonest expiry first
+ * @param {number} credits - amount spent
+ * @returns {Promise<number>} - credits that no pack covered (balance from before packs existed)
+ */
+const consumeCreditPacks = async (db, userId, credits) => {
+    const packs = await db.query(`
+        SELECT id, credits_remaining
+        FROM credit_packs
+        WHERE user_id = $1 AND credits_remaining > 0 AND expired_at IS NULL
+        ORDER BY expires_at ASC NULLS LAST, purchased_at ASC, id ASC
+        FOR UPDATE
+    `, [userId]);
+
+    let remainingCents = Math.round(credits * 100);
+    for (const pack of packs.rows) {
+        if (remainingCents <= 0) break;
+        const takeCents = Math.min(remainingCents, Math.round(parseFloat(pack.credits_remaining) * 100));
+        await db.query(`
+            UPDATE credit_packs
+            SET credits_remaining = credits_remaining - $2::DECIMAL(12,2), updated_at = NOW()
+            WHERE id = $1
+        `, [pack.id, (takeCents / 100).toFixed(2)]);
+        remainingCents -= takeCents;
+    }
+
+    return remainingCents / 100;
+};
+
+/**
+ * Bring the user's active packs to a pay-as-you-go balance that was set directly (ledger repair)
+ * The excess is taken out soonest expiry first; a shortfall is added as one pack that never expires.
+ * @returns {Promise<number>} - credits added (positive) or taken out (negative)
+ */
+const alignCreditPacks = async (db, userId, payasyougoCredits, { source, reference = null }) => {
+    const result = await db.query(`
+        SELECT COALESCE(SUM(credits_remaining), 0)::DECIMAL(12,2) as remaining
+        FROM credit_packs
+        WHERE user_id = $1 AND credits_remaining > 0 AND expired_at IS NULL
+    `, [userId]);
+
+    const differenceCents = Math.round(parseFloat(payasyougoCredits) * 100) - Math.round(parseFloat(result.rows[0].remaining) * 100);
+    if (differenceCents < 0) {
+        await consumeCreditPacks(db, userId, -differenceCents / 100);
+    } else if (differenceCents > 0) {
+        await addCreditPack(db, userId, {
+            credits: (differenceCents / 100).toFixed(2),
+            source,
+            reference,
+            expiresAt: null
+        });
+    }
+    return differenceCents / 100;
+};
+
+// Packs with credits left, in the order they are spent
+const getActivePacks = async (db, userId) => {
+    const result = await db.query(`
+        SELECT *
+        FROM credit_packs
+        WHERE user_id = $1 AND credits_remaining > 0 AND expired_at IS NULL
+        ORDER BY expires_at ASC NULLS LAST, purchased_at ASC, id ASC
+    `, [userId]);
+    return result.rows;
+};
+
+module.exports = {
+    addCreditPack,
+    consumeCreditPacks,
+    alignCreditPacks,
+    getActivePacks
+};
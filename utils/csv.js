@@ -0,0 +1,81 @@
+// utils/csv.js - Minimal RFC 4180 CSV reader/writer (bulk campaign uploads and result downloads)
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (embedded commas, quotes and line breaks), CRLF / LF line endings,
+ * a UTF-8 BOM and semicolon-separated files (Excel in many European locales).
+ * @param {string} text - CSV file content
+ * @returns {string[][]} - rows (blank lines skipped)
+ */
+const parseCsv = (text) => {
+    const content = (text || '').replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
+};
+
+// Quote a cell when needed; cells that spreadsheets would run as formulas get a leading apostrophe
+const escapeCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from rows
+ * @param {Array<Array<*>>} rows - first row is the header
+ * @returns {string} - CRLF-separated CSV
+ */
+const toCsv = (rows) => rows.map(cells => cells.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
@@ -22,6 +22,27 @@
 // 📧 EMAIL FINDER v2: Added email finder columns to message_logs table for easy persistence
 // 🆕 EMAIL REQUESTS: Added email_requests table for per-user email visibility control
 // ✏️ EDIT MESSAGE: Added edited_message, edited_at, edit_count columns for message editing with original preservation
+// 🔀 MESSAGE VARIANTS: Added generation_group_id, variant_index, variant_angle, variant_selected columns to message_logs
+// 🔗 SEQUENCES: Added sequence_id, sequence_name, sequence_step, sequence_day_offset, scheduled_for columns to message_logs
+// 💬 REPLY RESPONSE: Added parent_message_id, reply_text columns to message_logs (responses link to the message they answer)
+// 📝 PROMPT TEMPLATES: Added prompt_templates table (versioned prompts, one active per message type) + message_logs.prompt_template_id
+// 🧪 PROMPT EXPERIMENTS: Added prompt_experiments table (A/B split between two prompt versions) + message_logs.prompt_experiment_id/arm
+// 🌍 LANGUAGE: Added language column to message_logs and web_generated_messages (output language of the message)
+// 🎭 TONE: Added user_profiles.tone_preset/writing_sample (saved tone + voice sample) and message_logs.tone
+// 🤝 INTRO REQUESTS: web_generated_messages accepts intro_request + mutual_connection_name
+// 📦 BULK CAMPAIGNS: Added campaigns + campaign_targets tables (CSV uploads) and message_logs.campaign_id/campaign_target_id
+// ⏳ JOB QUEUE: Added jobs table (durable background jobs with retries and visibility timeouts)
+// 🔔 WEBHOOKS: Added webhooks (user endpoints + signing secrets) and webhook_deliveries (delivery log) tables
+// 🔑 API KEYS: Added api_keys (hashed personal keys with scopes + rate limit window) and api_key_usage (daily usage per endpoint) tables
+// 🔗 CRM EXPORT: Added crm_connections (HubSpot/Salesforce + field mapping), crm_sync_records (pushed CRM ids) and crm_sync_log tables
+// 📒 CREDIT LEDGER: Added append-only credit_ledger_transactions/credit_ledger_entries (double-entry, opening balances) and credit_reconciliation_runs; credits_transactions is no longer dropped on boot
+// ⏳ CREDIT EXPIRY: Added credit_packs (pay-as-you-go credits per purchase with expiry, spent soonest-expiring first)
+// 👥 TEAMS: Added organizations (seat-based plan + shared credit pool), organization_members (roles, monthly caps) and organization_invites;
+//    credits_transactions, saved_contexts and credit_ledger_transactions got organization_id
+// 🚦 USAGE BUDGETS: Added usage_budgets (daily / monthly spending limits, low-balance threshold) and notifications (in-app alert feed)
+// 💸 REFUND REQUESTS: Added refund_requests (flagged message_logs / email_finder_searches rows, admin review) + the 'refund' ledger type
+//    credits_transaction_id: the completed charge the refund is for (credits_charged is its share for the flagged row)
+//    organization_id: set when the team pool paid for it - approval credits the pool back
 
 const { Pool } = require('pg');
 require('dotenv').config();
@@ -29,6 +50,10 @@ require('dotenv').config();
 // âœ… ADDED: Import URL cleaning function for consistent URL normalization
 const { cleanLinkedInUrl } = require('./helpers');
 
+// 📒 Credit ledger postings for every balance change
+const { lockBalances, recordBalanceChange, withBalanceChange } = require('./creditLedger');
+const { calculateRenewal } = require('../config/billing');
+
 // Database connection pool
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
@@ -302,7 +327,7 @@ const ensureWebGeneratedMessagesTable = async () => {
                 user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
                 brightdata_profile_id INTEGER REFERENCES brightdata_profiles(id) ON DELETE SET NULL,
                 linkedin_url TEXT NOT NULL,
-                message_type VARCHAR(50) NOT NULL CHECK (message_type IN ('linkedin_message', 'connection_request', 'cold_email')),
+                message_type VARCHAR(50) NOT NULL CHECK (message_type IN ('linkedin_message', 'connection_request', 'cold_email', 'intro_request')),
                 generated_message TEXT NOT NULL,
                 profile_summary TEXT,
                 credits_used DECIMAL(10, 2) DEFAULT 1.0,
@@ -312,6 +337,17 @@ const ensureWebGeneratedMessagesTable = async () => {
             );
         `);
         
+        // 🌍 NEW: Output language (tables created before multi-language support)
+        await pool.query(`ALTER TABLE web_generated_messages ADD COLUMN IF NOT EXISTS language VARCHAR(10)`);
+        
+        // 🤝 NEW: Intro requests - widen the message_type check and store who makes the introduction
+        await pool.query(`
+            ALTER TABLE web_generated_messages DROP CONSTRAINT IF EXISTS web_generated_messages_message_type_check;
+            ALTER TABLE web_generated_messages ADD CONSTRAINT web_generated_messages_message_type_check
+                CHECK (message_type IN ('linkedin_message', 'connection_request', 'cold_email', 'intro_request'));
+            ALTER TABLE web_generated_messages ADD COLUMN IF NOT EXISTS mutual_connection_name VARCHAR(255);
+        `);
+        
         try {
             await pool.query(`
                 CREATE INDEX IF NOT EXISTS idx_web_messages_user_id 
@@ -530,6 +566,756 @@ const fixPromptVersionColumn = async () => {
     }
 };
 
+// 📝 NEW: Versioned prompt templates - one active version per message type, rows are never edited in place
+const ensurePromptTemplatesTable = async () => {
+    try {
+        console.log('[INIT] Creating prompt_templates table...');
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS prompt_templates (
+                id SERIAL PRIMARY KEY,
+                message_type VARCHAR(50) NOT NULL,
+                version VARCHAR(255) NOT NULL,
+                description TEXT,
+                system_prompt TEXT NOT NULL,
+                user_prompt TEXT NOT NULL,
+                is_active BOOLEAN DEFAULT false,
+                is_builtin BOOLEAN DEFAULT false,
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                activated_at TIMESTAMP,
+                UNIQUE(message_type, version)
+            );
+        `);
+        
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(message_type) WHERE is_active = true;
+            CREATE INDEX IF NOT EXISTS idx_prompt_templates_type ON prompt_templates(message_type, created_at);
+        `);
+        
+        // Seed built-in versions from prompts/ - a built-in only becomes active when its type has no active version yet
+        const { BUILTIN_PROMPTS } = require('../prompts');
+        for (const template of Object.values(BUILTIN_PROMPTS)) {
+            await pool.query(`
+                INSERT INTO prompt_templates (message_type, version, description, system_prompt, user_prompt, is_active, is_builtin, created_by, activated_at)
+                SELECT $1::VARCHAR, $2::VARCHAR, $3::TEXT, $4::TEXT, $5::TEXT, active.none, true, 'system', CASE WHEN active.none THEN NOW() END
+                FROM (SELECT NOT EXISTS (SELECT 1 FROM prompt_templates WHERE message_type = $1::VARCHAR AND is_active = true) AS none) active
+                ON CONFLICT (message_type, version) DO NOTHING
+            `, [template.messageType, template.version, template.description, template.systemPrompt, template.userPrompt]);
+        }
+        
+        console.log('[SUCCESS] prompt_templates table ensured');
+        
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure prompt_templates table:', error);
+        throw error;
+    }
+};
+
+// 🧪 NEW: Prompt A/B experiments - one running experiment per message type (arm A = control, arm B = variant)
+const ensurePromptExperimentsTable = async () => {
+    try {
+        console.log('[INIT] Creating prompt_experiments table...');
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS prompt_experiments (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                message_type VARCHAR(50) NOT NULL,
+                control_template_id INTEGER NOT NULL REFERENCES prompt_templates(id),
+                variant_template_id INTEGER NOT NULL REFERENCES prompt_templates(id),
+                traffic_percent INTEGER NOT NULL DEFAULT 50 CHECK (traffic_percent BETWEEN 1 AND 99),
+                status VARCHAR(20) NOT NULL DEFAULT 'running',
+                created_by VARCHAR(255),
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                ended_at TIMESTAMP
+            );
+        `);
+        
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_experiments_running ON prompt_experiments(message_type) WHERE status = 'running';
+            CREATE INDEX IF NOT EXISTS idx_prompt_experiments_started ON prompt_experiments(started_at);
+        `);
+        
+        console.log('[SUCCESS] prompt_experiments table ensured');
+        
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure prompt_experiments table:', error);
+        throw error;
+    }
+};
+
+// 📦 NEW: Bulk campaigns - one row per uploaded CSV, one campaign_targets row per LinkedIn URL in it
+const ensureCampaignTables = async () => {
+    try {
+        console.log('[INIT] Creating campaigns tables...');
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS campaigns (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                context_id INTEGER REFERENCES saved_contexts(id) ON DELETE SET NULL,
+                context_text TEXT NOT NULL,
+                message_types JSONB NOT NULL,
+                language VARCHAR(10),
+                tone VARCHAR(30),
+                source_filename VARCHAR(255),
+                status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+                total_targets INTEGER NOT NULL DEFAULT 0,
+                processed_targets INTEGER NOT NULL DEFAULT 0,
+                succeeded_targets INTEGER NOT NULL DEFAULT 0,
+                failed_targets INTEGER NOT NULL DEFAULT 0,
+                hold_id VARCHAR(100),
+                credits_held DECIMAL(10,2),
+                credits_used DECIMAL(10,2),
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP
+            );
+        `);
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS campaign_targets (
+                id SERIAL PRIMARY KEY,
+                campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+                row_number INTEGER NOT NULL,
+                linkedin_url TEXT NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'skipped')),
+                profile_source VARCHAR(20),
+                target_name VARCHAR(255),
+                messages_generated INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP,
+                
+                UNIQUE(campaign_id, linkedin_url)
+            );
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_campaigns_user_id ON campaigns(user_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+            CREATE INDEX IF NOT EXISTS idx_campaign_targets_campaign ON campaign_targets(campaign_id, status);
+        `);
+        
+        console.log('[SUCCESS] campaigns tables ensured');
+        
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure campaigns tables:', error);
+        throw error;
+    }
+};
+
+// ⏳ NEW: Ensure jobs table exists (services/jobQueue.js)
+const ensureJobsTable = async () => {
+    try {
+        console.log('[INIT] Creating jobs table...');
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                job_type VARCHAR(50) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+                payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+                result JSONB,
+                error TEXT,
+                dedupe_key VARCHAR(255),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 3,
+                run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                locked_by VARCHAR(100),
+                locked_until TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        
+        // One active job per dedupe key (e.g. one analysis per user + profile)
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_active
+            ON jobs(dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
+            CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(status, run_at);
+            CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id, created_at);
+        `);
+        
+        console.log('[SUCCESS] jobs table ensured');
+        
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure jobs table:', error);
+        throw error;
+    }
+};
+
+// 🔔 NEW: Outbound webhooks - endpoints per user + one webhook_deliveries row per event sent to an endpoint
+const ensureWebhookTables = async () => {
+    try {
+        console.log('[INIT] Creating webhooks tables...');
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                secret VARCHAR(100) NOT NULL,
+                events JSONB NOT NULL DEFAULT '[]'::jsonb,
+                description VARCHAR(255),
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                last_delivery_at TIMESTAMP,
+                last_delivery_status VARCHAR(20),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id SERIAL PRIMARY KEY,
+                webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                event_id VARCHAR(64) NOT NULL,
+                event_type VARCHAR(50) NOT NULL,
+                payload JSONB NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                response_status INTEGER,
+                response_body TEXT,
+                error TEXT,
+                duration_ms INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_attempt_at TIMESTAMP,
+                delivered_at TIMESTAMP
+            );
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at);
+        `);
+        
+        console.log('[SUCCESS] webhooks tables ensured');
+        
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure webhooks tables:', error);
+        throw error;
+    }
+};
+
+// 🔑 NEW: Personal API keys - only the SHA-256 hash of a key is stored; api_key_usage counts requests per day + endpoint
+const ensureApiKeyTables = async () => {
+    try {
+        console.log('[INIT] Creating api_keys tables...');
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                key_prefix VARCHAR(20) NOT NULL,
+                key_hash VARCHAR(64) NOT NULL UNIQUE,
+                scopes JSONB NOT NULL DEFAULT '[]'::jsonb,
+                rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+                rate_window_start TIMESTAMP,
+                rate_window_count INTEGER NOT NULL DEFAULT 0,
+                request_count BIGINT NOT NULL DEFAULT 0,
+                last_used_at TIMESTAMP,
+                expires_at TIMESTAMP,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_key_usage (
+                api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+                usage_date DATE NOT NULL,
+                endpoint VARCHAR(150) NOT NULL,
+                request_count INTEGER NOT NULL DEFAULT 0,
+                error_count INTEGER NOT NULL DEFAULT 0,
+                rate_limited_count INTEGER NOT NULL DEFAULT 0,
+                
+                PRIMARY KEY (api_key_id, usage_date, endpoint)
+            );
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+            CREATE INDEX IF NOT EXISTS idx_api_key_usage_date ON api_key_usage(usage_date);
+        `);
+        
+        console.log('[SUCCESS] api_keys tables ensured');
+        
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure api_keys tables:', error);
+        throw error;
+    }
+};
+
+// 🔗 NEW: CRM export - one connection per user + provider, the CRM ids of what was pushed, and a log row per sync run
+const ensureCrmTables = async () => {
+    try {
+        console.log('[INIT] Creating crm tables...');
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS crm_connections (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                provider VARCHAR(20) NOT NULL CHECK (provider IN ('hubspot', 'salesforce')),
+                access_token TEXT NOT NULL,
+                instance_url TEXT,
+                field_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+                sync_activities BOOLEAN NOT NULL DEFAULT TRUE,
+                is_active BOOLEAN NOT NULL DEFAULT TRUE,
+                last_sync_at TIMESTAMP,
+                last_sync_status VARCHAR(20),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                UNIQUE (user_id, provider)
+            );
+        `);
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS crm_sync_records (
+                connection_id INTEGER NOT NULL REFERENCES crm_connections(id) ON DELETE CASCADE,
+                record_type VARCHAR(20) NOT NULL CHECK (record_type IN ('contact', 'activity')),
+                local_key TEXT NOT NULL,
+                external_id VARCHAR(100) NOT NULL,
+                synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                PRIMARY KEY (connection_id, record_type, local_key)
+            );
+        `);
+        
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS crm_sync_log (
+                id SERIAL PRIMARY KEY,
+                connection_id INTEGER NOT NULL REFERENCES crm_connections(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                job_id INTEGER UNIQUE,
+                status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'partial', 'failed')),
+                messages_total INTEGER NOT NULL DEFAULT 0,
+                contacts_synced INTEGER NOT NULL DEFAULT 0,
+                activities_synced INTEGER NOT NULL DEFAULT 0,
+                failures INTEGER NOT NULL DEFAULT 0,
+                errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP
+            );
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_crm_connections_user_id ON crm_connections(user_id);
+            CREATE INDEX IF NOT EXISTS idx_crm_sync_log_connection ON crm_sync_log(connection_id, started_at);
+            CREATE INDEX IF NOT EXISTS idx_crm_sync_log_started ON crm_sync_log(started_at);
+        `);
+        
+        console.log('[SUCCESS] crm tables ensured');
+        
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure crm tables:', error);
+        throw error;
+    }
+};
+
+// 📒 NEW: Credit ledger - append-only double-entry postings of every balance change + reconciliation runs
+const ensureCreditLedgerTables = async () => {
+    try {
+        console.log('[INIT] Creating credit ledger tables...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS credit_ledger_transactions (
+                id BIGSERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                transaction_type VARCHAR(30) NOT NULL,
+                reference VARCHAR(255),
+                description TEXT,
+                metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Transaction types of config/creditLedger.js (re-created so new types reach existing databases)
+        await pool.query(`
+            ALTER TABLE credit_ledger_transactions DROP CONSTRAINT IF EXISTS credit_ledger_transactions_transaction_type_check;
+            ALTER TABLE credit_ledger_transactions ADD CONSTRAINT credit_ledger_transactions_transaction_type_check CHECK (transaction_type IN (
+                'opening_balance', 'plan_grant', 'renewal', 'downgrade', 'purchase', 'usage', 'refund', 'adjustment', 'reconciliation', 'expiry'
+            ));
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS credit_ledger_entries (
+                id BIGSERIAL PRIMARY KEY,
+                transaction_id BIGINT NOT NULL REFERENCES credit_ledger_transactions(id),
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                account VARCHAR(40) NOT NULL,
+                amount DECIMAL(12,2) NOT NULL CHECK (amount <> 0),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Accounts of config/creditLedger.js (re-created like the transaction types)
+        await pool.query(`
+            ALTER TABLE credit_ledger_entries DROP CONSTRAINT IF EXISTS credit_ledger_entries_account_check;
+            ALTER TABLE credit_ledger_entries ADD CONSTRAINT credit_ledger_entries_account_check CHECK (account IN (
+                'user:renewable', 'user:payasyougo', 'team:pool',
+                'system:opening_balance', 'system:plan_allowance', 'system:purchases',
+                'system:usage', 'system:expired', 'system:adjustments'
+            ));
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS credit_reconciliation_runs (
+                id SERIAL PRIMARY KEY,
+                job_id INTEGER UNIQUE,
+                status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+                users_checked INTEGER NOT NULL DEFAULT 0,
+                drift_count INTEGER NOT NULL DEFAULT 0,
+                unbalanced_transactions INTEGER NOT NULL DEFAULT 0,
+                drifts JSONB NOT NULL DEFAULT '[]'::jsonb,
+                error TEXT,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP
+            );
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_credit_ledger_transactions_user ON credit_ledger_transactions(user_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_credit_ledger_transactions_reference ON credit_ledger_transactions(reference);
+            CREATE INDEX IF NOT EXISTS idx_credit_ledger_entries_user_account ON credit_ledger_entries(user_id, account);
+            CREATE INDEX IF NOT EXISTS idx_credit_ledger_entries_transaction ON credit_ledger_entries(transaction_id);
+            CREATE INDEX IF NOT EXISTS idx_credit_reconciliation_runs_started ON credit_reconciliation_runs(started_at);
+        `);
+
+        // Append-only: corrections are new transactions, never edits
+        await pool.query(`
+            CREATE OR REPLACE FUNCTION reject_credit_ledger_change()
+            RETURNS TRIGGER AS $$
+            BEGIN
+                RAISE EXCEPTION 'The credit ledger is append-only (% on %)', TG_OP, TG_TABLE_NAME;
+            END;
+            $$ LANGUAGE plpgsql;
+        `);
+
+        await pool.query(`
+            DROP TRIGGER IF EXISTS credit_ledger_transactions_append_only ON credit_ledger_transactions;
+            CREATE TRIGGER credit_ledger_transactions_append_only
+                BEFORE UPDATE OR DELETE ON credit_ledger_transactions
+                FOR EACH ROW EXECUTE FUNCTION reject_credit_ledger_change();
+            DROP TRIGGER IF EXISTS credit_ledger_transactions_no_truncate ON credit_ledger_transactions;
+            CREATE TRIGGER credit_ledger_transactions_no_truncate
+                BEFORE TRUNCATE ON credit_ledger_transactions
+                FOR EACH STATEMENT EXECUTE FUNCTION reject_credit_ledger_change();
+            DROP TRIGGER IF EXISTS credit_ledger_entries_append_only ON credit_ledger_entries;
+            CREATE TRIGGER credit_ledger_entries_append_only
+                BEFORE UPDATE OR DELETE ON credit_ledger_entries
+                FOR EACH ROW EXECUTE FUNCTION reject_credit_ledger_change();
+            DROP TRIGGER IF EXISTS credit_ledger_entries_no_truncate ON credit_ledger_entries;
+            CREATE TRIGGER credit_ledger_entries_no_truncate
+                BEFORE TRUNCATE ON credit_ledger_entries
+                FOR EACH STATEMENT EXECUTE FUNCTION reject_credit_ledger_change();
+        `);
+
+        // New users: the credits they sign up with are posted as their opening balance
+        await pool.query(`
+            CREATE OR REPLACE FUNCTION post_credit_ledger_opening_balance()
+            RETURNS TRIGGER AS $$
+            DECLARE
+                ledger_transaction_id BIGINT;
+            BEGIN
+                IF COALESCE(NEW.renewable_credits, 0) = 0 AND COALESCE(NEW.payasyougo_credits, 0) = 0 THEN
+                    RETURN NEW;
+                END IF;
+
+                INSERT INTO credit_ledger_transactions (user_id, transaction_type, description)
+                VALUES (NEW.id, 'opening_balance', 'Credits at sign-up')
+                RETURNING id INTO ledger_transaction_id;
+
+                INSERT INTO credit_ledger_entries (transaction_id, user_id, account, amount)
+                SELECT ledger_transaction_id, NEW.id, e.account, e.amount
+                FROM (VALUES
+                    ('user:renewable', COALESCE(NEW.renewable_credits, 0)::DECIMAL(12,2)),
+                    ('user:payasyougo', COALESCE(NEW.payasyougo_credits, 0)::DECIMAL(12,2)),
+                    ('system:opening_balance', -(COALESCE(NEW.renewable_credits, 0) + COALESCE(NEW.payasyougo_credits, 0))::DECIMAL(12,2))
+                ) AS e(account, amount)
+                WHERE e.amount <> 0;
+
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql;
+        `);
+
+        await pool.query(`
+            DROP TRIGGER IF EXISTS users_credit_ledger_opening_balance ON users;
+            CREATE TRIGGER users_credit_ledger_opening_balance
+                AFTER INSERT ON users
+                FOR EACH ROW EXECUTE FUNCTION post_credit_ledger_opening_balance();
+        `);
+
+        // Existing users without ledger history start from the balance they have now (runs once per user)
+        const backfill = await pool.query(`
+            WITH missing AS (
+                SELECT
+                    u.id,
+                    COALESCE(u.renewable_credits, 0)::DECIMAL(12,2) as renewable,
+                    COALESCE(u.payasyougo_credits, 0)::DECIMAL(12,2) as payasyougo
+                FROM users u
+                WHERE (COALESCE(u.renewable_credits, 0) <> 0 OR COALESCE(u.payasyougo_credits, 0) <> 0)
+                  AND NOT EXISTS (SELECT 1 FROM credit_ledger_transactions t WHERE t.user_id = u.id)
+            ), created AS (
+                INSERT INTO credit_ledger_transactions (user_id, transaction_type, description)
+                SELECT id, 'opening_balance', 'Balance when the credit ledger was introduced'
+                FROM missing
+                RETURNING id, user_id
+            )
+            INSERT INTO credit_ledger_entries (transaction_id, user_id, account, amount)
+            SELECT c.id, c.user_id, e.account, e.amount
+            FROM created c
+            JOIN missing m ON m.id = c.user_id
+            CROSS JOIN LATERAL (VALUES
+                ('user:renewable', m.renewable),
+                ('user:payasyougo', m.payasyougo),
+                ('system:opening_balance', -(m.renewable + m.payasyougo))
+            ) AS e(account, amount)
+            WHERE e.amount <> 0
+        `);
+
+        if (backfill.rowCount > 0) {
+            console.log(`[INIT] Posted opening balances to the credit ledger (${backfill.rowCount} entries)`);
+        }
+
+        console.log('[SUCCESS] credit ledger tables ensured');
+
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure credit ledger tables:', error);
+        throw error;
+    }
+};
+
+// ⏳ NEW: Credit packs - the pay-as-you-go balance split per purchase, each with its own expiry (config/billing.js CREDIT_POLICIES)
+const ensureCreditPackTables = async () => {
+    try {
+        console.log('[INIT] Creating credit_packs table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS credit_packs (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                source VARCHAR(30) NOT NULL,
+                plan_code VARCHAR(50),
+                reference VARCHAR(255),
+                ledger_transaction_id BIGINT REFERENCES credit_ledger_transactions(id),
+                credits_total DECIMAL(12,2) NOT NULL CHECK (credits_total > 0),
+                credits_remaining DECIMAL(12,2) NOT NULL CHECK (credits_remaining >= 0),
+                purchased_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP,
+                expired_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_credit_packs_user_active ON credit_packs(user_id, expires_at) WHERE credits_remaining > 0 AND expired_at IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_credit_packs_due ON credit_packs(expires_at) WHERE credits_remaining > 0 AND expired_at IS NULL;
+        `);
+
+        // Pay-as-you-go credits bought before packs existed keep their promise: one pack that never expires
+        const backfill = await pool.query(`
+            INSERT INTO credit_packs (user_id, source, credits_total, credits_remaining, purchased_at)
+            SELECT u.id, 'legacy', u.payasyougo_credits, u.payasyougo_credits, COALESCE(u.created_at, CURRENT_TIMESTAMP)
+            FROM users u
+            WHERE COALESCE(u.payasyougo_credits, 0) > 0
+              AND NOT EXISTS (SELECT 1 FROM credit_packs p WHERE p.user_id = u.id)
+        `);
+
+        if (backfill.rowCount > 0) {
+            console.log(`[INIT] Created legacy credit packs for ${backfill.rowCount} users`);
+        }
+
+        console.log('[SUCCESS] credit_packs table ensured');
+
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure credit_packs table:', error);
+        throw error;
+    }
+};
+
+// 👥 NEW: Team workspaces - organizations, members, invites + organization_id on pool holds, shared contexts and pool ledger postings
+const ensureOrganizationTables = async () => {
+    try {
+        console.log('[INIT] Creating organization tables...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS organizations (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                owner_user_id INTEGER NOT NULL REFERENCES users(id),
+                plan_code VARCHAR(50),
+                seats INTEGER NOT NULL DEFAULT 1 CHECK (seats > 0),
+                credits DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (credits >= 0),
+                chargebee_subscription_id VARCHAR(255) UNIQUE,
+                subscription_status VARCHAR(20) NOT NULL DEFAULT 'inactive' CHECK (subscription_status IN ('inactive', 'active', 'cancelled')),
+                next_billing_date TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // One organization per user (user_id is unique)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS organization_members (
+                organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+                role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+                monthly_credit_cap DECIMAL(12,2) CHECK (monthly_credit_cap >= 0),
+                invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (organization_id, user_id)
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS organization_invites (
+                id SERIAL PRIMARY KEY,
+                organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                email VARCHAR(255) NOT NULL,
+                role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+                invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                expires_at TIMESTAMP NOT NULL,
+                accepted_at TIMESTAMP,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await pool.query(`
+            ALTER TABLE credits_transactions ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+            ALTER TABLE saved_contexts ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+            ALTER TABLE saved_contexts ADD COLUMN IF NOT EXISTS shared_at TIMESTAMP;
+            ALTER TABLE credit_ledger_transactions ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id);
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_organizations_owner ON organizations(owner_user_id);
+            CREATE INDEX IF NOT EXISTS idx_organization_members_org ON organization_members(organization_id);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invites_pending
+                ON organization_invites(organization_id, LOWER(email)) WHERE accepted_at IS NULL AND revoked_at IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_organization_invites_email ON organization_invites(LOWER(email));
+            CREATE INDEX IF NOT EXISTS idx_credits_transactions_organization
+                ON credits_transactions(organization_id, user_id, created_at) WHERE organization_id IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_saved_contexts_organization ON saved_contexts(organization_id) WHERE organization_id IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_credit_ledger_transactions_organization
+                ON credit_ledger_transactions(organization_id, created_at) WHERE organization_id IS NOT NULL;
+        `);
+
+        console.log('[SUCCESS] Organization tables ensured');
+
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure organization tables:', error);
+        throw error;
+    }
+};
+
+// 🚦 NEW: Usage budgets - one row per user who changed the defaults (config/usageBudgets.js) + the in-app notification feed
+const ensureUsageBudgetTables = async () => {
+    try {
+        console.log('[INIT] Creating usage budget tables...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS usage_budgets (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                daily_limit DECIMAL(12,2) CHECK (daily_limit >= 0),
+                monthly_limit DECIMAL(12,2) CHECK (monthly_limit >= 0),
+                low_balance_threshold DECIMAL(12,2) CHECK (low_balance_threshold >= 0),
+                email_alerts BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Email alerts are opt-in (tables created before defaulted them on)
+        await pool.query(`ALTER TABLE usage_budgets ALTER COLUMN email_alerts SET DEFAULT FALSE`);
+
+        // dedupe_key: alerts that may only fire once per period (e.g. budget_warning:daily:2026-01-31)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                type VARCHAR(50) NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                message TEXT NOT NULL,
+                data JSONB NOT NULL DEFAULT '{}'::jsonb,
+                dedupe_key VARCHAR(100),
+                emailed_at TIMESTAMP,
+                read_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe ON notifications(user_id, dedupe_key);
+            CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_notifications_created ON notifications(created_at);
+            CREATE INDEX IF NOT EXISTS idx_credits_transactions_user_created ON credits_transactions(user_id, created_at);
+        `);
+
+        console.log('[SUCCESS] Usage budget tables ensured');
+
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure usage budget tables:', error);
+        throw error;
+    }
+};
+
+// 💸 NEW: Refund requests - one per flagged message_logs / email_finder_searches row (config/refunds.js)
+const ensureRefundRequestTables = async () => {
+    try {
+        console.log('[INIT] Creating refund_requests table...');
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS refund_requests (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                source_type VARCHAR(30) NOT NULL CHECK (source_type IN ('message', 'email_search')),
+                source_id INTEGER NOT NULL,
+                reason VARCHAR(30) NOT NULL,
+                note TEXT,
+                credits_charged DECIMAL(10,2) NOT NULL CHECK (credits_charged > 0),
+                credits_transaction_id INTEGER REFERENCES credits_transactions(id),
+                organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                credits_refunded DECIMAL(10,2),
+                admin_note TEXT,
+                reviewed_by VARCHAR(255),
+                reviewed_at TIMESTAMP,
+                ledger_transaction_id BIGINT REFERENCES credit_ledger_transactions(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (source_type, source_id)
+            );
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_refund_requests_status ON refund_requests(status, created_at);
+            CREATE INDEX IF NOT EXISTS idx_refund_requests_user ON refund_requests(user_id, created_at);
+        `);
+
+        console.log('[SUCCESS] refund_requests table ensured');
+
+    } catch (error) {
+        console.error('[ERROR] Failed to ensure refund_requests table:', error);
+        throw error;
+    }
+};
+
 // 🆕 NEW: Initialize existing users with proper context slots based on their plans - FIXED: Handle both plan_code AND package_type
 const initializeContextSlots = async () => {
     try {
@@ -1010,11 +1796,11 @@ const initDB = async () => {
             VALUES 
                 ('free', 'Free', 'monthly', 0, 7, FALSE, 'Free plan with 7 monthly renewable credits'),
                 ('silver-monthly', 'Silver Monthly', 'monthly', 1390, 30, FALSE, 'Silver monthly plan with 30 renewable credits'),
-                ('silver-payasyougo', 'Silver Pay-as-you-go', 'one_time', 1700, 30, TRUE, 'Silver one-time purchase of 30 non-expiring credits'),
+                ('silver-payasyougo', 'Silver Pay-as-you-go', 'one_time', 1700, 30, TRUE, 'Silver one-time purchase of 30 credits valid for 12 months'),
                 ('gold-monthly', 'Gold Monthly', 'monthly', 3200, 100, FALSE, 'Gold monthly plan with 100 renewable credits'),
-                ('gold-payasyougo', 'Gold Pay-as-you-go', 'one_time', 3900, 100, TRUE, 'Gold one-time purchase of 100 non-expiring credits'),
+                ('gold-payasyougo', 'Gold Pay-as-you-go', 'one_time', 3900, 100, TRUE, 'Gold one-time purchase of 100 credits valid for 12 months'),
                 ('platinum-monthly', 'Platinum Monthly', 'monthly', 6387, 250, FALSE, 'Platinum monthly plan with 250 renewable credits'),
-                ('platinum-payasyougo', 'Platinum Pay-as-you-go', 'one_time', 7800, 250, TRUE, 'Platinum one-time purchase of 250 non-expiring credits')
+                ('platinum-payasyougo', 'Platinum Pay-as-you-go', 'one_time', 7800, 250, TRUE, 'Platinum one-time purchase of 250 credits valid for 12 months')
             ON CONFLICT (plan_code) DO UPDATE SET
                 plan_name = EXCLUDED.plan_name,
                 price_cents = EXCLUDED.price_cents,
@@ -1254,9 +2040,7 @@ const initDB = async () => {
             );
         `);
 
-        // CREDITS_TRANSACTIONS TABLE - FIXED: Drop and recreate with correct schema
-        await pool.query(`DROP TABLE IF EXISTS credits_transactions CASCADE;`);
-        
+        // CREDITS_TRANSACTIONS TABLE - 📒 kept across restarts (holds + operation history; balances live in the credit ledger)
         await pool.query(`
             CREATE TABLE IF NOT EXISTS credits_transactions (
                 id SERIAL PRIMARY KEY,
@@ -1303,6 +2087,40 @@ const initDB = async () => {
         // ✅ NEW: Fix prompt_version column size to accommodate longer prompt versions
         await fixPromptVersionColumn();
 
+        // 📝 NEW: PROMPT_TEMPLATES TABLE for versioned prompts
+        await ensurePromptTemplatesTable();
+
+        // 🧪 NEW: PROMPT_EXPERIMENTS TABLE for prompt A/B tests
+        await ensurePromptExperimentsTable();
+
+        // 📦 NEW: CAMPAIGNS + CAMPAIGN_TARGETS TABLES for bulk CSV campaigns
+        await ensureCampaignTables();
+        await ensureJobsTable();
+
+        // 🔔 NEW: WEBHOOKS + WEBHOOK_DELIVERIES TABLES for outbound webhooks
+        await ensureWebhookTables();
+
+        // 🔑 NEW: API_KEYS + API_KEY_USAGE TABLES for personal API keys
+        await ensureApiKeyTables();
+
+        // 🔗 NEW: CRM_CONNECTIONS + CRM_SYNC_RECORDS + CRM_SYNC_LOG TABLES for CRM export
+        await ensureCrmTables();
+
+        // 📒 NEW: CREDIT_LEDGER_TRANSACTIONS + CREDIT_LEDGER_ENTRIES + CREDIT_RECONCILIATION_RUNS TABLES for the credit ledger
+        await ensureCreditLedgerTables();
+
+        // ⏳ NEW: CREDIT_PACKS TABLE for pay-as-you-go expiry
+        await ensureCreditPackTables();
+
+        // 👥 NEW: ORGANIZATION TABLES for team workspaces
+        await ensureOrganizationTables();
+
+        // 🚦 NEW: USAGE_BUDGETS + NOTIFICATIONS TABLES for spending limits and alerts
+        await ensureUsageBudgetTables();
+
+        // 💸 NEW: REFUND_REQUESTS TABLE for the refund / dispute workflow
+        await ensureRefundRequestTables();
+
         // Add missing columns (safe operation) + CHARGEBEE COLUMNS + MESSAGES CAMPAIGN TRACKING + CANCELLATION TRACKING + 🆕 CONTEXT SLOT FIELDS + 🔒 ADMIN COLUMN + 📧 EMAIL FINDER COLUMNS
         try {
             const enhancedUserColumns = [
@@ -1423,7 +2241,10 @@ const initDB = async () => {
                 'ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS average_likes DECIMAL(10,2) DEFAULT 0',
                 'ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS awards JSONB DEFAULT \'[]\'::JSONB',
                 'ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS engagement_data JSONB DEFAULT \'{}\'::JSONB',
-                'ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS mutual_connections_count INTEGER DEFAULT 0'
+                'ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS mutual_connections_count INTEGER DEFAULT 0',
+                // 🎭 NEW: Default tone preset (config/tones.js) and personal writing sample for message generation
+                'ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS tone_preset VARCHAR(30)',
+                'ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS writing_sample TEXT'
             ];
 
             for (const columnQuery of enhancedProfileColumns) {
@@ -1467,7 +2288,42 @@ const initDB = async () => {
                 // ✏️ NEW: Edit message columns (stores user edits while preserving original)
                 'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS edited_message TEXT',
                 'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP',
-                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS edit_count INTEGER DEFAULT 0'
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS edit_count INTEGER DEFAULT 0',
+                
+                // 🔀 NEW: Message variants (N drafts from one request share a generation group)
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS generation_group_id VARCHAR(64)',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS variant_index INTEGER',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS variant_angle VARCHAR(100)',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS variant_selected BOOLEAN DEFAULT FALSE',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS variant_selected_at TIMESTAMP',
+                
+                // 🔗 NEW: Multi-touch sequences (steps of one cadence share a sequence_id)
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sequence_id VARCHAR(64)',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sequence_name VARCHAR(50)',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sequence_step INTEGER',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sequence_day_offset INTEGER',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP',
+                
+                // 💬 NEW: Reply responses (response row points at the message the target replied to)
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS parent_message_id INTEGER REFERENCES message_logs(id) ON DELETE SET NULL',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS reply_text TEXT',
+                
+                // 📝 NEW: Exact prompt template used for the message (prompt_version keeps the version name)
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS prompt_template_id INTEGER REFERENCES prompt_templates(id) ON DELETE SET NULL',
+                
+                // 🧪 NEW: Prompt A/B experiment the message was assigned to ('A' = control, 'B' = variant)
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS prompt_experiment_id INTEGER REFERENCES prompt_experiments(id) ON DELETE SET NULL',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS prompt_experiment_arm VARCHAR(1)',
+                
+                // 🌍 NEW: Output language of the message (config/languages.js code)
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS language VARCHAR(10)',
+                
+                // 🎭 NEW: Tone preset the message was generated with
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS tone VARCHAR(30)',
+                
+                // 📦 NEW: Bulk campaign (and CSV row) the message was generated for
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL',
+                'ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS campaign_target_id INTEGER REFERENCES campaign_targets(id) ON DELETE SET NULL'
             ];
 
             console.log('-- ✅ NEW: GPT-5 Message Logging columns + MESSAGE_TYPE FIX + CAMPAIGN TRACKING + 📧 EMAIL FINDER COLUMNS + ✏️ EDIT MESSAGE COLUMNS');
@@ -1509,6 +2365,21 @@ const initDB = async () => {
                     if (columnQuery.includes('edit_count')) {
                         console.log('✏️ EDIT MESSAGE: Added edit_count column to message_logs');
                     }
+                    if (columnQuery.includes('generation_group_id')) {
+                        console.log('🔀 MESSAGE VARIANTS: Added generation_group_id column to message_logs');
+                    }
+                    if (columnQuery.includes('sequence_id')) {
+                        console.log('🔗 SEQUENCES: Added sequence_id column to message_logs');
+                    }
+                    if (columnQuery.includes('parent_message_id')) {
+                        console.log('💬 REPLY RESPONSE: Added parent_message_id column to message_logs');
+                    }
+                    if (columnQuery.includes('language')) {
+                        console.log('🌍 LANGUAGE: Added language column to message_logs');
+                    }
+                    if (columnQuery.includes('campaign_id')) {
+                        console.log('📦 BULK CAMPAIGNS: Added campaign_id column to message_logs');
+                    }
                 } catch (err) {
                     console.log(`GPT-5 column might already exist: ${err.message}`);
                 }
@@ -1624,6 +2495,13 @@ const initDB = async () => {
                 CREATE INDEX IF NOT EXISTS idx_message_logs_sent_status ON message_logs(sent_status);
                 CREATE INDEX IF NOT EXISTS idx_message_logs_reply_status ON message_logs(reply_status);
                 CREATE INDEX IF NOT EXISTS idx_message_logs_edited_at ON message_logs(edited_at) WHERE edited_at IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_message_logs_generation_group ON message_logs(generation_group_id) WHERE generation_group_id IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_message_logs_sequence ON message_logs(sequence_id, sequence_step) WHERE sequence_id IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_message_logs_parent_message ON message_logs(parent_message_id) WHERE parent_message_id IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_message_logs_prompt_template ON message_logs(prompt_template_id);
+                CREATE INDEX IF NOT EXISTS idx_message_logs_prompt_experiment ON message_logs(prompt_experiment_id, prompt_experiment_arm) WHERE prompt_experiment_id IS NOT NULL;
+                CREATE INDEX IF NOT EXISTS idx_message_logs_language ON message_logs(language);
+                CREATE INDEX IF NOT EXISTS idx_message_logs_campaign_id ON message_logs(campaign_id) WHERE campaign_id IS NOT NULL;
                 
                 -- 🔒 ADMIN: Admin audit indexes for security tracking
                 CREATE INDEX IF NOT EXISTS idx_admin_audit_action ON admin_audit_log(action, created_at);
@@ -1770,47 +2648,39 @@ const getUserPlan = async (userId) => {
 };
 
 // NEW: Update user credits (dual system) - FIXED
+// 📒 Posted to the credit ledger as an adjustment
 const updateUserCredits = async (userId, creditChange, creditType = 'payasyougo') => {
     try {
-        // First get current credits
-        const currentResult = await pool.query(
-            'SELECT COALESCE(renewable_credits, 0) as renewable_credits, COALESCE(payasyougo_credits, 0) as payasyougo_credits FROM users WHERE id = $1',
-            [userId]
-        );
-        
-        if (currentResult.rows.length === 0) {
-            throw new Error('User not found');
-        }
-        
-        const current = currentResult.rows[0];
-        let newRenewable = Number(current.renewable_credits) || 0;
-        let newPayasyougo = Number(current.payasyougo_credits) || 0;
-        
-        // Calculate new values in JavaScript
-        if (creditType === 'renewable') {
-            newRenewable = Math.max(0, newRenewable + creditChange);
-        } else {
-            newPayasyougo = Math.max(0, newPayasyougo + creditChange);
-        }
-        
-        const newTotal = newRenewable + newPayasyougo;
-        
-        // Update with calculated values
-        const result = await pool.query(`
-            UPDATE users 
-            SET renewable_credits = $1,
-                payasyougo_credits = $2,
-                credits_remaining = $3,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $4
-            RETURNING renewable_credits, payasyougo_credits, credits_remaining
-        `, [newRenewable, newPayasyougo, newTotal, userId]);
-        
-        if (result.rows.length === 0) {
-            throw new Error('User not found');
-        }
-        
-        const credits = result.rows[0];
+        const { after: credits } = await withBalanceChange(pool, userId, {
+            type: 'adjustment',
+            description: `Manual ${creditType} change of ${creditChange}`,
+            metadata: { creditType, creditChange }
+        }, async (client, current) => {
+            let newRenewable = Number(current.renewable_credits) || 0;
+            let newPayasyougo = Number(current.payasyougo_credits) || 0;
+            
+            // Calculate new values in JavaScript
+            if (creditType === 'renewable') {
+                newRenewable = Math.max(0, newRenewable + creditChange);
+            } else {
+                newPayasyougo = Math.max(0, newPayasyougo + creditChange);
+            }
+            
+            const newTotal = newRenewable + newPayasyougo;
+            
+            // Update with calculated values
+            const result = await client.query(`
+                UPDATE users 
+                SET renewable_credits = $1,
+                    payasyougo_credits = $2,
+                    credits_remaining = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $4
+                RETURNING renewable_credits, payasyougo_credits, credits_remaining
+            `, [newRenewable, newPayasyougo, newTotal, userId]);
+            
+            return result.rows[0];
+        });
         
         return {
             success: true,
@@ -1828,24 +2698,22 @@ const updateUserCredits = async (userId, creditChange, creditType = 'payasyougo'
 };
 
 // NEW: Spend credits (pay-as-you-go first, then renewable) - FIXED
-const spendUserCredits = async (userId, amount) => {
+// 📒 Posted to the credit ledger as usage (operationType is kept on the ledger transaction)
+const spendUserCredits = async (userId, amount, operationType = null) => {
     try {
         const client = await pool.connect();
         
         try {
             await client.query('BEGIN');
             
-            // Get current credits - FIXED: Handle NULL values
-            const userResult = await client.query(
-                'SELECT COALESCE(renewable_credits, 0) as renewable_credits, COALESCE(payasyougo_credits, 0) as payasyougo_credits FROM users WHERE id = $1',
-                [userId]
-            );
+            // Get current credits - FIXED: Handle NULL values (📒 row locked until COMMIT)
+            const before = await lockBalances(client, userId);
             
-            if (userResult.rows.length === 0) {
+            if (!before) {
                 throw new Error('User not found');
             }
             
-            const { renewable_credits, payasyougo_credits } = userResult.rows[0];
+            const { renewable_credits, payasyougo_credits } = before;
             // FIXED: Ensure we're working with numbers
             const renewableNum = Number(renewable_credits) || 0;
             const payasyougoNum = Number(payasyougo_credits) || 0;
@@ -1876,7 +2744,7 @@ const spendUserCredits = async (userId, amount) => {
             const newTotal = newRenewable + newPayasyougo;
             
             // Update credits - FIXED: Pass calculated total instead of SQL arithmetic
-            await client.query(`
+            const updateResult = await client.query(`
                 UPDATE users 
                 SET 
                     renewable_credits = $1,
@@ -1884,8 +2752,15 @@ const spendUserCredits = async (userId, amount) => {
                     credits_remaining = $4,
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $3
+                RETURNING renewable_credits, payasyougo_credits
             `, [newRenewable, newPayasyougo, userId, newTotal]);
             
+            await recordBalanceChange(client, userId, before, updateResult.rows[0], {
+                type: 'usage',
+                description: operationType ? `Spent on ${operationType}` : 'Credits spent',
+                metadata: { amount, operationType }
+            });
+            
             await client.query('COMMIT');
             
             return {
@@ -1915,7 +2790,7 @@ const spendUserCredits = async (userId, amount) => {
 const resetRenewableCredits = async (userId) => {
     try {
         const planResult = await pool.query(`
-            SELECT COALESCE(p.renewable_credits, 7) as renewable_credits
+            SELECT p.plan_code, COALESCE(p.renewable_credits, 7) as renewable_credits
             FROM users u
             JOIN plans p ON u.plan_code = p.plan_code
             WHERE u.id = $1
@@ -1925,30 +2800,38 @@ const resetRenewableCredits = async (userId) => {
             throw new Error('User or plan not found');
         }
         
+        const planCode = planResult.rows[0].plan_code;
         const planRenewableCredits = Number(planResult.rows[0].renewable_credits) || 7;
         
-        // Get current payasyougo credits
-        const currentResult = await pool.query(
-            'SELECT COALESCE(payasyougo_credits, 0) as payasyougo_credits FROM users WHERE id = $1',
-            [userId]
-        );
-        
-        const currentPayasyougo = Number(currentResult.rows[0]?.payasyougo_credits) || 0;
-        const newTotal = planRenewableCredits + currentPayasyougo;
-        
-        // Reset renewable credits to plan amount, keep pay-as-you-go unchanged - FIXED
-        const result = await pool.query(`
-            UPDATE users 
-            SET 
-                renewable_credits = $1,
-                credits_remaining = $3,
-                next_billing_date = next_billing_date + INTERVAL '1 month',
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-            RETURNING renewable_credits, payasyougo_credits, credits_remaining
-        `, [planRenewableCredits, userId, newTotal]);
-        
-        const credits = result.rows[0];
+        // 📒 Posted to the credit ledger as a renewal (old allowance expires, the plan's is granted)
+        // ⏳ carriedOver / metadata are filled in once the locked balance is known
+        const posting = {
+            type: 'renewal',
+            description: 'Monthly renewable credits reset',
+            metadata: { planRenewableCredits }
+        };
+        const { after: credits } = await withBalanceChange(pool, userId, posting, async (client, current) => {
+            const currentPayasyougo = Number(current.payasyougo_credits) || 0;
+            // ⏳ Unused renewable credits roll over up to the plan's cap (config/billing.js)
+            const renewal = calculateRenewal(planCode, planRenewableCredits, current.renewable_credits);
+            const newTotal = renewal.renewableCredits + currentPayasyougo;
+            posting.carriedOver = renewal.carriedOver;
+            posting.metadata = { planRenewableCredits, carriedOver: renewal.carriedOver, expired: renewal.expired };
+            
+            // Reset renewable credits to plan amount (+ rollover), keep pay-as-you-go unchanged - FIXED
+            const result = await client.query(`
+                UPDATE users 
+                SET 
+                    renewable_credits = $1,
+                    credits_remaining = $3,
+                    next_billing_date = next_billing_date + INTERVAL '1 month',
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+                RETURNING renewable_credits, payasyougo_credits, credits_remaining
+            `, [renewal.renewableCredits, userId, newTotal]);
+            
+            return result.rows[0];
+        });
         
         return {
             success: true,
@@ -1973,10 +2856,11 @@ const downgradeUserToFree = async (userId) => {
         try {
             await client.query('BEGIN');
             
-            // Get current user data
+            // Get current user data (📒 row locked until COMMIT)
             const userResult = await client.query(`
                 SELECT plan_code, renewable_credits, payasyougo_credits 
                 FROM users WHERE id = $1
+                FOR UPDATE
             `, [userId]);
             
             if (userResult.rows.length === 0) {
@@ -2004,6 +2888,13 @@ const downgradeUserToFree = async (userId) => {
                 RETURNING *
             `, [userId]);
             
+            // 📒 Renewable credits drop to the free allowance
+            await recordBalanceChange(client, userId, user, result.rows[0], {
+                type: 'downgrade',
+                description: `Downgraded from ${user.plan_code || 'unknown plan'} to free`,
+                metadata: { fromPlan: user.plan_code }
+            });
+            
             await client.query('COMMIT');
             
             console.log(`[CANCELLATION] User ${userId} downgraded to free plan`);
@@ -2778,6 +3669,18 @@ module.exports = {
     ensureBrightDataProfilesTable, // 🆕 NEW: BrightData profiles table function
     ensureWebGeneratedMessagesTable, // 🆕 NEW: Web generated messages table function
     fixPromptVersionColumn,
+    ensurePromptTemplatesTable, // 📝 NEW: Prompt templates table function
+    ensurePromptExperimentsTable, // 🧪 NEW: Prompt experiments table function
+    ensureCampaignTables, // 📦 NEW: Bulk campaign tables function
+    ensureJobsTable, // ⏳ NEW: Background job queue table function
+    ensureWebhookTables, // 🔔 NEW: Outbound webhook tables function
+    ensureApiKeyTables, // 🔑 NEW: Personal API key tables function
+    ensureCrmTables, // 🔗 NEW: CRM export tables function
+    ensureCreditLedgerTables, // 📒 NEW: Credit ledger tables function
+    ensureCreditPackTables, // ⏳ NEW: Credit packs table function
+    ensureOrganizationTables, // 👥 NEW: Team workspace tables function
+    ensureUsageBudgetTables, // 🚦 NEW: Usage budget + notification tables function
+    ensureRefundRequestTables, // 💸 NEW: Refund request table function
     initializeContextSlots, // 🆕 NEW: Initialize context slots function
     setupInitialAdmin, // 🔒 NEW: Secure initial admin setup function
     
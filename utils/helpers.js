@@ -249,6 +249,33 @@ const timeAgo = (date) => {
     return 'Just now';
 };
 
+// ==================== TARGET PROFILE UTILITIES ====================
+
+/**
+ * Name, headline and current company of an analyzed target profile (target_profiles.data_json)
+ * Returns nulls for what the profile does not have, or when the JSON can't be read.
+ */
+const extractTargetSummary = (dataJson) => {
+    const summary = { fullName: null, headline: null, company: null };
+    if (!dataJson) return summary;
+
+    try {
+        const profileData = typeof dataJson === 'string' ? JSON.parse(dataJson) : dataJson;
+        const profile = profileData.data && profileData.data.profile;
+        const experience = profileData.data && profileData.data.experience;
+
+        if (profile && profile.name) summary.fullName = profile.name.trim();
+        if (profile && profile.headline) summary.headline = profile.headline;
+        if (Array.isArray(experience) && experience.length > 0 && experience[0].company) {
+            summary.company = experience[0].company;
+        }
+    } catch (error) {
+        // Unreadable JSON - callers fall back to what message_logs saved
+    }
+
+    return summary;
+};
+
 // ==================== LOGGING UTILITIES ====================
 
 /**
@@ -295,6 +322,9 @@ module.exports = {
     formatDate,
     timeAgo,
     
+    // Target profile utilities
+    extractTargetSummary,
+    
     // Logging utilities
     createLogMessage,
     logWithEmoji
@@ -0,0 +1,181 @@
+// utils/schemaValidator.js - Checks a value against an OpenAPI 3.0 schema (the JSON Schema subset the spec uses)
+// Supported: type (incl. integer), nullable, enum, required, properties, additionalProperties, items,
+// minItems / maxItems / uniqueItems, minLength / maxLength / pattern / format, minimum / maximum,
+// minProperties, anyOf / oneOf and $ref to '#/components/...'. Unknown keywords are ignored.
+// `x-message` on a schema replaces the generated message when that schema fails.
+
+const FORMATS = {
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: (value) => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value),
+    'date-time': (value) => !isNaN(new Date(value).getTime())
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+};
+
+// '#/components/schemas/Error' -> document.components.schemas.Error
+const resolveRef = (schema, document) => {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        const target = resolved.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => (node ? node[key] : undefined), document);
+        if (!target) {
+            throw new Error(`Unresolvable $ref: ${resolved.$ref}`);
+        }
+        resolved = target;
+    }
+    return resolved;
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+const describe = (path) => path || 'value';
+
+/**
+ * Validate a value
+ * @param {*} value - Parsed JSON (or a coerced parameter)
+ * @param {object} schema - OpenAPI schema object
+ * @param {object} options - { document: spec for $ref lookups, path: field name used in messages }
+ * @returns {Array<object>} - [{ field, message }] - empty when the value is valid
+ */
+const validateSchema = (value, schema, { document = {}, path = '' } = {}) => {
+    const errors = [];
+    const check = (current, currentSchema, currentPath) => {
+        const rule = resolveRef(currentSchema, document);
+        if (!rule) return;
+
+        const before = errors.length;
+        const fail = (message, field = currentPath) => errors.push({ field: field || null, message: rule['x-message'] || message });
+
+        if (current === null) {
+            if (!rule.nullable && rule.type) {
+                fail(`${describe(currentPath)} must not be null`);
+            }
+            return;
+        }
+
+        if (rule.type && !matchesType(current, rule.type)) {
+            fail(`${describe(currentPath)} must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}`);
+            return;
+        }
+
+        if (rule.enum && !rule.enum.includes(current)) {
+            fail(`${describe(currentPath)} must be one of: ${rule.enum.filter(option => option !== '' && option !== null).join(', ')}`);
+            return;
+        }
+
+        if (typeof current === 'string') {
+            if (rule.minLength !== undefined && current.length < rule.minLength) {
+                fail(rule.minLength === 1
+                    ? `${describe(currentPath)} is required`
+                    : `${describe(currentPath)} must be at least ${rule.minLength} characters`);
+            } else if (rule.maxLength !== undefined && current.length > rule.maxLength) {
+                fail(`${describe(currentPath)} must be at most ${rule.maxLength} characters`);
+            } else if (rule.pattern && !new RegExp(rule.pattern).test(current)) {
+                fail(`${describe(currentPath)} has an invalid format`);
+            } else if (rule.format && FORMATS[rule.format] && !FORMATS[rule.format](current)) {
+                fail(`${describe(currentPath)} must be a valid ${rule.format}`);
+            }
+        }
+
+        if (typeof current === 'number') {
+            if (rule.minimum !== undefined && current < rule.minimum) {
+                fail(`${describe(currentPath)} must be at least ${rule.minimum}`);
+            } else if (rule.maximum !== undefined && current > rule.maximum) {
+                fail(`${describe(currentPath)} must be at most ${rule.maximum}`);
+            }
+        }
+
+        if (Array.isArray(current)) {
+            if (rule.minItems !== undefined && current.length < rule.minItems) {
+                fail(`${describe(currentPath)} must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+            } else if (rule.maxItems !== undefined && current.length > rule.maxItems) {
+                fail(`${describe(currentPath)} must have at most ${rule.maxItems} items`);
+            } else if (rule.uniqueItems && new Set(current.map(item => JSON.stringify(item))).size !== current.length) {
+                fail(`${describe(currentPath)} must not contain duplicates`);
+            }
+            if (rule.items) {
+                current.forEach((item, index) => check(item, rule.items, joinPath(currentPath, index)));
+            }
+        }
+
+        if (typeOf(current) === 'object') {
+            const keys = Object.keys(current);
+            if (rule.minProperties !== undefined && keys.length < rule.minProperties) {
+                fail(`${describe(currentPath)} must have at least ${rule.minProperties} field${rule.minProperties === 1 ? '' : 's'}`);
+            }
+
+            for (const key of rule.required || []) {
+                if (current[key] === undefined) {
+                    fail(`${joinPath(currentPath, key)} is required`, joinPath(currentPath, key));
+                }
+            }
+
+            const properties = rule.properties || {};
+            for (const key of keys) {
+                if (current[key] === undefined) continue;
+                if (properties[key]) {
+                    check(current[key], properties[key], joinPath(currentPath, key));
+                } else if (rule.additionalProperties === false) {
+                    fail(`${joinPath(currentPath, key)} is not allowed`, joinPath(currentPath, key));
+                } else if (typeof rule.additionalProperties === 'object') {
+                    check(current[key], rule.additionalProperties, joinPath(currentPath, key));
+                }
+            }
+        }
+
+        for (const keyword of ['anyOf', 'oneOf']) {
+            if (!rule[keyword]) continue;
+            const matching = rule[keyword].filter(option => validateSchema(current, option, { document, path: currentPath }).length === 0);
+            if (keyword === 'anyOf' ? matching.length === 0 : matching.length !== 1) {
+                fail(`${describe(currentPath)} does not match the expected shape`);
+            }
+        }
+
+        // x-message stands for the whole schema - keep one entry instead of one per failed keyword
+        if (rule['x-message'] && errors.length > before + 1) {
+            errors.splice(before + 1);
+        }
+    };
+
+    check(value, schema, path);
+    return errors;
+};
+
+/**
+ * Turn a query / path string into the type its schema asks for, so '5' can pass `type: integer`.
+ * Values that do not convert are returned unchanged and fail validation.
+ */
+const coerceParameter = (value, schema, document = {}) => {
+    const rule = resolveRef(schema, document) || {};
+    if (typeof value !== 'string') return value;
+
+    if (rule.type === 'integer' || rule.type === 'number') {
+        const parsed = Number(value);
+        return value.trim() !== '' && !isNaN(parsed) ? parsed : value;
+    }
+    if (rule.type === 'boolean') {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+    }
+    if (rule.type === 'array') {
+        return value.split(',').map(item => coerceParameter(item.trim(), rule.items || {}, document));
+    }
+    return value;
+};
+
+module.exports = {
+    validateSchema,
+    coerceParameter,
+    resolveRef
+};